@@ -33,6 +33,14 @@ hexo.extend.helper.register("export_config", function () {
     navbar: this.theme.navbar,
     page_templates: this.theme.page_templates,
     home: this.theme.home,
+    // Only the browser-safe giscus keys — comment.config also holds author_pat.
+    comment: {
+      system: this.theme.comment?.system,
+      giscus: {
+        proxy: this.theme.comment?.config?.giscus?.proxy || null,
+        mock: this.theme.comment?.config?.giscus?.mock === true,
+      },
+    },
 
     footerStart: this.theme.footer.start,
   };
@@ -3,7 +3,10 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
+const crypto = require("crypto");
 const { spawn } = require("child_process");
+const { resolvePolicy, masonryAlbumIndex, scrubImageGps } = require("./lib/image-privacy");
+const { createBuildManifest } = require("./lib/build-manifest");
 
 // ----------------------------------------------------------------------------
 // Configuration Management
@@ -14,6 +17,10 @@ const { spawn } = require("child_process");
  *   encoder: "sharp" | "libaom-av1" | "libsvtav1"  (default: "sharp")
  *   quality: 0-100   (0 = smallest file / worst quality, 100 = best quality)
  *   effort:  0-10    (0 = fastest / least CPU, 10 = slowest / best compression)
+ *   SRCSET_WIDTHS: [480, 960, ...]  extra AVIF widths for srcset (empty = off)
+ *   SRCSET_SIZES:  "sizes" attribute emitted with the srcset
+ *   FALLBACK: false | "webp" | "original"  non-AVIF source behind <picture>
+ *   GPS, GPS_PRECISION, WATERMARK, ALBUMS: see lib/image-privacy.js
  *
  * Internally mapped to encoder-specific parameters.
  */
@@ -29,6 +36,13 @@ class ConfigManager {
       ENABLE_AVIF: config.AVIF_COMPRESS ?? true,
       ENABLE_SVG: config.SVGO_COMPRESS ?? false,
       MAX_PIXELS: config.IMG_MAX_PIXELS || 2073600,
+      KEEP_ORIGINAL: (config.KEEP_ORIGINAL ?? false) || config.FALLBACK === "original",
+      FALLBACK: ["webp", "original"].includes(config.FALLBACK) ? config.FALLBACK : false,
+      SRCSET_WIDTHS: (config.SRCSET_WIDTHS || [])
+        .map(Number)
+        .filter(w => Number.isInteger(w) && w > 0)
+        .sort((a, b) => a - b),
+      SRCSET_SIZES: config.SRCSET_SIZES || "(max-width: 1000px) 100vw, 1000px",
       EXCLUDE: config.EXCLUDE || [],
       encoder,
       quality,
@@ -133,21 +147,34 @@ class ImageMeta {
 
 class ImageProcessor {
   static async process(fileInfo) {
-    const { absPath, outputPath, isBitmap, isSvg } = fileInfo;
+    const { absPath, outputPath, isBitmap, isSvg, watermark } = fileInfo;
     const outDir = path.dirname(outputPath);
     await fs.promises.mkdir(outDir, { recursive: true });
 
     if (isBitmap) {
-      return await this.processAvif(absPath, outputPath);
+      return await this.processAvif(absPath, outputPath, 0, watermark);
     } else if (isSvg) {
       return await this.processSvg(absPath, outputPath);
     }
   }
 
-  static async processAvif(inputPath, outputPath) {
-    const config = ConfigManager.get();
+  /**
+   * Encode one AVIF; `maxWidth` caps the width further (srcset variants),
+   * `watermark` (lib/image-privacy.js) is stamped on before encoding.
+   */
+  static async processAvif(inputPath, outputPath, maxWidth = 0, watermark = null) {
+    const config = maxWidth ? { ...ConfigManager.get(), TARGET_WIDTH: maxWidth } : ConfigManager.get();
     const meta = await ImageMeta.probe(inputPath);
 
+    const marked = await Watermark.render(inputPath, meta, config, watermark);
+    if (marked) {
+      try {
+        return await this.processAvif(marked, outputPath, maxWidth);
+      } finally {
+        await fs.promises.unlink(marked).catch(() => { });
+      }
+    }
+
     // Determine effective encoder with fallback logic
     let encoder = config.encoder;
 
@@ -177,7 +204,63 @@ class ImageProcessor {
       result = await this._encodeSvtav1(inputPath, outputPath, meta, config);
     }
 
-    // Validate output
+    return this._validateOutput(outputPath);
+  }
+
+  /**
+   * Encode the WebP fallback (FALLBACK: "webp"), same dimensions as the AVIF.
+   * sharp when it is the configured encoder, else ffmpeg's libwebp.
+   */
+  static async processWebp(inputPath, outputPath, maxWidth = 0, watermark = null) {
+    const config = maxWidth ? { ...ConfigManager.get(), TARGET_WIDTH: maxWidth } : ConfigManager.get();
+    const meta = await ImageMeta.probe(inputPath);
+
+    const marked = await Watermark.render(inputPath, meta, config, watermark);
+    if (marked) {
+      try {
+        return await this.processWebp(marked, outputPath, maxWidth);
+      } finally {
+        await fs.promises.unlink(marked).catch(() => { });
+      }
+    }
+
+    const { targetWidth, targetHeight } = this._calcScale(meta, config);
+
+    if (config.encoder === "sharp") {
+      const sharp = require("sharp");
+      await sharp(inputPath, { animated: meta.isAnimated })
+        .resize(targetWidth, targetHeight, {
+          fit: "inside",
+          withoutEnlargement: true,
+          kernel: sharp.kernel.lanczos3,
+        })
+        .webp({ quality: config.quality, effort: Math.round(config.effort * 0.6) })
+        .toFile(outputPath);
+    } else {
+      await this.runFfmpeg([
+        "-y", "-i", inputPath,
+        "-vf", `scale=${targetWidth}:${targetHeight}:flags=lanczos`,
+        "-c:v", "libwebp",
+        "-quality", String(config.quality),
+        "-loop", "0",
+        outputPath,
+      ]);
+    }
+
+    return this._validateOutput(outputPath);
+  }
+
+  /**
+   * Published original (KEEP_ORIGINAL) with GPS stripped or coarsened per
+   * `policy`; the metadata is edited in place, pixels are untouched.
+   */
+  static async processOriginal(inputPath, outputPath, policy) {
+    const input = await fs.promises.readFile(inputPath);
+    await fs.promises.writeFile(outputPath, scrubImageGps(input, policy));
+    return this._validateOutput(outputPath);
+  }
+
+  static async _validateOutput(outputPath) {
     if (!fs.existsSync(outputPath)) throw new Error("Output file not created");
     const stat = await fs.promises.stat(outputPath);
     if (stat.size === 0) {
@@ -361,6 +444,11 @@ class ImageProcessor {
       targetHeight = Math.floor(meta.height * scale);
     }
 
+    if (config.TARGET_WIDTH && targetWidth > config.TARGET_WIDTH) {
+      targetHeight = Math.floor(targetHeight * (config.TARGET_WIDTH / targetWidth));
+      targetWidth = config.TARGET_WIDTH;
+    }
+
     // Ensure even dimensions for YUV420
     if (targetWidth % 2 !== 0) targetWidth -= 1;
     if (targetHeight % 2 !== 0) targetHeight -= 1;
@@ -434,6 +522,103 @@ class ImageProcessor {
   }
 }
 
+// ----------------------------------------------------------------------------
+// Watermark
+// ----------------------------------------------------------------------------
+
+let watermarkSeq = 0;
+
+class Watermark {
+  /**
+   * Stamp `watermark` on a still image resized to its output size. Returns
+   * the path of a temporary PNG to encode instead of the source (the caller
+   * deletes it), or null when no watermark applies: none configured, an
+   * animated source, or an output narrower than `min_width`.
+   * Rendering needs sharp, whichever encoder is configured.
+   */
+  static async render(inputPath, meta, config, watermark) {
+    if (!watermark) return null;
+    if (meta.isAnimated) {
+      hexo.log.debug(`[img-optimizer] ${path.basename(inputPath)}: animated, watermark skipped`);
+      return null;
+    }
+    const { targetWidth, targetHeight } = ImageProcessor._calcScale(meta, config);
+    if (targetWidth < watermark.min_width) return null;
+
+    let sharp;
+    try {
+      sharp = require("sharp");
+    } catch {
+      hexo.log.warn("[img-optimizer] Watermarks require sharp (npm install sharp); skipped.");
+      return null;
+    }
+
+    const margin = Math.round(targetWidth * watermark.margin);
+    const overlay = await this._overlay(sharp, watermark, {
+      width: Math.max(1, Math.round(targetWidth * watermark.size)),
+      height: Math.max(1, targetHeight - 2 * margin),
+    });
+    if (!overlay) return null;
+
+    const { data, info } = overlay;
+    const pos = watermark.position;
+    const left = /west$/.test(pos) ? margin
+      : /east$/.test(pos) ? targetWidth - info.width - margin
+        : Math.round((targetWidth - info.width) / 2);
+    const top = /^north/.test(pos) ? margin
+      : /^south/.test(pos) ? targetHeight - info.height - margin
+        : Math.round((targetHeight - info.height) / 2);
+
+    const tmpPath = path.join(os.tmpdir(), `img-optimizer-wm-${process.pid}-${++watermarkSeq}.png`);
+    await sharp(inputPath)
+      .resize(targetWidth, targetHeight, {
+        fit: "inside",
+        withoutEnlargement: true,
+        kernel: sharp.kernel.lanczos3,
+      })
+      .composite([{ input: data, left: Math.max(0, left), top: Math.max(0, top) }])
+      .png()
+      .toFile(tmpPath);
+    return tmpPath;
+  }
+
+  /** The watermark as a PNG buffer fitting `box`, at the configured opacity */
+  static async _overlay(sharp, watermark, box) {
+    const fit = { width: box.width, height: box.height, fit: "inside" };
+
+    if (watermark.image) {
+      const rel = watermark.image.replace(/^\/+/, "");
+      const file = [hexo.source_dir, hexo.theme_dir && path.join(hexo.theme_dir, "source")]
+        .filter(Boolean)
+        .map(dir => path.join(dir, rel))
+        .find(candidate => fs.existsSync(candidate));
+      if (!file) {
+        hexo.log.warn(`[img-optimizer] Watermark image not found: ${watermark.image}`);
+        return null;
+      }
+      return sharp(file)
+        .resize(fit)
+        .ensureAlpha()
+        .composite([{
+          input: Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]),
+          raw: { width: 1, height: 1, channels: 4 },
+          tile: true,
+          blend: "dest-in",
+        }])
+        .png()
+        .toBuffer({ resolveWithObject: true });
+    }
+
+    // Text: rendered large through SVG, trimmed, then scaled down to fit
+    const text = watermark.text.replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${watermark.text.length * 72 + 32}" height="128">` +
+      `<text x="16" y="96" font-family="sans-serif" font-size="72" font-weight="bold" ` +
+      `fill="#fff" fill-opacity="${watermark.opacity}" stroke="#000" stroke-opacity="${watermark.opacity * 0.4}" stroke-width="2">${text}</text></svg>`;
+    const trimmed = await sharp(Buffer.from(svg)).trim().png().toBuffer();
+    return sharp(trimmed).resize(fit).png().toBuffer({ resolveWithObject: true });
+  }
+}
+
 // ----------------------------------------------------------------------------
 // Task Queue
 // ----------------------------------------------------------------------------
@@ -501,6 +686,40 @@ class PathManager {
     };
   }
 
+  /**
+   * Extra outputs of a bitmap: build/<dir>/<base>[-<width>w]<targetExt>
+   * (srcset variants; WebP fallbacks). No width = full size.
+   */
+  static buildVariantPath(relPath, width, targetExt = ".avif") {
+    const posixRel = relPath.replace(/\\/g, "/");
+    const ext = path.posix.extname(posixRel);
+    const base = path.posix.basename(posixRel, ext);
+    const dir = path.posix.dirname(posixRel);
+    const suffix = width ? `-${width}w` : "";
+    const outputRel = path.posix.join("build", dir === "." ? "" : dir, `${base}${suffix}${targetExt}`);
+
+    return {
+      outputRel,
+      outputPath: path.join(hexo.source_dir || "", outputRel),
+      routePath: outputRel
+    };
+  }
+
+  /**
+   * GPS-scrubbed copy of a published original: build/_originals/<path>,
+   * served at the original's own route. The underscore keeps Hexo from
+   * publishing the copy a second time.
+   */
+  static buildScrubbedOriginalPath(relPath) {
+    const posixRel = relPath.replace(/\\/g, "/");
+    const outputRel = path.posix.join("build", "_originals", posixRel);
+    return {
+      outputRel,
+      outputPath: path.join(hexo.source_dir || "", outputRel),
+      routePath: posixRel,
+    };
+  }
+
   static normalizeRootPath(src) {
     const s = String(src).trim();
     const siteRoot = hexo.config.root || "/";
@@ -560,11 +779,41 @@ class PathManager {
   }
 }
 
+// ----------------------------------------------------------------------------
+// Build Manifest
+// ----------------------------------------------------------------------------
+
+// Outputs by path under source/, with the source hash and settings each was
+// made with (lib/build-manifest.js)
+const manifest = createBuildManifest(hexo);
+
+/**
+ * Settings an output depends on; any change re-encodes it.
+ * `kind` is "avif", "webp", "svg" or "original" (GPS-scrubbed copy);
+ * `width` caps srcset variants; `policy` is lib/image-privacy.js's.
+ */
+function outputSettings(config, kind, width = 0, policy = null) {
+  if (kind === "svg") return "svg";
+  if (kind === "original") return ["original", policy.gps, policy.precision].join(":");
+  const watermark = policy && policy.watermark
+    ? crypto.createHash("sha1").update(JSON.stringify(policy.watermark)).digest("hex").slice(0, 8)
+    : "";
+  return [kind, config.encoder, config.quality, config.effort, config.MAX_PIXELS, width, watermark].join(":");
+}
+
 // ----------------------------------------------------------------------------
 // Main Plugin Logic
 // ----------------------------------------------------------------------------
 
 const successfulConversions = new Set();
+// relPath -> { width, variants: [{ width, routePath }] } for srcset
+const srcsetVariants = new Map();
+// Route paths of every srcset variant and WebP fallback generated this run
+const extraOutputs = new Set();
+// relPath of a published original -> its GPS-scrubbed copy
+const scrubbedOriginals = new Map();
+// Source path -> masonry album (per-album privacy options)
+let albumIndex = new Map();
 const queue = new TaskQueue(2);
 
 async function scanAndProcessAllImages() {
@@ -578,8 +827,10 @@ async function scanAndProcessAllImages() {
   hexo.log.info(`[img-optimizer] Encoder: ${config.encoder} | Quality: ${config.quality} | Effort: ${config.effort} | Concurrency: ${config.MAX_CONCURRENCY}`);
   hexo.log.debug("[img-optimizer] Scanning images...");
 
-  // Remove stale optimized files whose source images have been deleted
-  await cleanupOrphanedBuildFiles();
+  manifest.startScan();
+  extraOutputs.clear();
+  scrubbedOriginals.clear();
+  albumIndex = masonryAlbumIndex(hexo);
 
   const files = await gatherFiles();
   hexo.log.info(`[img-optimizer] Found ${files.length} candidate files.`);
@@ -589,7 +840,16 @@ async function scanAndProcessAllImages() {
 
   hexo.log.info(`[img-optimizer] Processed ${tasks.length} images. ${successfulConversions.size} optimized.`);
 
-  cleanupRoutes();
+  // Remove outputs whose source was deleted, excluded or no longer needs them
+  const removed = await manifest.cleanup();
+  if (removed > 0) {
+    hexo.log.info(`[img-optimizer] Orphan cleanup: removed ${removed} stale build file(s).`);
+  } else {
+    hexo.log.debug("[img-optimizer] Orphan cleanup: no stale build files found.");
+  }
+  manifest.save();
+
+  if (!config.KEEP_ORIGINAL) cleanupRoutes();
 }
 
 async function gatherFiles() {
@@ -621,102 +881,6 @@ async function recursiveReadDir(dir) {
   return results;
 }
 
-/** List all files inside the build output directory (no directory skips). */
-async function recursiveListBuildFiles(dir) {
-  let results = [];
-  if (!fs.existsSync(dir)) return results;
-  const list = await fs.promises.readdir(dir);
-  for (const file of list) {
-    const filePath = path.join(dir, file);
-    const stat = await fs.promises.stat(filePath);
-    if (stat && stat.isDirectory()) {
-      results = results.concat(await recursiveListBuildFiles(filePath));
-    } else {
-      results.push(filePath);
-    }
-  }
-  return results;
-}
-
-/**
- * Remove files from the build output directory whose source image no longer exists.
- * Mapping: source/build/<rel>.<ext> -> source/<rel>.<srcExt> or theme/source/<rel>.<srcExt>
- */
-async function cleanupOrphanedBuildFiles() {
-  const buildDir = path.join(hexo.source_dir, "build");
-  const buildFiles = await recursiveListBuildFiles(buildDir);
-  if (buildFiles.length === 0) return;
-
-  const bitmapExts = [".jpg", ".jpeg", ".png", ".gif", ".webp"];
-  let removed = 0;
-
-  for (const buildFilePath of buildFiles) {
-    // relToBuild: the path relative to source/build/ (e.g. "images/foo.avif")
-    const relToBuild = buildFilePath
-      .slice(buildDir.length)
-      .replace(/\\/g, "/")
-      .replace(/^\//, "");
-
-    const ext = path.posix.extname(relToBuild).toLowerCase();
-    const baseRel = relToBuild.slice(0, relToBuild.length - ext.length); // strip extension
-
-    let candidateRels;
-    if (ext === ".avif") {
-      candidateRels = bitmapExts.map((e) => baseRel + e);
-    } else if (ext === ".svg") {
-      candidateRels = [baseRel + ".svg"];
-    } else {
-      // Unrecognised file in build/ — leave it alone
-      continue;
-    }
-
-    const sourceExists = candidateRels.some((srcRel) => {
-      if (fs.existsSync(path.join(hexo.source_dir, srcRel))) return true;
-      if (hexo.theme_dir && fs.existsSync(path.join(hexo.theme_dir, "source", srcRel))) return true;
-      return false;
-    });
-
-    if (!sourceExists) {
-      try {
-        await fs.promises.unlink(buildFilePath);
-        hexo.log.info(`[img-optimizer] Orphan removed: build/${relToBuild}`);
-        removed++;
-      } catch (e) {
-        hexo.log.warn(`[img-optimizer] Failed to remove orphan build/${relToBuild}: ${e.message}`);
-      }
-    }
-  }
-
-  // Remove empty directories left behind
-  await removeEmptyDirs(buildDir);
-
-  if (removed > 0) {
-    hexo.log.info(`[img-optimizer] Orphan cleanup: removed ${removed} stale build file(s).`);
-  } else {
-    hexo.log.debug("[img-optimizer] Orphan cleanup: no stale build files found.");
-  }
-}
-
-/** Recursively remove empty directories under rootDir (does not remove rootDir itself). */
-async function removeEmptyDirs(rootDir) {
-  if (!fs.existsSync(rootDir)) return;
-  const entries = await fs.promises.readdir(rootDir);
-  for (const entry of entries) {
-    const fullPath = path.join(rootDir, entry);
-    const stat = await fs.promises.stat(fullPath);
-    if (stat.isDirectory()) {
-      await removeEmptyDirs(fullPath);
-      const remaining = await fs.promises.readdir(fullPath);
-      if (remaining.length === 0) {
-        try {
-          await fs.promises.rmdir(fullPath);
-          hexo.log.debug(`[img-optimizer] Removed empty dir: ${fullPath}`);
-        } catch { }
-      }
-    }
-  }
-}
-
 async function processFile(absPath, config) {
   const ext = path.extname(absPath).toLowerCase();
   const isBitmap = PathManager.isSupportedBitmap(ext);
@@ -765,34 +929,95 @@ async function processFile(absPath, config) {
     routePath
   } = PathManager.buildOptimizedPath(relPath, isBitmap);
 
+  const policy = resolvePolicy(hexo, albumIndex.get(relPath));
+
   await queue.enqueue(async () => {
-    try {
-      // Cache check
-      try {
-        const inStat = await fs.promises.stat(absPath);
-        const outStat = await fs.promises.stat(outputPath);
-        if (outStat.mtimeMs >= inStat.mtimeMs && outStat.size > 0) {
-          hexo.route.set(routePath, () => fs.createReadStream(outputPath));
-          successfulConversions.add(relPath);
-          return;
-        }
-      } catch { }
+    const settings = outputSettings(config, isBitmap ? "avif" : "svg", 0, policy);
+    const ok = await ensureOutput(absPath, relPath, { outputPath, routePath }, settings, (out) =>
+      ImageProcessor.process({ absPath, outputPath: out, isBitmap, isSvg, watermark: policy.watermark }));
+    if (!ok) return;
+    successfulConversions.add(relPath);
+
+    if (isBitmap) await processExtras(absPath, relPath, config, policy);
+    if (isBitmap && config.KEEP_ORIGINAL && policy.gps !== "keep") {
+      const target = PathManager.buildScrubbedOriginalPath(relPath);
+      const scrubbed = await ensureOutput(absPath, relPath, target, outputSettings(config, "original", 0, policy),
+        (out) => ImageProcessor.processOriginal(absPath, out, policy));
+      if (scrubbed) scrubbedOriginals.set(relPath, target.outputPath);
+    }
+  });
+}
 
-      const res = await ImageProcessor.process({
-        absPath,
-        outputPath,
-        isBitmap,
-        isSvg
-      });
+/**
+ * Encode `absPath` through `encode(outputPath)` unless the manifest vouches
+ * for the existing output, and serve it at `routePath`.
+ * Returns false (logged) when encoding fails.
+ */
+async function ensureOutput(absPath, relPath, { outputPath, routePath }, settings, encode) {
+  const key = manifest.key(outputPath);
+  manifest.markSeen(outputPath);
+  try {
+    const source = await manifest.hashSource(absPath);
+    if (!(await manifest.isOutputFresh(outputPath, source, settings))) {
+      await fs.promises.mkdir(path.dirname(outputPath), { recursive: true });
+      const res = await encode(outputPath);
+      hexo.log.info(`[img-optimizer] Generated: ${relPath} -> ${key} (${(res.size / 1024).toFixed(2)} KB)`);
+    }
+    manifest.record(outputPath, source, settings);
 
-      hexo.log.info(`[img-optimizer] Generated: ${relPath} -> ${routePath} (${(res.size / 1024).toFixed(2)} KB)`);
+    hexo.route.set(routePath, () => fs.createReadStream(outputPath));
+    return true;
+  } catch (err) {
+    hexo.log.warn(`[img-optimizer] Failed: ${relPath} -> ${routePath}: ${err.message}`);
+    return false;
+  }
+}
 
-      hexo.route.set(routePath, () => fs.createReadStream(outputPath));
-      successfulConversions.add(relPath);
-    } catch (err) {
-      hexo.log.warn(`[img-optimizer] Failed: ${relPath} -> ${err.message}`);
-    }
-  });
+/** ensureOutput for srcset variants and fallbacks, which are synced to public/ separately */
+async function ensureExtraOutput(absPath, relPath, target, settings, encode) {
+  const ok = await ensureOutput(absPath, relPath, target, settings, encode);
+  if (ok) extraOutputs.add(target.routePath);
+  return ok;
+}
+
+/**
+ * Encode the extra outputs of a bitmap: one AVIF per SRCSET_WIDTHS entry
+ * narrower than the main output (animated GIFs keep the single output), and
+ * with FALLBACK: "webp" a WebP twin of the main output and of each variant.
+ */
+async function processExtras(absPath, relPath, config, policy) {
+  srcsetVariants.delete(relPath);
+  const webp = config.FALLBACK === "webp";
+  const ensureWebp = (width) => ensureExtraOutput(absPath, relPath,
+    PathManager.buildVariantPath(relPath, width, ".webp"), outputSettings(config, "webp", width, policy),
+    (outputPath) => ImageProcessor.processWebp(absPath, outputPath, width, policy.watermark));
+
+  if (webp) await ensureWebp(0);
+  if (config.SRCSET_WIDTHS.length === 0 || path.extname(relPath).toLowerCase() === ".gif") return;
+
+  let size;
+  try {
+    size = require("image-size")(absPath);
+  } catch {
+    return;
+  }
+  if (!size || !size.width || !size.height) return;
+
+  const { targetWidth } = ImageProcessor._calcScale(size, config);
+  const widths = config.SRCSET_WIDTHS.filter(w => w < targetWidth);
+  if (widths.length === 0) return;
+
+  const variants = [];
+  for (const width of widths) {
+    const target = PathManager.buildVariantPath(relPath, width);
+    const ok = await ensureExtraOutput(absPath, relPath, target, outputSettings(config, "avif", width, policy),
+      (outputPath) => ImageProcessor.processAvif(absPath, outputPath, width, policy.watermark));
+    if (!ok) continue;
+    if (webp) await ensureWebp(width);
+    variants.push({ width, routePath: target.routePath });
+  }
+
+  if (variants.length > 0) srcsetVariants.set(relPath, { width: targetWidth, variants });
 }
 
 function cleanupRoutes() {
@@ -815,6 +1040,29 @@ function replaceImagesInHtml(str) {
   if (!str || typeof str !== "string" || str.length === 0) return str;
 
   const config = ConfigManager.get();
+  const root = hexo.config.root || "/";
+
+  const routeUrl = (routePath) => encodeURI(path.posix.join(root, routePath));
+
+  // "<variant> 480w, …, <main> 1920w", or "" when the image has no variants.
+  // `ext` ".webp" builds the fallback srcset ("" unless every twin exists).
+  const buildSrcset = (rel, mainRoute, ext = ".avif") => {
+    const entry = srcsetVariants.get(rel.replace(/\\/g, "/"));
+    if (!entry) return "";
+    const candidates = entry.variants
+      .map(v => ({ width: v.width, routePath: PathManager.buildVariantPath(rel, v.width, ext).routePath }))
+      .concat({ width: entry.width, routePath: mainRoute });
+    if (ext !== ".avif" && !candidates.every(c => extraOutputs.has(c.routePath))) return "";
+    return candidates.map(c => `${routeUrl(c.routePath)} ${c.width}w`).join(", ");
+  };
+
+  // Non-AVIF source for <picture> (see wrapFallbackPictures): { src, srcset }
+  const buildFallback = (rel) => {
+    if (config.FALLBACK === "original") return { src: routeUrl(rel.replace(/\\/g, "/")), srcset: "" };
+    const { routePath } = PathManager.buildVariantPath(rel, 0, ".webp");
+    if (config.FALLBACK !== "webp" || !extraOutputs.has(routePath)) return null;
+    return { src: routeUrl(routePath), srcset: buildSrcset(rel, routePath, ".webp") };
+  };
 
   const processTag = (tagContent, attrName) => {
     if (/\bdata-no-avif\b/i.test(tagContent)) return null;
@@ -844,7 +1092,24 @@ function replaceImagesInHtml(str) {
     const url = encodeURI(path.posix.join(hexo.config.root || "/", routePath));
 
     // Inject data-original-src to preserve the link to the original image
-    return tagContent.replace(match[0], `${attrName}="${url}" data-original-src="${originalSrc}"`);
+    let attrs = `${attrName}="${url}" data-original-src="${originalSrc}"`;
+    // Published originals back the image viewer's 1:1 mode
+    if (isBitmap && config.KEEP_ORIGINAL && !/\bdata-full-src\b/i.test(tagContent)) {
+      attrs += ` data-full-src="${encodeURI(path.posix.join(root, local.rel.replace(/\\/g, "/")))}"`;
+    }
+    // Responsive variants; the lazyload preloader carries them as data-srcset/data-sizes
+    const srcset = isBitmap ? buildSrcset(local.rel, routePath) : "";
+    if (srcset && !/\bsrcset\s*=/i.test(tagContent)) {
+      attrs += attrName === "src"
+        ? ` srcset="${srcset}" sizes="${config.SRCSET_SIZES}"`
+        : ` data-srcset="${srcset}" data-sizes="${config.SRCSET_SIZES}"`;
+    }
+    const fallback = isBitmap && config.FALLBACK ? buildFallback(local.rel) : null;
+    if (fallback && !/\bdata-fallback-src\b/i.test(tagContent)) {
+      attrs += ` data-fallback-src="${fallback.src}"`;
+      if (fallback.srcset) attrs += ` data-fallback-srcset="${fallback.srcset}"`;
+    }
+    return tagContent.replace(match[0], attrs);
   };
 
   str = str.replace(/<img\b[^>]*>/gim, (tag) => processTag(tag, "src") || tag);
@@ -866,6 +1131,44 @@ hexo.extend.filter.register("after_post_render", function (data) {
 // 2. Run for full page
 hexo.extend.filter.register("after_render:html", replaceImagesInHtml);
 
+/**
+ * FALLBACK: wrap every <img data-fallback-src> that is still an <img> (the
+ * lazyload preloaders resolve their fallback at runtime) in a <picture>: the
+ * AVIF becomes a typed <source>, the <img> itself loads the fallback.
+ */
+function wrapFallbackPictures(str) {
+  if (!ConfigManager.get().FALLBACK || !str.includes("data-fallback-src")) return str;
+
+  const attrOf = (tag, name) => {
+    const m = tag.match(new RegExp(`(?<![\\w-])${name}\\s*=\\s*("|')([^"']*)\\1`, "i"));
+    return m ? m[2] : "";
+  };
+  const dropAttr = (tag, name) =>
+    tag.replace(new RegExp(`\\s(?<![\\w-])${name}\\s*=\\s*("|')[^"']*\\1`, "gi"), "");
+
+  const wrapImg = (tag) => {
+    const fallbackSrc = attrOf(tag, "data-fallback-src");
+    if (!fallbackSrc) return tag;
+    const avifSrcset = attrOf(tag, "srcset") || attrOf(tag, "src");
+    const sizes = attrOf(tag, "sizes");
+    const fallbackSrcset = attrOf(tag, "data-fallback-srcset");
+
+    let img = dropAttr(dropAttr(dropAttr(tag, "data-fallback-src"), "data-fallback-srcset"), "srcset");
+    img = img.replace(/(?<![\w-])src\s*=\s*("|')[^"']*\1/i, `src="${fallbackSrc}"`);
+    if (fallbackSrcset) img = img.replace(/^<img\b/i, `<img srcset="${fallbackSrcset}"`);
+
+    const source = `<source type="image/avif" srcset="${avifSrcset}"${sizes ? ` sizes="${sizes}"` : ""}>`;
+    return `<picture>${source}${img}</picture>`;
+  };
+
+  // Leave hand-written <picture> blocks alone
+  return str.replace(/<picture\b[\s\S]*?<\/picture>|<img\b[^>]*>/gi, (block) =>
+    /^<picture/i.test(block) ? block : wrapImg(block));
+}
+
+// 3. After lazyload's masonry pass (15), once the HTML is final
+hexo.extend.filter.register("after_render:html", wrapFallbackPictures, 20);
+
 // ----------------------------------------------------------------------------
 // Hooks
 // ----------------------------------------------------------------------------
@@ -873,16 +1176,33 @@ hexo.extend.filter.register("after_render:html", replaceImagesInHtml);
 hexo.extend.filter.register("before_generate", scanAndProcessAllImages);
 
 hexo.extend.filter.register("after_generate", function () {
+  const { KEEP_ORIGINAL } = ConfigManager.get();
+
   // Safety Cleanup & Public Sync
   const toDelete = [];
   for (const relPath of successfulConversions) {
-    if (hexo.route.get(relPath)) {
+    if (!KEEP_ORIGINAL && hexo.route.get(relPath)) {
       hexo.route.remove(relPath);
       toDelete.push(relPath);
     }
   }
   if (toDelete.length > 0) hexo.log.debug(`[img-optimizer] (Safety) Removed ${toDelete.length} originals.`);
 
+  // Published originals: serve the GPS-scrubbed copies in their place (the
+  // asset generator has just routed the untouched files again)
+  if (KEEP_ORIGINAL) {
+    for (const [relPath, outputPath] of scrubbedOriginals) {
+      hexo.route.set(relPath, () => fs.createReadStream(outputPath));
+      if (!hexo.public_dir) continue;
+      const publicPath = path.join(hexo.public_dir, relPath);
+      try {
+        if (fs.existsSync(publicPath)) fs.copyFileSync(outputPath, publicPath);
+      } catch (e) {
+        hexo.log.warn(`[img-optimizer] Sync failed: ${relPath} - ${e.message}`);
+      }
+    }
+  }
+
   if (hexo.public_dir) {
     let cleaned = 0,
       synced = 0;
@@ -890,7 +1210,7 @@ hexo.extend.filter.register("after_generate", function () {
       // Remove original from public
       const publicPath = path.join(hexo.public_dir, relPath);
       try {
-        if (fs.existsSync(publicPath)) {
+        if (!KEEP_ORIGINAL && fs.existsSync(publicPath)) {
           fs.unlinkSync(publicPath);
           cleaned++;
         }
@@ -919,6 +1239,17 @@ hexo.extend.filter.register("after_generate", function () {
       }
     }
     if (cleaned > 0) hexo.log.info(`[img-optimizer] Cleaned ${cleaned} files from public.`);
+    for (const routePath of extraOutputs) {
+      const publicDest = path.join(hexo.public_dir, routePath);
+      if (fs.existsSync(publicDest)) continue;
+      try {
+        fs.mkdirSync(path.dirname(publicDest), { recursive: true });
+        fs.copyFileSync(path.join(hexo.source_dir, routePath), publicDest);
+        synced++;
+      } catch (e) {
+        hexo.log.warn(`[img-optimizer] Sync failed: ${routePath} - ${e.message}`);
+      }
+    }
     if (synced > 0) hexo.log.info(`[img-optimizer] Synced ${synced} optimized files to public.`);
   }
 });
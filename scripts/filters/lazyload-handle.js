@@ -20,6 +20,16 @@ const REMOTE_MAX_REDIRECTS = 3;
 
 const remoteSizeCache = new Map();
 
+// Placeholders: a tiny blurred thumbnail (LQIP) and the dominant color,
+// computed with sharp and cached next to the img-optimizer output. The "_"
+// prefix keeps Hexo from publishing the cache file.
+const PLACEHOLDER_SIZE = 16; // px on the long edge
+const PLACEHOLDER_CACHE_FILE = "_placeholders.json";
+const PLACEHOLDER_SAVE_DELAY_MS = 1000;
+
+const placeholderCache = { entries: null, inflight: new Map(), saveTimer: null };
+let sharpModule;
+
 function escapeHtmlAttr(value) {
   return String(value)
     .replace(/&/g, "&amp;")
@@ -241,6 +251,113 @@ function tryGetDimensionsFromTag(imgTag) {
   return null;
 }
 
+function placeholderCachePath() {
+  return path.join(hexo.source_dir || "", "build", PLACEHOLDER_CACHE_FILE);
+}
+
+function loadPlaceholderEntries() {
+  if (placeholderCache.entries) return placeholderCache.entries;
+  try {
+    placeholderCache.entries = JSON.parse(fs.readFileSync(placeholderCachePath(), "utf8"));
+  } catch {
+    placeholderCache.entries = {};
+  }
+  return placeholderCache.entries;
+}
+
+/**
+ * Write the cache, dropping entries whose source image is gone.
+ */
+function savePlaceholderCache() {
+  if (placeholderCache.saveTimer) clearTimeout(placeholderCache.saveTimer);
+  placeholderCache.saveTimer = null;
+  const entries = placeholderCache.entries || {};
+  for (const key of Object.keys(entries)) {
+    if (!fs.existsSync(path.join(hexo.base_dir || "", key))) delete entries[key];
+  }
+  try {
+    fs.mkdirSync(path.dirname(placeholderCachePath()), { recursive: true });
+    fs.writeFileSync(placeholderCachePath(), JSON.stringify(entries));
+  } catch (e) {
+    hexo.log.warn(`[lazyload] Failed to write placeholder cache: ${e.message}`);
+  }
+}
+
+/**
+ * Write the cache shortly after the last new entry (hexo server renders
+ * pages on demand, so there is no single "done" point). The timer doesn't
+ * hold the process open: a `hexo generate` that exits first is flushed by
+ * the before_exit filter below.
+ */
+function schedulePlaceholderSave() {
+  if (placeholderCache.saveTimer) clearTimeout(placeholderCache.saveTimer);
+  placeholderCache.saveTimer = setTimeout(savePlaceholderCache, PLACEHOLDER_SAVE_DELAY_MS);
+  placeholderCache.saveTimer.unref?.();
+}
+
+function loadSharp() {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = require("sharp");
+    } catch {
+      sharpModule = null;
+      hexo.log.debug("[lazyload] sharp is not installed, image placeholders are skipped.");
+    }
+  }
+  return sharpModule;
+}
+
+function toHexColor({ r, g, b }) {
+  return "#" + [r, g, b].map((v) => Math.round(v).toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Placeholder for a local image: { color, lqip } or null.
+ * Cached by path, mtime and size.
+ */
+async function getImagePlaceholder(localPath) {
+  let stat;
+  try {
+    stat = await fs.promises.stat(localPath);
+  } catch {
+    return null;
+  }
+  const key = path.relative(hexo.base_dir || "", localPath).replace(/\\/g, "/");
+  const entries = loadPlaceholderEntries();
+  const cached = entries[key];
+  if (cached && cached.mtime === stat.mtimeMs && cached.size === stat.size) return cached;
+
+  const sharp = loadSharp();
+  if (!sharp) return null;
+  if (placeholderCache.inflight.has(key)) return placeholderCache.inflight.get(key);
+
+  const task = (async () => {
+    try {
+      const { dominant } = await sharp(localPath).stats();
+      const thumb = await sharp(localPath)
+        .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: "inside" })
+        .webp({ quality: 40 })
+        .toBuffer();
+      const entry = {
+        mtime: stat.mtimeMs,
+        size: stat.size,
+        color: toHexColor(dominant),
+        lqip: `data:image/webp;base64,${thumb.toString("base64")}`,
+      };
+      entries[key] = entry;
+      schedulePlaceholderSave();
+      return entry;
+    } catch (e) {
+      hexo.log.debug(`[lazyload] Placeholder failed for ${key}: ${e.message}`);
+      return null;
+    } finally {
+      placeholderCache.inflight.delete(key);
+    }
+  })();
+  placeholderCache.inflight.set(key, task);
+  return task;
+}
+
 /**
  * Extract alt text from img tag
  */
@@ -257,10 +374,21 @@ function extractClass(imgTag) {
   return classMatch ? classMatch[2] : "";
 }
 
+/**
+ * Extract an attribute value from img tag ("" when absent). The lookbehind
+ * keeps e.g. `srcset` from matching inside `data-srcset`.
+ */
+function extractAttr(imgTag, name) {
+  const match = imgTag.match(new RegExp(`(?<![\\w-])${name}\\s*=\\s*(["'])([^"']*)\\1`, "i"));
+  return match ? match[2] : "";
+}
+
 /**
  * Build the img-preloader div container
+ * @param {object} extras  { fullSrc, srcset, sizes, fallbackSrc, fallbackSrcset, placeholder } — optional
  */
-function buildPreloaderDiv(src, dims, alt, originalClass) {
+function buildPreloaderDiv(src, dims, alt, originalClass, extras = {}) {
+  const { fullSrc, srcset, sizes, fallbackSrc, fallbackSrcset, placeholder } = extras;
   const w = dims.width;
   const h = dims.height;
   const aspectRatio = (w / h).toFixed(6);
@@ -286,6 +414,11 @@ function buildPreloaderDiv(src, dims, alt, originalClass) {
     `data-width="${w}" ` +
     `data-height="${h}" ` +
     `data-alt="${escapeHtmlAttr(alt)}" ` +
+    (fullSrc ? `data-full-src="${escapeHtmlAttr(fullSrc)}" ` : "") +
+    (srcset ? `data-srcset="${escapeHtmlAttr(srcset)}" data-sizes="${escapeHtmlAttr(sizes)}" ` : "") +
+    (fallbackSrc ? `data-fallback-src="${escapeHtmlAttr(fallbackSrc)}" ` : "") +
+    (fallbackSrcset ? `data-fallback-srcset="${escapeHtmlAttr(fallbackSrcset)}" ` : "") +
+    (placeholder ? `data-color="${placeholder.color}" data-lqip="${placeholder.lqip}" ` : "") +
     `style="aspect-ratio: ${aspectRatio}; max-width: 100%;">` +
     `<svg viewBox="0 0 ${w} ${h}" ${svgAttrs} class="img-preloader-shim" style="${shimStyle}"></svg>` +
     `<div class="img-preloader-skeleton"></div>` +
@@ -332,12 +465,27 @@ async function processImgTag(imgTag, dataContext = null) {
     }
   }
 
+  let placeholder = null;
+  if (hexo.theme.config.articles?.lazyload_placeholder !== false && !/^(https?:)?\/\//i.test(dimensionSrc)) {
+    const localPath = resolveLocalImagePath(dimensionSrc, dataContext);
+    if (localPath) placeholder = await getImagePlaceholder(localPath);
+  }
+
   const alt = extractAltText(imgTag);
   const originalClass = extractClass(imgTag);
   
   // Replace <img> with <div class="img-preloader">
-  // Use displaySrc (which may be AVIF) as the src for the preloader
-  return buildPreloaderDiv(displaySrc, dims, alt, originalClass);
+  // Use displaySrc (which may be AVIF) as the src for the preloader; the
+  // full-resolution original (viewer 1:1 mode), responsive variants and
+  // non-AVIF fallback set by img-optimizer ride along
+  return buildPreloaderDiv(displaySrc, dims, alt, originalClass, {
+    fullSrc: extractAttr(imgTag, "data-full-src"),
+    srcset: extractAttr(imgTag, "srcset"),
+    sizes: extractAttr(imgTag, "sizes"),
+    fallbackSrc: extractAttr(imgTag, "data-fallback-src"),
+    fallbackSrcset: extractAttr(imgTag, "data-fallback-srcset"),
+    placeholder,
+  });
 }
 
 hexo.extend.filter.register(
@@ -470,3 +618,8 @@ hexo.extend.filter.register(
   },
   15, // Run before other after_render:html filters (img-optimizer runs at default priority)
 );
+
+// Flush placeholders computed since the last save before Hexo exits.
+hexo.extend.filter.register("before_exit", function () {
+  if (placeholderCache.saveTimer) savePlaceholderCache();
+});
@@ -0,0 +1,201 @@
+"use strict";
+
+/**
+ * img-optimizer's build manifest: source/build/_manifest.json (the underscore
+ * keeps Hexo from publishing it) maps every output, by its path under source/,
+ * to { source, mtime, size, hash, settings }. An output is reused only while
+ * its source's content hash and the encoder settings it was made with both
+ * still match, and the orphan cleanup drops exactly the recorded outputs a
+ * scan no longer produces.
+ *
+ * Outputs from before the manifest existed are adopted when newer than their
+ * source. The scan that creates the manifest also sweeps build/ once for
+ * image outputs it didn't produce — left behind by sources deleted before the
+ * upgrade, they would otherwise never be recorded and never removed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const MANIFEST_FILE = "_manifest.json";
+// What img-optimizer writes into build/: AVIF (and srcset variants), WebP
+// fallbacks, minified SVGs, and GPS-scrubbed originals under _originals/.
+const OUTPUT_EXTS = [".avif", ".webp", ".svg"];
+const ORIGINALS_DIR = "_originals";
+
+/** Whether the first-run sweep may remove build/<rel> (posix, relative to build/). */
+function isSweepable(rel) {
+  const [top] = rel.split("/");
+  if (top === ORIGINALS_DIR) return rel !== top;
+  // Other "_" entries belong to other generators (_media.json, _posters/…).
+  if (top.startsWith("_")) return false;
+  return OUTPUT_EXTS.includes(path.posix.extname(rel).toLowerCase());
+}
+
+async function listFiles(dir, prefix = "") {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+  let files = [];
+  for (const entry of entries) {
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files = files.concat(await listFiles(path.join(dir, entry.name), rel));
+    else if (entry.isFile()) files.push(rel);
+  }
+  return files;
+}
+
+/** Recursively remove empty directories under rootDir (does not remove rootDir itself). */
+async function removeEmptyDirs(hexo, rootDir) {
+  if (!fs.existsSync(rootDir)) return;
+  const entries = await fs.promises.readdir(rootDir);
+  for (const entry of entries) {
+    const fullPath = path.join(rootDir, entry);
+    const stat = await fs.promises.stat(fullPath);
+    if (stat.isDirectory()) {
+      await removeEmptyDirs(hexo, fullPath);
+      const remaining = await fs.promises.readdir(fullPath);
+      if (remaining.length === 0) {
+        try {
+          await fs.promises.rmdir(fullPath);
+          hexo.log.debug(`[img-optimizer] Removed empty dir: ${fullPath}`);
+        } catch { }
+      }
+    }
+  }
+}
+
+function createBuildManifest(hexo) {
+  const manifest = { entries: null, created: false, seen: new Set(), hashes: new Map() };
+
+  const buildDir = () => path.join(hexo.source_dir, "build");
+  const manifestPath = () => path.join(buildDir(), MANIFEST_FILE);
+
+  function load() {
+    if (manifest.entries) return manifest.entries;
+    try {
+      manifest.entries = JSON.parse(fs.readFileSync(manifestPath(), "utf8"));
+    } catch {
+      manifest.entries = {};
+      manifest.created = true;
+    }
+    return manifest.entries;
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(manifestPath()), { recursive: true });
+      fs.writeFileSync(manifestPath(), JSON.stringify(manifest.entries || {}));
+    } catch (e) {
+      hexo.log.warn(`[img-optimizer] Failed to write manifest: ${e.message}`);
+    }
+  }
+
+  /** Start a scan: outputs not marked seen before cleanup() are orphans. */
+  function startScan() {
+    load();
+    manifest.seen.clear();
+    manifest.hashes.clear();
+  }
+
+  function key(outputPath) {
+    return path.relative(hexo.source_dir, outputPath).replace(/\\/g, "/");
+  }
+
+  function markSeen(outputPath) {
+    manifest.seen.add(key(outputPath));
+  }
+
+  function record(outputPath, source, settings) {
+    load()[key(outputPath)] = { ...source, settings };
+  }
+
+  /**
+   * { source, mtime, size, hash } of a source image, memoised per scan. The
+   * SHA-1 is only recomputed when mtime or size differ from the manifest.
+   */
+  function hashSource(absPath) {
+    if (manifest.hashes.has(absPath)) return manifest.hashes.get(absPath);
+    const task = (async () => {
+      const stat = await fs.promises.stat(absPath);
+      const source = path.relative(hexo.base_dir || "", absPath).replace(/\\/g, "/");
+      const known = Object.values(load()).find(e =>
+        e.source === source && e.mtime === stat.mtimeMs && e.size === stat.size);
+      const hash = known ? known.hash : await new Promise((resolve, reject) => {
+        const h = crypto.createHash("sha1");
+        fs.createReadStream(absPath)
+          .on("data", (chunk) => h.update(chunk))
+          .on("end", () => resolve(h.digest("hex")))
+          .on("error", reject);
+      });
+      return { source, mtime: stat.mtimeMs, size: stat.size, hash };
+    })();
+    manifest.hashes.set(absPath, task);
+    return task;
+  }
+
+  /** Whether the output can be reused. */
+  async function isOutputFresh(outputPath, source, settings) {
+    let outStat;
+    try {
+      outStat = await fs.promises.stat(outputPath);
+    } catch {
+      return false;
+    }
+    if (outStat.size === 0) return false;
+
+    const entry = load()[key(outputPath)];
+    if (!entry) return outStat.mtimeMs >= source.mtime;
+    return entry.hash === source.hash && entry.settings === settings;
+  }
+
+  async function removeOrphan(rel) {
+    try {
+      await fs.promises.unlink(path.join(hexo.source_dir, rel));
+      hexo.log.info(`[img-optimizer] Orphan removed: ${rel}`);
+      return true;
+    } catch (e) {
+      if (e.code !== "ENOENT") hexo.log.warn(`[img-optimizer] Failed to remove orphan ${rel}: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the outputs recorded in the manifest that this scan did not
+   * produce (source deleted or excluded, srcset width or fallback dropped),
+   * and on the scan that creates the manifest, the unrecorded image outputs
+   * in build/. Returns how many files were removed.
+   */
+  async function cleanup() {
+    const entries = load();
+    let removed = 0;
+
+    for (const k of Object.keys(entries)) {
+      if (manifest.seen.has(k)) continue;
+      delete entries[k];
+      if (!k.startsWith("build/")) continue; // never touch sources
+      if (await removeOrphan(k)) removed++;
+    }
+
+    if (manifest.created) {
+      manifest.created = false;
+      for (const rel of await listFiles(buildDir())) {
+        const k = `build/${rel}`;
+        if (manifest.seen.has(k) || !isSweepable(rel)) continue;
+        if (await removeOrphan(k)) removed++;
+      }
+    }
+
+    // Remove empty directories left behind
+    await removeEmptyDirs(hexo, buildDir());
+    return removed;
+  }
+
+  return { load, save, startScan, key, markSeen, record, hashSource, isOutputFresh, cleanup };
+}
+
+module.exports = { createBuildManifest };
@@ -0,0 +1,558 @@
+"use strict";
+
+/**
+ * EXIF engine shared by the {% exifimage %} tag (modules/image-exif.js) and
+ * the masonry albums (masonry-generator.js, lib/masonry-albums.js):
+ *
+ *   - reading: EXIF from JPEG, PNG (eXIf), WebP (EXIF chunk) and HEIC/HEIF
+ *     (Exif item) through the optional exif-parser, plus the XMP packet's
+ *     title, description and rating;
+ *   - one field table (FIELDS): tag aliases, the keys authors write in
+ *     masonry.yml / <!-- exif-info -->, card section and label;
+ *   - formatting of raw values, localized through the theme's languages/;
+ *   - the EXIF info card markup, used in posts and by the image viewer.
+ *
+ * Privacy options (lib/image-privacy.js) are applied by the callers, between
+ * reading and rendering.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+
+// Optional: without exif-parser only hand-written fields and XMP are shown
+let ExifParser = null;
+try { ExifParser = require("exif-parser"); } catch (e) {}
+
+/* ==================== Fields ==================== */
+
+/**
+ * Card fields in display order. `aliases`: tag names in the file, first
+ * found wins; `yml`: the masonry.yml key (the field name also works there
+ * and is the one <!-- exif-info --> uses); `label`: image_exif.field.* key.
+ */
+const FIELDS = [
+  { name: "Make", yml: "make", aliases: ["Make", "make", "CameraMake"], section: "camera", label: "make", fallback: "Make" },
+  { name: "Model", yml: "model", aliases: ["Model", "model", "CameraModel"], section: "camera", label: "model", fallback: "Model" },
+  { name: "DateTimeOriginal", yml: "dateTimeOriginal", aliases: ["DateTimeOriginal", "dateTimeOriginal", "CreateDate", "DateCreated"], section: "camera", label: "datetime_original", fallback: "Date Taken" },
+  { name: "LensModel", yml: "lensModel", aliases: ["LensModel", "LensInfo", "Lens", "lensModel", "LensType"], section: "lens", label: "lens_model", fallback: "Lens" },
+  { name: "FocalLength", yml: "focalLength", aliases: ["FocalLengthIn35mmFormat", "FocalLength", "focalLength"], section: "lens", label: "focal_length", fallback: "Focal Length" },
+  { name: "FocusMode", yml: "focusMode", aliases: ["FocusMode", "focusMode", "AFMode"], section: "lens", label: "focus_mode", fallback: "Focus Mode" },
+  { name: "ExposureTime", yml: "exposureTime", aliases: ["ExposureTime", "exposureTime", "ShutterSpeed", "ShutterSpeedValue"], section: "exposure", label: "exposure_time", fallback: "Shutter" },
+  { name: "Aperture", yml: "aperture", aliases: ["FNumber", "ApertureValue", "Aperture", "aperture", "fNumber"], section: "exposure", label: "aperture", fallback: "Aperture" },
+  { name: "ISOSpeedRatings", yml: "ISOSpeedRatings", aliases: ["ISO", "ISOSpeedRatings", "isoSpeedRatings", "PhotographicSensitivity"], section: "exposure", label: "iso", fallback: "ISO" },
+  { name: "ExposureProgram", yml: "exposureProgram", aliases: ["ExposureProgram", "exposureProgram"], section: "exposure", label: "exposure_program", fallback: "Exposure Program" },
+  { name: "ExposureBias", yml: "exposureBias", aliases: ["ExposureBiasValue", "ExposureCompensation", "exposureBias", "exposureCompensation"], section: "exposure", label: "exposure_bias", fallback: "Exposure Compensation" },
+  { name: "MeteringMode", yml: "meteringMode", aliases: ["MeteringMode", "meteringMode"], section: "exposure", label: "metering_mode", fallback: "Metering Mode" },
+  { name: "Flash", yml: "flash", aliases: ["Flash", "flash", "FlashMode"], section: "other", label: "flash", fallback: "Flash" },
+  { name: "WhiteBalance", yml: "whiteBalance", aliases: ["WhiteBalance", "whiteBalance"], section: "other", label: "white_balance", fallback: "White Balance" },
+  { name: "Rating", yml: "rating", aliases: ["Rating", "XMPRating"], section: "other", label: "rating", fallback: "Rating" },
+  { name: "GPSLatitude", yml: "GPSLatitude", aliases: ["GPSLatitude", "gpsLatitude", "latitude"], section: "other", label: "gps_latitude", fallback: "Latitude" },
+  { name: "GPSLongitude", yml: "GPSLongitude", aliases: ["GPSLongitude", "gpsLongitude", "longitude"], section: "other", label: "gps_longitude", fallback: "Longitude" },
+  { name: "GPSAltitude", yml: "GPSAltitude", aliases: ["GPSAltitude", "gpsAltitude", "altitude"], section: "other", label: "gps_altitude", fallback: "Altitude" },
+];
+
+const FIELD_NAMES = FIELDS.map(field => field.name);
+
+const SECTIONS = [
+  { name: "camera", icon: "fa-camera", fallback: "Camera" },
+  { name: "lens", icon: "fa-circle-dot", fallback: "Lens" },
+  { name: "exposure", icon: "fa-sun", fallback: "Exposure" },
+  { name: "other", icon: "fa-circle-info", fallback: "Other" },
+];
+
+const EXPOSURE_PROGRAM_KEYS = {
+  0: "undefined", 1: "manual", 2: "normal", 3: "aperture_priority", 4: "shutter_priority",
+  5: "creative", 6: "action", 7: "portrait", 8: "landscape",
+};
+
+const METERING_MODE_KEYS = {
+  0: "unknown", 1: "average", 2: "center_weighted", 3: "spot", 4: "multi_spot",
+  5: "evaluative", 6: "partial", 255: "other",
+};
+
+const WHITE_BALANCE_KEYS = { 0: "auto", 1: "manual" };
+
+/* ==================== Translation ==================== */
+
+const LANGUAGE_ALIASES = { jp: "ja" };
+const LANGUAGE_CACHE = new Map();
+
+function getPrimaryLanguage(hexo) {
+  const language = hexo?.config?.language;
+  if (Array.isArray(language)) return language[0] || "en";
+  return language || "en";
+}
+
+function normalizeLanguageKey(language) {
+  const raw = String(language || "").trim();
+  if (!raw) return "en";
+  if (LANGUAGE_ALIASES[raw]) return LANGUAGE_ALIASES[raw];
+  const base = raw.split("-")[0];
+  return LANGUAGE_ALIASES[base] || raw;
+}
+
+function loadLanguageContent(hexo) {
+  const languageDir = path.join(hexo.theme_dir || path.join(__dirname, "../../.."), "languages");
+  const normalized = normalizeLanguageKey(getPrimaryLanguage(hexo));
+  const filePath = [normalized, normalized.split("-")[0], "en"]
+    .map(name => path.join(languageDir, `${name}.yml`))
+    .find(candidate => fs.existsSync(candidate)) || path.join(languageDir, "en.yml");
+
+  if (LANGUAGE_CACHE.has(filePath)) return LANGUAGE_CACHE.get(filePath);
+  let content = {};
+  try { content = yaml.load(fs.readFileSync(filePath, "utf8")) || {}; } catch (e) {}
+  LANGUAGE_CACHE.set(filePath, content);
+  return content;
+}
+
+function getNestedValue(source, key) {
+  if (!source || !key) return undefined;
+  return key.split(".").reduce((acc, part) => {
+    if (acc && Object.prototype.hasOwnProperty.call(acc, part)) return acc[part];
+    return undefined;
+  }, source);
+}
+
+/**
+ * `t(key, fallback, ...values)` over the site language's file; `%s` in the
+ * string are replaced by `values` in order.
+ */
+function getTranslator(hexo) {
+  const content = loadLanguageContent(hexo);
+  return (key, fallback, ...values) => {
+    let value = getNestedValue(content, key);
+    if (value === undefined || value === null || value === key) value = fallback ?? key;
+    let index = 0;
+    return String(value).replace(/%s/g, () => (values.length ? values[index++] ?? "" : "%s"));
+  };
+}
+
+/* ==================== Reading ==================== */
+
+/** [start, end) of every EXIF TIFF block in a JPEG, PNG or WebP file */
+function findTiffBlocks(buf) {
+  const blocks = [];
+  const exifHeader = (at) => buf.toString("latin1", at, at + 6) === "Exif\0\0";
+
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    let i = 2;
+    while (i + 4 <= buf.length && buf[i] === 0xff) {
+      const marker = buf[i + 1];
+      if (marker === 0xda || marker === 0xd9) break; // image data follows
+      const size = buf.readUInt16BE(i + 2);
+      if (marker === 0xe1 && exifHeader(i + 4)) blocks.push([i + 10, i + 2 + size]);
+      i += 2 + size;
+    }
+  } else if (buf.toString("latin1", 1, 4) === "PNG") {
+    let i = 8;
+    while (i + 12 <= buf.length) {
+      const size = buf.readUInt32BE(i);
+      if (buf.toString("latin1", i + 4, i + 8) === "eXIf") blocks.push([i + 8, i + 8 + size]);
+      i += 12 + size;
+    }
+  } else if (buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") {
+    let i = 12;
+    while (i + 8 <= buf.length) {
+      const size = buf.readUInt32LE(i + 4);
+      if (buf.toString("latin1", i, i + 4) === "EXIF") {
+        const start = exifHeader(i + 8) ? i + 14 : i + 8;
+        blocks.push([start, i + 8 + size]);
+      }
+      i += 8 + size + (size & 1);
+    }
+  }
+  return blocks;
+}
+
+/** ISO BMFF boxes of buf[start, end): [{ type, start (payload), end }] */
+function readBoxes(buf, start, end) {
+  const boxes = [];
+  let i = start;
+  while (i + 8 <= end) {
+    let size = buf.readUInt32BE(i);
+    let header = 8;
+    if (size === 1 && i + 16 <= end) {
+      size = Number(buf.readBigUInt64BE(i + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - i;
+    }
+    if (size < header || i + size > end) break;
+    boxes.push({ type: buf.toString("latin1", i + 4, i + 8), start: i + header, end: i + size });
+    i += size;
+  }
+  return boxes;
+}
+
+/**
+ * [start, end) of the TIFF block of a HEIC/HEIF file: the `Exif` item of the
+ * meta box (iinf names it, iloc locates it), behind a 4-byte offset.
+ */
+function findHeifTiffBlock(buf) {
+  if (buf.toString("latin1", 4, 8) !== "ftyp") return null;
+  const meta = readBoxes(buf, 0, buf.length).find(box => box.type === "meta");
+  if (!meta) return null;
+  // FullBox: version and flags first
+  const children = readBoxes(buf, meta.start + 4, meta.end);
+  const iinf = children.find(box => box.type === "iinf");
+  const iloc = children.find(box => box.type === "iloc");
+  if (!iinf || !iloc) return null;
+
+  let exifId = null;
+  const iinfEntries = iinf.start + 4 + (buf[iinf.start] === 0 ? 2 : 4);
+  for (const infe of readBoxes(buf, iinfEntries, iinf.end)) {
+    const version = buf[infe.start];
+    if (infe.type !== "infe" || version < 2) continue;
+    const idSize = version === 2 ? 2 : 4;
+    const id = idSize === 2 ? buf.readUInt16BE(infe.start + 4) : buf.readUInt32BE(infe.start + 4);
+    if (buf.toString("latin1", infe.start + 6 + idSize, infe.start + 10 + idSize) === "Exif") exifId = id;
+  }
+  if (exifId === null) return null;
+
+  const version = buf[iloc.start];
+  const readSized = (at, size) => (size === 8 ? Number(buf.readBigUInt64BE(at)) : size === 4 ? buf.readUInt32BE(at) : size === 2 ? buf.readUInt16BE(at) : 0);
+  const offsetSize = buf[iloc.start + 4] >> 4;
+  const lengthSize = buf[iloc.start + 4] & 15;
+  const baseOffsetSize = buf[iloc.start + 5] >> 4;
+  const indexSize = version > 0 ? buf[iloc.start + 5] & 15 : 0;
+  let i = iloc.start + 6;
+  const itemCount = version < 2 ? buf.readUInt16BE(i) : buf.readUInt32BE(i);
+  i += version < 2 ? 2 : 4;
+
+  for (let n = 0; n < itemCount && i < iloc.end; n++) {
+    const id = version < 2 ? buf.readUInt16BE(i) : buf.readUInt32BE(i);
+    i += version < 2 ? 2 : 4;
+    // Only items stored in the file itself (construction method 0)
+    const method = version > 0 ? buf.readUInt16BE(i) & 15 : 0;
+    if (version > 0) i += 2;
+    i += 2; // data reference index
+    const baseOffset = readSized(i, baseOffsetSize);
+    i += baseOffsetSize;
+    const extentCount = buf.readUInt16BE(i);
+    i += 2;
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      i += indexSize;
+      const offset = readSized(i, offsetSize);
+      const length = readSized(i + offsetSize, lengthSize);
+      i += offsetSize + lengthSize;
+      extents.push([baseOffset + offset, length]);
+    }
+    if (id !== exifId || method !== 0 || extents.length !== 1) continue;
+
+    const [at, length] = extents[0];
+    if (at + 4 > buf.length) return null;
+    const start = at + 4 + buf.readUInt32BE(at);
+    const end = Math.min(at + length, buf.length);
+    return start < end ? [start, end] : null;
+  }
+  return null;
+}
+
+/**
+ * exif-parser only reads JPEG: the TIFF block of any format is handed to it
+ * wrapped in a minimal one (SOI, APP1 "Exif", EOI), which also spares it the
+ * image data.
+ */
+function wrapTiffInJpeg(tiff) {
+  const app1 = Buffer.alloc(10);
+  app1.writeUInt16BE(0xffe1, 0);
+  app1.writeUInt16BE(tiff.length + 8, 2);
+  app1.write("Exif\0\0", 4, "latin1");
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, tiff, Buffer.from([0xff, 0xd9])]);
+}
+
+/** Whether EXIF tags can be read (exif-parser is installed) */
+function canReadExif() {
+  return ExifParser !== null;
+}
+
+/**
+ * Tags exif-parser reads from a JPEG, PNG, WebP or HEIC buffer ({} when
+ * there are none, or without exif-parser). Dates are unix seconds of the
+ * wall-clock time read as UTC, GPS coordinates signed decimal degrees.
+ */
+function parseExifTags(buf) {
+  if (!ExifParser || !buf || buf.length < 12) return {};
+  const block = findTiffBlocks(buf)[0] || findHeifTiffBlock(buf);
+  // APP1 segments are limited to 64 KB
+  if (!block || block[1] - block[0] > 0xffff - 8) return {};
+  const jpeg = wrapTiffInJpeg(buf.subarray(block[0], block[1]));
+  try {
+    return ExifParser.create(jpeg).parse().tags || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/<[^>]+>/g, "")
+    .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+}
+
+/**
+ * Title, description and rating of the XMP packet of any format (it is
+ * stored as plain text): dc:title / dc:description (their first
+ * language alternative) and xmp:Rating, in element or attribute form.
+ * @returns {{ title: string, description: string, rating: number|null }}
+ */
+function parseXmp(buf) {
+  const result = { title: "", description: "", rating: null };
+  const open = buf.indexOf("<x:xmpmeta");
+  if (open < 0) return result;
+  const close = buf.indexOf("</x:xmpmeta>", open);
+  const xmp = buf.toString("utf8", open, close < 0 ? buf.length : close);
+
+  const altText = (name) => {
+    const element = xmp.match(new RegExp(`<dc:${name}\\b[^>]*>([\\s\\S]*?)</dc:${name}>`));
+    if (!element) return "";
+    const item = element[1].match(/<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/);
+    return decodeXmlText(item ? item[1] : element[1]);
+  };
+  result.title = altText("title");
+  result.description = altText("description");
+
+  const rating = xmp.match(/xmp:Rating\s*=\s*["'](-?\d+(?:\.\d+)?)["']/) || xmp.match(/<xmp:Rating>\s*(-?\d+(?:\.\d+)?)\s*<\/xmp:Rating>/);
+  if (rating) result.rating = Number(rating[1]);
+  return result;
+}
+
+// file -> { mtime, size, metadata }; survives `hexo server` regenerations
+const metadataCache = new Map();
+
+/**
+ * Metadata of an image file: EXIF tags (see parseExifTags; the XMP rating
+ * fills `XMPRating`) and the XMP title/description. Unreadable files give
+ * empty metadata. Cached by mtime and size: treat the result as read-only.
+ * @returns {{ tags: object, xmp: { title: string, description: string, rating: number|null } }}
+ */
+function readImageMetadata(file) {
+  let stat;
+  let buf;
+  try {
+    stat = fs.statSync(file);
+    const cached = metadataCache.get(file);
+    if (cached && cached.mtime === stat.mtimeMs && cached.size === stat.size) return cached.metadata;
+    buf = fs.readFileSync(file);
+  } catch (e) {
+    return { tags: {}, xmp: parseXmp(Buffer.alloc(0)) };
+  }
+  const tags = { ...parseExifTags(buf) };
+  const xmp = parseXmp(buf);
+  if (xmp.rating !== null) tags.XMPRating = xmp.rating;
+  const metadata = { tags, xmp };
+  metadataCache.set(file, { mtime: stat.mtimeMs, size: stat.size, metadata });
+  return metadata;
+}
+
+/* ==================== Formatting ==================== */
+
+function convertToDMS(value, isLatitude) {
+  const absolute = Math.abs(value);
+  const degrees = Math.floor(absolute);
+  const minutesNotTruncated = (absolute - degrees) * 60;
+  const minutes = Math.floor(minutesNotTruncated);
+  const seconds = ((minutesNotTruncated - minutes) * 60).toFixed(2);
+  const direction = isLatitude ? (value >= 0 ? "N" : "S") : (value >= 0 ? "E" : "W");
+  return `${degrees}°${minutes}'${seconds}"${direction}`;
+}
+
+/** Tag value of a field: its first alias present in `tags`, or null */
+function getExifValue(tags, fieldName) {
+  const field = FIELDS.find(f => f.name === fieldName);
+  if (!field || !tags) return null;
+  for (const alias of field.aliases) {
+    if (tags[alias] !== undefined && tags[alias] !== null) return tags[alias];
+  }
+  return null;
+}
+
+/**
+ * Display text of a raw tag value (null when empty). Numbers are formatted
+ * per field; enumerations are localized through the image_exif.* keys.
+ */
+function formatExifValue(fieldName, value, t, locale) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value !== "number") return String(value);
+
+  const localized = (keys, group, fallbackKey, fallback) => {
+    if (keys[value]) return t(`image_exif.${group}.${keys[value]}`);
+    return t(`image_exif.value.${fallbackKey}`, fallback, value);
+  };
+
+  switch (fieldName) {
+    case "ExposureTime":
+      return value < 1 ? `1/${Math.round(1 / value)}s` : `${value}s`;
+    case "Aperture":
+      return `f/${value.toFixed(1)}`;
+    case "FocalLength":
+      return `${value}mm`;
+    case "ISOSpeedRatings":
+      return `ISO ${value}`;
+    case "ExposureProgram":
+      return localized(EXPOSURE_PROGRAM_KEYS, "exposure_program", "program_with_number", "Program %s");
+    case "MeteringMode":
+      return localized(METERING_MODE_KEYS, "metering_mode", "mode_with_number", "Mode %s");
+    case "WhiteBalance":
+      return localized(WHITE_BALANCE_KEYS, "white_balance", "mode_with_number", "Mode %s");
+    case "Flash":
+      return (value & 1) ? t("image_exif.flash.on", "ON") : t("image_exif.flash.off", "OFF");
+    case "Rating":
+      return formatRating(value);
+    case "GPSLatitude":
+      return convertToDMS(value, true);
+    case "GPSLongitude":
+      return convertToDMS(value, false);
+    case "GPSAltitude":
+      return `${value.toFixed(1)}m`;
+    case "DateTimeOriginal":
+      // exif-parser reads the camera's wall-clock time as UTC
+      return new Date(value * 1000).toLocaleString(locale, { timeZone: "UTC" });
+    case "ExposureBias":
+      return `${value >= 0 ? "+" : ""}${value.toFixed(1)} EV`;
+    default:
+      return String(value);
+  }
+}
+
+/** Stars of a 1–5 rating; unrated (0) and rejected (-1) photos show none */
+function formatRating(value) {
+  const stars = Math.round(Number(value));
+  if (!(stars >= 1)) return null;
+  const filled = Math.min(stars, 5);
+  return "★".repeat(filled) + "☆".repeat(5 - filled);
+}
+
+/**
+ * Unix seconds of a DateTimeOriginal: exif-parser's number, or a string as
+ * written in masonry.yml / exif-info ("2024:05:01 18:30:00", ISO 8601; YAML
+ * may have made it a Date). Wall-clock time read as UTC, like exif-parser
+ * does, so both sort together.
+ */
+function parseTakenTime(value) {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime() / 1000;
+  const match = String(value ?? "").trim().match(/^(\d{4})[:\-/](\d{1,2})[:\-/](\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+  const [, y, mo, d, h = 0, mi = 0, sec = 0] = match.map(Number);
+  return Date.UTC(y, mo - 1, d, h, mi, sec) / 1000;
+}
+
+/** Camera as one label: models usually repeat the make ("Canon EOS R5") */
+function cameraLabel(make, model) {
+  if (!model) return make || null;
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase())) return model;
+  return `${make} ${model}`;
+}
+
+/**
+ * Hand-written fields of an entry, by field name: masonry.yml keys
+ * (`lensModel`) or field names (`LensModel`). Values are kept as text;
+ * `false` hides a field the file would fill in.
+ */
+function pickCustomFields(source) {
+  const custom = {};
+  if (!source) return custom;
+  for (const field of FIELDS) {
+    const value = source[field.name] ?? source[field.yml];
+    if (value === undefined || value === null || String(value).trim() === "") continue;
+    custom[field.name] = field.name === "Rating" && /^\d+$/.test(String(value).trim())
+      ? formatRating(value) || "false"
+      : String(value).trim();
+  }
+  return custom;
+}
+
+/**
+ * Card fields ({ Make: "Canon", … }): hand-written values first, then the
+ * formatted file tags. Fields set to "false" stay empty.
+ */
+function mergeExifFields(custom, tags, t, locale) {
+  const result = {};
+  for (const field of FIELDS) {
+    const value = custom[field.name];
+    if (value !== undefined) {
+      if (value.toLowerCase() !== "false") result[field.name] = value;
+      continue;
+    }
+    const formatted = formatExifValue(field.name, getExifValue(tags, field.name), t, locale);
+    if (formatted) result[field.name] = formatted;
+  }
+  return result;
+}
+
+/* ==================== Card ==================== */
+
+function escapeHtml(str) {
+  if (str === undefined || str === null) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * EXIF info card: header (title, description, and the collapse button of
+ * block-style post figures when `toggle`), then the fields by section.
+ * Posts show it next to the image; masonry albums keep it in a <template>
+ * for the image viewer, which drops the button.
+ */
+function renderExifCard({ title, description, fields }, t, { toggle = false } = {}) {
+  const hasTitle = title && String(title).trim().length > 0;
+  const hasDescription = description && String(description).trim().length > 0;
+
+  let html = '<div class="image-exif-info-card">';
+  if (hasTitle || hasDescription || toggle) {
+    html += '<div class="image-exif-header"><div class="image-exif-header-content">';
+    if (hasTitle) html += `<div class="image-exif-title">${escapeHtml(title)}</div>`;
+    if (hasDescription) html += `<div class="image-exif-description">${escapeHtml(description)}</div>`;
+    html += "</div>";
+    if (toggle) {
+      html += `<button class="image-exif-toggle-btn" aria-label="${escapeHtml(t("image_exif.ui.toggle", "Toggle EXIF data"))}"><i class="fa-solid fa-chevron-down"></i></button>`;
+    }
+    html += "</div>";
+  }
+
+  const sections = SECTIONS.map(section => {
+    const items = FIELDS
+      .filter(field => field.section === section.name && fields[field.name])
+      .map(field => `<div class="image-exif-item"><span class="image-exif-label">${escapeHtml(t(`image_exif.field.${field.label}`, field.fallback))}</span><span class="image-exif-value">${escapeHtml(fields[field.name])}</span></div>`);
+    if (items.length === 0) return "";
+    return `<div class="image-exif-section image-exif-${section.name}">`
+      + `<div class="image-exif-section-title"><i class="fa-solid ${section.icon}"></i> ${escapeHtml(t(`image_exif.section.${section.name}`, section.fallback))}</div>`
+      + `<div class="image-exif-items">${items.join("")}</div></div>`;
+  }).join("");
+
+  if (sections) html += `<div class="image-exif-data">${sections}</div>`;
+  html += "</div>";
+  return html;
+}
+
+module.exports = {
+  FIELDS,
+  FIELD_NAMES,
+  getPrimaryLanguage,
+  getTranslator,
+  findTiffBlocks,
+  findHeifTiffBlock,
+  canReadExif,
+  parseExifTags,
+  parseXmp,
+  readImageMetadata,
+  getExifValue,
+  formatExifValue,
+  parseTakenTime,
+  cameraLabel,
+  pickCustomFields,
+  mergeExifFields,
+  escapeHtml,
+  renderExifCard,
+};
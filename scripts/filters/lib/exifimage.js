@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Source side of {% exifimage %} blocks: tag arguments, the image and the
+ * <!-- exif-info --> fields of a block, and the local file of its image.
+ * Used by the tag (modules/image-exif.js) and, over post sources, by the
+ * photo stats page (photo-stats-generator.js).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { FIELD_NAMES } = require("./exif");
+
+/**
+ * Parse arguments from tag
+ */
+function parseArgs(args) {
+  let title = "";
+  let autoExif = true;
+
+  const argsStr = args.join(" ");
+
+  // Check for auto-exif parameter
+  const autoExifMatch = argsStr.match(/auto-exif\s*:\s*(true|false)/i);
+  if (autoExifMatch) {
+    autoExif = autoExifMatch[1].toLowerCase() === "true";
+  }
+
+  // Extract title (everything before auto-exif or the whole string)
+  const titlePart = argsStr.replace(/auto-exif\s*:\s*(true|false)/i, "").trim();
+  if (titlePart) {
+    title = titlePart;
+  }
+
+  return { title, autoExif };
+}
+
+/**
+ * Extract image info from markdown
+ */
+function extractImageInfo(content) {
+  const imageMatch = content.match(/!\[([^\]]*)\]\(([^)]+)\)/);
+  if (!imageMatch) return null;
+
+  return {
+    description: imageMatch[1] || "",
+    path: imageMatch[2],
+  };
+}
+
+/**
+ * Extract custom exif-info from HTML comment block
+ */
+function extractCustomInfo(content) {
+  // Match <!-- exif-info ... --> pattern
+  const commentMatch = content.match(/<!--\s*exif-info([\s\S]*?)-->/);
+  if (!commentMatch) return {};
+
+  const rawContent = commentMatch[1];
+  const info = {};
+  
+  // Get all valid keys from the field table
+  const validKeys = FIELD_NAMES;
+  
+  // Construct regex to find all "Key:" occurrences
+  // We sort keys by length descending to ensure longer keys match first (though not strictly necessary given the current key set, it's safer)
+  // e.g. if we had "Flash" and "FlashMode", we'd want to match "FlashMode:" before "Flash:"
+  const sortedKeys = [...validKeys].sort((a, b) => b.length - a.length);
+  const keyPattern = sortedKeys.join("|");
+  const regex = new RegExp(`(${keyPattern}):`, "g");
+  
+  const matches = [];
+  let match;
+  
+  // Find all key matches
+  while ((match = regex.exec(rawContent)) !== null) {
+    matches.push({
+      key: match[1],
+      index: match.index,
+      endIndex: match.index + match[0].length
+    });
+  }
+  
+  // Extract values between keys
+  for (let i = 0; i < matches.length; i++) {
+    const current = matches[i];
+    const next = matches[i + 1];
+    
+    // Value is the text between the end of current key and the start of next key (or end of string)
+    const valueStartIndex = current.endIndex;
+    const valueEndIndex = next ? next.index : rawContent.length;
+    
+    const value = rawContent.substring(valueStartIndex, valueEndIndex).trim();
+    
+    if (value) {
+      info[current.key] = value;
+    }
+  }
+
+  return info;
+}
+
+/**
+ * Resolve local image path
+ */
+function resolveLocalImagePath(src, hexo, data) {
+  const rawSrc = src.split("#")[0].split("?")[0];
+
+  const siteRoot = hexo.config.root || "/";
+  let rel = rawSrc;
+  if (siteRoot !== "/" && rel.startsWith(siteRoot)) {
+    rel = rel.slice(siteRoot.length);
+  }
+  rel = rel.replace(/^\//, "");
+
+  let relDecoded;
+  try {
+    relDecoded = decodeURIComponent(rel);
+  } catch {
+    relDecoded = rel;
+  }
+
+  const candidates = [];
+
+  if (hexo.source_dir) {
+    candidates.push(path.join(hexo.source_dir, relDecoded));
+  }
+
+  if (hexo.theme_dir) {
+    candidates.push(path.join(hexo.theme_dir, "source", relDecoded));
+  }
+
+  const sourcePath = data && (data.full_source || data.source);
+  if (sourcePath) {
+    const sourceFullPath = path.isAbsolute(sourcePath)
+      ? sourcePath
+      : path.join(hexo.source_dir || "", sourcePath);
+    candidates.push(path.join(path.dirname(sourceFullPath), relDecoded));
+  }
+
+  if (hexo.source_dir && !rawSrc.startsWith("/")) {
+    let rawDecoded;
+    try {
+      rawDecoded = decodeURIComponent(rawSrc);
+    } catch {
+      rawDecoded = rawSrc;
+    }
+    candidates.push(path.join(hexo.source_dir, rawDecoded));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      if (candidate && fs.existsSync(candidate)) return candidate;
+    } catch {
+      // ignore
+    }
+  }
+  return null;
+}
+
+/**
+ * Every {% exifimage %} block of a post's Markdown source, as the tag
+ * receives it: { args, content }.
+ */
+function findExifImageBlocks(source) {
+  const blocks = [];
+  const regex = /\{%\s*exifimage\b([^%]*)%\}([\s\S]*?)\{%\s*endexifimage\s*%\}/g;
+  let match;
+  while ((match = regex.exec(String(source || ""))) !== null) {
+    blocks.push({ args: match[1].trim().split(/\s+/).filter(Boolean), content: match[2] });
+  }
+  return blocks;
+}
+
+module.exports = {
+  parseArgs,
+  extractImageInfo,
+  extractCustomInfo,
+  resolveLocalImagePath,
+  findExifImageBlocks,
+};
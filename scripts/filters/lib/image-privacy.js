@@ -0,0 +1,258 @@
+"use strict";
+
+/**
+ * Privacy options of the image pipeline (plugins.minifier.imagesOptimize),
+ * shared by img-optimizer.js (published originals, watermarks) and by the
+ * EXIF cards of masonry-generator.js and modules/image-exif.js.
+ *
+ *   GPS: "keep" | "coarsen" | "strip"   location in originals and EXIF cards
+ *   GPS_PRECISION: 2                    decimals "coarsen" keeps (2 ≈ 1 km)
+ *   EXIF_FIELDS: []                     EXIF card whitelist (empty = all)
+ *   WATERMARK: { enable, text, image, position, opacity, size, margin, min_width }
+ *   ALBUMS: { <masonry page title>: { GPS, GPS_PRECISION, EXIF_FIELDS, WATERMARK } }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { resolveAlbumImages } = require("./masonry-albums");
+const { findTiffBlocks } = require("./exif");
+
+const GPS_MODES = ["keep", "coarsen", "strip"];
+const WATERMARK_POSITIONS = [
+  "north", "northeast", "east", "southeast", "south",
+  "southwest", "west", "northwest", "center",
+];
+
+function normalizeWatermark(raw) {
+  if (!raw || raw.enable === false) return null;
+  const text = raw.text ? String(raw.text) : "";
+  const image = raw.image ? String(raw.image) : "";
+  if (!text && !image) return null;
+  const clamp = (value, min, max, fallback) => {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+  };
+  return {
+    text,
+    image,
+    position: WATERMARK_POSITIONS.includes(raw.position) ? raw.position : "southeast",
+    opacity: clamp(raw.opacity, 0, 1, 0.6),
+    size: clamp(raw.size, 0.01, 1, 0.2),
+    margin: clamp(raw.margin, 0, 0.5, 0.02),
+    min_width: clamp(raw.min_width, 0, Infinity, 480),
+  };
+}
+
+/**
+ * Effective options for one image: the global ones, overridden key by key by
+ * `ALBUMS[album]` when the image belongs to that masonry album.
+ * @returns {{ gps: string, precision: number, exifFields: string[], watermark: object|null }}
+ */
+function resolvePolicy(hexo, album) {
+  const base = hexo.theme.config.plugins?.minifier?.imagesOptimize || {};
+  const override = (album && base.ALBUMS && base.ALBUMS[album]) || {};
+  const pick = (key) => (override[key] !== undefined ? override[key] : base[key]);
+
+  const gps = String(pick("GPS") || "keep").toLowerCase();
+  const precision = Number(pick("GPS_PRECISION"));
+  return {
+    gps: GPS_MODES.includes(gps) ? gps : "keep",
+    precision: Number.isInteger(precision) ? Math.max(0, Math.min(6, precision)) : 2,
+    exifFields: Array.isArray(pick("EXIF_FIELDS")) ? pick("EXIF_FIELDS").map(String) : [],
+    watermark: normalizeWatermark(pick("WATERMARK")),
+  };
+}
+
+/**
+ * Source-relative path (posix) of every masonry image -> album page title,
+ * resolved the way masonry-generator.js finds local images.
+ */
+function masonryAlbumIndex(hexo) {
+  const index = new Map();
+  const masonry = hexo.locals.get("data")?.masonry;
+  if (!Array.isArray(masonry)) return index;
+
+  for (const category of masonry) {
+    for (const item of category.list || []) {
+      const album = item["page-title"] || item.name;
+      for (const image of resolveAlbumImages(hexo, item)) {
+        if (!image.image || /^(https?:)?\/\//i.test(image.image)) continue;
+        let decoded = image.image.split("#")[0].split("?")[0];
+        try { decoded = decodeURIComponent(decoded); } catch { }
+        const rel = [path.posix.join("masonry", decoded), decoded.replace(/^\/+/, "")]
+          .find(candidate => fs.existsSync(path.join(hexo.source_dir, candidate)));
+        if (rel) index.set(rel.replace(/^\/+/, ""), album);
+      }
+    }
+  }
+  return index;
+}
+
+/**
+ * Apply the GPS policy to the tags exif-parser read from a file (decimal
+ * degrees): "strip" drops every GPS tag, "coarsen" rounds the coordinates and
+ * drops the rest (altitude, timestamps, bearings). Returns a copy.
+ */
+function scrubExifTags(tags, policy) {
+  if (!tags || policy.gps === "keep") return tags;
+  const result = {};
+  for (const [key, value] of Object.entries(tags)) {
+    const isGps = /^gps/i.test(key) || ["latitude", "longitude", "altitude"].includes(key);
+    if (!isGps) {
+      result[key] = value;
+    } else if (policy.gps === "coarsen" && /^(gps)?(latitude|longitude)$/i.test(key) && typeof value === "number") {
+      const factor = Math.pow(10, policy.precision);
+      result[key] = Math.round(value * factor) / factor;
+    }
+  }
+  return result;
+}
+
+/**
+ * Keep only the whitelisted card fields ({ Make: "...", ... }); every field
+ * when EXIF_FIELDS is empty.
+ */
+function pickExifFields(fields, policy) {
+  if (!policy.exifFields.length) return fields;
+  const result = {};
+  for (const key of policy.exifFields) {
+    if (fields[key] !== undefined) result[key] = fields[key];
+  }
+  return result;
+}
+
+/* ==================== Published originals ==================== */
+
+// Byte sizes of the TIFF field types
+const TIFF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+// GPS tags "coarsen" keeps: version, latitude ref/value, longitude ref/value
+const COARSE_GPS_TAGS = [0, 1, 2, 3, 4];
+const GPS_IFD_POINTER = 0x8825;
+
+/** Rewrite the GPS IFD of one TIFF block in place (sizes never change). */
+function scrubTiffGps(buf, start, end, policy) {
+  const le = buf.toString("latin1", start, start + 2) === "II";
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const w16 = (o, v) => (le ? buf.writeUInt16LE(v, o) : buf.writeUInt16BE(v, o));
+  const w32 = (o, v) => (le ? buf.writeUInt32LE(v, o) : buf.writeUInt32BE(v, o));
+  const inBlock = (o, size) => o >= start && o + size <= end;
+
+  const ifd0 = start + u32(start + 4);
+  if (!inBlock(ifd0, 2)) return false;
+  let gps = null;
+  for (let i = 0, n = u16(ifd0); i < n && inBlock(ifd0 + 2 + i * 12, 12); i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (u16(entry) === GPS_IFD_POINTER) gps = start + u32(entry + 8);
+  }
+  if (gps === null || !inBlock(gps, 2)) return false;
+
+  const count = u16(gps);
+  if (!inBlock(gps + 2, count * 12 + 4)) return false;
+  const kept = [];
+  for (let i = 0; i < count; i++) {
+    const entry = gps + 2 + i * 12;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const size = (TIFF_TYPE_SIZE[type] || 1) * u32(entry + 4);
+    const valueAt = start + u32(entry + 8);
+
+    if (policy.gps === "coarsen" && COARSE_GPS_TAGS.includes(tag)) {
+      // Latitude/longitude: 3 rationals (degrees, minutes, seconds)
+      if ((tag === 2 || tag === 4) && type === 5 && size === 24 && inBlock(valueAt, 24)) {
+        const rational = (k) => u32(valueAt + k * 8) / (u32(valueAt + k * 8 + 4) || 1);
+        const factor = Math.pow(10, policy.precision);
+        const decimal = Math.round((rational(0) + rational(1) / 60 + rational(2) / 3600) * factor) / factor;
+        const degrees = Math.floor(decimal);
+        const minutes = Math.round((decimal - degrees) * 60 * 10000);
+        [degrees, 1, minutes, 10000, 0, 1].forEach((v, k) => w32(valueAt + k * 4, v));
+      }
+      kept.push(Buffer.from(buf.subarray(entry, entry + 12)));
+    } else if (size > 4 && inBlock(valueAt, size)) {
+      buf.fill(0, valueAt, valueAt + size);
+    }
+  }
+
+  // Compact the kept entries; the rest of the table and the next-IFD offset become 0
+  buf.fill(0, gps + 2, gps + 2 + count * 12 + 4);
+  w16(gps, kept.length);
+  kept.forEach((entry, i) => entry.copy(buf, gps + 2 + i * 12));
+  return true;
+}
+
+/** Blank GPS properties of XMP packets (attribute and element form) in place */
+function scrubXmpGps(buf) {
+  const text = buf.toString("latin1");
+  const blank = (match) => match.replace(/(=\s*")([^"]*)"/, (m, pre, value) => pre + " ".repeat(value.length) + '"')
+    .replace(/>([^<]*)</, (m, value) => ">" + " ".repeat(value.length) + "<");
+  let changed = false;
+  let from = 0;
+  for (;;) {
+    const open = text.indexOf("<x:xmpmeta", from);
+    if (open < 0) break;
+    const close = text.indexOf("</x:xmpmeta>", open);
+    if (close < 0) break;
+    const packet = text.slice(open, close);
+    const scrubbed = packet
+      .replace(/exif:GPS\w+\s*=\s*"[^"]*"/g, blank)
+      .replace(/<exif:(GPS\w+)>[^<]*<\/exif:\1>/g, blank);
+    if (scrubbed !== packet) {
+      buf.write(scrubbed, open, "latin1");
+      changed = true;
+    }
+    from = close;
+  }
+  return changed;
+}
+
+let crcTable = null;
+function crc32(buf, start, end) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = start; i < end; i++) crc = crcTable[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+/** PNG chunks carry a CRC of type + data; recompute after editing in place */
+function fixPngCrcs(buf) {
+  let i = 8;
+  while (i + 12 <= buf.length) {
+    const size = buf.readUInt32BE(i);
+    if (i + 12 + size > buf.length) break;
+    buf.writeUInt32BE(crc32(buf, i + 4, i + 8 + size), i + 8 + size);
+    i += 12 + size;
+  }
+}
+
+/**
+ * Copy of an original image with its GPS metadata stripped or coarsened per
+ * `policy`, pixels untouched. EXIF (JPEG, PNG, WebP) and XMP are rewritten in
+ * place; XMP GPS is blanked under both modes.
+ * @returns {Buffer}
+ */
+function scrubImageGps(input, policy) {
+  const buf = Buffer.from(input);
+  if (policy.gps === "keep") return buf;
+  let changed = false;
+  for (const [start, end] of findTiffBlocks(buf)) {
+    changed = scrubTiffGps(buf, start, end, policy) || changed;
+  }
+  changed = scrubXmpGps(buf) || changed;
+  if (changed && buf.toString("latin1", 1, 4) === "PNG") fixPngCrcs(buf);
+  return buf;
+}
+
+module.exports = {
+  resolvePolicy,
+  masonryAlbumIndex,
+  scrubExifTags,
+  pickExifFields,
+  scrubImageGps,
+};
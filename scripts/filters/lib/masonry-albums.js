@@ -0,0 +1,190 @@
+"use strict";
+
+/**
+ * Folder-backed masonry albums. An album in _data/masonry.yml that sets
+ * `folder` is populated from source/masonry/<folder>/ instead of listing
+ * every photo:
+ *
+ *   - name: Kyoto
+ *     folder: kyoto-2024
+ *     sort: date          # date (EXIF DateTimeOriginal, then filename) | filename
+ *     order: asc          # asc | desc
+ *     images:             # optional; an entry for a file of the folder
+ *       - image: kyoto-2024/IMG_0042.jpg   # overrides its fields, other
+ *         title: Fushimi Inari             # entries are appended
+ *
+ * An optional sidecar source/masonry/<folder>/_album.yml (the underscore
+ * keeps Hexo from publishing it) maps file names to image fields:
+ *
+ *   IMG_0042.jpg:
+ *     title: Fushimi Inari
+ *     description: Ten thousand gates
+ *
+ * Clips become `video` entries; a clip sharing its base name with a photo
+ * (IMG_0042.HEIC + IMG_0042.MOV) is that photo's Live Photo motion (`live`).
+ * HEIC stills are only listed as part of such a pair. See lib/masonry-media.js.
+ *
+ * Shared by masonry-generator.js, photo-stats-generator.js and
+ * lib/image-privacy.js.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { parseExifTags } = require("./exif");
+
+const SIDECAR_FILE = "_album.yml";
+const IMAGE_EXTS = [".jpg", ".jpeg", ".png", ".webp", ".gif", ".avif"];
+// Live Photo stills browsers can't display; the poster comes from the clip
+const HEIC_EXTS = [".heic", ".heif"];
+const VIDEO_EXTS = [".mp4", ".webm", ".mov", ".m4v"];
+// JPEG EXIF sits in the first segments of the file; other formats are read whole
+const EXIF_READ_BYTES = 256 * 1024;
+
+// absPath -> { mtime, taken }; survives `hexo server` regenerations
+const takenCache = new Map();
+
+/** EXIF DateTimeOriginal (unix seconds) of a photo, or null */
+function readTakenTime(absPath) {
+  let mtime;
+  try {
+    mtime = fs.statSync(absPath).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+  const cached = takenCache.get(absPath);
+  if (cached && cached.mtime === mtime) return cached.taken;
+
+  let taken = null;
+  let fd;
+  try {
+    fd = fs.openSync(absPath, "r");
+    let buffer = Buffer.alloc(EXIF_READ_BYTES);
+    buffer = buffer.subarray(0, fs.readSync(fd, buffer, 0, buffer.length, 0));
+    if (!(buffer[0] === 0xff && buffer[1] === 0xd8)) buffer = fs.readFileSync(absPath);
+    const tags = parseExifTags(buffer);
+    taken = tags.DateTimeOriginal || tags.CreateDate || null;
+  } catch (e) {
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+  takenCache.set(absPath, { mtime, taken });
+  return taken;
+}
+
+function loadSidecar(dir, log) {
+  try {
+    const data = yaml.load(fs.readFileSync(path.join(dir, SIDECAR_FILE), "utf8"));
+    return data && typeof data === "object" ? data : {};
+  } catch (e) {
+    if (e.code !== "ENOENT") log.warn(`[masonry] Invalid ${SIDECAR_FILE} in ${dir}: ${e.message}`);
+    return {};
+  }
+}
+
+const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+/** Path an entry is known by: its photo, else its clip */
+const entryKey = entry => entry.image || entry.video;
+
+/**
+ * Group the media files of a folder by base name into album files:
+ * { still, clip } where a still with a clip is a Live Photo. A displayable
+ * still wins over a HEIC one of the same name.
+ */
+function pairMediaFiles(names) {
+  const groups = new Map();
+  for (const name of names) {
+    const ext = path.extname(name).toLowerCase();
+    const kind = IMAGE_EXTS.includes(ext) ? "still" : HEIC_EXTS.includes(ext) ? "heic" : VIDEO_EXTS.includes(ext) ? "clip" : null;
+    if (!kind) continue;
+    const base = name.slice(0, -ext.length).toLowerCase();
+    if (!groups.has(base)) groups.set(base, {});
+    const group = groups.get(base);
+    if (!group[kind]) group[kind] = name;
+  }
+
+  const files = [];
+  for (const group of groups.values()) {
+    const still = group.still || (group.clip ? group.heic : null);
+    if (still || group.clip) files.push({ still, clip: group.clip || null });
+  }
+  return files;
+}
+
+/**
+ * Images of one album item of _data/masonry.yml: its scanned `folder`
+ * (sorted, sidecar applied, hand-written entries merged) or its `images`.
+ * @returns {object[]} entries shaped like masonry.yml images ({ image, live, video, title, … })
+ */
+function resolveAlbumImages(hexo, item) {
+  const manual = Array.isArray(item.images) ? item.images.filter(Boolean) : [];
+  if (!item.folder) return manual;
+
+  const folder = String(item.folder).replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+  const dir = path.join(hexo.source_dir, "masonry", folder);
+  let files;
+  try {
+    files = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    hexo.log.warn(`[masonry] Album folder not found: source/masonry/${folder}/`);
+    return manual;
+  }
+
+  const sidecar = loadSidecar(dir, hexo.log);
+  const overrides = new Map(manual.map(entry => [entryKey(entry), entry]));
+  const sortByDate = item.sort !== "filename";
+  const names = files.filter(f => f.isFile() && !/^[_.]/.test(f.name)).map(f => f.name);
+
+  const scanned = pairMediaFiles(names)
+    .map(({ still, clip }) => {
+      const name = still || clip;
+      const found = still
+        ? { image: path.posix.join(folder, still), ...(clip ? { live: path.posix.join(folder, clip) } : {}) }
+        : { video: path.posix.join(folder, clip) };
+      const key = entryKey(found);
+      const entry = { ...found, ...(sidecar[name] || {}), ...(overrides.get(key) || {}) };
+      overrides.delete(key);
+      return { entry, name, taken: sortByDate && still ? readTakenTime(path.join(dir, still)) : null };
+    })
+    .sort((a, b) => {
+      // Undated photos go after dated ones, by name
+      if (a.taken !== b.taken) {
+        if (a.taken === null) return 1;
+        if (b.taken === null) return -1;
+        return a.taken - b.taken;
+      }
+      return byName(a.name, b.name);
+    })
+    .map(({ entry }) => entry);
+
+  if (String(item.order).toLowerCase() === "desc") scanned.reverse();
+  return scanned.concat(manual.filter(entry => overrides.has(entryKey(entry))));
+}
+
+/**
+ * Local file of an album image path as written in masonry.yml (relative to
+ * source/masonry/, or source-rooted), or null for URLs and missing files.
+ */
+function resolveAlbumImageFile(hexo, imagePath) {
+  if (!imagePath) return null;
+  const cleanPath = String(imagePath).split("#")[0].split("?")[0];
+  if (/^(https?:)?\/\//i.test(cleanPath)) return null;
+
+  let decoded;
+  try { decoded = decodeURIComponent(cleanPath); } catch { decoded = cleanPath; }
+
+  const candidates = [
+    path.join(hexo.source_dir, "masonry", decoded),
+    path.join(hexo.source_dir, decoded),
+    path.join(hexo.source_dir, "build", "masonry", decoded),
+  ];
+  for (const candidate of candidates) {
+    try {
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch (e) {}
+  }
+  return null;
+}
+
+module.exports = { resolveAlbumImages, resolveAlbumImageFile };
@@ -0,0 +1,246 @@
+"use strict";
+
+/**
+ * Videos and Live Photos in masonry albums. Besides photos, an entry of
+ * _data/masonry.yml (or of a folder album, see lib/masonry-albums.js) can be
+ *
+ *   - video: kyoto-2024/tram.mp4       # short clip, plays on hover
+ *     image: kyoto-2024/tram.jpg       # optional poster
+ *   - image: kyoto-2024/IMG_0042.HEIC  # Live Photo: still + motion
+ *     live: kyoto-2024/IMG_0042.MOV
+ *
+ * At build time ffprobe reads the clip's duration and size, and ffmpeg
+ * extracts a poster frame when there is no displayable still (no `image`, or
+ * a HEIC one) into source/build/_posters/, served next to the clip as
+ * <name>.poster.jpg. Unless the album's GPS option (lib/image-privacy.js) is
+ * "keep", the clip is remuxed without its metadata (QuickTime location
+ * included; "coarsen" strips it too) into source/build/_clips/ and served in
+ * place of the original. Results are cached in source/build/_media.json by
+ * the clip's mtime and size. HEIC stills are then withheld from the site
+ * too (see withheldStillRoute).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const CACHE_FILE = "_media.json";
+const POSTER_DIR = "_posters";
+const CLIP_DIR = "_clips";
+const HEIC_RE = /\.hei[cf]$/i;
+
+const mediaCache = { entries: null, seen: new Set() };
+let toolsMissing = false;
+
+function cachePath(hexo) {
+  return path.join(hexo.source_dir, "build", CACHE_FILE);
+}
+
+/** Load the cache and start a build: entries not described again are pruned on save */
+function loadMediaCache(hexo) {
+  mediaCache.seen.clear();
+  if (mediaCache.entries) return mediaCache.entries;
+  try {
+    mediaCache.entries = JSON.parse(fs.readFileSync(cachePath(hexo), "utf8"));
+  } catch {
+    mediaCache.entries = {};
+  }
+  return mediaCache.entries;
+}
+
+/** Write the cache, removing the outputs of clips no album uses anymore */
+function saveMediaCache(hexo) {
+  const entries = mediaCache.entries || {};
+  for (const route of Object.keys(entries)) {
+    if (mediaCache.seen.has(route)) continue;
+    removeOutput(hexo, entries[route].poster);
+    removeOutput(hexo, entries[route].clip);
+    delete entries[route];
+  }
+  try {
+    fs.mkdirSync(path.dirname(cachePath(hexo)), { recursive: true });
+    fs.writeFileSync(cachePath(hexo), JSON.stringify(entries));
+  } catch (e) {
+    hexo.log.warn(`[masonry] Failed to write media cache: ${e.message}`);
+  }
+}
+
+// output: { file (rel to source_dir), … } or null
+function removeOutput(hexo, output) {
+  if (!output) return;
+  try {
+    fs.unlinkSync(path.join(hexo.source_dir, output.file));
+  } catch (e) {
+    if (e.code !== "ENOENT") hexo.log.warn(`[masonry] Failed to remove ${output.file}: ${e.message}`);
+  }
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { shell: false });
+    let stdout = "";
+    let stderr = "";
+    proc.stdout.on("data", (d) => (stdout += d));
+    proc.stderr.on("data", (d) => (stderr += d));
+    proc.on("close", (code) => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`${command} exited with code ${code}: ${stderr.trim()}`));
+    });
+    proc.on("error", reject);
+  });
+}
+
+/** Display size (rotation applied) and duration in seconds of a clip */
+async function probeClip(file) {
+  const data = JSON.parse(await run("ffprobe", [
+    "-v", "error",
+    "-select_streams", "v:0",
+    "-show_entries", "stream=width,height:stream_tags=rotate:stream_side_data=rotation:format=duration",
+    "-of", "json",
+    file,
+  ]));
+  const stream = data.streams?.[0];
+  if (!stream) throw new Error("No video stream found");
+  const sideData = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+  const rotation = Number(stream.tags?.rotate ?? sideData?.rotation ?? 0);
+  const turned = Math.abs(rotation) % 180 === 90;
+  return {
+    width: turned ? stream.height : stream.width,
+    height: turned ? stream.width : stream.height,
+    duration: Number(data.format?.duration) || 0,
+  };
+}
+
+/**
+ * Poster frame as JPEG (ffmpeg applies the rotation). Live Photos use their
+ * middle frame, where the still was taken; clips skip a possible fade-in.
+ */
+function extractPoster(file, outputPath, type, duration) {
+  const at = type === "live" ? duration / 2 : Math.min(1, duration / 10);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  return run("ffmpeg", [
+    "-v", "error", "-y",
+    "-ss", at.toFixed(3),
+    "-i", file,
+    "-frames:v", "1",
+    "-map_metadata", "-1",
+    "-q:v", "3",
+    outputPath,
+  ]);
+}
+
+/** Copy of the clip without container and stream metadata, streams untouched */
+function remuxClip(file, outputPath) {
+  const isWebm = path.extname(file).toLowerCase() === ".webm";
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  return run("ffmpeg", [
+    "-v", "error", "-y",
+    "-i", file,
+    "-map", "0:v:0", "-map", "0:a?",
+    "-c", "copy",
+    "-map_metadata", "-1", "-map_metadata:s", "-1",
+    ...(isWebm ? [] : ["-movflags", "+faststart"]),
+    outputPath,
+  ]);
+}
+
+/** Route of a local clip or still path as written in masonry.yml, or null for URLs */
+function mediaRoute(hexo, file) {
+  const clean = String(file).split("#")[0].split("?")[0];
+  if (/^(https?:)?\/\//i.test(clean)) return null;
+  let decoded;
+  try { decoded = decodeURIComponent(clean); } catch { decoded = clean; }
+  if (!decoded.startsWith("/")) return path.posix.join("masonry", decoded);
+  const root = hexo.config.root || "/";
+  return decoded.startsWith(root) ? decoded.slice(root.length) : decoded.slice(1);
+}
+
+function warnToolsMissing(hexo, err) {
+  if (err.code !== "ENOENT") return false;
+  if (!toolsMissing) hexo.log.warn("[masonry] ffmpeg/ffprobe not found; video posters and durations are skipped.");
+  toolsMissing = true;
+  return true;
+}
+
+/**
+ * Build-time data of a video or Live Photo entry (null for photos):
+ *   { type: "video" | "live", route, duration, width, height,
+ *     poster: { route, file } | null, clip: { route, file } | null }
+ * `route` is null for remote clips; `poster` is set when a frame was
+ * extracted; `clip` when a metadata-free copy replaces the original.
+ * @param {object} policy lib/image-privacy.js options of the album
+ */
+async function describeMedia(hexo, entry, policy) {
+  const source = entry.video || entry.live;
+  if (!source) return null;
+
+  const type = entry.video ? "video" : "live";
+  const media = { type, route: mediaRoute(hexo, source), duration: 0, width: 0, height: 0, poster: null, clip: null };
+  if (!media.route || toolsMissing) return media;
+
+  const file = path.join(hexo.source_dir, media.route);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch (e) {
+    hexo.log.warn(`[masonry] Clip not found: ${source}`);
+    return media;
+  }
+
+  const entries = mediaCache.entries || loadMediaCache(hexo);
+  mediaCache.seen.add(media.route);
+  const cached = entries[media.route];
+  const fresh = cached && cached.mtime === stat.mtimeMs && cached.size === stat.size;
+  const info = fresh ? cached : { mtime: stat.mtimeMs, size: stat.size, poster: cached?.poster || null, clip: cached?.clip || null };
+  entries[media.route] = info;
+
+  try {
+    if (!fresh) Object.assign(info, await probeClip(file));
+    Object.assign(media, { duration: info.duration, width: info.width, height: info.height });
+
+    const base = media.route.slice(0, -path.extname(media.route).length);
+    const needsPoster = !entry.image || HEIC_RE.test(String(entry.image));
+    if (needsPoster) {
+      const posterFile = path.posix.join("build", POSTER_DIR, `${base}.jpg`);
+      const outputPath = path.join(hexo.source_dir, posterFile);
+      if (!fresh || !fs.existsSync(outputPath)) {
+        await extractPoster(file, outputPath, type, info.duration);
+      }
+      info.poster = { file: posterFile };
+      media.poster = { route: `${base}.poster.jpg`, file: outputPath };
+    } else if (info.poster) {
+      removeOutput(hexo, info.poster);
+      info.poster = null;
+    }
+
+    if (policy && policy.gps !== "keep") {
+      const clipFile = path.posix.join("build", CLIP_DIR, media.route);
+      const outputPath = path.join(hexo.source_dir, clipFile);
+      if (!fresh || !fs.existsSync(outputPath)) await remuxClip(file, outputPath);
+      info.clip = { file: clipFile };
+      media.clip = { route: media.route, file: outputPath };
+    } else if (info.clip) {
+      removeOutput(hexo, info.clip);
+      info.clip = null;
+    }
+  } catch (e) {
+    if (!warnToolsMissing(hexo, e)) hexo.log.warn(`[masonry] Failed to process clip ${source}: ${e.message}`);
+    // Probe again next build
+    info.mtime = 0;
+  }
+  return media;
+}
+
+/**
+ * Route of an entry's HEIC still to keep off the site, or null. Browsers
+ * can't show it (the grid and the viewer use the clip's poster) and
+ * img-optimizer doesn't read HEIC, so unless the album's GPS option is "keep"
+ * it would be published with its full EXIF location.
+ */
+function withheldStillRoute(hexo, entry, policy) {
+  if (!entry.image || !policy || policy.gps === "keep") return null;
+  const route = mediaRoute(hexo, entry.image);
+  return route && HEIC_RE.test(route) ? route : null;
+}
+
+module.exports = { loadMediaCache, saveMediaCache, describeMedia, withheldStillRoute };
@@ -0,0 +1,35 @@
+"use strict";
+
+/**
+ * Build-time pagination of a masonry album: page 1 at the album path, then
+ * page/N/. masonry.js appends the following pages while scrolling, so every
+ * page carries the paginator helper's fields (current, total, prev/next).
+ */
+
+/**
+ * Pages of `images`, `perPage` per page (per_page of the album, or
+ * page_templates.masonry_per_page). A missing, zero or invalid value keeps
+ * the whole album on one page; an empty album still gets its page.
+ * @returns {{ path: string, images: any[], current: number, total: number, prev_link: string, next_link: string }[]}
+ */
+function paginateAlbum(images, perPage, basePath) {
+  const size = Math.floor(Number(perPage)) || 0;
+  const chunkSize = size > 0 ? size : Math.max(images.length, 1);
+  const total = Math.max(Math.ceil(images.length / chunkSize), 1);
+  const pageLink = n => (n === 1 ? basePath : `${basePath}page/${n}/`);
+
+  const pages = [];
+  for (let current = 1; current <= total; current++) {
+    pages.push({
+      path: pageLink(current),
+      images: images.slice((current - 1) * chunkSize, current * chunkSize),
+      current,
+      total,
+      prev_link: current > 1 ? pageLink(current - 1) : "",
+      next_link: current < total ? pageLink(current + 1) : "",
+    });
+  }
+  return pages;
+}
+
+module.exports = { paginateAlbum };
@@ -0,0 +1,44 @@
+"use strict";
+
+/**
+ * Photo locations for the photo map (plugins.photo_map). The EXIF cards of
+ * masonry-generator.js and modules/image-exif.js hold GPS as text — DMS as
+ * formatted from the file (35°0'36.00"N) or whatever masonry.yml / the
+ * exif-info block says (decimal degrees or DMS) — after the album's privacy
+ * options (lib/image-privacy.js) were applied, so the map never shows more
+ * than the card.
+ */
+
+/**
+ * Signed decimal degrees of a latitude/longitude, or null.
+ * Accepts numbers, "35.01", "-135.7", "35.01N", "35°0'36.00\"N", "S 35 0 36".
+ */
+function parseCoordinate(value, isLatitude) {
+  let degrees;
+  if (typeof value === "number") {
+    degrees = value;
+  } else {
+    const text = String(value ?? "").trim();
+    const parts = text.match(/\d+(?:\.\d+)?/g);
+    if (!parts || parts.length > 3) return null;
+    const [d, m = 0, s = 0] = parts.map(Number);
+    const negative = /^-/.test(text) || /^[SW]\b|[SW]$/i.test(text);
+    degrees = (d + m / 60 + s / 3600) * (negative ? -1 : 1);
+  }
+  const limit = isLatitude ? 90 : 180;
+  return Number.isFinite(degrees) && Math.abs(degrees) <= limit ? degrees : null;
+}
+
+/**
+ * { lat, lng } of a photo from its EXIF card fields, or null when either
+ * coordinate is missing (stripped, filtered by EXIF_FIELDS or unparsable).
+ */
+function photoLocation(fields) {
+  if (!fields || !fields.GPSLatitude || !fields.GPSLongitude) return null;
+  const lat = parseCoordinate(fields.GPSLatitude, true);
+  const lng = parseCoordinate(fields.GPSLongitude, false);
+  if (lat === null || lng === null) return null;
+  return { lat: Number(lat.toFixed(6)), lng: Number(lng.toFixed(6)) };
+}
+
+module.exports = { parseCoordinate, photoLocation };
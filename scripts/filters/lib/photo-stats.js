@@ -0,0 +1,220 @@
+"use strict";
+
+/**
+ * Photography statistics of the stats page (photo-stats-generator.js):
+ * per-photo records, their aggregation, and the charts as inline SVG so the
+ * page needs no client script. Colors come from the theme's CSS variables
+ * (photo-stats.styl).
+ *
+ * Records are taken from the photo's EXIF card fields, after the privacy
+ * options (lib/image-privacy.js): what EXIF_FIELDS hides from the cards is
+ * not counted either.
+ */
+
+const {
+  readImageMetadata,
+  getExifValue,
+  parseTakenTime,
+  cameraLabel,
+  pickCustomFields,
+  mergeExifFields,
+  escapeHtml,
+} = require("./exif");
+const { scrubExifTags, pickExifFields } = require("./image-privacy");
+
+// Histogram bin edges: a bin runs from its edge up to the next one
+const FOCAL_EDGES = [24, 35, 50, 85, 135, 200];
+const APERTURE_EDGES = [1.4, 2, 2.8, 4, 5.6, 8, 11, 16];
+const ISO_EDGES = [100, 200, 400, 800, 1600, 3200, 6400, 12800];
+// Longer spans are counted per year
+const TIMELINE_MAX_MONTHS = 36;
+
+const CHART_WIDTH = 640;
+
+/* ==================== Records ==================== */
+
+function firstNumber(text) {
+  const match = String(text ?? "").match(/\d+(?:\.\d+)?/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Stats record of one photo: hand-written fields (masonry.yml entry or
+ * exif-info block) over the tags of `file` when `autoExif`, as its card
+ * shows them.
+ * @param {{ file: string|null, custom: object, autoExif: boolean, policy: object }} source
+ * @returns {{ camera, lens, focal, aperture, iso, taken }} null where unknown
+ */
+function photoRecord({ file, custom, autoExif, policy }, t, locale) {
+  const tags = autoExif && file ? scrubExifTags(readImageMetadata(file).tags, policy) : {};
+  const fields = pickExifFields(mergeExifFields(pickCustomFields(custom), tags, t, locale), policy);
+  const taken = fields.DateTimeOriginal
+    ? parseTakenTime(custom.DateTimeOriginal ?? custom.dateTimeOriginal ?? getExifValue(tags, "DateTimeOriginal"))
+    : null;
+  return {
+    camera: cameraLabel(fields.Make, fields.Model),
+    lens: fields.LensModel || null,
+    focal: firstNumber(fields.FocalLength),
+    aperture: firstNumber(fields.Aperture),
+    iso: firstNumber(fields.ISOSpeedRatings),
+    taken,
+  };
+}
+
+/* ==================== Aggregation ==================== */
+
+/** Most used values first, the ones past `top` summed up as `otherLabel` */
+function countValues(values, top, otherLabel) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const rows = [...counts]
+    .map(([label, count]) => ({ label, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+  if (rows.length <= top) return rows;
+  const other = rows.slice(top).reduce((sum, row) => sum + row.count, 0);
+  return rows.slice(0, top).concat({ label: otherLabel, count: other });
+}
+
+/**
+ * Histogram over `edges` ("<24", "24–35", …, "200+"; `prefix` leads each
+ * label), without the empty bins at either end.
+ */
+function binValues(values, edges, prefix = "") {
+  const rows = [{ label: `<${prefix}${edges[0]}`, count: 0 }]
+    .concat(edges.map((edge, i) => ({
+      label: i < edges.length - 1 ? `${prefix}${edge}–${edges[i + 1]}` : `${prefix}${edge}+`,
+      count: 0,
+    })));
+  for (const value of values) {
+    if (value === null || !(value > 0)) continue;
+    // Rounding noise of rational tags (f/2.8 read as 2.7999…)
+    const bin = edges.filter(edge => value + 1e-6 >= edge).length;
+    rows[bin].count++;
+  }
+  const first = rows.findIndex(row => row.count > 0);
+  if (first < 0) return [];
+  const last = rows.length - 1 - [...rows].reverse().findIndex(row => row.count > 0);
+  return rows.slice(first, last + 1);
+}
+
+/** Photos per month ("2024-05"), or per year over long spans; gaps count 0 */
+function timeline(takens) {
+  if (takens.length === 0) return [];
+  const dates = takens.map(taken => new Date(taken * 1000));
+  const months = dates.map(date => date.getUTCFullYear() * 12 + date.getUTCMonth());
+  const first = Math.min(...months);
+  const last = Math.max(...months);
+  const byYear = last - first + 1 > TIMELINE_MAX_MONTHS;
+
+  const step = byYear ? 12 : 1;
+  const start = byYear ? first - (first % 12) : first;
+  const rows = [];
+  for (let month = start; month <= last; month += step) {
+    const year = Math.floor(month / 12);
+    rows.push({ label: byYear ? String(year) : `${year}-${String(month % 12 + 1).padStart(2, "0")}`, count: 0 });
+  }
+  months.forEach(month => rows[Math.floor((month - start) / step)].count++);
+  return rows;
+}
+
+/**
+ * Everything the page shows. Records without any known value are left out.
+ * @param {number} top camera bodies and lenses listed before "Other"
+ */
+function buildPhotoStats(records, { top = 10, otherLabel = "Other" } = {}) {
+  const photos = records.filter(record => Object.values(record).some(value => value !== null));
+  const takens = photos.map(record => record.taken).filter(taken => taken !== null);
+  const years = takens.map(taken => new Date(taken * 1000).getUTCFullYear());
+  const firstYear = years.length ? Math.min(...years) : null;
+  const lastYear = years.length ? Math.max(...years) : null;
+
+  return {
+    summary: {
+      photos: photos.length,
+      cameras: new Set(photos.map(record => record.camera).filter(Boolean)).size,
+      lenses: new Set(photos.map(record => record.lens).filter(Boolean)).size,
+      period: firstYear === null ? "" : firstYear === lastYear ? String(firstYear) : `${firstYear}–${lastYear}`,
+    },
+    cameras: countValues(photos.map(record => record.camera), top, otherLabel),
+    lenses: countValues(photos.map(record => record.lens), top, otherLabel),
+    focal_length: binValues(photos.map(record => record.focal), FOCAL_EDGES),
+    aperture: binValues(photos.map(record => record.aperture), APERTURE_EDGES, "f/"),
+    iso: binValues(photos.map(record => record.iso), ISO_EDGES),
+    timeline: timeline(takens),
+  };
+}
+
+/* ==================== Charts ==================== */
+
+function truncate(text, length) {
+  const chars = [...String(text)];
+  return chars.length > length ? chars.slice(0, length - 1).join("") + "…" : String(text);
+}
+
+function svgOpen(kind, height, title) {
+  return `<svg class="photo-stats-chart photo-stats-${kind}" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" aria-label="${escapeHtml(title)}">`
+    + `<title>${escapeHtml(title)}</title>`;
+}
+
+/**
+ * Horizontal bars, one row per value (camera bodies, lenses).
+ * `tooltip(row)` is each row's hover text.
+ */
+function renderBarChart(rows, { title, tooltip }) {
+  if (rows.length === 0) return "";
+  const rowHeight = 28;
+  const labelWidth = 200;
+  const barStart = labelWidth + 10;
+  const barSpace = CHART_WIDTH - barStart - 48;
+  const max = Math.max(...rows.map(row => row.count));
+  const height = rows.length * rowHeight + 4;
+
+  let svg = svgOpen("bars", height, title);
+  rows.forEach((row, i) => {
+    const y = i * rowHeight + 2;
+    const middle = y + rowHeight / 2;
+    const width = Math.max((row.count / max) * barSpace, 2);
+    svg += `<g class="photo-stats-row"><title>${escapeHtml(tooltip(row))}</title>`
+      + `<text class="photo-stats-label" x="${labelWidth}" y="${middle}" text-anchor="end" dominant-baseline="central">${escapeHtml(truncate(row.label, 28))}</text>`
+      + `<rect class="photo-stats-bar" x="${barStart}" y="${y + 5}" width="${width.toFixed(1)}" height="${rowHeight - 10}" rx="3"></rect>`
+      + `<text class="photo-stats-value" x="${(barStart + width + 6).toFixed(1)}" y="${middle}" dominant-baseline="central">${row.count}</text>`
+      + "</g>";
+  });
+  return svg + "</svg>";
+}
+
+/**
+ * Vertical columns in their own order (histograms, timeline). Past 16
+ * columns the counts only show on hover, and the axis labels thin out.
+ */
+function renderColumnChart(rows, { title, tooltip }) {
+  if (rows.length === 0) return "";
+  const height = 240;
+  const top = 20;
+  const baseline = 200;
+  const slot = (CHART_WIDTH - 16) / rows.length;
+  const barWidth = Math.max(Math.min(slot * 0.7, 64), 2);
+  const max = Math.max(...rows.map(row => row.count));
+  const showValues = rows.length <= 16;
+  const labelEvery = Math.ceil(rows.length / 12);
+
+  let svg = svgOpen("columns", height, title);
+  svg += `<line class="photo-stats-axis" x1="8" y1="${baseline}" x2="${CHART_WIDTH - 8}" y2="${baseline}"></line>`;
+  rows.forEach((row, i) => {
+    const center = 8 + slot * (i + 0.5);
+    const barHeight = row.count > 0 ? Math.max((row.count / max) * (baseline - top), 2) : 0;
+    svg += `<g class="photo-stats-column"><title>${escapeHtml(tooltip(row))}</title>`
+      + `<rect class="photo-stats-hit" x="${(center - slot / 2).toFixed(1)}" y="${top}" width="${slot.toFixed(1)}" height="${baseline - top}"></rect>`
+      + `<rect class="photo-stats-bar" x="${(center - barWidth / 2).toFixed(1)}" y="${(baseline - barHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="3"></rect>`;
+    if (showValues && row.count > 0) {
+      svg += `<text class="photo-stats-value" x="${center.toFixed(1)}" y="${(baseline - barHeight - 6).toFixed(1)}" text-anchor="middle">${row.count}</text>`;
+    }
+    if (i % labelEvery === 0) {
+      svg += `<text class="photo-stats-label" x="${center.toFixed(1)}" y="${baseline + 20}" text-anchor="middle">${escapeHtml(row.label)}</text>`;
+    }
+    svg += "</g>";
+  });
+  return svg + "</svg>";
+}
+
+module.exports = { photoRecord, buildPhotoStats, renderBarChart, renderColumnChart };
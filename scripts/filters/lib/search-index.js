@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * The search index built by search-generator.js: HTML-to-text helpers, the
+ * tokenizer and the inverted index over each post's fields.
+ *
+ * Indexed text (title, headings, excerpt, tag and category names) is plain
+ * text with entities decoded, so `&lt;img&gt;` shown in a post is stored as
+ * `<img>`. It is never markup: whatever puts it into HTML
+ * (tools/localSearch.js, tools/commandPalette.js) escapes it first.
+ */
+
+const FIELDS = ["title", "headings", "tags", "categories", "excerpt"];
+
+// Optional: @node-rs/jieba for CJK word segmentation
+let jieba = null;
+try {
+  const { Jieba } = require("@node-rs/jieba");
+  jieba = new Jieba();
+} catch (e) {}
+
+/* ==================== Text helpers ==================== */
+
+// Plain text of an HTML fragment, entities decoded (see above).
+function stripHTML(html) {
+  return String(html || "")
+    .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function extractHeadings(html) {
+  const headings = [];
+  const re = /<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let match;
+  while ((match = re.exec(html || ""))) {
+    const text = stripHTML(match[2]);
+    if (text) headings.push(text);
+  }
+  return headings;
+}
+
+function truncate(text, length) {
+  if (text.length <= length) return text;
+  return text.slice(0, length).replace(/\s+\S*$/, "");
+}
+
+/* ==================== Tokenizer ==================== */
+
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+
+// Fallback segmentation: Latin words as-is, CJK runs as character bigrams.
+function splitWords(text) {
+  const words = [];
+  text.split(/[^\p{L}\p{N}]+/u).forEach((word) => {
+    const latin = word.replace(CJK_RUN, " ").split(" ");
+    words.push(...latin);
+    for (const [run] of word.matchAll(CJK_RUN)) {
+      if (run.length === 1) words.push(run);
+      for (let i = 0; i < run.length - 1; i++) words.push(run.slice(i, i + 2));
+    }
+  });
+  return words;
+}
+
+/**
+ * Lower-cased search terms for a piece of plain text. Punctuation and
+ * whitespace are dropped, as are single Latin letters (too common to rank).
+ */
+function tokenize(text) {
+  const cleaned = String(text || "").toLowerCase();
+  if (!cleaned) return [];
+  const words = jieba ? jieba.cut(cleaned, true) : splitWords(cleaned);
+  return words
+    .map((word) => word.trim())
+    .filter((word) => word && WORD_CHAR.test(word) && !/^[a-z]$/.test(word));
+}
+
+/* ==================== Index builder ==================== */
+
+function names(list) {
+  if (!list || typeof list.map !== "function") return [];
+  return list.map((item) => item.name).filter(Boolean);
+}
+
+/**
+ * @param {Array} items posts and pages (Hexo documents), in result order
+ * @param {number} excerptLength characters of body text kept per item
+ * @param {(path: string) => string} urlFor the url_for helper
+ */
+function buildIndex(items, excerptLength, urlFor) {
+  const docs = [];
+  const terms = Object.create(null);
+
+  items.forEach((item) => {
+    // Encrypted posts (encrypt.js) only expose their metadata.
+    const locked = Boolean(item.password);
+    const headings = locked ? [] : extractHeadings(item.content);
+    const excerpt = locked
+      ? ""
+      : truncate(stripHTML(item.content), excerptLength);
+    const doc = {
+      url: urlFor(item.path),
+      title: String(item.title || "").trim(),
+      date: item.date ? item.date.format("YYYY-MM-DD") : null,
+      tags: names(item.tags),
+      categories: names(item.categories),
+      headings,
+      excerpt,
+    };
+
+    const docId = docs.length;
+    const fieldText = [
+      doc.title,
+      doc.headings.join(" "),
+      doc.tags.join(" "),
+      doc.categories.join(" "),
+      doc.excerpt,
+    ];
+    doc.lengths = fieldText.map((text, field) => {
+      const tokens = tokenize(text);
+      const counts = new Map();
+      tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+      counts.forEach((tf, token) => {
+        (terms[token] || (terms[token] = [])).push(docId, field, tf);
+      });
+      return tokens.length;
+    });
+    docs.push(doc);
+  });
+
+  return { version: 1, fields: FIELDS, docs, terms };
+}
+
+module.exports = {
+  FIELDS,
+  stripHTML,
+  extractHeadings,
+  tokenize,
+  buildIndex,
+  hasJieba: () => Boolean(jieba),
+};
@@ -82,6 +82,18 @@ const pageData = {
 		partial: "pages/masonry/masonry",
 		layout: "default",
 	},
+	photoStats: {
+		titles: [],
+		types: ["photo-stats"],
+		partial: "pages/photo-stats/photo-stats",
+		layout: "default",
+	},
+	notesArchive: {
+		titles: [],
+		types: ["notes", "instant-notes", "notes-archive"],
+		partial: "pages/notes/notes-archive",
+		layout: "default",
+	},
 	bookmarks: {
 		titles: [],
 		types: ["bookmarks", "bookmark", "tools"],
@@ -2,342 +2,77 @@
 
 const fs = require("fs");
 const path = require("path");
-const yaml = require("js-yaml");
-
-// Optional: exif-parser for auto-exif reading from image files
-let ExifParser = null;
-try { ExifParser = require("exif-parser"); } catch (e) {}
-
-/* ==================== Translation System ==================== */
-
-const LANGUAGE_ALIASES = { jp: "ja" };
-const LANGUAGE_CACHE = new Map();
-
-function normalizeLanguageKey(language) {
-  if (!language) return "en";
-  const raw = String(language).trim();
-  if (!raw) return "en";
-  if (LANGUAGE_ALIASES[raw]) return LANGUAGE_ALIASES[raw];
-  const base = raw.split("-")[0];
-  if (LANGUAGE_ALIASES[base]) return LANGUAGE_ALIASES[base];
-  return raw;
-}
-
-function loadLanguageContent(hexoInstance) {
-  const language = Array.isArray(hexoInstance.config.language)
-    ? hexoInstance.config.language[0] || "en"
-    : hexoInstance.config.language || "en";
-  const normalized = normalizeLanguageKey(language);
-  const languageDir = path.join(hexoInstance.theme_dir, "languages");
-
-  let filePath = path.join(languageDir, `${normalized}.yml`);
-  if (!fs.existsSync(filePath)) {
-    const base = normalized.split("-")[0];
-    filePath = path.join(languageDir, `${base}.yml`);
-    if (!fs.existsSync(filePath)) {
-      filePath = path.join(languageDir, "en.yml");
-    }
-  }
-
-  if (LANGUAGE_CACHE.has(filePath)) return LANGUAGE_CACHE.get(filePath);
-  let content = {};
-  try { content = yaml.load(fs.readFileSync(filePath, "utf8")) || {}; } catch (e) {}
-  LANGUAGE_CACHE.set(filePath, content);
-  return content;
-}
-
-function getNestedValue(source, key) {
-  if (!source || !key) return undefined;
-  return key.split(".").reduce((acc, part) => {
-    if (acc && Object.prototype.hasOwnProperty.call(acc, part)) return acc[part];
-    return undefined;
-  }, source);
-}
-
-function getTranslator(hexoInstance) {
-  const content = loadLanguageContent(hexoInstance);
-  return (key, fallback, ...values) => {
-    const value = getNestedValue(content, key);
-    if (value !== undefined && value !== null && value !== key) {
-      let result = String(value);
-      if (values.length > 0) {
-        let idx = 0;
-        result = result.replace(/%s/g, () => values[idx++] ?? "");
-      }
-      return result;
-    }
-    if (fallback !== undefined && fallback !== null) {
-      let result = String(fallback);
-      if (values.length > 0) {
-        let idx = 0;
-        result = result.replace(/%s/g, () => values[idx++] ?? "");
-      }
-      return result;
-    }
-    return key;
-  };
-}
-
-/* ==================== EXIF Data Processing ==================== */
-
-// Mapping from masonry.yml keys (camelCase/mixed) to standard EXIF field names
-const YML_KEY_MAP = {
-  'make': 'Make', 'model': 'Model', 'lensModel': 'LensModel',
-  'exposureTime': 'ExposureTime', 'aperture': 'Aperture',
-  'ISOSpeedRatings': 'ISOSpeedRatings', 'focalLength': 'FocalLength',
-  'exposureProgram': 'ExposureProgram', 'meteringMode': 'MeteringMode',
-  'flash': 'Flash', 'dateTimeOriginal': 'DateTimeOriginal',
-  'GPSLatitude': 'GPSLatitude', 'GPSLongitude': 'GPSLongitude',
-  'GPSAltitude': 'GPSAltitude', 'whiteBalance': 'WhiteBalance',
-  'focusMode': 'FocusMode', 'exposureBias': 'ExposureBias',
-};
-
-// EXIF field aliases for reading binary EXIF data (same as image-exif.js)
-const EXIF_READ_MAPPINGS = {
-  Make: ["Make", "make", "CameraMake"],
-  Model: ["Model", "model", "CameraModel"],
-  LensModel: ["LensModel", "LensInfo", "Lens", "lensModel", "LensType"],
-  ExposureTime: ["ExposureTime", "exposureTime", "ShutterSpeed", "ShutterSpeedValue"],
-  Aperture: ["FNumber", "ApertureValue", "Aperture", "aperture", "fNumber"],
-  ISOSpeedRatings: ["ISO", "ISOSpeedRatings", "isoSpeedRatings", "PhotographicSensitivity"],
-  FocalLength: ["FocalLengthIn35mmFormat", "FocalLength", "focalLength"],
-  ExposureProgram: ["ExposureProgram", "exposureProgram"],
-  MeteringMode: ["MeteringMode", "meteringMode"],
-  Flash: ["Flash", "flash", "FlashMode"],
-  DateTimeOriginal: ["DateTimeOriginal", "dateTimeOriginal", "CreateDate", "DateCreated"],
-  GPSLatitude: ["GPSLatitude", "gpsLatitude", "latitude"],
-  GPSLongitude: ["GPSLongitude", "gpsLongitude", "longitude"],
-  GPSAltitude: ["GPSAltitude", "gpsAltitude", "altitude"],
-  WhiteBalance: ["WhiteBalance", "whiteBalance"],
-  FocusMode: ["FocusMode", "focusMode", "AFMode"],
-  ExposureBias: ["ExposureBiasValue", "ExposureCompensation", "exposureBias", "exposureCompensation"],
-};
-
-function readExifFromFile(imagePath) {
-  if (!ExifParser) return {};
-  try {
-    const buffer = fs.readFileSync(imagePath);
-    const parser = ExifParser.create(buffer);
-    return parser.parse().tags || {};
-  } catch (e) { return {}; }
-}
-
-function getExifValue(exifData, fieldName) {
-  const mappings = EXIF_READ_MAPPINGS[fieldName];
-  if (!mappings) return null;
-  for (const key of mappings) {
-    if (exifData[key] !== undefined && exifData[key] !== null) return exifData[key];
-  }
-  return null;
-}
-
-function convertToDMS(value, isLatitude) {
-  const absolute = Math.abs(value);
-  const degrees = Math.floor(absolute);
-  const minutesNotTruncated = (absolute - degrees) * 60;
-  const minutes = Math.floor(minutesNotTruncated);
-  const seconds = ((minutesNotTruncated - minutes) * 60).toFixed(2);
-  const direction = isLatitude ? (value >= 0 ? "N" : "S") : (value >= 0 ? "E" : "W");
-  return `${degrees}°${minutes}'${seconds}"${direction}`;
-}
-
-const EXPOSURE_PROGRAM_KEYS = {
-  0: "image_exif.exposure_program.undefined", 1: "image_exif.exposure_program.manual",
-  2: "image_exif.exposure_program.normal", 3: "image_exif.exposure_program.aperture_priority",
-  4: "image_exif.exposure_program.shutter_priority", 5: "image_exif.exposure_program.creative",
-  6: "image_exif.exposure_program.action", 7: "image_exif.exposure_program.portrait",
-  8: "image_exif.exposure_program.landscape",
-};
-
-const METERING_MODE_KEYS = {
-  0: "image_exif.metering_mode.unknown", 1: "image_exif.metering_mode.average",
-  2: "image_exif.metering_mode.center_weighted", 3: "image_exif.metering_mode.spot",
-  4: "image_exif.metering_mode.multi_spot", 5: "image_exif.metering_mode.evaluative",
-  6: "image_exif.metering_mode.partial", 255: "image_exif.metering_mode.other",
-};
-
-const WHITE_BALANCE_KEYS = {
-  0: "image_exif.white_balance.auto", 1: "image_exif.white_balance.manual",
-};
-
-function formatAutoExifValue(fieldName, value, t) {
-  if (value === null || value === undefined || value === "") return null;
-  switch (fieldName) {
-    case "ExposureTime":
-      if (typeof value === "number") return value < 1 ? `1/${Math.round(1 / value)}s` : `${value}s`;
-      return String(value);
-    case "Aperture":
-      if (typeof value === "number") return `f/${value.toFixed(1)}`;
-      return String(value);
-    case "FocalLength":
-      if (typeof value === "number") return `${value}mm`;
-      return String(value);
-    case "ISOSpeedRatings":
-      return `ISO ${value}`;
-    case "ExposureProgram":
-      if (typeof value === "number") {
-        const key = EXPOSURE_PROGRAM_KEYS[value];
-        if (key) return t(key);
-        return t("image_exif.value.program_with_number", "Program %s", value);
-      }
-      return String(value);
-    case "MeteringMode":
-      if (typeof value === "number") {
-        const key = METERING_MODE_KEYS[value];
-        if (key) return t(key);
-        return t("image_exif.value.mode_with_number", "Mode %s", value);
-      }
-      return String(value);
-    case "Flash":
-      if (typeof value === "number") return (value & 1) ? t("image_exif.flash.on", "ON") : t("image_exif.flash.off", "OFF");
-      return String(value);
-    case "WhiteBalance":
-      if (typeof value === "number") {
-        const key = WHITE_BALANCE_KEYS[value];
-        if (key) return t(key);
-        return t("image_exif.value.mode_with_number", "Mode %s", value);
-      }
-      return String(value);
-    case "GPSLatitude":
-      if (typeof value === "number") return convertToDMS(value, true);
-      return String(value);
-    case "GPSLongitude":
-      if (typeof value === "number") return convertToDMS(value, false);
-      return String(value);
-    case "GPSAltitude":
-      if (typeof value === "number") return `${value.toFixed(1)}m`;
-      return String(value);
-    case "DateTimeOriginal":
-      if (typeof value === "number") return new Date(value * 1000).toLocaleString();
-      return String(value);
-    case "ExposureBias":
-      if (typeof value === "number") return `${value >= 0 ? "+" : ""}${value.toFixed(1)} EV`;
-      return String(value);
-    default:
-      return String(value);
-  }
+const {
+  getPrimaryLanguage,
+  getTranslator,
+  readImageMetadata,
+  getExifValue,
+  parseTakenTime,
+  cameraLabel,
+  pickCustomFields,
+  mergeExifFields,
+  renderExifCard,
+} = require("./filters/lib/exif");
+const { resolvePolicy, scrubExifTags, pickExifFields } = require("./filters/lib/image-privacy");
+const { resolveAlbumImages, resolveAlbumImageFile } = require("./filters/lib/masonry-albums");
+const { loadMediaCache, saveMediaCache, describeMedia, withheldStillRoute } = require("./filters/lib/masonry-media");
+const { paginateAlbum } = require("./filters/lib/masonry-pagination");
+const { photoLocation } = require("./filters/lib/photo-location");
+
+/* ==================== Album Data ==================== */
+
+/** Image `tags` from masonry.yml or _album.yml: list or comma-separated string */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === "string" ? tags.split(",") : [];
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
 }
 
-/* ==================== HTML Generation ==================== */
-
-function escapeHtml(str) {
-  if (!str) return "";
-  return String(str)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
-}
+// Filter chip groups an album shows unless it sets `filters`
+const FILTER_GROUPS = ["camera", "lens", "tags"];
 
 /**
- * Build EXIF info card HTML for use in imageViewer.
- * Uses the same CSS classes as image-exif.js so imageViewer styles apply.
+ * Filter chips of an album: for each group of `groups`, its values with
+ * their photo counts (most photos first). A group is left out when it
+ * couldn't narrow anything down (no values, or one value every photo has).
  */
-function buildExifCardHtml(title, description, exifFields, t) {
-  const sectionLabels = {
-    camera: t("image_exif.section.camera", "Camera"),
-    lens: t("image_exif.section.lens", "Lens"),
-    exposure: t("image_exif.section.exposure", "Exposure"),
-    other: t("image_exif.section.other", "Other"),
-  };
-  const fieldLabels = {
-    make: t("image_exif.field.make", "Make"),
-    model: t("image_exif.field.model", "Model"),
-    datetimeOriginal: t("image_exif.field.datetime_original", "Date Taken"),
-    lensModel: t("image_exif.field.lens_model", "Lens"),
-    focalLength: t("image_exif.field.focal_length", "Focal Length"),
-    focusMode: t("image_exif.field.focus_mode", "Focus Mode"),
-    exposureTime: t("image_exif.field.exposure_time", "Shutter"),
-    aperture: t("image_exif.field.aperture", "Aperture"),
-    iso: t("image_exif.field.iso", "ISO"),
-    exposureProgram: t("image_exif.field.exposure_program", "Exposure Program"),
-    exposureBias: t("image_exif.field.exposure_bias", "Exposure Compensation"),
-    meteringMode: t("image_exif.field.metering_mode", "Metering Mode"),
-    flash: t("image_exif.field.flash", "Flash"),
-    whiteBalance: t("image_exif.field.white_balance", "White Balance"),
-    gpsLatitude: t("image_exif.field.gps_latitude", "Latitude"),
-    gpsLongitude: t("image_exif.field.gps_longitude", "Longitude"),
-    gpsAltitude: t("image_exif.field.gps_altitude", "Altitude"),
-  };
-
-  const hasTitle = title && title.trim().length > 0;
-  const hasDescription = description && description.trim().length > 0;
-
-  let html = '<div class="image-exif-info-card">';
-
-  // Header (title + description)
-  if (hasTitle || hasDescription) {
-    html += '<div class="image-exif-header"><div class="image-exif-header-content">';
-    if (hasTitle) html += `<div class="image-exif-title">${escapeHtml(title)}</div>`;
-    if (hasDescription) html += `<div class="image-exif-description">${escapeHtml(description)}</div>`;
-    html += '</div></div>';
-  }
-
-  // Group EXIF fields by category
-  const cameraInfo = [];
-  const lensInfo = [];
-  const exposureInfo = [];
-  const otherInfo = [];
-
-  if (exifFields.Make) cameraInfo.push({ label: fieldLabels.make, value: exifFields.Make });
-  if (exifFields.Model) cameraInfo.push({ label: fieldLabels.model, value: exifFields.Model });
-  if (exifFields.DateTimeOriginal) cameraInfo.push({ label: fieldLabels.datetimeOriginal, value: exifFields.DateTimeOriginal });
-
-  if (exifFields.LensModel) lensInfo.push({ label: fieldLabels.lensModel, value: exifFields.LensModel });
-  if (exifFields.FocalLength) lensInfo.push({ label: fieldLabels.focalLength, value: exifFields.FocalLength });
-  if (exifFields.FocusMode) lensInfo.push({ label: fieldLabels.focusMode, value: exifFields.FocusMode });
-
-  if (exifFields.ExposureTime) exposureInfo.push({ label: fieldLabels.exposureTime, value: exifFields.ExposureTime });
-  if (exifFields.Aperture) exposureInfo.push({ label: fieldLabels.aperture, value: exifFields.Aperture });
-  if (exifFields.ISOSpeedRatings) exposureInfo.push({ label: fieldLabels.iso, value: exifFields.ISOSpeedRatings });
-  if (exifFields.ExposureProgram) exposureInfo.push({ label: fieldLabels.exposureProgram, value: exifFields.ExposureProgram });
-  if (exifFields.ExposureBias) exposureInfo.push({ label: fieldLabels.exposureBias, value: exifFields.ExposureBias });
-  if (exifFields.MeteringMode) exposureInfo.push({ label: fieldLabels.meteringMode, value: exifFields.MeteringMode });
-
-  if (exifFields.Flash) otherInfo.push({ label: fieldLabels.flash, value: exifFields.Flash });
-  if (exifFields.WhiteBalance) otherInfo.push({ label: fieldLabels.whiteBalance, value: exifFields.WhiteBalance });
-  if (exifFields.GPSLatitude) otherInfo.push({ label: fieldLabels.gpsLatitude, value: exifFields.GPSLatitude });
-  if (exifFields.GPSLongitude) otherInfo.push({ label: fieldLabels.gpsLongitude, value: exifFields.GPSLongitude });
-  if (exifFields.GPSAltitude) otherInfo.push({ label: fieldLabels.gpsAltitude, value: exifFields.GPSAltitude });
-
-  const hasSections = cameraInfo.length > 0 || lensInfo.length > 0 || exposureInfo.length > 0 || otherInfo.length > 0;
-
-  if (hasSections) {
-    html += '<div class="image-exif-data">';
-
-    const renderSection = (items, icon, label, className) => {
-      if (items.length === 0) return '';
-      let s = `<div class="image-exif-section ${className}">`;
-      s += `<div class="image-exif-section-title"><i class="fa-solid ${icon}"></i> ${label}</div>`;
-      s += '<div class="image-exif-items">';
-      for (const item of items) {
-        s += `<div class="image-exif-item"><span class="image-exif-label">${item.label}</span><span class="image-exif-value">${escapeHtml(item.value)}</span></div>`;
-      }
-      s += '</div></div>';
-      return s;
-    };
-
-    html += renderSection(cameraInfo, 'fa-camera', sectionLabels.camera, 'image-exif-camera');
-    html += renderSection(lensInfo, 'fa-circle-dot', sectionLabels.lens, 'image-exif-lens');
-    html += renderSection(exposureInfo, 'fa-sun', sectionLabels.exposure, 'image-exif-exposure');
-    html += renderSection(otherInfo, 'fa-circle-info', sectionLabels.other, 'image-exif-other');
-
-    html += '</div>';
+function buildFacets(images, groups) {
+  const facets = [];
+  for (const group of groups) {
+    if (!FILTER_GROUPS.includes(group)) continue;
+    const counts = new Map();
+    let tagged = 0;
+    for (const image of images) {
+      const values = group === "tags" ? image.tags : image[group] ? [image[group]] : [];
+      if (values.length > 0) tagged++;
+      values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    }
+    if (counts.size === 0 || (counts.size === 1 && tagged === images.length)) continue;
+    const values = [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    facets.push({ group, values });
   }
+  return facets;
+}
 
-  html += '</div>';
-  return html;
+/** Clip length as m:ss for the grid badge */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
 }
 
 /* ==================== Generator ==================== */
 
-hexo.extend.generator.register('masonry_pages', function(locals) {
+// Routes of HEIC stills kept off the site (see withheldStillRoute)
+const withheldStills = new Set();
+
+hexo.extend.generator.register('masonry_pages', async function(locals) {
+  withheldStills.clear();
   const masonryData = locals.data.masonry;
   if (!masonryData) return [];
 
   const t = getTranslator(hexo);
-  const sourceDir = hexo.source_dir;
+  const locale = getPrimaryLanguage(hexo);
   
   // Get comment setting from theme config
   const commentEnabled = hexo.theme.config.comment && hexo.theme.config.comment.enable ? true : false;
@@ -349,47 +84,35 @@ hexo.extend.generator.register('masonry_pages', function(locals) {
     collectionTitle = configItem.title;
   }
 
-  // Filter out the config item to get only categories
-  const categories = masonryData.filter(item => item.links_category);
-
-  /**
-   * Resolve local image file path for auto-exif reading
-   */
-  function resolveLocalImage(imagePath) {
-    if (!imagePath) return null;
-    const cleanPath = imagePath.split('#')[0].split('?')[0];
-    if (cleanPath.startsWith('http://') || cleanPath.startsWith('https://')) return null;
-
-    let decoded;
-    try { decoded = decodeURIComponent(cleanPath); } catch { decoded = cleanPath; }
-
-    const candidates = [
-      path.join(sourceDir, 'masonry', decoded),
-      path.join(sourceDir, decoded),
-      path.join(sourceDir, 'build', 'masonry', decoded),
-    ];
-
-    for (const candidate of candidates) {
-      try {
-        if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return candidate;
-      } catch (e) {}
-    }
-    return null;
-  }
+  // Filter out the config item to get only categories; folder albums
+  // (lib/masonry-albums.js) get their images scanned here, once per run
+  const categories = masonryData.filter(item => item.links_category).map(category => ({
+    ...category,
+    list: (category.list || []).map(item => ({ ...item, images: resolveAlbumImages(hexo, item) })),
+  }));
 
   /**
    * Process a single image entry from masonry.yml
    * Extracts manual EXIF fields, reads auto-EXIF if enabled,
-   * and generates the EXIF info card HTML for imageViewer
+   * and generates the EXIF info card HTML for imageViewer.
+   * `policy` (album privacy options) scrubs GPS read from the file and
+   * applies the EXIF_FIELDS whitelist. `media` (lib/masonry-media.js) is
+   * the build-time data of a video or Live Photo entry.
    */
-  function processImage(image, pageAutoExif) {
+  function processImage(image, pageAutoExif, policy, media) {
     const processed = { ...image };
-
-    // Extract manual EXIF fields from yml
-    const exifFields = {};
-    for (const [ymlKey, exifKey] of Object.entries(YML_KEY_MAP)) {
-      if (image[ymlKey] !== undefined && image[ymlKey] !== null && String(image[ymlKey]).trim() !== '') {
-        exifFields[exifKey] = String(image[ymlKey]);
+    const root = hexo.config.root || '/';
+
+    if (media) {
+      processed.media = {
+        type: media.type,
+        src: media.route ? root + media.route : (image.video || image.live),
+        duration: media.duration > 0 ? formatDuration(media.duration) : '',
+      };
+      if (media.poster) {
+        processed.poster = root + media.poster.route;
+        processed.posterWidth = media.width;
+        processed.posterHeight = media.height;
       }
     }
 
@@ -397,42 +120,50 @@ hexo.extend.generator.register('masonry_pages', function(locals) {
     const imageAutoExif = image['auto-exif'];
     const autoExif = imageAutoExif !== undefined ? imageAutoExif : pageAutoExif;
 
+    let rawExif = {};
+    let xmp = {};
     if (autoExif) {
-      const localPath = resolveLocalImage(image.image);
+      const localPath = resolveAlbumImageFile(hexo, image.image);
       if (localPath) {
-        const rawExif = readExifFromFile(localPath);
-        // Read and format auto-EXIF values; manual fields take priority
-        for (const fieldName of Object.keys(EXIF_READ_MAPPINGS)) {
-          if (!exifFields[fieldName]) {
-            const rawValue = getExifValue(rawExif, fieldName);
-            const formatted = formatAutoExifValue(fieldName, rawValue, t);
-            if (formatted) {
-              exifFields[fieldName] = formatted;
-            }
-          }
-        }
+        const metadata = readImageMetadata(localPath);
+        rawExif = scrubExifTags(metadata.tags, policy);
+        xmp = metadata.xmp;
       } else {
         hexo.log && hexo.log.debug("[masonry-exif] Local image not found for auto-exif: " + image.image);
       }
     }
+    const autoTaken = getExifValue(rawExif, "DateTimeOriginal");
+
+    // Manual fields from yml take priority over the file's
+    let exifFields = mergeExifFields(pickCustomFields(image), rawExif, t, locale);
+    exifFields = pickExifFields(exifFields, policy);
+    // The file's XMP title and description stand in for missing ones
+    const title = image.title || xmp.title || '';
+    const description = image.description || xmp.description || '';
+    if (title) processed.title = title;
+    if (description) processed.description = description;
+    // Plotted on the album's photo map (plugins.photo_map)
+    processed.location = photoLocation(exifFields);
+    // Sort and filter data of the album toolbar (masonry.js), limited to
+    // what the card shows so EXIF_FIELDS hides it from both
+    processed.taken = exifFields.DateTimeOriginal ? parseTakenTime(image.DateTimeOriginal ?? image.dateTimeOriginal ?? autoTaken) : null;
+    processed.camera = cameraLabel(exifFields.Make, exifFields.Model);
+    processed.lens = exifFields.LensModel || null;
+    processed.tags = normalizeTags(image.tags);
 
     // Determine if this image has info to show in imageViewer
     const hasExifFields = Object.keys(exifFields).length > 0;
-    const hasDescription = image.description && String(image.description).trim().length > 0;
+    const hasDescription = String(description).trim().length > 0;
     processed.hasExifInfo = hasDescription || hasExifFields;
 
     if (processed.hasExifInfo) {
-      processed.exifCardHtml = buildExifCardHtml(
-        image.title || '',
-        image.description || '',
-        exifFields,
-        t
-      );
+      processed.exifCardHtml = renderExifCard({ title, description, fields: exifFields }, t);
     }
 
     return processed;
   }
 
+  // Album pages, plus the routes of extracted posters and scrubbed clips
   const pages = [];
 
   // 1. Prepare data for the collection page (Links style)
@@ -441,8 +172,11 @@ hexo.extend.generator.register('masonry_pages', function(locals) {
       ...category,
       list: category.list.map(item => {
         const pageTitle = item['page-title'] || item.name;
+        const cover = item.folder && item.images.length > 0 ? item.images[0].image : null;
         return {
           ...item,
+          // Folder albums default to their first photo as thumbnail
+          thumbnail: item.thumbnail || (cover && (hexo.config.root || '/') + 'masonry/' + cover),
           link: `/masonry/${pageTitle}/`
         };
       })
@@ -465,49 +199,113 @@ hexo.extend.generator.register('masonry_pages', function(locals) {
   // 3. Generate Individual Masonry Pages with EXIF processing
   // Masonry reactions config: pass only config data for the frontend client.
   // All reaction data is fetched LIVE from giscus.app API by the client script.
+  // In mock mode the worker's fixtures stand in for GitHub, so no PAT is needed.
   const giscusConfig = hexo.theme.config?.comment?.config?.giscus || {};
+  const giscusMock = giscusConfig.mock === true;
   const hasGiscusReactions =
     commentEnabled &&
     giscusConfig.repo &&
     giscusConfig.category &&
     giscusConfig.proxy &&
-    giscusConfig.author_pat;
+    (giscusConfig.author_pat || giscusMock);
 
-  categories.forEach(category => {
-    category.list.forEach(item => {
+  const pageTemplates = hexo.theme.config.page_templates || {};
+
+  loadMediaCache(hexo);
+
+  for (const category of categories) {
+    for (const item of category.list) {
         if (item.images && item.images.length > 0) {
             const pageTitle = item['page-title'] || item.name;
             const pagePath = `masonry/${pageTitle}/`;
             const pageAutoExif = item['auto-exif'] || false;
-            const processedImages = item.images.map(img => processImage(img, pageAutoExif));
+            const policy = resolvePolicy(hexo, pageTitle);
+            const processedImages = [];
+
+            // One clip at a time: ffmpeg already uses every core
+            for (const img of item.images) {
+                const withheld = withheldStillRoute(hexo, img, policy);
+                if (withheld) withheldStills.add(withheld);
+                const media = await describeMedia(hexo, img, policy);
+                if (media && media.poster) {
+                    const posterFile = media.poster.file;
+                    pages.push({ path: media.poster.route, data: () => fs.createReadStream(posterFile) });
+                }
+                if (media && media.clip) {
+                    const clipFile = media.clip.file;
+                    pages.push({ path: media.clip.route, data: () => fs.createReadStream(clipFile) });
+                }
+                // Nothing a browser can show in the grid (no poster, HEIC still)
+                if (media && !media.poster && (!img.image || /\.hei[cf]$/i.test(String(img.image)))) {
+                    hexo.log.warn(`[masonry] No poster for ${img.video || img.live}, skipped.`);
+                    continue;
+                }
+                processedImages.push(processImage(img, pageAutoExif, policy, media));
+            }
 
             // Collect image IDs for the frontend client
             const imageIds = item.images.map(img => img.image).filter(Boolean);
 
-            pages.push({
-                path: `masonry/${pageTitle}/index.html`,
-                data: {
-                    type: 'masonry',
-                    title: item['page-title'] || item.name,
-                    images: processedImages,
-                    content: '',
-                    layout: 'page',
-                    comment: commentEnabled,
-                    // Masonry reactions config for the frontend client
-                    // Only includes config data; reaction counts are fetched live
-                    masonryReactions: hasGiscusReactions ? {
-                        repo: giscusConfig.repo,
-                        category: giscusConfig.category || 'General',
-                        discussionTerm: `[masonry-reactions] ${pagePath}`,
-                        imageIds: imageIds,
-                        giscusProxy: (giscusConfig.proxy || '').replace(/\/+$/, '') || null,
-                    } : null,
-                },
-                layout: 'page'
-            });
+            // Album order, restored by the toolbar's default sort
+            processedImages.forEach((img, index) => { img.index = index; });
+
+            const albumToolbar = {
+                total: processedImages.length,
+                facets: buildFacets(processedImages, Array.isArray(item.filters) ? item.filters : FILTER_GROUPS),
+                // The photo map loads every page, so its count is the album's
+                geotagged: processedImages.filter(img => img.location).length,
+            };
+
+            const perPage = item.per_page ?? pageTemplates.masonry_per_page;
+            for (const page of paginateAlbum(processedImages, perPage, pagePath)) {
+                pages.push({
+                    path: `${page.path}index.html`,
+                    data: {
+                        type: 'masonry',
+                        title: item['page-title'] || item.name,
+                        images: page.images,
+                        content: '',
+                        layout: 'page',
+                        // One comment thread per album, on its first page
+                        comment: commentEnabled && page.current === 1,
+                        // Read by the paginator helper
+                        base: pagePath,
+                        current: page.current,
+                        total: page.total,
+                        prev_link: page.prev_link,
+                        next_link: page.next_link,
+                        masonryAlbum: albumToolbar,
+                        // Masonry reactions config for the frontend client
+                        // Only includes config data; reaction counts are fetched live
+                        masonryReactions: hasGiscusReactions ? {
+                            repo: giscusConfig.repo,
+                            category: giscusConfig.category || 'General',
+                            discussionTerm: `[masonry-reactions] ${pagePath}`,
+                            imageIds: imageIds,
+                            giscusProxy: (giscusConfig.proxy || '').replace(/\/+$/, '') || null,
+                            mock: giscusMock,
+                        } : null,
+                    },
+                    layout: 'page'
+                });
+            }
         }
-    });
-  });
+    }
+  }
 
+  saveMediaCache(hexo);
   return pages;
 });
+
+// The asset generator routes every file under source/ (generators' routes are
+// set together), so withheld stills are dropped afterwards, along with copies
+// an earlier build left in public/.
+hexo.extend.filter.register('after_generate', function() {
+  for (const route of withheldStills) {
+    hexo.route.remove(route);
+    if (!hexo.public_dir) continue;
+    try {
+      fs.unlinkSync(path.join(hexo.public_dir, route));
+    } catch (e) {}
+  }
+});
@@ -526,6 +526,10 @@ async function processPage(
 hexo.extend.filter.register("before_generate", async function () {
   const g = hexo.theme.config?.comment?.config?.giscus;
   if (!g) return;
+  if (g.mock === true) {
+    hexo.log.info("[masonry-reactions] Skipping: mock mode (the worker seeds discussions)");
+    return;
+  }
 
   const { author_pat: pat, repo, repo_id: repoId, category_id: catId, proxy } = g;
   if (!pat || !repo || !repoId || !catId || !proxy) {
@@ -0,0 +1,109 @@
+"use strict";
+
+/**
+ * Photography stats page (page_templates.photo_stats): camera bodies,
+ * lenses, focal lengths, apertures, ISO and shots over time of every photo
+ * the site shows an EXIF card for —
+ *
+ *   - the photos of the masonry albums (_data/masonry.yml, folder albums
+ *     included), with each album's auto-exif and privacy options;
+ *   - the {% exifimage %} figures of posts and pages (password-protected
+ *     ones excepted), read from their Markdown source.
+ *
+ * A photo shown in several places is counted once. Charts are rendered here
+ * as inline SVG (lib/photo-stats.js); the page is layout/pages/photo-stats.
+ */
+
+const { getPrimaryLanguage, getTranslator } = require("./filters/lib/exif");
+const {
+  parseArgs,
+  extractImageInfo,
+  extractCustomInfo,
+  resolveLocalImagePath,
+  findExifImageBlocks,
+} = require("./filters/lib/exifimage");
+const { resolvePolicy } = require("./filters/lib/image-privacy");
+const { resolveAlbumImages, resolveAlbumImageFile } = require("./filters/lib/masonry-albums");
+const { photoRecord, buildPhotoStats, renderBarChart, renderColumnChart } = require("./filters/lib/photo-stats");
+
+// Chart order on the page: [stats key, chart kind]
+const CHARTS = [
+  ["cameras", "bars"],
+  ["lenses", "bars"],
+  ["focal_length", "columns"],
+  ["aperture", "columns"],
+  ["iso", "columns"],
+  ["timeline", "columns"],
+];
+
+hexo.extend.generator.register("photo_stats", function (locals) {
+  const config = hexo.theme.config.page_templates?.photo_stats || {};
+  if (config.enable !== true) return [];
+
+  const t = getTranslator(hexo);
+  const locale = getPrimaryLanguage(hexo);
+  const records = [];
+  const seen = new Set();
+
+  function addPhoto(key, source) {
+    if (seen.has(key)) return;
+    seen.add(key);
+    records.push(photoRecord(source, t, locale));
+  }
+
+  // Masonry albums; clips have no EXIF card
+  const masonry = Array.isArray(locals.data.masonry) ? locals.data.masonry : [];
+  for (const category of masonry.filter(item => item.links_category)) {
+    for (const item of category.list || []) {
+      const policy = resolvePolicy(hexo, item["page-title"] || item.name);
+      for (const image of resolveAlbumImages(hexo, item)) {
+        if (!image.image || image.video) continue;
+        const autoExif = image["auto-exif"] !== undefined ? image["auto-exif"] : item["auto-exif"] || false;
+        const file = resolveAlbumImageFile(hexo, image.image);
+        addPhoto(file || image.image, { file, custom: image, autoExif, policy });
+      }
+    }
+  }
+
+  // {% exifimage %} figures of posts and pages
+  const policy = resolvePolicy(hexo);
+  for (const post of [...locals.posts.toArray(), ...locals.pages.toArray()]) {
+    if (post.password) continue;
+    for (const block of findExifImageBlocks(post._content)) {
+      const imageInfo = extractImageInfo(block.content);
+      if (!imageInfo) continue;
+      const { autoExif } = parseArgs(block.args);
+      const file = resolveLocalImagePath(imageInfo.path, hexo, post);
+      addPhoto(file || `${post.source}#${imageInfo.path}`, {
+        file,
+        custom: extractCustomInfo(block.content),
+        autoExif,
+        policy,
+      });
+    }
+  }
+
+  const stats = buildPhotoStats(records, {
+    top: Number(config.top) || 10,
+    otherLabel: t("photo_stats.other", "Other"),
+  });
+  const tooltip = row => `${row.label}: ${t("photo_stats.count", "%s photos", row.count)}`;
+  const charts = CHARTS.map(([name, kind]) => {
+    const title = t(`photo_stats.chart.${name}`, name);
+    const render = kind === "bars" ? renderBarChart : renderColumnChart;
+    return { name, title, svg: render(stats[name], { title, tooltip }) };
+  }).filter(chart => chart.svg);
+
+  const pagePath = String(config.path || "photo-stats").replace(/^\/+|\/+$/g, "");
+  return {
+    path: `${pagePath}/index.html`,
+    data: {
+      type: "photo-stats",
+      title: config.title || t("photo_stats.title", "Photography stats"),
+      content: "",
+      layout: "page",
+      photoStats: { summary: stats.summary, charts },
+    },
+    layout: "page",
+  };
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Search index generator — the theme's own replacement for
+ * hexo-generator-searchdb, consumed by source/js/tools/localSearch.js.
+ *
+ * Emits one compact JSON file (navbar.search.path) instead of every post body:
+ *
+ *   {
+ *     version: 1,
+ *     fields: ["title", "headings", "tags", "categories", "excerpt"],
+ *     docs:   [{ url, title, date, tags, categories, headings, excerpt, lengths }],
+ *     terms:  { "<term>": [doc, field, tf, doc, field, tf, ...] },
+ *     taxonomy: { tags: [{ name, url, count }], categories: [...] }
+ *   }
+ *
+ * `terms` is an inverted index over the tokenized fields: each posting is a
+ * (doc index, field index, term frequency) triple, and `lengths` holds each
+ * doc's token count per field, so the client can rank without re-tokenizing.
+ * `taxonomy` lists the tag and category pages (most posts first) for the
+ * command palette.
+ * CJK text is segmented with @node-rs/jieba (the same segmenter as the
+ * recommendation helper); without it, CJK runs fall back to overlapping
+ * character bigrams.
+ * The index itself (tokenizer, postings) is built by lib/search-index.js. Its
+ * text fields are plain text, not HTML: consumers escape them before display.
+ */
+
+const { buildIndex, hasJieba } = require("./filters/lib/search-index");
+
+const DEFAULT_EXCERPT_LENGTH = 300;
+
+function taxonomyPages(list, urlFor) {
+  return list
+    .toArray()
+    .filter((item) => item.length)
+    .sort((a, b) => b.length - a.length)
+    .map((item) => ({ name: item.name, url: urlFor(item.path), count: item.length }));
+}
+
+/* ==================== Generator ==================== */
+
+hexo.extend.generator.register("search_index", function (locals) {
+  const cfg = hexo.theme.config.navbar?.search || {};
+  if (!cfg.enable || !cfg.path) return [];
+
+  const urlFor = hexo.extend.helper.get("url_for").bind(hexo);
+  const excerptLength =
+    parseInt(cfg.excerpt_length, 10) || DEFAULT_EXCERPT_LENGTH;
+
+  let items = locals.posts.filter((post) => post.published !== false).toArray();
+  if (cfg.pages) items = items.concat(locals.pages.toArray());
+  items = items
+    .filter((item) => item.title && item.search !== false)
+    .sort((a, b) => b.date - a.date);
+
+  if (!hasJieba()) {
+    hexo.log.debug(
+      "[search] @node-rs/jieba not found — CJK text is indexed as bigrams",
+    );
+  }
+
+  return {
+    path: cfg.path.replace(/^\/+/, ""),
+    data: JSON.stringify({
+      ...buildIndex(items, excerptLength, urlFor),
+      taxonomy: {
+        tags: taxonomyPages(locals.tags, urlFor),
+        categories: taxonomyPages(locals.categories, urlFor),
+      },
+    }),
+  };
+});
@@ -474,6 +474,11 @@ function mInstallListeners() {
     mRefreshItems();
     mRequestUpdate();
   });
+  // Pages appended by masonry.js (infinite scroll)
+  document.addEventListener("masonry:items-added", () => {
+    mRefreshItems();
+    mRequestUpdate();
+  });
 
   // Click outside masonry photo / heart button → 5 s cooldown
   document.addEventListener("click", (e) => {
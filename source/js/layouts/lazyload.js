@@ -7,6 +7,9 @@
  * - Single request per image, instant display
  * - Graceful error handling
  * - Optional preload for out-of-viewport images when network is idle
+ * - Blurred thumbnail / dominant color placeholders computed at build time
+ * - Responsive AVIF variants (srcset) sized to the preloader's real width
+ * - WebP/original fallback for browsers without AVIF support
  */
 
 export const loadedPreloaders = new WeakSet();
@@ -18,6 +21,12 @@ let preloadQueue = [];
 let isPreloading = false;
 let isUserScrolling = false;
 let userScrollTimeout = null;
+// AVIF src -> { src, srcset } of its img-optimizer fallback (data-fallback-*)
+const fallbackSources = new Map();
+let avifSupport = null;
+
+// 1x1 AVIF, decoded only by browsers that support the format
+const AVIF_PROBE = "data:image/avif;base64,AAAAHGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZgAAAOptZXRhAAAAAAAAACFoZGxyAAAAAAAAAABwaWN0AAAAAAAAAAAAAAAAAAAAAA5waXRtAAAAAAABAAAAImlsb2MAAAAAREAAAQABAAAAAAEOAAEAAAAAAAAAFwAAACNpaW5mAAAAAAABAAAAFWluZmUCAAAAAAEAAGF2MDEAAAAAamlwcnAAAABLaXBjbwAAABNjb2xybmNseAABAA0ABoAAAAAMYXYxQ4EgAgAAAAAUaXNwZQAAAAAAAAABAAAAAQAAABBwaXhpAAAAAAMICAgAAAAXaXBtYQAAAAAAAAABAAEEAYIDBAAAAB9tZGF0EgAKBzgADlAQ0GkyChyAAABAAACwE3I=";
 
 /**
  * Check if URL is same-origin
@@ -33,11 +42,16 @@ function isSameOrigin(url) {
 
 /**
  * Load image - simple and direct
+ * With a srcset, the browser picks the candidate for `sizes`.
  */
-function loadImage(src, alt) {
+function loadImage(src, alt, srcset, sizes) {
   return new Promise((resolve, reject) => {
     const img = new Image();
     img.alt = alt;
+    if (srcset) {
+      img.sizes = sizes || "100vw";
+      img.srcset = srcset;
+    }
     
     // Only set crossOrigin for same-origin images to avoid CORS issues
     if (isSameOrigin(src)) {
@@ -51,11 +65,45 @@ function loadImage(src, alt) {
   });
 }
 
-async function ensureImageCached(src, alt) {
+/**
+ * Whether the browser decodes AVIF (probed once per page load)
+ */
+function supportsAvif() {
+  if (!avifSupport) {
+    avifSupport = new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => resolve(img.width > 0);
+      img.onerror = () => resolve(false);
+      img.src = AVIF_PROBE;
+    });
+  }
+  return avifSupport;
+}
+
+function registerFallback(preloader) {
+  const { src, fallbackSrc, fallbackSrcset } = preloader.dataset;
+  if (src && fallbackSrc) {
+    fallbackSources.set(src, { src: fallbackSrc, srcset: fallbackSrcset || "" });
+  }
+}
+
+/**
+ * Sources to actually fetch for `src`: its fallback when the browser can't
+ * decode AVIF. Caches stay keyed by the AVIF src the callers know.
+ */
+async function pickSources(src, srcset) {
+  const fallback = fallbackSources.get(src);
+  if (!fallback || (await supportsAvif())) return { src, srcset };
+  return fallback;
+}
+
+async function ensureImageCached(src, alt, srcset, sizes) {
   if (preloadedImages.has(src)) return preloadedImages.get(src);
   if (inflightLoads.has(src)) return inflightLoads.get(src);
 
-  const p = loadImage(src, alt).then((img) => {
+  const p = pickSources(src, srcset).then((picked) =>
+    loadImage(picked.src, alt, picked.srcset, sizes)
+  ).then((img) => {
     preloadedImages.set(src, img);
     inflightLoads.delete(src);
     return img;
@@ -67,8 +115,8 @@ async function ensureImageCached(src, alt) {
   return p;
 }
 
-export async function requestImageBySrc(src, alt = "") {
-  const img = await ensureImageCached(src, alt);
+export async function requestImageBySrc(src, alt = "", srcset = "", sizes = "") {
+  const img = await ensureImageCached(src, alt, srcset, sizes);
   if (alt) img.alt = alt;
   if (preloadedImages.get(src) === img) preloadedImages.delete(src);
   return img;
@@ -88,10 +136,40 @@ export function transformPreloaderToImage(preloader, img) {
   // Mark
   img.classList.add("img-preloader-loaded");
   img.dataset.originalSrc = preloader.dataset.src;
+  if (preloader.dataset.fullSrc) img.dataset.fullSrc = preloader.dataset.fullSrc;
   
   return img;
 }
 
+/**
+ * srcset candidates of a preloader, with `sizes` set to the width it is laid
+ * out at (the build-time `data-sizes` when it isn't laid out, e.g. in a
+ * hidden tab), so the smallest sufficient variant is fetched.
+ */
+function preloaderSources(preloader) {
+  const srcset = preloader.dataset.srcset || "";
+  if (!srcset) return { srcset, sizes: "" };
+  const width = Math.ceil(preloader.getBoundingClientRect().width);
+  return { srcset, sizes: width > 0 ? `${width}px` : preloader.dataset.sizes || "" };
+}
+
+/**
+ * Paint the build-time placeholder (lazyload-handle.js data-color / data-lqip)
+ * in place of the shimmer until the real image replaces the preloader.
+ */
+function paintPlaceholder(preloader) {
+  const { color, lqip } = preloader.dataset;
+  if (!color && !lqip) return;
+  if (color) preloader.style.backgroundColor = color;
+  if (lqip) {
+    const blur = document.createElement("div");
+    blur.className = "img-preloader-lqip";
+    blur.style.backgroundImage = `url("${lqip}")`;
+    preloader.insertBefore(blur, preloader.querySelector(".img-preloader-skeleton"));
+  }
+  preloader.classList.add("img-preloader-painted");
+}
+
 /**
  * Replace preloader with loaded image
  */
@@ -114,6 +192,9 @@ function showError(preloader, src) {
   const shim = preloader.querySelector(".img-preloader-shim");
   if (shim) shim.remove();
 
+  preloader.classList.remove("img-preloader-painted");
+  preloader.style.removeProperty("background-color");
+  preloader.querySelector(".img-preloader-lqip")?.remove();
   preloader.classList.add("img-preloader-error");
   // Error state requirements: width 100%, height fit-content to show error message
   preloader.style.width = "100%";
@@ -145,12 +226,14 @@ async function processPreloader(preloader) {
   // Skip if already processed
   if (loadedPreloaders.has(preloader)) return;
   loadedPreloaders.add(preloader);
+  registerFallback(preloader);
   
   const src = preloader.dataset.src;
   const alt = preloader.dataset.alt || "";
+  const { srcset, sizes } = preloaderSources(preloader);
   
   try {
-    const img = await requestImageBySrc(src, alt);
+    const img = await requestImageBySrc(src, alt, srcset, sizes);
     replacePreloader(preloader, img);
   } catch (error) {
     console.error("[lazyload]", error);
@@ -171,7 +254,8 @@ async function preloadImageToCache(preloader) {
   }
   
   try {
-    await ensureImageCached(src, alt);
+    const { srcset, sizes } = preloaderSources(preloader);
+    await ensureImageCached(src, alt, srcset, sizes);
   } catch (error) {
     // Silently fail for preload, will show error when entering viewport
     console.warn("[lazyload preload]", error);
@@ -339,6 +423,8 @@ export default function initLazyLoad(config = {}) {
   const observer = getObserver();
   preloaders.forEach((preloader) => {
     preloader.dataset.observed = "true";
+    paintPlaceholder(preloader);
+    registerFallback(preloader);
     observer.observe(preloader);
   });
   
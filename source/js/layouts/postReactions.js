@@ -0,0 +1,173 @@
+/**
+ * Post reactions (`articles.reactions`).
+ *
+ * - Post pages: wires the `.article-reactions` bar from article-reactions.ejs —
+ *   loads counts + this visitor's own reactions, and toggles a reaction on click.
+ * - Home list (`show_on_home`): fills each card's `.home-article-reactions` with
+ *   the non-zero counts from batched summary requests (SUMMARY_BATCH posts each).
+ *
+ * Reactions are anonymous: a random visitor id is kept in localStorage and sent
+ * with every request so the worker can dedupe per visitor.
+ */
+const VISITOR_KEY = "REDEFINE-X-VISITOR-ID";
+// Posts per summary request — the worker's SUMMARY_MAX_PATHS.
+const SUMMARY_BATCH = 50;
+
+function reactionsConfig() {
+  return theme.articles.reactions || {};
+}
+
+function apiUrl() {
+  const url =
+    reactionsConfig().api_url || theme.home_banner?.instant_notes?.api_url;
+  return url ? String(url).replace(/\/+$/, "") : null;
+}
+
+function visitorId() {
+  let id = localStorage.getItem(VISITOR_KEY);
+  if (!id) {
+    id = window.crypto?.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 14)}`;
+    localStorage.setItem(VISITOR_KEY, id);
+  }
+  return id;
+}
+
+export default function initPostReactions() {
+  const api = apiUrl();
+  if (!api) return;
+
+  const bar = document.querySelector(".article-reactions");
+  if (bar && !bar.dataset.reactionsWired) {
+    bar.dataset.reactionsWired = "1";
+    initReactionBar(bar, api);
+  }
+
+  const cards = document.querySelectorAll(".home-article-reactions[data-reactions-path]");
+  if (cards.length) initHomeReactions(cards, api);
+}
+
+// ─── Post page bar ────────────────────────────────────────────────────────────
+async function initReactionBar(bar, api) {
+  const path = bar.dataset.reactionsPath;
+  const buttons = bar.querySelectorAll(".reaction-button");
+
+  buttons.forEach((btn) => {
+    btn.addEventListener("click", () => toggleReaction(bar, btn, api));
+  });
+
+  try {
+    const qs = new URLSearchParams({ path, visitor: visitorId() });
+    const r = await fetch(`${api}/api/reactions?${qs}`, { mode: "cors", cache: "no-cache" });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    paintBar(bar, await r.json());
+  } catch (e) {
+    console.warn("[Reactions] fetch failed:", e);
+    return;
+  }
+  buttons.forEach((btn) => (btn.disabled = false));
+}
+
+async function toggleReaction(bar, btn, api) {
+  if (bar.dataset.busy) return;
+  const on = !btn.classList.contains("is-active");
+  bar.dataset.busy = "1";
+
+  // Optimistic: flip the button right away, reconcile with the response.
+  const count = btn.querySelector(".reaction-count");
+  const before = parseInt(count.textContent, 10) || 0;
+  setButton(btn, Math.max(before + (on ? 1 : -1), 0), on);
+
+  try {
+    const r = await fetch(`${api}/api/reactions`, {
+      method: "POST",
+      mode: "cors",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        path: bar.dataset.reactionsPath,
+        type: btn.dataset.type,
+        visitor: visitorId(),
+        on,
+      }),
+    });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    paintBar(bar, await r.json());
+    if (on) {
+      btn.classList.remove("is-popping");
+      void btn.offsetWidth; // restart the animation
+      btn.classList.add("is-popping");
+    }
+  } catch (e) {
+    console.warn("[Reactions] update failed:", e);
+    setButton(btn, before, !on);
+  } finally {
+    delete bar.dataset.busy;
+  }
+}
+
+function paintBar(bar, data) {
+  const counts = data.counts || {};
+  const mine = data.mine || [];
+  bar.querySelectorAll(".reaction-button").forEach((btn) => {
+    const type = btn.dataset.type;
+    setButton(btn, counts[type] || 0, mine.includes(type));
+  });
+}
+
+function setButton(btn, count, active) {
+  btn.querySelector(".reaction-count").textContent = count ? String(count) : "";
+  btn.classList.toggle("is-active", active);
+  btn.setAttribute("aria-pressed", active ? "true" : "false");
+}
+
+// ─── Home cards ───────────────────────────────────────────────────────────────
+async function initHomeReactions(cards, api) {
+  const pending = [...cards].filter((el) => !el.dataset.reactionsWired);
+  if (!pending.length) return;
+  pending.forEach((el) => (el.dataset.reactionsWired = "1"));
+
+  const paths = [...new Set(pending.map((el) => el.dataset.reactionsPath))];
+  const batches = [];
+  for (let i = 0; i < paths.length; i += SUMMARY_BATCH) {
+    batches.push(paths.slice(i, i + SUMMARY_BATCH));
+  }
+
+  let summary;
+  try {
+    const parts = await Promise.all(
+      batches.map(async (batch) => {
+        const qs = new URLSearchParams();
+        batch.forEach((path) => qs.append("path", path));
+        const r = await fetch(`${api}/api/reactions/summary?${qs}`, { mode: "cors" });
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      }),
+    );
+    summary = Object.assign({}, ...parts);
+  } catch (e) {
+    console.warn("[Reactions] summary fetch failed:", e);
+    return;
+  }
+
+  // The worker keys the summary by its normalized (decoded) path.
+  const types = reactionsConfig().types || {};
+  pending.forEach((el) => {
+    let key = el.dataset.reactionsPath;
+    try {
+      key = decodeURI(key);
+    } catch (e) {}
+    const counts = summary[key];
+    if (!counts) return;
+
+    el.replaceChildren();
+    Object.keys(types).forEach((type) => {
+      if (!counts[type]) return;
+      const item = document.createElement("span");
+      item.className = "home-article-reaction";
+      item.textContent = `${types[type]} ${counts[type]}`;
+      el.appendChild(item);
+    });
+    el.hidden = !el.childElementCount;
+  });
+}
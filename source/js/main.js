@@ -4,12 +4,18 @@ import initTyped from "./plugins/typed.js";
 import initModeToggle from "./tools/lightDarkSwitch.js";
 import initScrollTopBottom from "./tools/scrollTopBottom.js";
 import initLocalSearch from "./tools/localSearch.js";
+import initCommandPalette from "./tools/commandPalette.js";
+import initSearchHighlight from "./tools/searchHighlight.js";
 import initCopyCode from "./tools/codeBlock.js";
 import initBookmarkNav from "./layouts/bookmarkNav.js";
 import initLazyLoad from "./layouts/lazyload.js";
 import initAutoHover from "./layouts/autoHover.js";
 import initMathJaxScroll from "./plugins/mathjax-scroll.js";
 import initInstantNotes from "./plugins/instantNotes.js";
+import initNotesArchive from "./plugins/instant-notes-archive.js";
+import initWebsiteCounter from "./tools/websiteCounter.js";
+import initPostReactions from "./layouts/postReactions.js";
+import initPhotoMap from "./plugins/photoMap.js";
 import { initNotoAnim } from "./plugins/noto-anim.js";
 
 export const main = {
@@ -73,6 +79,11 @@ export const main = {
 
     if (theme.navbar.search.enable === true) {
       initLocalSearch();
+      initSearchHighlight();
+    }
+
+    if (theme.navbar.command_palette?.enable === true) {
+      initCommandPalette();
     }
 
     if (theme.articles.code_block.copy === true) {
@@ -87,6 +98,23 @@ export const main = {
 
     initAutoHover();
 
+    // Self-hosted PV/UV counter (the vercount provider is a footer <script>)
+    if (
+      theme.global.website_counter?.enable === true &&
+      theme.global.website_counter.provider === "worker"
+    ) {
+      initWebsiteCounter();
+    }
+
+    if (theme.articles.reactions?.enable === true) {
+      initPostReactions();
+    }
+
+    // Map of geotagged photos (masonry albums, {% exifimage %} posts)
+    if (theme.plugins.photo_map?.enable === true) {
+      initPhotoMap();
+    }
+
     initMathJaxScroll();
 
     // Noto animated emoji: wire post-content emoji spans for viewport-scoped
@@ -100,6 +128,11 @@ export const main = {
     ) {
       initInstantNotes();
     }
+
+    // Instant Notes archive page (`type: notes`) — full, paginated history
+    if (theme.home_banner?.instant_notes?.api_url) {
+      initNotesArchive();
+    }
   },
 };
 
@@ -0,0 +1,189 @@
+/**
+ * Instant Notes – archive page (the `notes` page type).
+ *
+ * Renders the FULL note history as a day-grouped timeline, paging through the
+ * worker's cursor-paginated `GET /api/notes/archive`. Each note reuses the
+ * banner's bubble (createBubble) so colours, emoji badges and Noto animation
+ * look identical; `.is-archived` switches it from absolute/hidden banner
+ * positioning to normal flow (see _partials/notes-archive.styl).
+ *
+ * Paging is driven by an IntersectionObserver on the "Load more" button (which
+ * also works as a plain click target), so the history streams in as you scroll.
+ * Status texts come translated from the page's data-text-* attributes.
+ */
+import { createBubble, noteTime } from "./instant-notes-bubble.js";
+import { initNotoAnim } from "./noto-anim.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// ─── Entry point ──────────────────────────────────────────────────────────────
+export default function initNotesArchive() {
+  const root = document.getElementById("instant-notes-archive");
+  if (!root || root.dataset.archiveWired) return;
+
+  const apiUrl = theme.home_banner?.instant_notes?.api_url;
+  if (!apiUrl) return;
+  root.dataset.archiveWired = "1";
+
+  const state = {
+    root,
+    apiUrl,
+    pageSize: parseInt(root.dataset.pageSize, 10) || DEFAULT_PAGE_SIZE,
+    text: {
+      loadMore: root.dataset.textLoadMore || "Load more",
+      loading: root.dataset.textLoading || "Loading…",
+      retry: root.dataset.textRetry || "Retry",
+      error: root.dataset.textError || "Couldn't load notes.",
+      end: root.dataset.textEnd || "That's all.",
+      empty: root.dataset.textEmpty || "No notes yet.",
+    },
+    cursor: null,
+    done: false,
+    loading: false,
+    lastDay: null,
+    timeline: root.querySelector(".notes-archive-timeline"),
+    more: root.querySelector(".notes-archive-more"),
+    message: root.querySelector(".notes-archive-message"),
+  };
+
+  state.more.addEventListener("click", () => loadPage(state));
+
+  if ("IntersectionObserver" in window) {
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((e) => e.isIntersecting)) loadPage(state);
+      },
+      { rootMargin: "200px 0px" },
+    );
+    io.observe(state.more);
+    state.observer = io;
+  }
+
+  loadPage(state);
+}
+
+// ─── Fetch ────────────────────────────────────────────────────────────────────
+async function fetchArchivePage(apiUrl, cursor, limit) {
+  const qs = new URLSearchParams({ limit: String(limit) });
+  if (cursor) qs.set("cursor", cursor);
+  const r = await fetch(`${apiUrl}/api/notes/archive?${qs}`, { mode: "cors", cache: "no-cache" });
+  if (!r.ok) throw new Error(`HTTP ${r.status}`);
+  const d = await r.json();
+  return { notes: Array.isArray(d.notes) ? d.notes : [], nextCursor: d.nextCursor || null };
+}
+
+async function loadPage(state) {
+  if (state.loading || state.done) return;
+  // The page was swapped out by swup mid-scroll — stop paging a detached tree.
+  if (!state.root.isConnected) {
+    if (state.observer) state.observer.disconnect();
+    return;
+  }
+  state.loading = true;
+  setStatus(state, state.text.loading, false);
+
+  try {
+    const page = await fetchArchivePage(state.apiUrl, state.cursor, state.pageSize);
+    appendNotes(state, page.notes);
+    state.cursor = page.nextCursor;
+    state.done = !page.nextCursor;
+  } catch (e) {
+    console.warn("[InstantNotes] archive fetch failed:", e);
+    state.loading = false;
+    setStatus(state, state.text.error, true);
+    state.more.textContent = state.text.retry;
+    return;
+  }
+
+  state.loading = false;
+  state.more.textContent = state.text.loadMore;
+  if (!state.done) {
+    setStatus(state, "", true);
+  } else {
+    if (state.observer) state.observer.disconnect();
+    setStatus(state, state.timeline.children.length ? state.text.end : state.text.empty, false);
+  }
+}
+
+function setStatus(state, text, showMore) {
+  state.message.textContent = text;
+  state.message.hidden = !text;
+  state.more.hidden = !showMore;
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+// Notes arrive newest-first, so a day group only ever continues across a page
+// boundary at its END — reuse the last group's list when the day matches.
+function appendNotes(state, notes) {
+  notes.forEach((note) => {
+    const at = noteTime(note);
+    const day = dayKey(at);
+    let list = state.timeline.lastElementChild?.querySelector(".notes-archive-items");
+    if (day !== state.lastDay || !list) {
+      list = createDayGroup(state.timeline, at);
+      state.lastDay = day;
+    }
+    list.appendChild(createArchiveItem(note));
+  });
+  // Bubbles were built after the page-level emoji scan — re-scan (idempotent).
+  initNotoAnim();
+}
+
+function createDayGroup(timeline, iso) {
+  const li = document.createElement("li");
+  li.className = "notes-archive-day";
+
+  const label = document.createElement("time");
+  label.className = "notes-archive-date";
+  label.dateTime = iso;
+  label.textContent = formatDay(iso);
+  li.appendChild(label);
+
+  const list = document.createElement("div");
+  list.className = "notes-archive-items";
+  li.appendChild(list);
+
+  timeline.appendChild(li);
+  return list;
+}
+
+function createArchiveItem(note) {
+  const el = createBubble(note, false);
+  el.classList.remove("is-entering");
+  el.classList.add("is-archived");
+  // The banner shows a relative age ("3d"); history reads better with a clock time.
+  const tm = el.querySelector(".instant-note-time");
+  if (tm) {
+    tm.textContent = formatTime(noteTime(note));
+    tm.title = new Date(noteTime(note)).toLocaleString(locale());
+  }
+  return el;
+}
+
+// ─── Date formatting ──────────────────────────────────────────────────────────
+function locale() {
+  return (window.config && config.language) || undefined;
+}
+
+function dayKey(iso) {
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${d.getMonth()}-${d.getDate()}`;
+}
+
+function formatDay(iso) {
+  try {
+    return new Date(iso).toLocaleDateString(locale(), {
+      year: "numeric", month: "long", day: "numeric", weekday: "short",
+    });
+  } catch (e) {
+    return new Date(iso).toDateString();
+  }
+}
+
+function formatTime(iso) {
+  try {
+    return new Date(iso).toLocaleTimeString(locale(), { hour: "2-digit", minute: "2-digit" });
+  } catch (e) {
+    return "";
+  }
+}
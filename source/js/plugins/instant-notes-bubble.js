@@ -5,9 +5,26 @@ import {
 import { attachNotoEmoji, detachNotoEmoji } from "./noto-anim.js";
 
 // ─── Bubble state helpers ─────────────────────────────────────────────────────
+// When a note went (or goes) live: its scheduled publish time, falling back to
+// creation for notes stored before scheduling existed.
+export function noteTime(note) {
+  return (note && (note.publish_at || note.created_at)) || null;
+}
+
+// "scheduled" (publish_at still ahead), "active" (inside its visibility window)
+// or "expired" (past expires_at, or the default window when it has none).
+export function noteStatus(note) {
+  const start = noteTime(note);
+  if (!start) return "active";
+  const now = Date.now();
+  const t = new Date(start).getTime();
+  if (t > now) return "scheduled";
+  const end = note.expires_at ? new Date(note.expires_at).getTime() : t + ACTIVE_WINDOW_MS;
+  return now < end ? "active" : "expired";
+}
+
 export function isNoteActive(note) {
-  if (!note || !note.created_at) return true;
-  return Date.now() - new Date(note.created_at).getTime() < ACTIVE_WINDOW_MS;
+  return noteStatus(note) === "active";
 }
 
 export function bubbleHasEmoji(el) {
@@ -62,7 +79,7 @@ export function createBubble(note, isNewest) {
 
   const tm = document.createElement("span");
   tm.className = "instant-note-time";
-  tm.textContent = timeAgo(note.created_at);
+  tm.textContent = timeAgo(noteTime(note));
   card.appendChild(tm);
 
   wrap.appendChild(card);
@@ -1,8 +1,8 @@
 /**
- * Instant Notes — emoji & colour selectors.
+ * Instant Notes — emoji, colour & schedule selectors.
  *
  * Replaces the old raw inputs (text emoji field, native <input type=color>,
- * "default" checkbox) with two sleek trigger buttons that open frosted-glass
+ * "default" checkbox) with sleek trigger buttons that open frosted-glass
  * popups anchored in the banner container:
  *
  *   • Emoji picker — the vendored emoji-mart build (/libs/emoji-mart), Noto
@@ -10,13 +10,20 @@
  *     header so the bubble can carry no emoji at all.
  *   • Colour picker — fully custom: SV area + hue slider + hex input + preset
  *     swatches, including a "Default" preset (theme-styled bubble).
+ *   • Schedule picker — publish time + expiry (datetime inputs with expiry
+ *     presets), so a note can be queued for later or kept up past 48h.
  *
  * Selection state lives on the host element (compose wrap / edited bubble) as
- * `host._selEmoji` ("" = none) and `host._selColor` ("default" or "#rrggbb").
+ * `host._selEmoji` ("" = none), `host._selColor` ("default" or "#rrggbb"),
+ * `host._selPublishAt` ("" = now) and `host._selExpiresAt` ("" = default
+ * window), the last two as ISO strings.
+ *
  * Popups share one open/close animation language with the bubbles (fade + blur
  * + glide) and self-close on outside click, Escape, or window resize.
  */
-import { GLIDE, FADE_BLUR, prefersReducedMotion } from "./instant-notes-utils.js";
+import {
+  GLIDE, FADE_BLUR, ACTIVE_WINDOW_MS, prefersReducedMotion,
+} from "./instant-notes-utils.js";
 import { setNotoEmoji, clearNotoEmoji } from "./instant-notes-bubble.js";
 
 const EMOJI_MART_BASE = "/libs/emoji-mart";
@@ -373,14 +380,127 @@ export function openColorPicker(panel, host, anchor) {
   revealPopup(pop);
 }
 
+// ─── Schedule picker popup (publish time + expiry) ─────────────────────────────
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expiry presets, relative to the publish time. `0` = the default window.
+const EXPIRY_PRESETS = [
+  ["48h", 0],
+  ["1 day", DAY_MS],
+  ["1 week", 7 * DAY_MS],
+  ["1 month", 30 * DAY_MS],
+];
+
+// <input type=datetime-local> speaks local wall-clock "YYYY-MM-DDTHH:MM".
+function isoToLocalInput(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  const p = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}T${p(d.getHours())}:${p(d.getMinutes())}`;
+}
+function localInputToIso(v) {
+  if (!v) return "";
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? "" : d.toISOString();
+}
+
+export function openSchedulePicker(panel, host, anchor) {
+  if (panel._pickerPop && panel._pickerPop._for === anchor) {
+    closePickerPopup(panel);
+    return;
+  }
+  const pop = openPopup(panel, anchor, "ni-popup-schedule");
+
+  pop.innerHTML =
+    '<label class="ni-sch-field">' +
+    '  <span class="ni-sch-label">Publish</span>' +
+    '  <input class="ni-sch-input ni-sch-publish" type="datetime-local" aria-label="Publish at" />' +
+    "</label>" +
+    '<label class="ni-sch-field">' +
+    '  <span class="ni-sch-label">Expires</span>' +
+    '  <input class="ni-sch-input ni-sch-expires" type="datetime-local" aria-label="Expires at" />' +
+    "</label>" +
+    '<div class="ni-sch-presets"></div>' +
+    '<p class="ni-sch-hint">Empty publish = now · empty expiry = 48h after publish.</p>' +
+    '<div class="ni-cp-row">' +
+    '  <button type="button" class="ni-sch-reset">Reset</button>' +
+    '  <button type="button" class="ni-cp-apply">Apply</button>' +
+    "</div>";
+
+  const publish = pop.querySelector(".ni-sch-publish");
+  const expires = pop.querySelector(".ni-sch-expires");
+  const presets = pop.querySelector(".ni-sch-presets");
+  publish.value = isoToLocalInput(host._selPublishAt);
+  expires.value = isoToLocalInput(host._selExpiresAt);
+  [publish, expires].forEach((inp) => {
+    inp.addEventListener("click", (e) => e.stopPropagation());
+    inp.addEventListener("input", () => inp.classList.remove("is-invalid"));
+  });
+
+  const publishMs = () => {
+    const iso = localInputToIso(publish.value);
+    return iso ? new Date(iso).getTime() : Date.now();
+  };
+
+  EXPIRY_PRESETS.forEach(([label, ms]) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.textContent = label;
+    b.addEventListener("click", (e) => {
+      e.stopPropagation();
+      expires.classList.remove("is-invalid");
+      expires.value = ms ? isoToLocalInput(new Date(publishMs() + ms).toISOString()) : "";
+    });
+    presets.appendChild(b);
+  });
+
+  pop.querySelector(".ni-sch-reset").addEventListener("click", (e) => {
+    e.stopPropagation();
+    setSelSchedule(host, "", "");
+    closePickerPopup(panel);
+  });
+
+  pop.querySelector(".ni-cp-apply").addEventListener("click", (e) => {
+    e.stopPropagation();
+    const publishAt = localInputToIso(publish.value);
+    const expiresAt = localInputToIso(expires.value);
+    // Same rule the worker enforces: a note must expire after it publishes.
+    if (expiresAt && new Date(expiresAt).getTime() <= publishMs()) {
+      expires.classList.add("is-invalid");
+      return;
+    }
+    setSelSchedule(host, publishAt, expiresAt);
+    closePickerPopup(panel);
+  });
+
+  revealPopup(pop);
+}
+
+function describeSchedule(host) {
+  const parts = [];
+  if (host._selPublishAt && new Date(host._selPublishAt).getTime() > Date.now()) {
+    parts.push(`Publishes ${new Date(host._selPublishAt).toLocaleString()}`);
+  }
+  if (host._selExpiresAt) {
+    parts.push(`Expires ${new Date(host._selExpiresAt).toLocaleString()}`);
+  } else {
+    parts.push(`Expires ${ACTIVE_WINDOW_MS / 3600000}h after publish`);
+  }
+  return parts.join(" · ");
+}
+
 // ─── Trigger wiring + state ────────────────────────────────────────────────────
 export function wireSelector(panel, rootEl, host, initial) {
   host._selEmoji = initial.emoji || "";
   host._selColor = initial.color || "default";
+  host._selPublishAt = initial.publishAt || "";
+  host._selExpiresAt = initial.expiresAt || "";
   const eBtn = rootEl.querySelector(".ni-emoji-btn");
   const cBtn = rootEl.querySelector(".ni-color-btn");
+  const sBtn = rootEl.querySelector(".ni-schedule-btn");
   host._selEmojiBtn = eBtn;
   host._selColorBtn = cBtn;
+  host._selScheduleBtn = sBtn;
   if (eBtn) {
     eBtn.addEventListener("click", (e) => {
       e.stopPropagation();
@@ -393,6 +513,12 @@ export function wireSelector(panel, rootEl, host, initial) {
       openColorPicker(panel, host, cBtn);
     });
   }
+  if (sBtn) {
+    sBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      openSchedulePicker(panel, host, sBtn);
+    });
+  }
   refreshSelectorButtons(host);
 }
 
@@ -422,6 +548,12 @@ export function refreshSelectorButtons(host) {
       cBtn.classList.add("is-default"); // CSS shows the hue-ring "auto" dot
     }
   }
+  const sBtn = host._selScheduleBtn;
+  if (sBtn) {
+    sBtn.innerHTML = '<i class="fa-solid fa-clock"></i>';
+    sBtn.classList.toggle("has-schedule", !!(host._selPublishAt || host._selExpiresAt));
+    sBtn.title = describeSchedule(host);
+  }
 }
 
 function setSelEmoji(host, v) {
@@ -432,3 +564,8 @@ function setSelColor(host, v) {
   host._selColor = v;
   refreshSelectorButtons(host);
 }
+function setSelSchedule(host, publishAt, expiresAt) {
+  host._selPublishAt = publishAt;
+  host._selExpiresAt = expiresAt;
+  refreshSelectorButtons(host);
+}
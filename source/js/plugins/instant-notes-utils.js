@@ -18,10 +18,17 @@ export function contrastTextColor(bgHex) {
 }
 
 // ─── Time formatting ──────────────────────────────────────────────────────────
+// Compact age ("5m", "3h", "2d"); future times (scheduled notes, admin only)
+// read as a countdown ("in 3h").
 export function timeAgo(iso) {
   const diff = Date.now() - new Date(iso).getTime();
+  if (diff < -60000) return `in ${compactSpan(-diff)}`;
   const mins = Math.floor(diff / 60000);
   if (mins < 1) return "now";
+  return compactSpan(diff);
+}
+function compactSpan(ms) {
+  const mins = Math.floor(ms / 60000);
   if (mins < 60) return `${mins}m`;
   const hrs = Math.floor(mins / 60);
   if (hrs < 24) return `${hrs}h`;
@@ -70,6 +77,7 @@ export const STATUS_LEFT_RESERVE = 68;
 export const EMOJI_TOP_EXTRA = 15;
 export const EMOJI_W_PAD = 34;
 export const EXPAND_FILL_RATIO = 0.8;
+// Default visibility window after publish_at (a note's own expires_at overrides it).
 export const ACTIVE_WINDOW_MS = 48 * 60 * 60 * 1000;
 export const WRAP_QUERY = "(max-width: 768px)";
 
@@ -22,7 +22,9 @@ import {
   repositionExpandedListInstant, expandedOrder,
   layoutCompactCompose, rebuildCompactWithFade,
 } from "./instant-notes-layout.js";
-import { createBubble, isNoteActive, clearWrap } from "./instant-notes-bubble.js";
+import {
+  createBubble, isNoteActive, noteStatus, clearWrap,
+} from "./instant-notes-bubble.js";
 import {
   wireSelector, refreshSelectorButtons, preloadEmojiMart,
 } from "./instant-notes-pickers.js";
@@ -319,12 +321,14 @@ function ensureInputBubble(panel) {
     '  <div class="ni-input-row">' +
     '    <button type="button" class="ni-pick ni-emoji-btn" title="Emoji"></button>' +
     '    <button type="button" class="ni-pick ni-color-btn" title="Bubble colour"></button>' +
+    '    <button type="button" class="ni-pick ni-schedule-btn" title="Schedule"></button>' +
     '    <button type="button" class="ni-post">Post</button>' +
     '  </div>' +
     "</div>";
   field.appendChild(wrap);
   panel._inputBubble = wrap;
-  // Emoji + colour selector triggers (popup pickers) — state on the wrap itself.
+  // Emoji / colour / schedule selector triggers (popup pickers) — state on the
+  // wrap itself.
   wireSelector(panel, wrap, wrap, { emoji: "", color: "default" });
 
   const inputTextarea = wrap.querySelector(".ni-input");
@@ -347,10 +351,18 @@ async function submitNewNote(panel, wrap) {
   const prev = post.textContent;
   post.textContent = "…";
   try {
-    await adminFetch(panel, "POST", "/api/admin/notes", { text, emoji, color });
+    const created = await adminFetch(panel, "POST", "/api/admin/notes", {
+      text,
+      emoji,
+      color,
+      publish_at: wrap._selPublishAt || null,
+      expires_at: wrap._selExpiresAt || null,
+    });
     wrap.querySelector(".ni-input").value = "";
     wrap._selEmoji = "";
     wrap._selColor = "default";
+    wrap._selPublishAt = "";
+    wrap._selExpiresAt = "";
     refreshSelectorButtons(wrap);
     post.textContent = prev;
     const all = await adminFetch(panel, "GET", "/api/admin/notes");
@@ -362,7 +374,7 @@ async function submitNewNote(panel, wrap) {
     } else if (panel._expanded && !prefersReducedMotion()) {
       // Seamless insert: the new bubble pops up from the bottom of the list while
       // the existing bubbles glide up — no global cross-fade reflow. (Problem 2.1.)
-      animatePostNote(panel, list);
+      animatePostNote(panel, list, created && created.id);
     } else {
       reconcileAdminNotes(panel, list);
       relayoutExpanded(panel);
@@ -381,15 +393,11 @@ async function submitNewNote(panel, wrap) {
 function decorateAdminBubble(panel, el) {
   if (el.querySelector(".instant-note-admin-actions")) {
     const badge = el.querySelector(".instant-note-status");
-    if (badge) {
-      badge.classList.toggle("is-expired", !el._active);
-      badge.textContent = el._active ? "active" : "expired";
-    }
+    if (badge) paintStatusBadge(badge, el._note);
     return;
   }
   const badge = document.createElement("span");
-  badge.className = "instant-note-status" + (el._active ? "" : " is-expired");
-  badge.textContent = el._active ? "active" : "expired";
+  paintStatusBadge(badge, el._note);
   el.appendChild(badge);
 
   const actions = document.createElement("div");
@@ -413,6 +421,13 @@ function decorateAdminBubble(panel, el) {
   el.addEventListener("click", (e) => e.stopPropagation());
 }
 
+// "active" / "expired" / "scheduled" — the badge colour follows the status.
+function paintStatusBadge(badge, note) {
+  const status = noteStatus(note);
+  badge.className = "instant-note-status" + (status === "active" ? "" : ` is-${status}`);
+  badge.textContent = status;
+}
+
 // Inline-edit grow-down animation.
 //
 // The card keeps its TOP anchored and unfolds DOWNWARD; the field bubbles below
@@ -627,6 +642,7 @@ function startInlineEdit(panel, el) {
     '<div class="ni-input-row">' +
     '  <button type="button" class="ni-pick ni-emoji-btn" title="Emoji"></button>' +
     '  <button type="button" class="ni-pick ni-color-btn" title="Bubble colour"></button>' +
+    '  <button type="button" class="ni-pick ni-schedule-btn" title="Schedule"></button>' +
     "  <button type='button' class='ni-save'>Save</button>" +
     "  <button type='button' class='ni-cancel'>Cancel</button>" +
     "</div>";
@@ -658,10 +674,12 @@ function startInlineEdit(panel, el) {
   const editDiv = card.querySelector(".ni-edit");
   const textarea = editDiv.querySelector(".ni-input");
   textarea.value = note.text || "";
-  // Emoji + colour selector triggers — state lives on the bubble element.
+  // Emoji / colour / schedule selector triggers — state lives on the bubble element.
   wireSelector(panel, editDiv, el, {
     emoji: note.emoji || "",
     color: note.color || "default",
+    publishAt: note.publish_at || "",
+    expiresAt: note.expires_at || "",
   });
   editDiv.querySelector(".ni-save").addEventListener("click", (e) => { e.stopPropagation(); saveInlineEdit(panel, el); });
   editDiv.querySelector(".ni-cancel").addEventListener("click", (e) => { e.stopPropagation(); cancelInlineEdit(panel, el); });
@@ -971,10 +989,16 @@ async function saveInlineEdit(panel, el) {
   if (!text) return;
   const id = el.dataset.noteId;
   const save = card.querySelector(".ni-save");
+  // An empty publish time leaves the stored one untouched (the key is dropped
+  // from the JSON); an empty expiry restores the default window.
+  const schedule = {
+    publish_at: el._selPublishAt || undefined,
+    expires_at: el._selExpiresAt || null,
+  };
   save.disabled = true;
   save.textContent = "…";
   try {
-    await adminFetch(panel, "PUT", `/api/admin/notes/${id}`, { text, emoji, color });
+    await adminFetch(panel, "PUT", `/api/admin/notes/${id}`, { text, emoji, color, ...schedule });
     _notesCache = null;
   } catch (e) {
     console.warn("[InstantNotes] edit failed:", e);
@@ -988,7 +1012,13 @@ async function saveInlineEdit(panel, el) {
   // pre-measure the post-save card, then morph the card from the edit form to
   // that exact size while neighbours glide and the change is baked in. (Problem 3.)
   const oldHasEmoji = !!(el._note && el._note.emoji);
-  const note = Object.assign({}, el._note, { text, emoji, color });
+  const note = Object.assign({}, el._note, {
+    text,
+    emoji,
+    color,
+    publish_at: schedule.publish_at || (el._note && el._note.publish_at),
+    expires_at: schedule.expires_at,
+  });
   const fresh = createBubble(note, false).querySelector(".bubble-card");
   const wrapW = el._savedWrapW || card.offsetWidth;
   const size = probeCardSize(fresh.className, fresh.innerHTML, wrapW);
@@ -1084,9 +1114,10 @@ function popInBubble(el) {
 }
 
 // New note: existing bubbles glide up keeping constant gaps, the new one pops in at
-// the bottom of the older stack. (Problem 2.1.)
-function animatePostNote(panel, notes) {
-  const newId = notes.length ? String(notes[0].id) : null;
+// the bottom of the older stack. (Problem 2.1.) `createdId` comes from the POST
+// response — a back-dated publish time means the new note need not sort first.
+function animatePostNote(panel, notes, createdId) {
+  const newId = createdId != null ? String(createdId) : (notes.length ? String(notes[0].id) : null);
   const before = captureBubbleRects(panel);
   reconcileAdminNotes(panel, notes);
   const field = repositionExpandedListInstant(panel);
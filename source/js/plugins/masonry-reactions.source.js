@@ -23,6 +23,9 @@
  * - Swup-compatible: registers page:view hook AFTER swup is initialized.
  * - sessionStorage caching to avoid redundant API calls during navigation.
  * - Pagination: fetches all comments (100/page) with minimum requests.
+ * - Mock mode (`comment.config.giscus.mock`, local development): the backend
+ *   worker's fixtures stand in for giscus.app and GitHub GraphQL. The page's
+ *   discussion is seeded on the worker first, replacing the build-time script.
  *
  * Build Steps (from project root):
  *   cd dev/giscus
@@ -72,6 +75,13 @@
         const config = getPageConfig();
         return config?.giscusProxy || GISCUS_ORIGIN;
     }
+    /**
+     * GitHub GraphQL endpoint, or the worker's fixture-backed stand-in in mock mode.
+     */
+    function getGraphQLEndpoint() {
+        const config = getPageConfig();
+        return config?.mock ? `${getGiscusApiBase()}/api/mock/graphql` : GITHUB_GRAPHQL_API;
+    }
     /* ==================== Token Management ==================== */
     // Token exchange, login URL and OAuth-callback session sync live in the
     // shared window.blogAuth component — see init()/handleHeartClick below.
@@ -135,6 +145,26 @@
         }
         return allComments;
     }
+    /**
+     * Mock mode only: create this page's discussion (one comment per image) on
+     * the worker, as scripts/masonry-reactions.js does on GitHub at build time.
+     * Idempotent, so it is safe to call on every live fetch.
+     */
+    async function seedMockDiscussion(config) {
+        try {
+            await fetch(`${getGiscusApiBase()}/api/mock/discussions`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                    term: config.discussionTerm,
+                    imageIds: config.imageIds,
+                }),
+            });
+        }
+        catch (err) {
+            console.warn("[masonry-reactions] Mock seed failed:", err);
+        }
+    }
     /* ==================== GitHub GraphQL (Auth Only) ==================== */
     /**
      * Batch-check viewerHasReacted for multiple comments via GitHub GraphQL.
@@ -152,7 +182,7 @@
                 .map((id, j) => `c${j}: node(id: "${id}") { ... on DiscussionComment { id reactionGroups { content viewerHasReacted } } }`)
                 .join("\n");
             try {
-                const res = await fetch(GITHUB_GRAPHQL_API, {
+                const res = await fetch(getGraphQLEndpoint(), {
                     method: "POST",
                     headers: {
                         Authorization: `Bearer ${token}`,
@@ -186,7 +216,7 @@
     async function toggleHeartReaction(token, commentId, hasReacted) {
         const mode = hasReacted ? "remove" : "add";
         try {
-            const res = await fetch(GITHUB_GRAPHQL_API, {
+            const res = await fetch(getGraphQLEndpoint(), {
                 method: "POST",
                 headers: {
                     Authorization: `Bearer ${token}`,
@@ -381,6 +411,7 @@
             };
             updateHeartButton(imageId, heartCount, preservedViewerHasReacted);
         }
+        notifyReactions();
     }
     /**
      * Apply cached data to heart buttons
@@ -390,6 +421,24 @@
         for (const [imageId, data] of Object.entries(imageReactions)) {
             updateHeartButton(imageId, data.heartCount, data.viewerHasReacted);
         }
+        notifyReactions();
+    }
+    /**
+     * Tell masonry.js the heart counts changed (its "Most liked" sort).
+     */
+    function notifyReactions() {
+        document.dispatchEvent(new CustomEvent("masonry:reactions"));
+    }
+    /**
+     * Give hearts to the items of a page appended by masonry.js (infinite
+     * scroll), with the counts already fetched.
+     */
+    function onItemsAdded() {
+        const config = getPageConfig();
+        if (!config || !isInitialized)
+            return;
+        initializeHeartButtons(config.imageIds);
+        applyCachedReactions({ imageReactions });
     }
     /**
      * Handle heart button click.
@@ -533,6 +582,8 @@
      */
     async function fetchAndApplyLive(config) {
         try {
+            if (config.mock)
+                await seedMockDiscussion(config);
             // Phase 1: Fetch from giscus.app (unauthenticated, no CORS issues)
             const comments = await fetchAllComments(config.repo, config.discussionTerm, config.category);
             if (!comments)
@@ -644,6 +695,7 @@
     window.addEventListener("blog:auth-change", () => {
         onAuthChange();
     });
+    document.addEventListener("masonry:items-added", onItemsAdded);
     /* ==================== Boot ==================== */
     // Try registering Swup now (unlikely to succeed since swup.ejs loads later)
     tryRegisterSwup();
@@ -9,7 +9,23 @@
  * Includes overlay overflow detection: if description is too long
  * (overlaps with title or exceeds image bounds), switches to compact mode
  * where only the title is shown centered at the bottom.
+ *
+ * Videos and Live Photos (containers with data-video) play their clip,
+ * muted, over the poster while hovered; Live Photos play once.
+ *
+ * Long albums are split into pages at build time (page/N/); the paginator
+ * gives way to infinite scroll, appending the items of the next page as the
+ * end of the grid comes into view. The toolbar sorts and filters the items
+ * on the client; since its chips count the whole album, the remaining pages
+ * are loaded first. Appended items are announced with a
+ * "masonry:items-added" event (reactions, auto-hover, the photo map). A
+ * "masonry:load-pages" event loads the remaining pages, all of them (the
+ * photo map) or until its `detail.until()` holds (image viewer deep links).
  */
+import initLazyLoad from "../layouts/lazyload.js";
+
+// Start loading the next page this far before the end of the grid
+const INFINITE_SCROLL_MARGIN = "800px";
 
 /**
  * Check masonry overlay overflow and apply compact mode if needed.
@@ -47,14 +63,259 @@ function checkMasonryOverflow(container) {
   });
 }
 
+/**
+ * Hover playback for video and Live Photo items. The <video> is created on
+ * first hover, so clips are only fetched for items the pointer reaches.
+ */
+function initMasonryVideos(items) {
+  if (!window.matchMedia("(hover: hover)").matches) return;
+
+  items.forEach(item => {
+    let video = null;
+
+    item.addEventListener("mouseenter", () => {
+      if (!video) {
+        video = document.createElement("video");
+        video.className = "masonry-video";
+        video.src = item.dataset.video;
+        video.muted = true;
+        video.playsInline = true;
+        video.loop = item.dataset.media !== "live";
+        video.preload = "auto";
+        video.setAttribute("aria-hidden", "true");
+        video.addEventListener("playing", () => video.classList.add("playing"));
+        video.addEventListener("ended", () => video.classList.remove("playing"));
+        // Above the poster, below the title and badges
+        item.firstElementChild.after(video);
+      }
+      video.currentTime = 0;
+      video.play().catch(() => {});
+    });
+
+    item.addEventListener("mouseleave", () => {
+      if (!video) return;
+      video.pause();
+      video.classList.remove("playing");
+    });
+  });
+}
+
+/* ==================== Pages ==================== */
+
+/**
+ * Next pages of a paginated album. `loadNext()` appends the items of the
+ * next page and resolves false once there is none left.
+ */
+function createPageLoader(container, onItemsAdded) {
+  const pagination = document.querySelector(".masonry-pagination");
+  let nextUrl = pagination?.dataset.next || "";
+  let pending = null;
+
+  const fetchNext = async () => {
+    const response = await fetch(nextUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const doc = new DOMParser().parseFromString(await response.text(), "text/html");
+    // Left the album while the page was loading
+    if (!container.isConnected) return false;
+    const items = Array.from(doc.querySelectorAll("#masonry-container > .masonry-item"))
+      .map(item => document.importNode(item, true));
+    container.append(...items);
+    nextUrl = doc.querySelector(".masonry-pagination")?.dataset.next || "";
+    if (!nextUrl) pagination?.remove();
+    onItemsAdded(items);
+    return Boolean(nextUrl);
+  };
+
+  return {
+    get hasMore() {
+      return Boolean(nextUrl);
+    },
+    pagination,
+    loadNext() {
+      if (!nextUrl) return Promise.resolve(false);
+      if (!pending) {
+        pending = fetchNext()
+          .catch(err => {
+            // The paginator stays as the way on
+            console.warn("[masonry] Failed to load the next page:", err);
+            pagination?.classList.remove("masonry-infinite");
+            nextUrl = "";
+            return false;
+          })
+          .finally(() => (pending = null));
+      }
+      return pending;
+    },
+    // Every remaining page, or pages until `until()` holds
+    async loadAll(until) {
+      while (!until?.() && await this.loadNext());
+    },
+  };
+}
+
+function initInfiniteScroll(loader) {
+  const { pagination } = loader;
+  if (!loader.hasMore || !pagination || typeof IntersectionObserver === "undefined") return;
+
+  pagination.classList.add("masonry-infinite");
+  const observer = new IntersectionObserver(async entries => {
+    if (!entries.some(entry => entry.isIntersecting)) return;
+    observer.unobserve(pagination);
+    const more = await loader.loadNext();
+    // Still in view after a short page: observing again fires right away
+    if (more && pagination.isConnected) observer.observe(pagination);
+  }, { rootMargin: `0px 0px ${INFINITE_SCROLL_MARGIN} 0px` });
+  observer.observe(pagination);
+}
+
+/* ==================== Toolbar ==================== */
+
+const SORTERS = {
+  // Undated photos last, in album order
+  newest: (a, b) => (b.taken ?? -Infinity) - (a.taken ?? -Infinity),
+  oldest: (a, b) => (a.taken ?? Infinity) - (b.taken ?? Infinity),
+  title: (a, b) => {
+    if (!a.title !== !b.title) return a.title ? -1 : 1;
+    return a.title.localeCompare(b.title, undefined, { numeric: true, sensitivity: "base" });
+  },
+  reactions: (a, b) => b.hearts - a.hearts,
+};
+
+/** Sort and filter values of a .masonry-item (data-* from masonry.ejs) */
+function itemValues(item) {
+  const { index, title = "", taken, camera, lens, tags } = item.dataset;
+  let tagList = [];
+  try { tagList = tags ? JSON.parse(tags) : []; } catch {}
+  return {
+    index: Number(index) || 0,
+    title,
+    taken: taken ? Number(taken) : null,
+    // Filled in by masonry-reactions.js
+    hearts: Number(item.querySelector(".heart-count")?.textContent) || 0,
+    camera: camera ? [camera] : [],
+    lens: lens ? [lens] : [],
+    tags: tagList,
+  };
+}
+
+function initToolbar(container, loader) {
+  const toolbar = document.querySelector(".masonry-toolbar");
+  if (!toolbar) return null;
+  toolbar.hidden = false;
+
+  const empty = document.querySelector(".masonry-empty");
+  const state = { sort: "default", filters: new Map() };
+
+  const isDefault = () => state.sort === "default" && state.filters.size === 0;
+
+  const apply = () => {
+    const entries = Array.from(container.querySelectorAll(":scope > .masonry-item"))
+      .map(item => ({ item, ...itemValues(item) }));
+
+    let visible = 0;
+    entries.forEach(entry => {
+      // OR within a group, AND across groups
+      const matches = Array.from(state.filters).every(([group, values]) =>
+        entry[group].some(value => values.has(value)));
+      entry.item.hidden = !matches;
+      if (matches) visible++;
+    });
+
+    const sorter = SORTERS[state.sort];
+    entries.sort((a, b) => (sorter ? sorter(a, b) : 0) || a.index - b.index);
+    if (entries.some(({ item }, i) => container.children[i] !== item)) {
+      container.append(...entries.map(({ item }) => item));
+    }
+
+    if (empty) empty.hidden = visible > 0;
+    toolbar.classList.toggle("has-filters", state.filters.size > 0);
+    requestAnimationFrame(() => checkMasonryOverflow(container));
+  };
+
+  const update = async () => {
+    toolbar.querySelectorAll("[data-sort]").forEach(btn => {
+      btn.setAttribute("aria-pressed", String(btn.dataset.sort === state.sort));
+    });
+    toolbar.querySelectorAll("[data-filter]").forEach(btn => {
+      const active = state.filters.get(btn.dataset.filter)?.has(btn.dataset.value) || false;
+      btn.setAttribute("aria-pressed", String(active));
+    });
+
+    // Chips count the whole album: sort and filter it all
+    if (!isDefault() && loader.hasMore) {
+      toolbar.classList.add("loading");
+      await loader.loadAll();
+      toolbar.classList.remove("loading");
+    }
+    apply();
+  };
+
+  toolbar.addEventListener("click", e => {
+    const btn = e.target.closest("button");
+    if (!btn) return;
+
+    if (btn.dataset.sort) {
+      state.sort = btn.dataset.sort;
+    } else if (btn.dataset.filter) {
+      const { filter: group, value } = btn.dataset;
+      const values = state.filters.get(group) || new Set();
+      if (values.has(value)) values.delete(value);
+      else values.add(value);
+      if (values.size > 0) state.filters.set(group, values);
+      else state.filters.delete(group);
+    } else if (btn.classList.contains("masonry-filter-clear")) {
+      state.filters.clear();
+    } else {
+      return;
+    }
+    update();
+  });
+
+  return {
+    // Items of a page appended by infinite scroll
+    refresh() {
+      if (!isDefault()) apply();
+    },
+    // Heart counts arrive after the first render
+    onReactions() {
+      if (state.sort === "reactions") apply();
+    },
+  };
+}
+
+// Toolbar and page loader of the album on screen
+let currentToolbar = null;
+let currentLoader = null;
+
+document.addEventListener("masonry:reactions", () => currentToolbar?.onReactions());
+document.addEventListener("masonry:load-pages", e => currentLoader?.loadAll(e.detail?.until));
+
 export function initMasonry() {
   const masonryContainer = document.querySelector("#masonry-container");
+  currentToolbar = null;
+  currentLoader = null;
   if (!masonryContainer) return;
 
   // Container is immediately visible with CSS columns layout
   // Preloaders show with correct aspect ratios
   // Images load progressively via lazyload.js (same as posts)
   masonryContainer.classList.add("masonry-ready");
+  initMasonryVideos(masonryContainer.querySelectorAll(".image-container[data-video]"));
+
+  let toolbar = null;
+  const loader = createPageLoader(masonryContainer, items => {
+    if (theme.articles.lazyload === true) {
+      initLazyLoad({ preload: theme.articles.lazyload_preload === true });
+    }
+    initMasonryVideos(items.map(item => item.querySelector(".image-container[data-video]")).filter(Boolean));
+    toolbar?.refresh();
+    requestAnimationFrame(() => checkMasonryOverflow(masonryContainer));
+    document.dispatchEvent(new CustomEvent("masonry:items-added", { detail: { items } }));
+  });
+  toolbar = initToolbar(masonryContainer, loader);
+  currentToolbar = toolbar;
+  currentLoader = loader;
+  initInfiniteScroll(loader);
 
   // Check overlay overflow after layout stabilizes
   requestAnimationFrame(() => {
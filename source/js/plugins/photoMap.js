@@ -0,0 +1,362 @@
+/**
+ * Photo map — plots the geotagged photos of a masonry album or a post
+ * (elements with data-geo="lat,lng": masonry items, {% exifimage %} figures)
+ * on a small built-in slippy map, rendered into the panel of
+ * utils/photo-map.ejs the first time it opens.
+ *
+ * Tiles come from `plugins.photo_map.tiles`, any XYZ template, so pointing it
+ * at self-hosted tiles keeps the map working offline; a missing tile leaves
+ * the background showing. Markers closer than `cluster_radius` pixels merge;
+ * clicking a cluster zooms in on it, clicking a photo opens it in the image
+ * viewer.
+ *
+ * A paginated masonry album loads its remaining pages when the map first
+ * opens ("masonry:load-pages", plugins/masonry.js); the photos of pages
+ * appended later are added to the map as they arrive.
+ */
+const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.0511287798;
+const FIT_PADDING = 40;
+// Zoom used when every photo sits on the same spot
+const SINGLE_POINT_ZOOM = 15;
+const DRAG_SLOP = 4;
+
+const mapConfig = theme.plugins?.photo_map || {};
+const TILES = mapConfig.tiles || "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const SUBDOMAINS = Array.isArray(mapConfig.subdomains) ? mapConfig.subdomains.map(String) : [];
+const MIN_ZOOM = Math.max(0, Number(mapConfig.min_zoom) || 1);
+const MAX_ZOOM = Math.max(MIN_ZOOM, Number(mapConfig.max_zoom) || 18);
+const CLUSTER_RADIUS = Math.max(1, Number(mapConfig.cluster_radius) || 48);
+
+/** World pixel position of a coordinate at `zoom` (Web Mercator) */
+function project(lat, lng, zoom) {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const clamped = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale,
+  };
+}
+
+function tileUrl(z, x, y) {
+  const count = 2 ** z;
+  const wrappedX = ((x % count) + count) % count;
+  const subdomain = SUBDOMAINS.length ? SUBDOMAINS[(wrappedX + y) % SUBDOMAINS.length] : "";
+  return TILES.replace("{z}", z).replace("{x}", wrappedX).replace("{y}", y).replace("{s}", subdomain);
+}
+
+function collectPhotos(scope) {
+  return Array.from(scope.querySelectorAll("[data-geo]"))
+    .map((node) => {
+      const [lat, lng] = node.dataset.geo.split(",").map(Number);
+      const target = node.querySelector("img, .img-preloader");
+      if (!target || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+      return { lat, lng, node };
+    })
+    .filter(Boolean);
+}
+
+// The photo as shown on the page (lazyload may not have reached it yet)
+function photoTarget(photo) {
+  return photo.node.querySelector("img, .img-preloader");
+}
+
+function photoThumb(photo) {
+  const target = photoTarget(photo);
+  if (!target) return "";
+  return target instanceof HTMLImageElement
+    ? target.currentSrc || target.src
+    : target.dataset.src || "";
+}
+
+function openPhoto(photo) {
+  const viewer = window.__REDEFINE_X_IMAGE_VIEWER__?.api;
+  const target = photoTarget(photo);
+  // Opened like a deep link: the photo may still be an unloaded preloader
+  if (viewer && target) viewer.open(target, true);
+}
+
+/**
+ * Greedy clustering in pixel space: each photo joins the first cluster
+ * whose center is within the radius, else starts one.
+ */
+function clusterPhotos(photos, zoom) {
+  const clusters = [];
+  photos.forEach((photo) => {
+    const point = project(photo.lat, photo.lng, zoom);
+    const cluster = clusters.find(
+      (c) => Math.hypot(c.x - point.x, c.y - point.y) < CLUSTER_RADIUS,
+    );
+    if (!cluster) {
+      clusters.push({ x: point.x, y: point.y, photos: [photo] });
+      return;
+    }
+    const n = cluster.photos.push(photo);
+    cluster.x += (point.x - cluster.x) / n;
+    cluster.y += (point.y - cluster.y) / n;
+  });
+  return clusters;
+}
+
+function createPhotoMap(container, photos) {
+  const clusterLabel = container.dataset.clusterLabel || "%s";
+  const viewport = document.createElement("div");
+  viewport.className = "photo-map-viewport";
+  const tileLayer = document.createElement("div");
+  tileLayer.className = "photo-map-tiles";
+  const markerLayer = document.createElement("div");
+  markerLayer.className = "photo-map-markers";
+  viewport.append(tileLayer, markerLayer);
+  container.prepend(viewport);
+
+  if (mapConfig.attribution) {
+    const attribution = document.createElement("div");
+    attribution.className = "photo-map-attribution";
+    attribution.innerHTML = mapConfig.attribution;
+    container.append(attribution);
+  }
+
+  // zoom is an integer level; cx/cy the world pixel at the viewport center
+  const view = { zoom: MIN_ZOOM, cx: 0, cy: 0 };
+  const tiles = new Map();
+  let clusters = null;
+  let clusterZoom = -1;
+  let frame = 0;
+  let drag = null;
+  let dragMoved = false;
+  // Panned or zoomed by the visitor: new photos no longer refit the view
+  let moved = false;
+
+  const size = () => ({ width: viewport.clientWidth, height: viewport.clientHeight });
+
+  const fitPhotos = (subset, minZoom = MIN_ZOOM) => {
+    const { width, height } = size();
+    let zoom = Math.min(MAX_ZOOM, SINGLE_POINT_ZOOM);
+    for (let z = MAX_ZOOM; z >= MIN_ZOOM; z--) {
+      const points = subset.map((photo) => project(photo.lat, photo.lng, z));
+      const xs = points.map((p) => p.x);
+      const ys = points.map((p) => p.y);
+      const spanX = Math.max(...xs) - Math.min(...xs);
+      const spanY = Math.max(...ys) - Math.min(...ys);
+      if (spanX === 0 && spanY === 0) break;
+      if (spanX <= width - FIT_PADDING * 2 && spanY <= height - FIT_PADDING * 2) {
+        zoom = z;
+        break;
+      }
+      zoom = z;
+    }
+    view.zoom = Math.max(minZoom, Math.min(MAX_ZOOM, zoom));
+    const points = subset.map((photo) => project(photo.lat, photo.lng, view.zoom));
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    view.cx = (Math.min(...xs) + Math.max(...xs)) / 2;
+    view.cy = (Math.min(...ys) + Math.max(...ys)) / 2;
+    schedule();
+  };
+
+  // Zoom by whole levels, keeping the world point under (ax, ay) in place
+  const zoomTo = (zoom, ax, ay) => {
+    const next = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+    if (next === view.zoom) return;
+    const { width, height } = size();
+    const anchorX = ax ?? width / 2;
+    const anchorY = ay ?? height / 2;
+    const factor = 2 ** (next - view.zoom);
+    view.cx = (view.cx - width / 2 + anchorX) * factor - anchorX + width / 2;
+    view.cy = (view.cy - height / 2 + anchorY) * factor - anchorY + height / 2;
+    view.zoom = next;
+    moved = true;
+    schedule();
+  };
+
+  const renderTiles = (left, top, width, height) => {
+    const count = 2 ** view.zoom;
+    const wanted = new Set();
+    const x0 = Math.floor(left / TILE_SIZE);
+    const x1 = Math.floor((left + width) / TILE_SIZE);
+    const y0 = Math.max(0, Math.floor(top / TILE_SIZE));
+    const y1 = Math.min(count - 1, Math.floor((top + height) / TILE_SIZE));
+
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${view.zoom}/${x}/${y}`;
+        wanted.add(key);
+        let tile = tiles.get(key);
+        if (!tile) {
+          tile = document.createElement("img");
+          tile.className = "photo-map-tile";
+          tile.alt = "";
+          tile.draggable = false;
+          tile.decoding = "async";
+          tile.onerror = () => tile.classList.add("photo-map-tile-missing");
+          tile.src = tileUrl(view.zoom, x, y);
+          tiles.set(key, tile);
+          tileLayer.append(tile);
+        }
+        tile.style.transform = `translate(${x * TILE_SIZE - left}px, ${y * TILE_SIZE - top}px)`;
+      }
+    }
+
+    tiles.forEach((tile, key) => {
+      if (wanted.has(key)) return;
+      tile.remove();
+      tiles.delete(key);
+    });
+  };
+
+  const createMarker = (cluster) => {
+    const marker = document.createElement("button");
+    marker.type = "button";
+    marker.className = "photo-map-marker";
+    const thumb = photoThumb(cluster.photos[0]);
+    if (thumb) marker.style.backgroundImage = `url("${thumb.replace(/"/g, '\\"')}")`;
+    if (cluster.photos.length > 1) {
+      marker.classList.add("photo-map-cluster");
+      marker.dataset.count = cluster.photos.length;
+      marker.setAttribute("aria-label", clusterLabel.replace("%s", cluster.photos.length));
+    } else {
+      const target = photoTarget(cluster.photos[0]);
+      marker.setAttribute("aria-label", target?.alt || target?.dataset.alt || "");
+    }
+    marker.addEventListener("click", () => {
+      if (dragMoved) return;
+      const { photos: members } = cluster;
+      const samePlace = members.every((p) => p.lat === members[0].lat && p.lng === members[0].lng);
+      if (members.length === 1 || samePlace || view.zoom >= MAX_ZOOM) {
+        openPhoto(members[0]);
+      } else {
+        moved = true;
+        fitPhotos(members, view.zoom + 1);
+      }
+    });
+    cluster.marker = marker;
+    return marker;
+  };
+
+  const renderMarkers = (left, top) => {
+    if (clusterZoom !== view.zoom) {
+      clusterZoom = view.zoom;
+      clusters = clusterPhotos(photos, view.zoom);
+      markerLayer.replaceChildren(...clusters.map(createMarker));
+    }
+    clusters.forEach((cluster) => {
+      cluster.marker.style.transform = `translate(${cluster.x - left}px, ${cluster.y - top}px)`;
+    });
+  };
+
+  const render = () => {
+    frame = 0;
+    const { width, height } = size();
+    if (!width || !height) return;
+    const left = view.cx - width / 2;
+    const top = view.cy - height / 2;
+    renderTiles(left, top, width, height);
+    renderMarkers(left, top);
+  };
+
+  function schedule() {
+    if (!frame) frame = requestAnimationFrame(render);
+  }
+
+  viewport.addEventListener("pointerdown", (e) => {
+    if (e.button !== 0) return;
+    drag = { id: e.pointerId, x: e.clientX, y: e.clientY, cx: view.cx, cy: view.cy };
+    dragMoved = false;
+  });
+
+  viewport.addEventListener("pointermove", (e) => {
+    if (!drag || drag.id !== e.pointerId) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!dragMoved && Math.hypot(dx, dy) < DRAG_SLOP) return;
+    if (!dragMoved) {
+      dragMoved = true;
+      moved = true;
+      viewport.setPointerCapture(e.pointerId);
+      viewport.classList.add("dragging");
+    }
+    view.cx = drag.cx - dx;
+    view.cy = drag.cy - dy;
+    schedule();
+  });
+
+  const endDrag = (e) => {
+    if (!drag || drag.id !== e.pointerId) return;
+    drag = null;
+    viewport.classList.remove("dragging");
+    // The click that ends a drag must not open a marker
+    if (dragMoved) setTimeout(() => (dragMoved = false), 0);
+  };
+  viewport.addEventListener("pointerup", endDrag);
+  viewport.addEventListener("pointercancel", endDrag);
+
+  viewport.addEventListener(
+    "wheel",
+    (e) => {
+      e.preventDefault();
+      const rect = viewport.getBoundingClientRect();
+      zoomTo(view.zoom + (e.deltaY < 0 ? 1 : -1), e.clientX - rect.left, e.clientY - rect.top);
+    },
+    { passive: false },
+  );
+
+  viewport.addEventListener("dblclick", (e) => {
+    if (e.target.closest(".photo-map-marker")) return;
+    const rect = viewport.getBoundingClientRect();
+    zoomTo(view.zoom + 1, e.clientX - rect.left, e.clientY - rect.top);
+  });
+
+  container.querySelector(".photo-map-zoom-in")?.addEventListener("click", () => zoomTo(view.zoom + 1));
+  container.querySelector(".photo-map-zoom-out")?.addEventListener("click", () => zoomTo(view.zoom - 1));
+
+  if (typeof ResizeObserver !== "undefined") {
+    new ResizeObserver(schedule).observe(viewport);
+  }
+
+  fitPhotos(photos);
+
+  return {
+    setPhotos(next) {
+      photos = next;
+      clusterZoom = -1;
+      if (moved) schedule();
+      else fitPhotos(photos);
+    },
+  };
+}
+
+// Panel -> refresh of its map, for pages appended by masonry.js
+const panelRefresh = new WeakMap();
+
+document.addEventListener("masonry:items-added", () => {
+  document.querySelectorAll(".photo-map-panel").forEach((panel) => panelRefresh.get(panel)?.());
+});
+
+export default function initPhotoMap() {
+  document.querySelectorAll(".photo-map-panel").forEach((panel) => {
+    if (panel.dataset.photoMapBound) return;
+    panel.dataset.photoMapBound = "true";
+
+    const container = panel.querySelector(".photo-map");
+    let map = null;
+    const refresh = () => {
+      const scope = document.querySelector(container.dataset.scope);
+      const photos = scope ? collectPhotos(scope) : [];
+      if (!photos.length) return;
+      if (map) {
+        map.setPhotos(photos);
+      } else if (panel.open) {
+        map = createPhotoMap(container, photos);
+      }
+    };
+    panelRefresh.set(panel, refresh);
+
+    panel.addEventListener("toggle", () => {
+      if (!panel.open || map) return;
+      refresh();
+      // The photos of the album's other pages
+      document.dispatchEvent(new CustomEvent("masonry:load-pages"));
+    });
+  });
+}
@@ -15,6 +15,15 @@
  * admin writes. Non-admins simply get isAdmin:false — comments and likes keep
  * working unchanged.
  *
+ * Admin sessions are refreshed transparently: a timer swaps the token via
+ * /api/auth/refresh shortly before its `exp` (and getSession() does the same if
+ * the timer was throttled), falling back to a full login if the Worker refuses.
+ * logout() revokes the token server-side before forgetting it.
+ *
+ * Mock mode (`comment.config.giscus.mock`, local development only): sign-in and
+ * the token exchange go to the Worker's fixture users instead of giscus.app, so
+ * the whole login → like → admin path works offline against `wrangler dev`.
+ *
  * Loaded as a CLASSIC script (see scripts.ejs) BEFORE masonry-reactions so the
  * global is ready and the OAuth-callback session sync runs synchronously.
  * Emits a "blog:auth-change" window event whenever auth state changes.
@@ -28,11 +37,13 @@
   var GISCUS_SESSION_KEY = "giscus-session";
   var GISCUS_ORIGIN = "https://giscus.app";
   var SESSION_CACHE_KEY = "blog-auth-session"; // sessionStorage: {login,avatar,isAdmin,token,exp}
+  var REFRESH_MARGIN_MS = 5 * 60 * 1000; // refresh this long before exp
 
   // ─── state ───────────────────────────────────────────────
   var tokenCache = null; // { session, token } — giscus session → GitHub token
   var cachedSession = null; // { login, avatar, isAdmin, token, exp }
   var sessionPromise = null; // in-flight getSession()
+  var refreshTimer = null; // pending scheduleRefresh() timeout
 
   // ─── config / base URL ───────────────────────────────────
   function strip(u) {
@@ -47,11 +58,14 @@
       return null;
     }
   }
+  function getGiscusConfig() {
+    return (window.theme && window.theme.comment && window.theme.comment.giscus) || {};
+  }
   /**
    * Resolve the merged-Worker base URL. Both custom domains route to the same
    * Worker, so either works for /api/oauth/token and /api/auth/login.
    * Prefer the masonry page's giscusProxy (keeps likes on their usual domain),
-   * else the globally-exported instant_notes.api_url.
+   * else the globally-exported instant_notes.api_url, else the giscus proxy.
    */
   function getApiBase() {
     var mc = getMasonryConfig();
@@ -62,8 +76,13 @@
       window.theme.home_banner.instant_notes &&
       window.theme.home_banner.instant_notes.api_url;
     if (t) return strip(t);
+    if (getGiscusConfig().proxy) return strip(getGiscusConfig().proxy);
     return null;
   }
+  function isMock() {
+    var mc = getMasonryConfig();
+    return !!((mc && mc.mock) || getGiscusConfig().mock);
+  }
 
   function readGiscusSession() {
     var raw = localStorage.getItem(GISCUS_SESSION_KEY);
@@ -91,11 +110,17 @@
       var raw = sessionStorage.getItem(SESSION_CACHE_KEY);
       if (!raw) return;
       var data = JSON.parse(raw);
-      if (data && (!data.exp || Date.now() < data.exp)) cachedSession = data;
-      else persist(null);
+      if (data && (!data.exp || Date.now() < data.exp)) {
+        cachedSession = data;
+        scheduleRefresh();
+      } else persist(null);
     } catch (e) {}
   }
 
+  function needsRefresh(s) {
+    return !!(s && s.token && s.exp && Date.now() >= s.exp - REFRESH_MARGIN_MS);
+  }
+
   // ─── token exchange: giscus session → GitHub OAuth token ──
   function getToken() {
     var session = readGiscusSession();
@@ -128,16 +153,27 @@
 
   // ─── identity + admin check (Worker /api/auth/login) ──────
   function getSession(force) {
+    if (!force && sessionPromise) return sessionPromise;
     if (
       !force &&
       cachedSession &&
       (!cachedSession.exp || Date.now() < cachedSession.exp)
     ) {
+      if (needsRefresh(cachedSession)) return refreshSession();
       return Promise.resolve(cachedSession);
     }
-    if (!force && sessionPromise) return sessionPromise;
 
-    sessionPromise = getToken()
+    sessionPromise = verifyIdentity()
+      .then(function (result) {
+        sessionPromise = null;
+        return result;
+      });
+    return sessionPromise;
+  }
+
+  // Full identity check: giscus token → Worker /api/auth/login.
+  function verifyIdentity() {
+    return getToken()
       .then(function (token) {
         if (!token) {
           cachedSession = null;
@@ -161,20 +197,73 @@
           .then(function (data) {
             cachedSession = data || null; // { login, avatar, isAdmin, token, exp }
             persist(cachedSession);
+            scheduleRefresh();
             return cachedSession;
           });
       })
       .catch(function () {
         cachedSession = null;
         return null;
+      });
+  }
+
+  // ─── admin session refresh (Worker /api/auth/refresh) ─────
+  // Swaps the admin token for a fresh one without touching giscus/GitHub. If
+  // the Worker refuses (revoked, too old, no longer an admin) fall back to a
+  // full login so the user's state stays truthful.
+  function refreshSession() {
+    if (sessionPromise) return sessionPromise;
+    var current = cachedSession;
+    var base = getApiBase();
+    if (!current || !current.token || !base) return getSession(true);
+
+    sessionPromise = fetch(base + "/api/auth/refresh", {
+      method: "POST",
+      headers: { Authorization: "Bearer " + current.token },
+    })
+      .then(function (res) {
+        if (!res.ok) return null;
+        return res.json();
+      })
+      .catch(function () {
+        return null;
       })
-      .then(function (result) {
+      .then(function (data) {
         sessionPromise = null;
-        return result;
+        if (!data || !data.token) return getSession(true);
+        // The refresh response carries no avatar — keep the one we have.
+        cachedSession = {
+          login: data.login,
+          avatar: current.avatar,
+          isAdmin: data.isAdmin,
+          token: data.token,
+          exp: data.exp,
+        };
+        persist(cachedSession);
+        scheduleRefresh();
+        return cachedSession;
       });
     return sessionPromise;
   }
 
+  function scheduleRefresh() {
+    if (refreshTimer) clearTimeout(refreshTimer);
+    refreshTimer = null;
+    if (!cachedSession || !cachedSession.token || !cachedSession.exp) return;
+    var delay = Math.max(cachedSession.exp - REFRESH_MARGIN_MS - Date.now(), 0);
+    refreshTimer = setTimeout(function () {
+      refreshTimer = null;
+      refreshSession();
+    }, delay);
+  }
+
+  // Timers are throttled in background tabs; catch up when the tab returns.
+  document.addEventListener("visibilitychange", function () {
+    if (document.visibilityState === "visible" && needsRefresh(cachedSession)) {
+      refreshSession();
+    }
+  });
+
   function getSessionToken() {
     return getSession().then(function (s) {
       return (s && s.token) || null;
@@ -183,8 +272,11 @@
 
   // ─── login / logout ──────────────────────────────────────
   function getLoginUrl() {
+    // Mock mode: the Worker signs in as a fixture user and redirects back with
+    // ?giscus=<session>, exactly like giscus.app does after GitHub OAuth.
+    var base = isMock() && getApiBase();
     return (
-      GISCUS_ORIGIN +
+      (base ? base + "/api/mock" : GISCUS_ORIGIN) +
       "/api/oauth/authorize?redirect_uri=" +
       encodeURIComponent(location.href)
     );
@@ -192,13 +284,25 @@
   function login() {
     window.location.href = getLoginUrl();
   }
+  // Tell the Worker to revoke the admin token (fire-and-forget).
+  function revokeSession(session) {
+    var base = getApiBase();
+    if (!session || !session.token || !base) return;
+    fetch(base + "/api/auth/revoke", {
+      method: "POST",
+      headers: { Authorization: "Bearer " + session.token },
+      keepalive: true,
+    }).catch(function () {});
+  }
   function logout() {
+    revokeSession(cachedSession);
     try {
       localStorage.removeItem(GISCUS_SESSION_KEY);
     } catch (e) {}
     tokenCache = null;
     cachedSession = null;
     persist(null);
+    scheduleRefresh();
     emit();
   }
 
@@ -210,9 +314,11 @@
 
   // ─── react to giscus session changes (login/out, other tabs/iframe) ──
   function handleSessionChange(loggedIn) {
+    if (!loggedIn) revokeSession(cachedSession);
     tokenCache = null;
     cachedSession = null;
     persist(null);
+    scheduleRefresh();
     if (loggedIn) {
       getSession(true).then(emit);
     } else {
@@ -246,6 +352,7 @@
     getToken: getToken,
     getSession: getSession,
     getSessionToken: getSessionToken,
+    refreshSession: refreshSession,
     getLoginUrl: getLoginUrl,
     login: login,
     logout: logout,
@@ -0,0 +1,491 @@
+/**
+ * Command palette — Ctrl/Cmd + K opens one keyboard-driven list that merges
+ * posts from the local search index, the navbar links, tag and category pages
+ * and theme actions (dark mode, wide layout, comments, permalink, …).
+ *
+ * Posts are ranked by the shared search worker (tools/searchClient.js), so
+ * the palette accepts the same `tag:` / `category:` / `date:` filters as the
+ * search popup. A leading `>` lists actions only. Links open through swup
+ * when it is running, so picking an entry is an in-place page transition.
+ *
+ * The markup (layout/utils/command-palette.ejs) sits inside the swup
+ * container and is re-bound on every page view; the global shortcut and the
+ * swup hook are registered once and always act on the current page's palette.
+ */
+import { getSearchClient, loadSearchIndex } from "./searchClient.js";
+import { rememberSearchHit } from "./searchHighlight.js";
+
+const MAX_POSTS = 8;
+const MAX_PER_GROUP = 6;
+const ACTION_PREFIX = ">";
+
+// The palette on the current page (replaced by every initCommandPalette()).
+let current = null;
+let globalsBound = false;
+let resultsHandler = null;
+let queryId = 0;
+
+/* ==================== Helpers ==================== */
+
+function escapeHTML(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// How well one query word matches a label: prefix > word start > substring >
+// scattered letters ("dkmd" → "dark mode"). 0 means no match.
+function wordScore(text, word) {
+  const index = text.indexOf(word);
+  if (index === 0) return 3;
+  if (index > 0) return /[\s\-_/·]/.test(text[index - 1]) ? 2 : 1;
+  let i = 0;
+  for (let k = 0; k < text.length && i < word.length; k++) {
+    if (text[k] === word[i]) i++;
+  }
+  return word.length > 1 && i === word.length ? 0.5 : 0;
+}
+
+/** Score of a label against every query word; 0 unless all of them match. */
+function matchScore(label, words) {
+  const text = String(label || "").toLowerCase();
+  let total = 0;
+  for (const word of words) {
+    const score = wordScore(text, word);
+    if (!score) return 0;
+    total += score;
+  }
+  return total;
+}
+
+function rankEntries(entries, words, limit) {
+  if (!words.length) return entries.slice(0, limit);
+  return entries
+    .map((entry, order) => ({
+      entry,
+      order,
+      score: Math.max(
+        matchScore(entry.title, words),
+        matchScore(entry.keywords, words) * 0.8,
+      ),
+    }))
+    .filter((item) => item.score > 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, limit)
+    .map((item) => item.entry);
+}
+
+function navigate(url, newTab) {
+  const target = new URL(url, location.href);
+  if (newTab) {
+    window.open(target.href, "_blank", "noopener");
+  } else if (target.origin !== location.origin) {
+    location.href = target.href;
+  } else {
+    try {
+      swup.navigate(target.href);
+    } catch (e) {
+      location.href = target.href;
+    }
+  }
+}
+
+function clickTool(selector) {
+  const tool = document.querySelector(selector);
+  tool && tool.click();
+}
+
+/* ==================== Actions ==================== */
+
+// `when` hides an action the current page can't perform; `keepOpen` leaves
+// the palette up so the action can be repeated.
+const ACTIONS = [
+  {
+    id: "toggle_dark",
+    icon: "fa-regular fa-moon",
+    when: () => document.querySelector(".tool-dark-light-toggle"),
+    run: () => clickTool(".tool-dark-light-toggle"),
+  },
+  {
+    id: "expand_width",
+    icon: "fa-regular fa-arrows-left-right",
+    when: () => document.querySelector(".tool-expand-width"),
+    run: () => clickTool(".tool-expand-width"),
+  },
+  {
+    id: "go_comments",
+    icon: "fa-regular fa-comments",
+    when: () => document.querySelector("#comment-anchor"),
+    run: () => {
+      const target = document.querySelector("#comment-anchor");
+      window.scrollTo({
+        top: target.getBoundingClientRect().top + window.scrollY,
+        behavior: "smooth",
+      });
+    },
+  },
+  {
+    id: "copy_permalink",
+    icon: "fa-regular fa-link",
+    when: () => navigator.clipboard,
+    run: (palette) =>
+      navigator.clipboard
+        .writeText(location.origin + location.pathname)
+        .then(() => palette.flash(palette.text.copied)),
+    keepOpen: true,
+  },
+  {
+    id: "scroll_top",
+    icon: "fa-regular fa-arrow-up",
+    run: () => window.scrollTo({ top: 0, behavior: "smooth" }),
+  },
+  {
+    id: "scroll_bottom",
+    icon: "fa-regular fa-arrow-down",
+    run: () =>
+      window.scrollTo({ top: document.body.scrollHeight, behavior: "smooth" }),
+  },
+  {
+    id: "font_bigger",
+    icon: "fa-regular fa-magnifying-glass-plus",
+    when: () => document.querySelector(".tool-font-adjust-plus"),
+    run: () => clickTool(".tool-font-adjust-plus"),
+    keepOpen: true,
+  },
+  {
+    id: "font_smaller",
+    icon: "fa-regular fa-magnifying-glass-minus",
+    when: () => document.querySelector(".tool-font-adjust-minus"),
+    run: () => clickTool(".tool-font-adjust-minus"),
+    keepOpen: true,
+  },
+];
+
+/* ==================== Global bindings ==================== */
+
+function bindGlobals() {
+  if (globalsBound) return;
+  globalsBound = true;
+
+  document.addEventListener("keydown", (event) => {
+    if (
+      (event.ctrlKey || event.metaKey) &&
+      !event.altKey &&
+      !event.shiftKey &&
+      event.key.toLowerCase() === "k" &&
+      current
+    ) {
+      event.preventDefault();
+      current.isOpen() ? current.close() : current.open();
+    }
+  });
+
+  // Back/forward while the palette is up: don't leave the page scroll-locked.
+  try {
+    swup.hooks.on("visit:start", () => {
+      current && current.close(false);
+    });
+  } catch (e) {}
+}
+
+/* ==================== Palette ==================== */
+
+export default function initCommandPalette() {
+  const overlay = document.querySelector(".command-palette-overlay");
+  if (!overlay) return;
+
+  const input = overlay.querySelector(".command-palette-input");
+  const list = overlay.querySelector(".command-palette-list");
+  const status = overlay.querySelector(".command-palette-status");
+  const { links, text } = JSON.parse(
+    overlay.querySelector(".command-palette-data").textContent,
+  );
+  const client = theme.navbar.search.enable === true ? getSearchClient() : null;
+
+  let entries = []; // selectable entries, in display order
+  let active = 0;
+  let posts = []; // search results for the current query
+  let pendingId = null;
+  let returnFocus = null;
+  let flashTimer = null;
+
+  const parse = () => {
+    const raw = input.value.trim();
+    const actionsOnly = raw.startsWith(ACTION_PREFIX);
+    const query = actionsOnly ? raw.slice(1).trim() : raw;
+    return {
+      query,
+      actionsOnly,
+      words: query.toLowerCase().split(/\s+/).filter(Boolean),
+    };
+  };
+
+  const setStatus = (message) => {
+    status.textContent = message || "";
+  };
+
+  const palette = {
+    text,
+    flash(message) {
+      setStatus(message);
+      clearTimeout(flashTimer);
+      flashTimer = setTimeout(() => {
+        setStatus("");
+        palette.close();
+      }, 800);
+    },
+    isOpen: () => overlay.classList.contains("active"),
+    open() {
+      if (palette.isOpen()) return;
+      returnFocus = document.activeElement;
+      document.body.style.overflow = "hidden";
+      overlay.classList.add("active");
+      overlay.setAttribute("aria-hidden", "false");
+      input.value = "";
+      posts = [];
+      setStatus("");
+      client && loadSearchIndex();
+      render();
+      input.focus();
+    },
+    // restoreFocus = false when leaving the page anyway.
+    close(restoreFocus = true) {
+      if (!palette.isOpen()) return;
+      clearTimeout(flashTimer);
+      document.body.style.overflow = "";
+      overlay.classList.remove("active");
+      overlay.setAttribute("aria-hidden", "true");
+      input.removeAttribute("aria-activedescendant");
+      if (restoreFocus && returnFocus && returnFocus.focus) returnFocus.focus();
+      returnFocus = null;
+    },
+  };
+
+  /* ---------- Entries ---------- */
+
+  const actionEntries = () =>
+    ACTIONS.filter((action) => !action.when || action.when()).map(
+      (action) => ({
+        key: `action:${action.id}`,
+        group: "actions",
+        icon: action.icon,
+        title: text.actions[action.id],
+        action,
+      }),
+    );
+
+  const linkEntries = () =>
+    links.map((link) => ({
+      key: `url:${link.url}`,
+      group: "pages",
+      icon: link.icon || "fa-regular fa-file",
+      title: link.title,
+      subtitle: link.subtitle,
+      keywords: link.subtitle,
+      url: link.url,
+    }));
+
+  const taxonomyEntries = (kind, icon) =>
+    (client ? client.taxonomy[kind] : []).map((item) => ({
+      key: `url:${item.url}`,
+      group: kind,
+      icon,
+      title: item.name,
+      meta: item.count,
+      url: item.url,
+    }));
+
+  const postEntries = () =>
+    posts.map((post) => ({
+      key: `url:${post.url}`,
+      group: "posts",
+      icon: "fa-regular fa-file-lines",
+      title: post.title,
+      subtitle: [post.date, ...post.categories].filter(Boolean).join(" · "),
+      url: post.url,
+      words: post.words,
+    }));
+
+  // Groups for the current query, in display order.
+  const collect = () => {
+    const { words, actionsOnly, query } = parse();
+    if (actionsOnly) return rankEntries(actionEntries(), words, ACTIONS.length);
+    if (!query) return [...actionEntries(), ...linkEntries()];
+    return [
+      ...postEntries(),
+      ...rankEntries(linkEntries(), words, MAX_PER_GROUP),
+      ...rankEntries(
+        taxonomyEntries("categories", "fa-regular fa-folder"),
+        words,
+        MAX_PER_GROUP,
+      ),
+      ...rankEntries(
+        taxonomyEntries("tags", "fa-regular fa-tag"),
+        words,
+        MAX_PER_GROUP,
+      ),
+      ...rankEntries(actionEntries(), words, ACTIONS.length),
+    ];
+  };
+
+  /* ---------- Rendering ---------- */
+
+  const renderEntry = (entry, index) =>
+    `<li class="command-palette-item${index === active ? " active" : ""}" id="command-palette-item-${index}" role="option" aria-selected="${index === active}" data-index="${index}">
+      <i class="command-palette-icon ${escapeHTML(entry.icon)} fa-fw"></i>
+      <span class="command-palette-title">${escapeHTML(entry.title)}</span>
+      ${entry.subtitle ? `<span class="command-palette-subtitle">${escapeHTML(entry.subtitle)}</span>` : ""}
+      ${entry.meta !== undefined ? `<span class="command-palette-meta">${escapeHTML(entry.meta)}</span>` : ""}
+    </li>`;
+
+  function render() {
+    const previous = entries[active] && entries[active].key;
+    entries = collect();
+    const kept = entries.findIndex((entry) => entry.key === previous);
+    active = kept >= 0 ? kept : 0;
+
+    let html = "";
+    let group = null;
+    entries.forEach((entry, index) => {
+      if (entry.group !== group) {
+        group = entry.group;
+        html += `<li class="command-palette-group" role="presentation">${escapeHTML(text.groups[group])}</li>`;
+      }
+      html += renderEntry(entry, index);
+    });
+    if (!entries.length) {
+      const loading = client && !client.ready && parse().query;
+      html = `<li class="command-palette-empty" role="presentation">${escapeHTML(loading ? text.loading : text.empty)}</li>`;
+    }
+    list.innerHTML = html;
+    highlight(active);
+  }
+
+  function highlight(index) {
+    const previous = list.querySelector(".command-palette-item.active");
+    if (previous) {
+      previous.classList.remove("active");
+      previous.setAttribute("aria-selected", "false");
+    }
+    active = index;
+    const item = list.querySelector(`#command-palette-item-${index}`);
+    if (!item) {
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+    item.classList.add("active");
+    item.setAttribute("aria-selected", "true");
+    input.setAttribute("aria-activedescendant", item.id);
+    item.scrollIntoView({ block: "nearest" });
+  }
+
+  function move(step) {
+    if (!entries.length) return;
+    highlight((active + step + entries.length) % entries.length);
+  }
+
+  function select(index, newTab) {
+    const entry = entries[index];
+    if (!entry) return;
+    if (entry.url) {
+      if (entry.words) rememberSearchHit(entry.url, entry.words);
+      palette.close(false);
+      navigate(entry.url, newTab);
+      return;
+    }
+    if (!entry.action.keepOpen) palette.close();
+    entry.action.run(palette);
+    if (entry.action.keepOpen) render();
+  }
+
+  /* ---------- Search ---------- */
+
+  function search() {
+    const { query, actionsOnly } = parse();
+    if (!client || actionsOnly || !query) {
+      pendingId = null;
+      posts = [];
+      render();
+      return;
+    }
+    if (!client.ready) {
+      render();
+      return;
+    }
+    pendingId = `palette:${++queryId}`;
+    client.post({ type: "search", id: pendingId, query, limit: MAX_POSTS });
+  }
+
+  if (client) {
+    if (resultsHandler) client.offMessage(resultsHandler);
+    resultsHandler = (data) => {
+      if (!palette.isOpen()) return;
+      if (data.type === "ready") {
+        search();
+      } else if (data.type === "results" && data.id === pendingId) {
+        posts = data.results;
+        render();
+      }
+    };
+    client.onMessage(resultsHandler);
+  }
+
+  /* ---------- Events ---------- */
+
+  input.addEventListener("input", search);
+
+  input.addEventListener("keydown", (event) => {
+    if (event.isComposing) return;
+    switch (event.key) {
+      case "ArrowDown":
+        move(1);
+        break;
+      case "ArrowUp":
+        move(-1);
+        break;
+      case "Tab":
+        move(event.shiftKey ? -1 : 1);
+        break;
+      case "PageDown":
+        highlight(Math.min(active + MAX_PER_GROUP, entries.length - 1));
+        break;
+      case "PageUp":
+        highlight(Math.max(active - MAX_PER_GROUP, 0));
+        break;
+      case "Enter":
+        select(active, event.ctrlKey || event.metaKey || event.shiftKey);
+        break;
+      case "Escape":
+        palette.close();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  });
+
+  list.addEventListener("mousemove", (event) => {
+    const item = event.target.closest(".command-palette-item");
+    if (item && Number(item.dataset.index) !== active) {
+      highlight(Number(item.dataset.index));
+    }
+  });
+
+  list.addEventListener("click", (event) => {
+    const item = event.target.closest(".command-palette-item");
+    if (item) select(Number(item.dataset.index), event.ctrlKey || event.metaKey);
+  });
+
+  overlay.addEventListener("click", (event) => {
+    if (event.target === overlay) palette.close();
+  });
+
+  overlay
+    .querySelector(".command-palette-esc")
+    .addEventListener("click", () => palette.close());
+
+  current = palette;
+  bindGlobals();
+}
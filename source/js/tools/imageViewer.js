@@ -15,7 +15,10 @@ export default function imageViewer() {
   const switcherSideNext = maskDom?.querySelector(".image-viewer-switcher-side.next");
   const infoTrigger = maskDom?.querySelector(".image-viewer-info-trigger");
   const infoContent = infoTrigger?.querySelector(".image-viewer-info-content");
-  if (!maskDom || !stage || !switcher || !switcherPages || !switcherPrev || !switcherNext || !switcherSidePrev || !switcherSideNext || !infoTrigger || !infoContent) return;
+  const zoomToggle = switcher?.querySelector(".image-viewer-switcher-zoom");
+  const slideshowToggle = switcher?.querySelector(".image-viewer-switcher-play");
+  const fullscreenToggle = switcher?.querySelector(".image-viewer-switcher-fullscreen");
+  if (!maskDom || !stage || !switcher || !switcherPages || !switcherPrev || !switcherNext || !switcherSidePrev || !switcherSideNext || !infoTrigger || !infoContent || !zoomToggle || !slideshowToggle || !fullscreenToggle) return;
 
   if (global.maskEl === maskDom && global.stageEl === stage) {
     return;
@@ -211,10 +214,20 @@ export default function imageViewer() {
     }
   };
 
+  // Videos and Live Photos: their masonry container carries the clip (masonry.ejs)
+  const getNodeMedia = (node) => {
+    const container = node.closest(".image-container[data-video]");
+    return container
+      ? { video: container.dataset.video, media: container.dataset.media || "video" }
+      : { video: "", media: "" };
+  };
+
   const collectItems = (root) => {
     const nodes = Array.from((root || document).querySelectorAll(VIEWABLE_ITEM_SELECTOR));
     const items = [];
     nodes.forEach((node) => {
+      // Masonry photos left out by the album's filter chips
+      if (node.closest(".masonry-item[hidden]")) return;
       if (node instanceof HTMLImageElement) {
         if (!isViewableImg(node)) return;
         const src = node.dataset.originalSrc || node.currentSrc || node.src;
@@ -223,9 +236,11 @@ export default function imageViewer() {
           node,
           src: String(src || ""),
           absSrc: toAbsUrl(src),
+          fullSrc: node.dataset.fullSrc || "",
           alt: node.alt || "",
           width: node.naturalWidth || 0,
-          height: node.naturalHeight || 0
+          height: node.naturalHeight || 0,
+          ...getNodeMedia(node)
         });
         return;
       }
@@ -240,9 +255,11 @@ export default function imageViewer() {
           node,
           src: String(src),
           absSrc: toAbsUrl(src),
+          fullSrc: node.dataset.fullSrc || "",
           alt: node.dataset.alt || "",
           width: Number.isFinite(w) ? w : 0,
-          height: Number.isFinite(h) ? h : 0
+          height: Number.isFinite(h) ? h : 0,
+          ...getNodeMedia(node)
         });
       }
     });
@@ -268,11 +285,13 @@ export default function imageViewer() {
 
   const state = {
     isOpen: false, isAnimating: false, currentIndex: -1, items: [], contextRoot: null,
-    activeImg: null, activeEl: null,
+    activeImg: null, activeEl: null, stageVideo: null,
     articleOriginalNode: null, placeholder: null, saved: null,
     switcherShowTimer: null,
     scale: 1, translateX: 0, translateY: 0, isDragging: false,
     dragStartX: 0, dragStartY: 0, pointers: new Map(), pinchStart: null,
+    fullScale: 0, fullSwap: null, momentum: 0, velocity: [], tapStart: null, lastTap: null,
+    slideshow: false, slideshowTimer: null,
     fixedHidden: false,
     infoStatus: "closed",
     infoTimer: null,
@@ -381,8 +400,17 @@ export default function imageViewer() {
   const saveOriginal = (img) => {
     const cs = getComputedStyle(img);
     const rect = getArticleImgRect(img);
+    // Out of its <picture> (img-optimizer FALLBACK) the img would re-pick
+    // its own fallback source; pin the candidate it is showing instead.
+    let pictureSources = null;
+    if (img.parentNode?.tagName === "PICTURE" && img.currentSrc) {
+      pictureSources = { src: img.getAttribute("src"), srcset: img.getAttribute("srcset") };
+      img.removeAttribute("srcset");
+      img.src = img.currentSrc;
+    }
     return {
       parent: img.parentNode,
+      pictureSources,
       nextSibling: img.nextSibling,
       styleAttr: img.getAttribute("style"),
       // CSS properties to restore/animate
@@ -406,6 +434,11 @@ export default function imageViewer() {
     } else {
       img.setAttribute("style", saved.styleAttr);
     }
+    if (saved.pictureSources) {
+      const { src, srcset } = saved.pictureSources;
+      if (srcset != null) img.setAttribute("srcset", srcset);
+      if (src != null) img.setAttribute("src", src);
+    }
     img.classList.remove("img-preloader-loaded");
     img.style.animation = "";
   };
@@ -745,10 +778,23 @@ export default function imageViewer() {
   };
 
   const onKeydown = e => {
-    if (!state.isOpen) return;
-    if (e.key === "Escape") close();
-    else if (e.key === "ArrowLeft") navigate(-1);
-    else if (e.key === "ArrowRight") navigate(1);
+    if (!state.isOpen || e.ctrlKey || e.metaKey || e.altKey) return;
+    switch (e.key) {
+      case "Escape": close(); break;
+      case "ArrowLeft": case "PageUp": navigate(-1); break;
+      case "ArrowRight": case "PageDown": navigate(1); break;
+      case "Home": switchToIndex(0); break;
+      case "End": switchToIndex(state.items.length - 1); break;
+      case " ": toggleSlideshow(); break;
+      case "i": case "I": toggleInfo(); break;
+      case "f": case "F": toggleFullscreen(); break;
+      case "z": case "Z": case "1": zoomToggle.click(); break;
+      case "+": case "=": zoomByKey(1.25); break;
+      case "-": case "_": zoomByKey(0.8); break;
+      case "0": zoomByKey(0); break;
+      default: return;
+    }
+    e.preventDefault();
   };
 
   const getLiveNodeForItem = (item) => {
@@ -772,11 +818,13 @@ export default function imageViewer() {
     const totalPages = state.items.length;
     if (totalPages <= 1) {
       switcherPages.style.display = "none";
+      slideshowToggle.style.display = "none";
       switcherSidePrev.style.display = "none";
       switcherSideNext.style.display = "none";
       return;
     }
     // Ensure they are visible if we have multiple pages (revert display:none)
+    slideshowToggle.style.display = "";
     switcherSidePrev.style.display = "";
     switcherSideNext.style.display = "";
 
@@ -925,7 +973,74 @@ export default function imageViewer() {
     }, 300);
   };
 
+  /**
+   * Videos and Live Photos: the clip takes the place of the poster on the
+   * stage; the poster stays mounted (hidden) for zoom and the fly-back.
+   * Videos play with controls; Live Photos play once, muted, then show the
+   * still again and replay when the pointer next enters it.
+   */
+  const showStageClip = (on) => {
+    const { video, img } = state.stageVideo;
+    video.style.display = on ? "" : "none";
+    img.style.display = on ? "none" : "";
+  };
+
+  const mountStageVideo = (img) => {
+    const item = state.items[state.currentIndex];
+    if (!item || !item.video) return;
+
+    const isLive = item.media === "live";
+    const video = document.createElement("video");
+    video.className = "image-viewer-video";
+    video.poster = img.currentSrc || img.src;
+    video.src = item.video;
+    video.playsInline = true;
+    video.muted = isLive;
+    video.controls = !isLive;
+    img.after(video);
+
+    // The still reappears under the pointer; wait for it to leave first
+    let armed = false;
+    const onEnter = () => {
+      if (!armed || state.scale > 1.01 || state.isDragging) return;
+      armed = false;
+      showStageClip(true);
+      video.currentTime = 0;
+      video.play().catch(() => {});
+    };
+    const onLeave = () => (armed = true);
+    state.stageVideo = { video, img, onEnter, onLeave };
+    showStageClip(true);
+
+    if (isLive) {
+      video.addEventListener("ended", () => {
+        if (state.stageVideo?.video !== video) return;
+        armed = !video.matches(":hover");
+        showStageClip(false);
+      });
+      img.addEventListener("pointerenter", onEnter);
+      img.addEventListener("pointerleave", onLeave);
+    }
+    // Autoplay with sound may be refused; fall back to muted
+    video.play().catch(() => {
+      video.muted = true;
+      video.play().catch(() => {});
+    });
+  };
+
+  const unmountStageVideo = () => {
+    if (!state.stageVideo) return;
+    const { video, img, onEnter, onLeave } = state.stageVideo;
+    showStageClip(false);
+    state.stageVideo = null;
+    img.removeEventListener("pointerenter", onEnter);
+    img.removeEventListener("pointerleave", onLeave);
+    video.pause();
+    video.remove();
+  };
+
   const mountLoadedImgToStage = (img, clear = true) => {
+    unmountStageVideo();
     if (clear) stage.innerHTML = "";
     img.classList.remove("img-preloader-loaded");
     img.style.animation = "";
@@ -936,17 +1051,323 @@ export default function imageViewer() {
     img.style.touchAction = "none";
     img.style.width = "";
     img.style.height = "";
+    // Responsive images were sized for the article column; let the browser
+    // pick a candidate for the full viewport instead.
+    if (img.srcset) img.sizes = "100vw";
     applyTransform();
     constrainVisible();
+    mountStageVideo(img);
   };
 
   const mountPreloaderToStage = (pre) => {
+    unmountStageVideo();
     stage.innerHTML = "";
     stage.appendChild(pre);
     state.activeImg = null;
     state.activeEl = pre;
   };
 
+  /**
+   * Zoom: wheel, pinch and double-click/double-tap scale the stage image
+   * around a point; double-click toggles between the fitted view and 1:1
+   * pixels, swapping in the original (pre-AVIF) file when the build kept it
+   * (`data-full-src`, see img-optimizer KEEP_ORIGINAL). The swap is undone
+   * before the image flies back to the article or pages away.
+   */
+  const MIN_SCALE = 0.5, MAX_SCALE = 6;
+  const ZOOM_MS = 300;
+  const DOUBLE_TAP_MS = 300, TAP_SLOP = 10, DOUBLE_TAP_SLOP = 30;
+  const MOMENTUM_FRICTION = 0.95, MOMENTUM_SAMPLE_MS = 100, MOMENTUM_MIN_SPEED = 0.02;
+
+  // Allow zooming past the 1:1 scale of very large originals.
+  const maxScale = () => Math.max(MAX_SCALE, state.fullScale * 2);
+  const clampScale = (s) => Math.max(MIN_SCALE, Math.min(maxScale(), s));
+
+  const zoomAt = (scale, clientX, clientY, animate = false) => {
+    const img = state.activeImg;
+    if (!img) return;
+    const rect = img.getBoundingClientRect();
+    const offsetX = clientX - rect.left - rect.width / 2;
+    const offsetY = clientY - rect.top - rect.height / 2;
+    const oldScale = state.scale;
+    state.scale = clampScale(scale);
+    const ratio = state.scale / oldScale - 1;
+    state.translateX -= offsetX * ratio; state.translateY -= offsetY * ratio;
+    if (infoTrigger.classList.contains("active")) closeInfo();
+    if (!animate) {
+      img.style.transition = "none";
+      applyTransform(); constrainVisible();
+      updateZoomToggle();
+      return;
+    }
+    img.style.transition = `transform ${ZOOM_MS}ms ${EASE}`;
+    applyTransform();
+    updateZoomToggle();
+    setTimeout(() => state.activeImg === img && constrainVisible(), ZOOM_MS);
+  };
+
+  const stopMomentum = () => {
+    if (state.momentum) cancelAnimationFrame(state.momentum);
+    state.momentum = 0;
+  };
+
+  // Keep gliding after a touch pan, slowing down until it stops or hits an edge.
+  const startMomentum = () => {
+    const samples = state.velocity;
+    state.velocity = [];
+    if (samples.length < 2) return;
+    const first = samples[0], last = samples[samples.length - 1];
+    const dt = last.t - first.t;
+    if (dt <= 0) return;
+    let vx = (last.x - first.x) / dt, vy = (last.y - first.y) / dt;
+    let prev = performance.now();
+    const step = (now) => {
+      const elapsed = Math.min(64, now - prev);
+      prev = now;
+      if (!state.activeImg) return stopMomentum();
+      state.translateX += vx * elapsed; state.translateY += vy * elapsed;
+      const x = state.translateX, y = state.translateY;
+      applyTransform(); constrainVisible();
+      const decay = Math.pow(MOMENTUM_FRICTION, elapsed / 16);
+      vx *= decay; vy *= decay;
+      if (x !== state.translateX || y !== state.translateY || Math.hypot(vx, vy) < MOMENTUM_MIN_SPEED) {
+        state.momentum = 0;
+        return;
+      }
+      state.momentum = requestAnimationFrame(step);
+    };
+    stopMomentum();
+    state.activeImg.style.transition = "none";
+    state.momentum = requestAnimationFrame(step);
+  };
+
+  const getFullSrc = (img) => img.dataset.fullSrc || state.items[state.currentIndex]?.fullSrc || "";
+
+  // Put the displayed (optimized) source back on the image swapped by 1:1 mode.
+  const exitFullSource = () => {
+    const swap = state.fullSwap;
+    if (!swap) return;
+    state.fullSwap = null;
+    swap.img.src = swap.src;
+    if (swap.srcset) swap.img.setAttribute("srcset", swap.srcset);
+    swap.img.style.removeProperty("width");
+    swap.img.style.removeProperty("height");
+  };
+
+  const resetZoom = () => {
+    stopMomentum();
+    exitFullSource();
+    state.scale = 1; state.translateX = state.translateY = 0;
+    state.pointers.clear(); state.pinchStart = null; state.isDragging = false;
+    state.fullScale = 0; state.velocity = []; state.tapStart = state.lastTap = null;
+    zoomToggle.classList.remove("loading");
+    updateZoomToggle();
+  };
+
+  const updateZoomToggle = () => {
+    const zoomed = state.scale > 1.01;
+    zoomToggle.classList.toggle("active", zoomed);
+    const icon = zoomToggle.querySelector("i");
+    if (icon) icon.className = zoomed ? "fa-regular fa-magnifying-glass-minus" : "fa-regular fa-magnifying-glass-plus";
+  };
+
+  const loadFullSource = async (img) => {
+    const fullSrc = getFullSrc(img);
+    if (!fullSrc || state.fullSwap?.img === img || toAbsUrl(fullSrc) === toAbsUrl(img.currentSrc || img.src)) return;
+    zoomToggle.classList.add("loading");
+    try {
+      const probe = new Image();
+      probe.src = fullSrc;
+      await probe.decode();
+    } catch {
+      return;
+    } finally {
+      zoomToggle.classList.remove("loading");
+    }
+    if (!state.isOpen || state.activeImg !== img) return;
+    // Lock the fitted size so the larger file doesn't reflow the stage.
+    img.style.setProperty("width", `${img.offsetWidth}px`, "important");
+    img.style.setProperty("height", `${img.offsetHeight}px`, "important");
+    state.fullSwap = { img, src: img.getAttribute("src"), srcset: img.getAttribute("srcset") };
+    img.removeAttribute("srcset");
+    img.src = fullSrc;
+    await img.decode().catch(() => {});
+  };
+
+  // Scale at which one image pixel covers one device pixel.
+  const actualSizeScale = (img) => {
+    const shown = (img.offsetWidth - VIEWER_PADDING * 2) * (window.devicePixelRatio || 1);
+    return shown > 0 && img.naturalWidth ? img.naturalWidth / shown : 1;
+  };
+
+  const toggleActualSize = async (clientX, clientY) => {
+    const img = state.activeImg;
+    if (!img || zoomToggle.classList.contains("loading")) return;
+    stopMomentum();
+    if (state.scale > 1.01) {
+      img.style.transition = `transform ${ZOOM_MS}ms ${EASE}`;
+      state.scale = 1; state.translateX = state.translateY = 0;
+      applyTransform();
+      updateZoomToggle();
+      return;
+    }
+    await loadFullSource(img);
+    if (!state.isOpen || state.activeImg !== img) return;
+    state.fullScale = actualSizeScale(img);
+    // Small originals barely grow at 1:1; zoom to 2x instead.
+    zoomAt(state.fullScale < 1.5 ? 2 : state.fullScale, clientX, clientY, true);
+  };
+
+  // Keyboard zoom around the image centre; factor 0 returns to the fitted view.
+  const zoomByKey = (factor) => {
+    const img = state.activeImg;
+    if (!img || state.isAnimating) return;
+    stopMomentum();
+    const rect = img.getBoundingClientRect();
+    if (factor) {
+      zoomAt(state.scale * factor, rect.left + rect.width / 2, rect.top + rect.height / 2, true);
+      return;
+    }
+    img.style.transition = `transform ${ZOOM_MS}ms ${EASE}`;
+    state.scale = 1; state.translateX = state.translateY = 0;
+    applyTransform();
+    updateZoomToggle();
+  };
+
+  /**
+   * Slideshow: pages forward every `articles.image_viewer.slideshow.interval`
+   * ms, crossfading for `crossfade` ms (0 keeps the sliding transition). A
+   * tick waits while the image is zoomed, the info card is open or a clip is
+   * playing; paging by hand restarts the countdown.
+   */
+  const viewerConfig = theme.articles?.image_viewer || {};
+  const SLIDESHOW_INTERVAL = Math.max(1000, Number(viewerConfig.slideshow?.interval) || 4000);
+  const SLIDESHOW_CROSSFADE = Math.max(0, Number(viewerConfig.slideshow?.crossfade ?? 600) || 0);
+
+  const scheduleSlide = () => {
+    if (state.slideshowTimer) clearTimeout(state.slideshowTimer);
+    state.slideshowTimer = setTimeout(() => {
+      state.slideshowTimer = null;
+      if (!state.slideshow || !state.isOpen) return;
+      const clip = state.stageVideo?.video;
+      if (state.isAnimating || state.scale > 1.01 || infoTrigger.classList.contains("active") || (clip && !clip.paused && !clip.ended)) {
+        scheduleSlide();
+        return;
+      }
+      switchToIndex((state.currentIndex + 1) % state.items.length, { crossfade: SLIDESHOW_CROSSFADE });
+    }, SLIDESHOW_INTERVAL);
+  };
+
+  const setSlideshow = (on) => {
+    state.slideshow = on && state.items.length > 1;
+    if (!state.slideshow && state.slideshowTimer) {
+      clearTimeout(state.slideshowTimer);
+      state.slideshowTimer = null;
+    }
+    maskDom.classList.toggle("slideshow", state.slideshow);
+    slideshowToggle.classList.toggle("active", state.slideshow);
+    const icon = slideshowToggle.querySelector("i");
+    if (icon) icon.className = state.slideshow ? "fa-solid fa-pause" : "fa-solid fa-play";
+    if (state.slideshow) scheduleSlide();
+  };
+
+  const toggleSlideshow = () => state.isOpen && setSlideshow(!state.slideshow);
+
+  const toggleInfo = () => {
+    if (infoTrigger.classList.contains("active") && !infoTrigger.classList.contains("closing")) closeInfo();
+    else openInfo();
+  };
+
+  // Fullscreen API (prefixed in Safari); the button hides where it's unavailable (iPhone).
+  const fullscreenElement = () => document.fullscreenElement || document.webkitFullscreenElement || null;
+  const canFullscreen = !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+  if (!canFullscreen) fullscreenToggle.style.display = "none";
+
+  const updateFullscreenToggle = () => {
+    const active = fullscreenElement() === maskDom;
+    fullscreenToggle.classList.toggle("active", active);
+    const icon = fullscreenToggle.querySelector("i");
+    if (icon) icon.className = active ? "fa-regular fa-compress" : "fa-regular fa-expand";
+  };
+
+  const exitFullscreen = () => {
+    if (fullscreenElement() !== maskDom) return;
+    (document.exitFullscreen || document.webkitExitFullscreen)?.call(document)?.catch?.(() => {});
+  };
+
+  const toggleFullscreen = () => {
+    if (!state.isOpen || !canFullscreen) return;
+    if (fullscreenElement() === maskDom) {
+      exitFullscreen();
+      return;
+    }
+    (maskDom.requestFullscreen || maskDom.webkitRequestFullscreen)?.call(maskDom)?.catch?.(() => {});
+  };
+
+  /**
+   * Deep links: while the viewer is open the URL hash names the photo
+   * (`#image-5`, 1-based) within the page's first gallery — the post body,
+   * the masonry album or the shuoshuo list — so the link reopens it.
+   * Masonry photos are numbered by their place in the album (data-index),
+   * whatever the sort and however many pages have loaded: a link to a later
+   * page loads the pages up to it ("masonry:load-pages", plugins/masonry.js).
+   */
+  const DEEP_LINK = viewerConfig.deep_link !== false;
+  const HASH_PATTERN = /^#image-(\d+)$/;
+
+  const primaryContextRoot = () => {
+    const first = Array.from(document.querySelectorAll(VIEWABLE_ITEM_SELECTOR))
+      .find(node => node instanceof HTMLImageElement ? isViewableImg(node) : isViewablePreloader(node));
+    return first ? getContextRoot(first) : null;
+  };
+
+  // Album index of a masonry photo, or null
+  const albumIndexOf = (node) => {
+    const index = node?.closest(".masonry-item")?.dataset.index;
+    return index === undefined ? null : Number(index);
+  };
+
+  const syncHash = () => {
+    if (!DEEP_LINK) return;
+    let hash = "";
+    if (state.isOpen && state.contextRoot === primaryContextRoot()) {
+      const position = albumIndexOf(state.items[state.currentIndex]?.node) ?? state.currentIndex;
+      hash = `#image-${position + 1}`;
+    }
+    if (hash === location.hash || (!hash && !HASH_PATTERN.test(location.hash))) return;
+    history.replaceState(history.state, "", hash || location.pathname + location.search);
+  };
+
+  const openFromHash = () => {
+    const match = DEEP_LINK && location.hash.match(HASH_PATTERN);
+    if (!match || state.isOpen || state.isAnimating) return;
+    const root = primaryContextRoot();
+    if (!root) return;
+    const position = Number(match[1]) - 1;
+    const items = collectItems(root);
+
+    if (!root.querySelector(".masonry-item[data-index]")) {
+      if (items[position]) open(items[position].node, true);
+      return;
+    }
+    const albumItem = () => root.querySelector(`.masonry-item[data-index="${position}"]`);
+    if (albumItem()) {
+      const item = items.find(entry => albumIndexOf(entry.node) === position);
+      if (item) open(item.node, true);
+      return;
+    }
+    // On a page infinite scroll hasn't reached: load up to it, then open it
+    if (global.handlers.onItemsAdded) document.removeEventListener("masonry:items-added", global.handlers.onItemsAdded);
+    global.handlers.onItemsAdded = () => {
+      if (!albumItem()) return;
+      document.removeEventListener("masonry:items-added", global.handlers.onItemsAdded);
+      global.handlers.onItemsAdded = null;
+      openFromHash();
+    };
+    document.addEventListener("masonry:items-added", global.handlers.onItemsAdded);
+    document.dispatchEvent(new CustomEvent("masonry:load-pages", { detail: { until: () => Boolean(albumItem()) } }));
+  };
+
   const INFO_MS = 360;
   const INFO_TOTAL_MS = INFO_MS * 2;
 
@@ -1216,8 +1637,7 @@ export default function imageViewer() {
       ? computeViewerRect(liveNode)
       : computeViewerRectFromAspect(aspectRatio);
 
-    state.scale = 1; state.translateX = state.translateY = 0;
-    state.pointers.clear(); state.pinchStart = null; state.isDragging = false;
+    resetZoom();
 
     if (liveNode instanceof HTMLImageElement) {
       state.saved = saveOriginal(liveNode);
@@ -1318,7 +1738,7 @@ export default function imageViewer() {
     }
   };
 
-  async function open(node) {
+  async function open(node, fromLink = false) {
     if (state.isOpen || state.isAnimating) return;
     state.isOpen = state.isAnimating = true;
 
@@ -1335,7 +1755,8 @@ export default function imageViewer() {
     // But allow if we are navigating (which is not this case, this is open())
     // Wait, requirement says "cannot be clicked to open", but "can be switched to".
     // open() is only called on click.
-    if (clickNode instanceof HTMLElement && clickNode.classList.contains("img-preloader") && !clickNode.classList.contains("img-preloader-loaded")) {
+    // Deep links may point at a photo lazyload hasn't reached yet.
+    if (!fromLink && clickNode instanceof HTMLElement && clickNode.classList.contains("img-preloader") && !clickNode.classList.contains("img-preloader-loaded")) {
        // Check if it's really unloaded (double check with lazyload status?)
        // The class check is reliable enough as lazyload adds it.
        // But wait, if we block it here, user can't open it.
@@ -1357,6 +1778,7 @@ export default function imageViewer() {
     updateInfo();
 
     await openItemAtIndex(state.currentIndex, clickNode);
+    syncHash();
 
     state.isAnimating = false;
     document.addEventListener("keydown", onKeydown);
@@ -1380,6 +1802,10 @@ export default function imageViewer() {
     if (!state.activeEl || !state.placeholder) return;
 
     state.isAnimating = true;
+    stopMomentum();
+    exitFullSource();
+    setSlideshow(false);
+    exitFullscreen();
     document.removeEventListener("keydown", onKeydown);
     if (state.resizeHandler) {
       window.removeEventListener("resize", state.resizeHandler);
@@ -1393,6 +1819,7 @@ export default function imageViewer() {
     maskDom.classList.remove("switching");
     infoTrigger.style.display = "none";
     resetInfoInstant();
+    unmountStageVideo();
 
     const el = state.activeEl;
     const ph = state.placeholder;
@@ -1446,8 +1873,9 @@ export default function imageViewer() {
       await animateFlight(img, CLOSE_MS, targetDecoration, state.saved?.borderRadius);
 
       clearFlightStyles(img, false);
-      restoreOriginal(img, state.saved);
+      // Back inside its <picture> before the sources are restored
       ph.replaceWith(img);
+      restoreOriginal(img, state.saved);
     } else {
       const fromRect = el.getBoundingClientRect();
       const phRect = ph.getBoundingClientRect();
@@ -1568,6 +1996,7 @@ export default function imageViewer() {
     state.saved = null;
     state.pointers.clear(); state.pinchStart = null;
     state.isOpen = state.isAnimating = false;
+    syncHash();
 
     maskDom.style.zIndex = "";
   }
@@ -1578,17 +2007,21 @@ export default function imageViewer() {
     await switchToIndex(nextIndex);
   }
 
-  async function switchToIndex(targetIndex) {
+  async function switchToIndex(targetIndex, { crossfade = 0 } = {}) {
     if (!state.isOpen || state.isAnimating) return;
     if (targetIndex === state.currentIndex) return;
     const nextItem = state.items[targetIndex];
     if (!nextItem) return;
 
     const direction = targetIndex > state.currentIndex ? -1 : 1;
-    const SWITCH_MS = 420;
-    const OVERLAP_MS = Math.round(SWITCH_MS / 2);
+    // A crossfade fades both images in place at the same time instead of sliding.
+    const SWITCH_MS = crossfade || 420;
+    const OVERLAP_MS = crossfade ? 0 : Math.round(SWITCH_MS / 2);
 
     state.isAnimating = true;
+    stopMomentum();
+    exitFullSource();
+    unmountStageVideo();
     hideSwitcher();
     maskDom.classList.add("switching");
 
@@ -1619,11 +2052,17 @@ export default function imageViewer() {
     const exitX = direction < 0
       ? -(outgoingFromRect.left + outgoingFromRect.width + 40)
       : (vw - outgoingFromRect.left + 40);
+    const enterTransform = (rect) => {
+      if (crossfade) return "translate(0, 0) scale(1, 1)";
+      return direction < 0
+        ? `translate(${vw - rect.left + 40}px, 0px) scale(0.6, 0.6)`
+        : `translate(${-(rect.left + rect.width + 40)}px, 0px) scale(0.6, 0.6)`;
+    };
 
     await nextFrame();
     await nextFrame();
     outgoingEl.style.transition = `transform ${SWITCH_MS}ms ${EASE}, opacity ${SWITCH_MS}ms ${EASE}`;
-    outgoingEl.style.transform = `translate(${exitX}px, ${dy}px) scale(0.6, 0.6)`;
+    if (!crossfade) outgoingEl.style.transform = `translate(${exitX}px, ${dy}px) scale(0.6, 0.6)`;
     outgoingEl.style.opacity = "0";
 
     setTimeout(async () => {
@@ -1631,6 +2070,7 @@ export default function imageViewer() {
       state.currentIndex = targetIndex;
       updateSwitcher();
       updateInfo();
+      syncHash();
 
       const liveNode = getLiveNodeForItem(nextItem);
 
@@ -1643,8 +2083,7 @@ export default function imageViewer() {
         ? computeViewerRect(liveNode)
         : computeViewerRectFromAspect(aspectRatio);
 
-      state.scale = 1; state.translateX = state.translateY = 0;
-      state.pointers.clear(); state.pinchStart = null; state.isDragging = false;
+      resetZoom();
 
       let incomingEl;
       if (liveNode instanceof HTMLImageElement) {
@@ -1662,9 +2101,7 @@ export default function imageViewer() {
           document.body,
           FLIGHT_Z_OPEN
         );
-        incomingEl.style.transform = direction < 0
-          ? `translate(${vw - viewerRect.left + 40}px, 0px) scale(0.6, 0.6)`
-          : `translate(${-(viewerRect.left + viewerRect.width + 40)}px, 0px) scale(0.6, 0.6)`;
+        incomingEl.style.transform = enterTransform(viewerRect);
         incomingEl.style.opacity = "0";
         await nextFrame();
         incomingEl.style.transition = `transform ${SWITCH_MS}ms ${EASE}, opacity ${SWITCH_MS}ms ${EASE}`;
@@ -1702,9 +2139,7 @@ export default function imageViewer() {
 
         const incomingPre = createStagePreloader(viewerRect, aspectRatio);
         setGenericFlightStyles(incomingPre, viewerRect, viewerRect, FLIGHT_Z_OPEN);
-        incomingPre.style.transform = direction < 0
-          ? `translate(${vw - viewerRect.left + 40}px, 0px) scale(0.6, 0.6)`
-          : `translate(${-(viewerRect.left + viewerRect.width + 40)}px, 0px) scale(0.6, 0.6)`;
+        incomingPre.style.transform = enterTransform(viewerRect);
         incomingPre.style.opacity = "0";
         await nextFrame();
         incomingPre.style.transition = `transform ${SWITCH_MS}ms ${EASE}, opacity ${SWITCH_MS}ms ${EASE}`;
@@ -1756,8 +2191,8 @@ export default function imageViewer() {
     setTimeout(() => {
       if (outgoingOriginal instanceof HTMLImageElement) {
         clearFlightStyles(outgoingEl, false);
-        restoreOriginal(outgoingOriginal, outgoingSaved);
         outgoingPlaceholder?.replaceWith(outgoingOriginal);
+        restoreOriginal(outgoingOriginal, outgoingSaved);
         outgoingOriginal.classList.add("image-viewer-article-fade-in");
         setTimeout(() => outgoingOriginal.classList.remove("image-viewer-article-fade-in"), 260);
       } else if (outgoingOriginal instanceof HTMLElement) {
@@ -1774,6 +2209,7 @@ export default function imageViewer() {
     maskDom.classList.remove("switching");
     state.isAnimating = false;
     scheduleShowSwitcher();
+    if (state.slideshow) scheduleSlide();
   }
 
   global.api = { open, close, isOpen: () => state.isOpen };
@@ -1782,6 +2218,11 @@ export default function imageViewer() {
   switcherNext.onclick = () => navigate(1);
   switcherSidePrev.onclick = () => navigate(-1);
   switcherSideNext.onclick = () => navigate(1);
+  zoomToggle.onclick = () => {
+    if (!state.isOpen || state.isAnimating || !state.activeImg) return;
+    const rect = state.activeImg.getBoundingClientRect();
+    toggleActualSize(rect.left + rect.width / 2, rect.top + rect.height / 2);
+  };
   switcherPages.onclick = (e) => {
     if (!state.isOpen || state.isAnimating) return;
     const btn = e.target?.closest?.(".image-viewer-switcher-page");
@@ -1791,13 +2232,13 @@ export default function imageViewer() {
     switchToIndex(idx);
   };
 
+  slideshowToggle.onclick = toggleSlideshow;
+  fullscreenToggle.onclick = toggleFullscreen;
+  maskDom.onfullscreenchange = maskDom.onwebkitfullscreenchange = updateFullscreenToggle;
+
   infoTrigger.onclick = (e) => {
     e.stopPropagation();
-    if (infoTrigger.classList.contains("active") && !infoTrigger.classList.contains("closing")) {
-      closeInfo();
-      return;
-    }
-    openInfo();
+    toggleInfo();
   };
 
   infoContent.onclick = (e) => {
@@ -1857,24 +2298,19 @@ export default function imageViewer() {
     global.handlers.onwheel = e => {
       if (!state.isOpen || !state.activeImg || e.target !== state.activeImg) return;
       e.preventDefault();
-      const rect = state.activeImg.getBoundingClientRect();
-      const mouseX = e.clientX - rect.left - rect.width / 2;
-      const mouseY = e.clientY - rect.top - rect.height / 2;
-      const oldScale = state.scale;
-      state.scale = Math.max(0.5, Math.min(6, oldScale * (e.deltaY > 0 ? 0.9 : 1.1)));
-      const ratio = state.scale / oldScale - 1;
-      state.translateX -= mouseX * ratio; state.translateY -= mouseY * ratio;
-      state.activeImg.style.transition = "none";
-      if (infoTrigger.classList.contains("active")) closeInfo();
-      applyTransform(); constrainVisible();
+      stopMomentum();
+      zoomAt(state.scale * (e.deltaY > 0 ? 0.9 : 1.1), e.clientX, e.clientY);
     };
 
     global.handlers.onpointerdown = e => {
       if (!state.isOpen || !state.activeImg || e.target !== state.activeImg) return;
       e.preventDefault();
+      stopMomentum();
       state.activeImg.setPointerCapture(e.pointerId);
       state.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      state.velocity = [];
       if (state.pointers.size === 1) {
+        state.tapStart = { x: e.clientX, y: e.clientY, t: e.timeStamp };
         state.dragStartX = e.clientX - state.translateX;
         state.dragStartY = e.clientY - state.translateY;
         state.activeImg.style.cursor = "grabbing";
@@ -1890,6 +2326,8 @@ export default function imageViewer() {
         state.translateX = e.clientX - state.dragStartX;
         state.translateY = e.clientY - state.dragStartY;
         state.isDragging = true;
+        state.velocity.push({ x: e.clientX, y: e.clientY, t: e.timeStamp });
+        while (state.velocity.length > 2 && e.timeStamp - state.velocity[0].t > MOMENTUM_SAMPLE_MS) state.velocity.shift();
         if (infoTrigger.classList.contains("active")) closeInfo();
         applyTransform(); constrainVisible();
         return;
@@ -1902,9 +2340,11 @@ export default function imageViewer() {
 
         if (!state.pinchStart) {
           state.pinchStart = { dist, midX, midY, scale: state.scale, tx: state.translateX, ty: state.translateY };
+          state.tapStart = state.lastTap = null;
+          state.velocity = [];
         }
 
-        const s = Math.max(0.5, Math.min(6, state.pinchStart.scale * (dist / state.pinchStart.dist)));
+        const s = clampScale(state.pinchStart.scale * (dist / state.pinchStart.dist));
         const ratio = s / state.scale;
         const rect = state.activeImg.getBoundingClientRect();
         const cx = midX - (rect.left + rect.width / 2), cy = midY - (rect.top + rect.height / 2);
@@ -1912,6 +2352,7 @@ export default function imageViewer() {
         state.scale = s; state.isDragging = true;
         if (infoTrigger.classList.contains("active")) closeInfo();
         applyTransform(); constrainVisible();
+        updateZoomToggle();
       }
     };
 
@@ -1923,6 +2364,24 @@ export default function imageViewer() {
         state.pinchStart = null;
         constrainVisible();
         setTimeout(() => state.isDragging = false, 50);
+
+        // Double-click / double-tap: two short, close taps toggle 1:1 zoom.
+        const tap = state.tapStart;
+        state.tapStart = null;
+        const isTap = e.type === "pointerup" && tap && e.timeStamp - tap.t < DOUBLE_TAP_MS &&
+          Math.hypot(e.clientX - tap.x, e.clientY - tap.y) < TAP_SLOP;
+        if (!isTap) {
+          state.lastTap = null;
+          if (e.pointerType === "touch" && state.scale > 1) startMomentum();
+          return;
+        }
+        const last = state.lastTap;
+        if (last && e.timeStamp - last.t < DOUBLE_TAP_MS && Math.hypot(e.clientX - last.x, e.clientY - last.y) < DOUBLE_TAP_SLOP) {
+          state.lastTap = null;
+          toggleActualSize(e.clientX, e.clientY);
+        } else {
+          state.lastTap = { x: e.clientX, y: e.clientY, t: e.timeStamp };
+        }
       } else if (state.pointers.size === 1) {
         state.pinchStart = null;
         const p = Array.from(state.pointers.values())[0];
@@ -1937,4 +2396,13 @@ export default function imageViewer() {
 
     global.stageEl = stage;
   }
+
+  if (global.handlers.onHashChange) window.removeEventListener("hashchange", global.handlers.onHashChange);
+  global.handlers.onHashChange = openFromHash;
+  // A deep link still waiting for its masonry page belongs to the old page
+  if (global.handlers.onItemsAdded) document.removeEventListener("masonry:items-added", global.handlers.onItemsAdded);
+  global.handlers.onItemsAdded = null;
+  window.addEventListener("hashchange", openFromHash);
+  // Let swup's scroll reset and the masonry layout settle before a deep link opens.
+  if (DEEP_LINK && HASH_PATTERN.test(location.hash)) setTimeout(openFromHash, 300);
 }
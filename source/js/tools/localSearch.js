@@ -1,275 +1,250 @@
-export default function initLocalSearch() {
-  // Search DB path
-  let searchPath = config.path;
-  if (!searchPath) {
-    // Search DB path
-    console.warn("`hexo-generator-searchdb` plugin is not installed!");
-    return;
-  }
+import { getSearchClient, loadSearchIndex } from "./searchClient.js";
+import { rememberSearchHit } from "./searchHighlight.js";
 
-  // Popup Window
-  let isfetched = false;
-  let datas;
-  let isXml = true;
-  if (searchPath.length === 0) {
-    searchPath = "search.xml";
-  } else if (searchPath.endsWith("json")) {
-    isXml = false;
+function getIndexByWord(word, text, caseSensitive) {
+  let wordLen = word.length;
+  if (wordLen === 0) return [];
+  let startPosition = 0;
+  let position = [];
+  let index = [];
+  if (!caseSensitive) {
+    text = text.toLowerCase();
+    word = word.toLowerCase();
   }
-  const searchInputDom = document.querySelector(".search-input");
-  const resultContent = document.getElementById("search-result");
-
-  const getIndexByWord = (word, text, caseSensitive) => {
-    let wordLen = word.length;
-    if (wordLen === 0) return [];
-    let startPosition = 0;
-    let position = [];
-    let index = [];
-    if (!caseSensitive) {
-      text = text.toLowerCase();
-      word = word.toLowerCase();
-    }
-    while ((position = text.indexOf(word, startPosition)) > -1) {
-      index.push({ position, word });
-      startPosition = position + wordLen;
-    }
-    return index;
-  };
+  while ((position = text.indexOf(word, startPosition)) > -1) {
+    index.push({ position, word });
+    startPosition = position + wordLen;
+  }
+  return index;
+}
 
-  // Merge hits into slices
-  const mergeIntoSlice = (start, end, index, searchText) => {
-    let currentItem = index[index.length - 1];
-    let { position, word } = currentItem;
-    let hits = [];
-    let searchTextCountInSlice = 0;
+// Merge hits into slices
+function mergeIntoSlice(start, end, index) {
+  let currentItem = index[index.length - 1];
+  let { position, word } = currentItem;
+  let hits = [];
 
-    // Merge hits into the slice
-    while (position + word.length <= end && index.length !== 0) {
-      if (word === searchText) {
-        searchTextCountInSlice++;
-      }
-      hits.push({
-        position,
-        length: word.length,
-      });
+  // Merge hits into the slice
+  while (position + word.length <= end && index.length !== 0) {
+    hits.push({
+      position,
+      length: word.length,
+    });
 
-      const wordEnd = position + word.length;
+    const wordEnd = position + word.length;
 
-      // Move to the next position of the hit
-      index.pop();
-      for (let i = index.length - 1; i >= 0; i--) {
-        currentItem = index[i];
-        position = currentItem.position;
-        word = currentItem.word;
-        if (wordEnd <= position) {
-          break;
-        } else {
-          index.pop();
-        }
+    // Move to the next position of the hit
+    index.pop();
+    for (let i = index.length - 1; i >= 0; i--) {
+      currentItem = index[i];
+      position = currentItem.position;
+      word = currentItem.word;
+      if (wordEnd <= position) {
+        break;
+      } else {
+        index.pop();
       }
     }
+  }
 
-    return {
-      hits,
-      start,
-      end,
-      searchTextCount: searchTextCountInSlice,
-    };
+  return {
+    hits,
+    start,
+    end,
   };
+}
 
-  // Highlight title and content
-  const highlightKeyword = (text, slice) => {
-    let result = "";
-    let prevEnd = slice.start;
-    slice.hits.forEach((hit) => {
-      result += text.substring(prevEnd, hit.position);
-      let end = hit.position + hit.length;
-      result += `<b class="search-keyword">${text.substring(
-        hit.position,
-        end,
-      )}</b>`;
-      prevEnd = end;
-    });
-    result += text.substring(prevEnd, slice.end);
-    return result;
-  };
+// Index text is plain text (search-generator.js): escape it before it goes
+// into innerHTML.
+function escapeHTML(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
 
-  const inputEventFunction = () => {
-    if (!isfetched) return;
-    let searchText = searchInputDom.value.trim().toLowerCase();
-    let keywords = searchText.split(/[-\s]+/);
-    if (keywords.length > 1) {
-      keywords.push(searchText);
+// Highlight title and content. Hits are positions in the raw text, so each
+// segment is escaped on its own.
+function highlightKeyword(text, slice) {
+  let result = "";
+  let prevEnd = slice.start;
+  slice.hits.forEach((hit) => {
+    result += escapeHTML(text.substring(prevEnd, hit.position));
+    let end = hit.position + hit.length;
+    result += `<b class="search-keyword">${escapeHTML(
+      text.substring(hit.position, end),
+    )}</b>`;
+    prevEnd = end;
+  });
+  result += escapeHTML(text.substring(prevEnd, slice.end));
+  return result;
+}
+
+// Positions of the matched index terms in `text`, last first (the order
+// mergeIntoSlice consumes them in).
+function findHits(words, text) {
+  let index = [];
+  words.forEach((word) => {
+    index = index.concat(getIndexByWord(word, text, false));
+  });
+  return index.sort((itemLeft, itemRight) => {
+    if (itemRight.position !== itemLeft.position) {
+      return itemRight.position - itemLeft.position;
     }
-    let resultItems = [];
-    if (searchText.length > 0) {
-      // Perform local searching
-      datas.forEach(({ title, content, url }) => {
-        let titleInLowerCase = title.toLowerCase();
-        let contentInLowerCase = content.toLowerCase();
-        let indexOfTitle = [];
-        let indexOfContent = [];
-        let searchTextCount = 0;
-        keywords.forEach((keyword) => {
-          indexOfTitle = indexOfTitle.concat(
-            getIndexByWord(keyword, titleInLowerCase, false),
-          );
-          indexOfContent = indexOfContent.concat(
-            getIndexByWord(keyword, contentInLowerCase, false),
-          );
-        });
+    return itemLeft.word.length - itemRight.word.length;
+  });
+}
 
-        // Show search results
-        if (indexOfTitle.length > 0 || indexOfContent.length > 0) {
-          let hitCount = indexOfTitle.length + indexOfContent.length;
-          // Sort index by position of keyword
-          [indexOfTitle, indexOfContent].forEach((index) => {
-            index.sort((itemLeft, itemRight) => {
-              if (itemRight.position !== itemLeft.position) {
-                return itemRight.position - itemLeft.position;
-              }
-              return itemLeft.word.length - itemRight.word.length;
-            });
-          });
+// One result → list item. The engine has already ranked it; here we only
+// cut and highlight snippets around the terms it matched, at most `topN`
+// (navbar.search.top_n_per_article; negative for all).
+export function renderResult(result, topN = 1) {
+  const { url, title, excerpt, headings, tags, categories, words } = result;
+  // The theme index ships no post bodies: snippets come from the excerpt
+  // plus the headings, tags and categories it keeps per post.
+  const content = [
+    excerpt,
+    headings.join(" · "),
+    tags.join(" "),
+    categories.join(" "),
+  ]
+    .filter(Boolean)
+    .join(" · ");
 
-          let slicesOfTitle = [];
-          if (indexOfTitle.length !== 0) {
-            let tmp = mergeIntoSlice(0, title.length, indexOfTitle, searchText);
-            searchTextCount += tmp.searchTextCountInSlice;
-            slicesOfTitle.push(tmp);
-          }
+  const indexOfTitle = findHits(words, title);
+  const indexOfContent = findHits(words, content);
 
-          let slicesOfContent = [];
-          while (indexOfContent.length !== 0) {
-            let item = indexOfContent[indexOfContent.length - 1];
-            let { position, word } = item;
-            // Cut out 100 characters
-            let start = position - 20;
-            let end = position + 80;
-            if (start < 0) {
-              start = 0;
-            }
-            if (end < position + word.length) {
-              end = position + word.length;
-            }
-            if (end > content.length) {
-              end = content.length;
-            }
-            let tmp = mergeIntoSlice(start, end, indexOfContent, searchText);
-            searchTextCount += tmp.searchTextCountInSlice;
-            slicesOfContent.push(tmp);
-          }
+  let slicesOfContent = [];
+  while (indexOfContent.length !== 0) {
+    let item = indexOfContent[indexOfContent.length - 1];
+    let { position, word } = item;
+    // Cut out 100 characters
+    let start = position - 20;
+    let end = position + 80;
+    if (start < 0) {
+      start = 0;
+    }
+    if (end < position + word.length) {
+      end = position + word.length;
+    }
+    if (end > content.length) {
+      end = content.length;
+    }
+    slicesOfContent.push(mergeIntoSlice(start, end, indexOfContent));
+  }
+
+  // Sort slices in content by hits' count
+  slicesOfContent.sort((sliceLeft, sliceRight) => {
+    if (sliceLeft.hits.length !== sliceRight.hits.length) {
+      return sliceRight.hits.length - sliceLeft.hits.length;
+    }
+    return sliceLeft.start - sliceRight.start;
+  });
 
-          // Sort slices in content by search text's count and hits' count
-          slicesOfContent.sort((sliceLeft, sliceRight) => {
-            if (sliceLeft.searchTextCount !== sliceRight.searchTextCount) {
-              return sliceRight.searchTextCount - sliceLeft.searchTextCount;
-            } else if (sliceLeft.hits.length !== sliceRight.hits.length) {
-              return sliceRight.hits.length - sliceLeft.hits.length;
-            }
-            return sliceLeft.start - sliceRight.start;
-          });
+  // Select top N slices in content
+  let upperBound = parseInt(topN, 10);
+  if (upperBound >= 0) {
+    slicesOfContent = slicesOfContent.slice(0, upperBound);
+  }
+  // Filter-only queries match no words: show the start of the excerpt.
+  if (slicesOfContent.length === 0 && content && upperBound !== 0) {
+    slicesOfContent.push({
+      hits: [],
+      start: 0,
+      end: Math.min(content.length, 100),
+    });
+  }
 
-          // Select top N slices in content
-          let upperBound = parseInt(
-            theme.navbar.search.top_n_per_article
-              ? theme.navbar.search.top_n_per_article
-              : 1,
-            10,
-          );
-          if (upperBound >= 0) {
-            slicesOfContent = slicesOfContent.slice(0, upperBound);
-          }
+  const href = escapeHTML(url);
+  let resultItem = "";
 
-          let resultItem = "";
+  if (indexOfTitle.length !== 0) {
+    resultItem += `<li><a href="${href}" class="search-result-title">${highlightKeyword(
+      title,
+      mergeIntoSlice(0, title.length, indexOfTitle),
+    )}</a>`;
+  } else {
+    resultItem += `<li><a href="${href}" class="search-result-title">${escapeHTML(title)}</a>`;
+  }
 
-          if (slicesOfTitle.length !== 0) {
-            resultItem += `<li><a href="${url}" class="search-result-title">${highlightKeyword(
-              title,
-              slicesOfTitle[0],
-            )}</a>`;
-          } else {
-            resultItem += `<li><a href="${url}" class="search-result-title">${title}</a>`;
-          }
+  slicesOfContent.forEach((slice) => {
+    resultItem += `<a href="${href}"><p class="search-result">${highlightKeyword(
+      content,
+      slice,
+    )}...</p></a>`;
+  });
 
-          slicesOfContent.forEach((slice) => {
-            resultItem += `<a href="${url}"><p class="search-result">${highlightKeyword(
-              content,
-              slice,
-            )}...</p></a>`;
-          });
+  resultItem += "</li>";
+  return resultItem;
+}
 
-          resultItem += "</li>";
-          resultItems.push({
-            item: resultItem,
-            id: resultItems.length,
-            hitCount,
-            searchTextCount,
-          });
-        }
-      });
+export default function initLocalSearch() {
+  const searchInputDom = document.querySelector(".search-input");
+  const resultContent = document.getElementById("search-result");
+  const searchClient = getSearchClient();
+
+  // Remove loading animation
+  const clearLoading = () => {
+    const noResultDom = document.querySelector("#no-result");
+    noResultDom &&
+      (noResultDom.innerHTML =
+        '<i class="fa-solid fa-magnifying-glass fa-5x"></i>');
+  };
+  if (searchClient.ready) clearLoading();
+
+  // Terms each listed result matched, for highlighting on the page it opens.
+  const resultWords = new Map();
+
+  // Ranking runs in the search worker; drop answers to superseded queries.
+  let lastQueryId = 0;
+  const onResults = (data) => {
+    if (data.type === "ready") {
+      clearLoading();
+      // Answer whatever was typed while the index was still loading.
+      if (searchInputDom.value.trim()) inputEventFunction();
+      return;
     }
-    if (keywords.length === 1 && keywords[0] === "") {
+    if (data.type !== "results" || data.id !== lastQueryId) return;
+    resultWords.clear();
+    if (data.empty) {
       resultContent.innerHTML =
         '<div id="no-result"><i class="fa-solid fa-magnifying-glass fa-5x"></i></div>';
-    } else if (resultItems.length === 0) {
+    } else if (data.results.length === 0) {
       resultContent.innerHTML =
         '<div id="no-result"><i class="fa-solid fa-box-open fa-5x"></i></div>';
     } else {
-      resultItems.sort((resultLeft, resultRight) => {
-        if (resultLeft.searchTextCount !== resultRight.searchTextCount) {
-          return resultRight.searchTextCount - resultLeft.searchTextCount;
-        } else if (resultLeft.hitCount !== resultRight.hitCount) {
-          return resultRight.hitCount - resultLeft.hitCount;
-        }
-        return resultRight.id - resultLeft.id;
-      });
       let searchResultList = '<ul class="search-result-list">';
-      resultItems.forEach((result) => {
-        searchResultList += result.item;
+      data.results.forEach((result) => {
+        resultWords.set(result.url, result.words);
+        searchResultList += renderResult(
+          result,
+          theme.navbar.search.top_n_per_article || 1,
+        );
       });
       searchResultList += "</ul>";
       resultContent.innerHTML = searchResultList;
       window.pjax && window.pjax.refresh(resultContent);
     }
   };
+  if (searchClient.resultsHandler) {
+    searchClient.offMessage(searchClient.resultsHandler);
+  }
+  searchClient.resultsHandler = onResults;
+  searchClient.onMessage(onResults);
+
+  const inputEventFunction = () => {
+    if (!searchClient.ready) return;
+    lastQueryId++;
+    searchClient.post({
+      type: "search",
+      id: lastQueryId,
+      query: searchInputDom.value.trim(),
+    });
+  };
 
   const fetchData = () => {
-    fetch(config.root + searchPath)
-      .then((response) => response.text())
-      .then((res) => {
-        // Get the contents from search data
-        isfetched = true;
-        datas = isXml
-          ? [
-              ...new DOMParser()
-                .parseFromString(res, "text/xml")
-                .querySelectorAll("entry"),
-            ].map((element) => {
-              return {
-                title: element.querySelector("title").textContent,
-                content: element.querySelector("content").textContent,
-                url: element.querySelector("url").textContent,
-              };
-            })
-          : JSON.parse(res);
-        // Only match articles with not empty titles
-        datas = datas
-          .filter((data) => data.title)
-          .map((data) => {
-            data.title = data.title.trim();
-            data.content = data.content
-              ? data.content.trim().replace(/<[^>]+>/g, "")
-              : "";
-            data.url = decodeURIComponent(data.url).replace(/\/{2,}/g, "/");
-            return data;
-          });
-        // Remove loading animation
-        const noResultDom = document.querySelector("#no-result");
-        noResultDom &&
-          (noResultDom.innerHTML =
-            '<i class="fa-solid fa-magnifying-glass fa-5x"></i>');
-      });
+    loadSearchIndex();
   };
 
   if (theme.navbar.search.preload) {
@@ -280,13 +255,18 @@ export default function initLocalSearch() {
     searchInputDom.addEventListener("input", inputEventFunction);
   }
 
+  resultContent.addEventListener("click", (event) => {
+    const link = event.target.closest("a[href]");
+    if (link) rememberSearchHit(link.href, resultWords.get(link.getAttribute("href")));
+  });
+
   // Handle and trigger popup window
   document.querySelectorAll(".search-popup-trigger").forEach((element) => {
     element.addEventListener("click", () => {
       document.body.style.overflow = "hidden";
       document.querySelector(".search-pop-overlay").classList.add("active");
       setTimeout(() => searchInputDom.focus(), 500);
-      if (!isfetched) fetchData();
+      fetchData();
     });
   });
 
@@ -0,0 +1,133 @@
+import { createSearchEngine, loadPayload } from "./searchEngine.js";
+
+// One search backend per page load, shared across swup navigations and by
+// every consumer (the search popup, the command palette): a Web Worker
+// (tools/searchWorker.js), or the same engine on the main thread when a
+// Worker can't be started (e.g. scripts served from a cross-origin CDN) or
+// fails to load (404, CSP `worker-src`, no module worker support).
+let searchClient = null;
+
+function mainThreadPost(emit) {
+  const engine = createSearchEngine();
+  return (message) =>
+    setTimeout(() => {
+      if (message.type === "load") {
+        engine.load(loadPayload(message));
+        emit({ type: "ready", taxonomy: engine.taxonomy() });
+      } else if (message.type === "search") {
+        emit({
+          type: "results",
+          id: message.id,
+          ...engine.search(message.query, message.limit),
+        });
+      }
+    });
+}
+
+function createSearchClient() {
+  const listeners = new Set();
+  const emit = (data) => listeners.forEach((fn) => fn(data));
+  const client = {
+    post: null,
+    onMessage: (fn) => listeners.add(fn),
+    offMessage: (fn) => listeners.delete(fn),
+  };
+  try {
+    const worker = new Worker(new URL("./searchWorker.js", import.meta.url), {
+      type: "module",
+    });
+    // The index sent to the worker, handed to the main thread if it fails
+    let loadMessage = null;
+    worker.addEventListener("message", ({ data }) => emit(data));
+    worker.addEventListener("error", (e) => {
+      console.warn("[Search] worker failed, searching on the main thread:", e.message);
+      worker.terminate();
+      client.post = mainThreadPost(emit);
+      if (loadMessage) client.post(loadMessage);
+    });
+    client.post = (message) => {
+      if (message.type === "load") loadMessage = message;
+      worker.postMessage(message);
+    };
+  } catch (e) {
+    client.post = mainThreadPost(emit);
+  }
+  return client;
+}
+
+/**
+ * Search index path: the theme's own index (scripts/search-generator.js),
+ * else a hexo-generator-searchdb database. Undefined when there is neither.
+ */
+function indexPath() {
+  const path = theme.navbar.search.path || config.path;
+  if (path === undefined) return undefined;
+  return path.length === 0 ? "search.xml" : path;
+}
+
+/**
+ * The shared client. `ready` flips once the index is loaded; `taxonomy`
+ * then holds the index's tags and categories (theme index only).
+ * Results come back as `{ type: "results", id, … }` to every listener, so
+ * each consumer tags its queries with ids of its own.
+ */
+export function getSearchClient() {
+  if (!searchClient) {
+    searchClient = createSearchClient();
+    searchClient.requested = false; // index fetch started
+    searchClient.ready = false; // index loaded into the engine
+    searchClient.taxonomy = { tags: [], categories: [] };
+    searchClient.onMessage((data) => {
+      if (data.type !== "ready") return;
+      searchClient.ready = true;
+      if (data.taxonomy) searchClient.taxonomy = data.taxonomy;
+    });
+  }
+  return searchClient;
+}
+
+/**
+ * Fetch the search index into the client, once per page load.
+ * @returns {boolean} false when no index is configured
+ */
+export function loadSearchIndex() {
+  const searchPath = indexPath();
+  if (searchPath === undefined) {
+    console.warn(
+      "No search index: set `navbar.search.path` or install `hexo-generator-searchdb`.",
+    );
+    return false;
+  }
+  const client = getSearchClient();
+  if (client.requested) return true;
+  client.requested = true;
+  fetch(config.root + searchPath.replace(/^\/+/, ""))
+    .then((response) => response.text())
+    .then((res) => {
+      // Get the contents from search data. XML needs DOMParser, which
+      // workers lack, so it is parsed here; JSON is parsed in the worker.
+      if (theme.navbar.search.path) {
+        client.post({ type: "load", kind: "index", text: res });
+      } else if (!searchPath.endsWith("json")) {
+        const docs = [
+          ...new DOMParser()
+            .parseFromString(res, "text/xml")
+            .querySelectorAll("entry"),
+        ].map((element) => {
+          return {
+            title: element.querySelector("title").textContent,
+            content: element.querySelector("content").textContent,
+            url: element.querySelector("url").textContent,
+          };
+        });
+        client.post({ type: "load", docs });
+      } else {
+        client.post({ type: "load", kind: "json", text: res });
+      }
+    })
+    .catch((e) => {
+      client.requested = false;
+      console.warn("[Search] index fetch failed:", e);
+    });
+  return true;
+}
@@ -0,0 +1,420 @@
+/**
+ * Local search engine shared by tools/searchWorker.js (the normal path) and
+ * tools/localSearch.js (main-thread fallback when a Worker can't be started).
+ *
+ * - Ranking: BM25F over the index fields, with title/heading boosts.
+ * - Matching: exact terms, prefixes of the word being typed, typo-tolerant
+ *   fuzzy terms (edit distance 1, or 2 for long words), and CJK runs split
+ *   into the index's own words / bigrams.
+ * - Filters: `tag:`, `category:` (`cat:`) and `date:` operators, e.g.
+ *   `tag:"open source" date:2024-03..2024-06 dark mode`.
+ *
+ * Input is the theme's pre-tokenized index (scripts/search-generator.js) or,
+ * for a hexo-generator-searchdb database, plain `{ title, content, url }`
+ * documents that are tokenized here the same way.
+ */
+
+// Field boosts, in the index's field order.
+const FIELD_WEIGHTS = {
+  title: 3,
+  headings: 2,
+  tags: 2,
+  categories: 1.5,
+  excerpt: 1,
+  content: 1,
+};
+const K1 = 1.2;
+const B = 0.75;
+
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHT = 0.6;
+const CJK_PART_WEIGHT = 0.7;
+const MAX_RESULTS = 100;
+
+const WORD_SPLIT = /[^\p{L}\p{N}]+/u;
+const CJK_RUN =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu;
+const IS_CJK =
+  /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/* ==================== Tokenizer ==================== */
+
+// Mirrors the generator's fallback: Latin words as-is, CJK runs as bigrams.
+export function tokenize(text) {
+  const tokens = [];
+  String(text || "")
+    .toLowerCase()
+    .split(WORD_SPLIT)
+    .forEach((word) => {
+      word
+        .replace(CJK_RUN, " ")
+        .split(" ")
+        .forEach((latin) => {
+          if (latin && !/^[a-z]$/.test(latin)) tokens.push(latin);
+        });
+      for (const [run] of word.matchAll(CJK_RUN)) {
+        if (run.length === 1) tokens.push(run);
+        for (let i = 0; i < run.length - 1; i++) {
+          tokens.push(run.slice(i, i + 2));
+        }
+      }
+    });
+  return tokens;
+}
+
+/* ==================== Query parser ==================== */
+
+const OPERATOR = /\b(tag|tags|category|categories|cat|date):("([^"]*)"|\S*)/gi;
+// Sorts after any date character, so a partial date bound covers every date
+// it prefixes ("2024-05" + DATE_END ≥ "2024-05-31").
+const DATE_END = "\uffff";
+
+/**
+ * Split a raw query into search words and filter operators.
+ * @returns {{ words: string[], filters: { tags: string[], categories: string[], dates: object[] } }}
+ */
+export function parseQuery(raw) {
+  const filters = { tags: [], categories: [], dates: [] };
+  const rest = String(raw || "").replace(
+    OPERATOR,
+    (_m, key, value, quoted) => {
+      const v = (quoted !== undefined ? quoted : value).trim().toLowerCase();
+      if (!v) return " ";
+      key = key.toLowerCase();
+      if (key.startsWith("tag")) filters.tags.push(v);
+      else if (key === "date") {
+        const range = parseDateRange(v);
+        if (range) filters.dates.push(range);
+      } else filters.categories.push(v);
+      return " ";
+    },
+  );
+
+  const words = [];
+  rest
+    .toLowerCase()
+    .split(WORD_SPLIT)
+    .forEach((word) => {
+      if (word) words.push(word);
+    });
+  return { words, filters };
+}
+
+// `2024`, `2024-05`, `2024-05-01`, `2024-01..2024-06`, `>2024-05`, `<=2023`.
+// Bounds compare as strings against the index's "YYYY-MM-DD" dates.
+function parseDateRange(value) {
+  const DATE = /^\d{4}(-\d{1,2}(-\d{1,2})?)?$/;
+  const norm = (d) => d.replace(/-(\d)(?=-|$)/g, "-0$1");
+  const range = value.split("..");
+  if (range.length === 2) {
+    const [from, to] = range;
+    if ((from && !DATE.test(from)) || (to && !DATE.test(to))) return null;
+    return {
+      from: from ? norm(from) : null,
+      to: to ? `${norm(to)}${DATE_END}` : null,
+    };
+  }
+  const m = /^(>=|<=|>|<)?(.+)$/.exec(value);
+  if (!m || !DATE.test(m[2])) return null;
+  const d = norm(m[2]);
+  switch (m[1]) {
+    case ">":
+      return { from: `${d}${DATE_END}`, to: null, exclusive: true };
+    case ">=":
+      return { from: d, to: null };
+    case "<":
+      return { from: null, to: d, exclusive: true };
+    case "<=":
+      return { from: null, to: `${d}${DATE_END}` };
+    default:
+      return { from: d, to: `${d}${DATE_END}` };
+  }
+}
+
+function inDateRange(date, range) {
+  if (!date) return false;
+  if (range.from !== null) {
+    if (range.exclusive ? date <= range.from : date < range.from) return false;
+  }
+  if (range.to !== null) {
+    if (range.exclusive ? date >= range.to : date > range.to) return false;
+  }
+  return true;
+}
+
+function passesFilters(doc, filters) {
+  const has = (list, wanted) =>
+    list.some((name) => name.toLowerCase().includes(wanted));
+  return (
+    filters.tags.every((t) => has(doc.tags, t)) &&
+    filters.categories.every((c) => has(doc.categories, c)) &&
+    filters.dates.every((r) => inDateRange(doc.date, r))
+  );
+}
+
+function hasFilters(filters) {
+  return (
+    filters.tags.length + filters.categories.length + filters.dates.length > 0
+  );
+}
+
+/* ==================== Fuzzy matching ==================== */
+
+// Levenshtein distance with adjacent transpositions, or max+1 once it is
+// certain to exceed `max`.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function maxTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/* ==================== Engine ==================== */
+
+export function createSearchEngine() {
+  let fields = [];
+  let docs = [];
+  let terms = new Map(); // term → postings [doc, field, tf, …]
+  let vocabulary = [];
+  let avgLengths = [];
+  let taxonomy = { tags: [], categories: [] };
+
+  function reset(index) {
+    fields = index.fields;
+    docs = index.docs;
+    taxonomy = {
+      tags: index.taxonomy?.tags || [],
+      categories: index.taxonomy?.categories || [],
+    };
+    terms = new Map(Object.entries(index.terms));
+    vocabulary = [...terms.keys()];
+    avgLengths = fields.map((_, f) => {
+      const total = docs.reduce((sum, doc) => sum + (doc.lengths[f] || 0), 0);
+      return docs.length ? total / docs.length || 1 : 1;
+    });
+  }
+
+  /**
+   * Load the theme index (parsed JSON) or searchdb-style `{ title, content,
+   * url }` documents.
+   */
+  function load(data) {
+    if (data && data.terms && data.docs) {
+      reset(data);
+      return;
+    }
+    // searchdb database: build an equivalent index in place.
+    const index = {
+      fields: ["title", "content"],
+      docs: [],
+      terms: Object.create(null),
+    };
+    (data || []).forEach((item, docId) => {
+      const doc = {
+        url: item.url,
+        title: item.title,
+        date: null,
+        tags: [],
+        categories: [],
+        headings: [],
+        excerpt: item.content,
+      };
+      doc.lengths = [item.title, item.content].map((text, field) => {
+        const tokens = tokenize(text);
+        const counts = new Map();
+        tokens.forEach((t) => counts.set(t, (counts.get(t) || 0) + 1));
+        counts.forEach((tf, t) => {
+          (index.terms[t] || (index.terms[t] = [])).push(docId, field, tf);
+        });
+        return tokens.length;
+      });
+      index.docs.push(doc);
+    });
+    reset(index);
+  }
+
+  // Index terms a query word can stand for, with a match-quality weight.
+  function expand(word, isLast) {
+    const found = new Map();
+    const add = (term, weight) => {
+      if (weight > (found.get(term) || 0)) found.set(term, weight);
+    };
+    if (terms.has(word)) add(word, 1);
+
+    if (IS_CJK.test(word)) {
+      // Index words inside the query run ("主题配置" → 主题, 配置), and index
+      // words that contain a short query ("主" → 主题).
+      vocabulary.forEach((term) => {
+        if (!IS_CJK.test(term) || term === word) return;
+        if (term.length >= 2 && word.includes(term)) add(term, CJK_PART_WEIGHT);
+        else if (term.includes(word)) add(term, PREFIX_WEIGHT);
+      });
+      return found;
+    }
+
+    const typos = maxTypos(word);
+    vocabulary.forEach((term) => {
+      if (term === word || IS_CJK.test(term)) return;
+      if (isLast && word.length >= 2 && term.startsWith(word)) {
+        add(term, PREFIX_WEIGHT);
+        return;
+      }
+      // Short index terms ("the") take no typos either, or they'd match a
+      // misspelling of every longer word.
+      const allowed = Math.min(typos, maxTypos(term));
+      if (allowed) {
+        const d = editDistance(word, term, allowed);
+        if (d <= allowed) add(term, FUZZY_WEIGHT / d);
+      }
+    });
+    return found;
+  }
+
+  function bm25(term) {
+    const postings = terms.get(term);
+    const perDoc = new Map();
+    let df = 0;
+    for (let i = 0; i < postings.length; i += 3) {
+      const doc = postings[i];
+      const field = postings[i + 1];
+      const tf = postings[i + 2];
+      const len = docs[doc].lengths[field] || 0;
+      const norm = 1 - B + (B * len) / avgLengths[field];
+      const weighted = ((FIELD_WEIGHTS[fields[field]] || 1) * tf) / norm;
+      if (!perDoc.has(doc)) df++;
+      perDoc.set(doc, (perDoc.get(doc) || 0) + weighted);
+    }
+    const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+    perDoc.forEach((tf, doc) => {
+      perDoc.set(doc, (idf * tf * (K1 + 1)) / (tf + K1));
+    });
+    return perDoc;
+  }
+
+  function resultFor(docId, score, words) {
+    const doc = docs[docId];
+    return {
+      url: doc.url,
+      title: doc.title,
+      date: doc.date,
+      tags: doc.tags,
+      categories: doc.categories,
+      headings: doc.headings,
+      excerpt: doc.excerpt,
+      score,
+      words: [...words],
+    };
+  }
+
+  /**
+   * Ranked results for a raw query string (words + filter operators).
+   * @returns {{ results: object[], total: number, empty: boolean }}
+   */
+  function search(raw, limit = MAX_RESULTS) {
+    const { words, filters } = parseQuery(raw);
+    const filtered = hasFilters(filters);
+    if (!words.length && !filtered) return { results: [], total: 0, empty: true };
+
+    const allowed = (docId) => !filtered || passesFilters(docs[docId], filters);
+
+    // Filters only: every matching post, newest first.
+    if (!words.length) {
+      const results = [];
+      docs.forEach((doc, docId) => {
+        if (allowed(docId)) results.push(resultFor(docId, 0, []));
+      });
+      results.sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+      return { results: results.slice(0, limit), total: results.length, empty: false };
+    }
+
+    // Per doc: summed score, how many query words it matched, and which index
+    // terms to highlight.
+    const hits = new Map();
+    words.forEach((word, w) => {
+      const best = new Map(); // doc → best score for this word
+      expand(word, w === words.length - 1).forEach((weight, term) => {
+        bm25(term).forEach((score, docId) => {
+          if (!allowed(docId)) return;
+          const s = score * weight;
+          const hit = hits.get(docId) || { score: 0, matched: 0, words: new Set() };
+          hit.words.add(term);
+          hits.set(docId, hit);
+          if (s > (best.get(docId) || 0)) best.set(docId, s);
+        });
+      });
+      best.forEach((s, docId) => {
+        const hit = hits.get(docId);
+        hit.score += s;
+        hit.matched++;
+      });
+    });
+
+    const results = [];
+    hits.forEach((hit, docId) => {
+      // Coordination: posts matching every word outrank partial matches.
+      const coverage = hit.matched / words.length;
+      results.push(resultFor(docId, hit.score * coverage * coverage, hit.words));
+    });
+    results.sort(
+      (a, b) => b.score - a.score || (b.date || "").localeCompare(a.date || ""),
+    );
+    return { results: results.slice(0, limit), total: results.length, empty: false };
+  }
+
+  /** The index's tag and category pages: `{ tags, categories }` of `{ name, url, count }`. */
+  function getTaxonomy() {
+    return taxonomy;
+  }
+
+  return { load, search, taxonomy: getTaxonomy };
+}
+
+/* ==================== Loading ==================== */
+
+/**
+ * Clean up searchdb entries the way the old client did: drop untitled ones,
+ * strip markup from the content, and collapse doubled slashes in URLs.
+ */
+export function normalizeDocs(list) {
+  return (list || [])
+    .filter((data) => data.title)
+    .map((data) => ({
+      title: data.title.trim(),
+      content: data.content ? data.content.trim().replace(/<[^>]+>/g, "") : "",
+      url: decodeURIComponent(data.url).replace(/\/{2,}/g, "/"),
+    }));
+}
+
+/** Turn a searchWorker "load" message into engine.load() input. */
+export function loadPayload({ text, kind, docs }) {
+  if (kind === "index") return JSON.parse(text);
+  return normalizeDocs(docs || JSON.parse(text));
+}
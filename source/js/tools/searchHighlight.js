@@ -0,0 +1,157 @@
+/**
+ * Search hit highlighting — carries the terms of a clicked search result to
+ * the page it opens, marks them in the article body, scrolls to the first one
+ * and shows a floating previous/next navigator (utils/local-search.ejs).
+ *
+ * The search popup and the command palette call rememberSearchHit() when a
+ * post result is picked; the terms wait in sessionStorage, keyed by the
+ * target path, until the next page view (a full load or a swup `page:view`)
+ * consumes them.
+ */
+const STORAGE_KEY = "REDEFINE-X-SEARCH-HIT";
+
+// Where matches are marked: post body, else a standalone page's body.
+const CONTAINERS = [".article-content", ".page-template-content"];
+const SKIP = "script, style, noscript, textarea, svg, mjx-container, .katex, mark.search-hit";
+
+// swup's scroll plugin resets the page after `page:view`; scroll after it.
+const SCROLL_DELAY = 150;
+
+function pathOf(url) {
+  try {
+    return decodeURI(new URL(url, location.href).pathname);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Remember the index terms a search result matched, for the page at `url`.
+ * @param {string} url
+ * @param {string[]} words
+ */
+export function rememberSearchHit(url, words) {
+  const path = pathOf(url);
+  if (!path || !words || !words.length) return;
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify({ path, words }));
+  } catch (e) {}
+}
+
+function takeSearchHit() {
+  let hit = null;
+  try {
+    hit = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+    sessionStorage.removeItem(STORAGE_KEY);
+  } catch (e) {}
+  if (!hit || hit.path !== pathOf(location.href)) return null;
+  return Array.isArray(hit.words) ? hit.words.filter(Boolean) : null;
+}
+
+function buildPattern(words) {
+  const escaped = [...new Set(words.map((word) => word.toLowerCase()))]
+    .sort((a, b) => b.length - a.length)
+    .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  return new RegExp(escaped.join("|"), "giu");
+}
+
+// Wrap every match in `container`'s text in <mark class="search-hit">.
+function markMatches(container, pattern) {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) =>
+      node.parentElement.closest(SKIP) || !node.nodeValue.trim()
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT,
+  });
+  const nodes = [];
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+
+  const marks = [];
+  nodes.forEach((node) => {
+    const text = node.nodeValue;
+    pattern.lastIndex = 0;
+    let match;
+    let last = 0;
+    const fragment = document.createDocumentFragment();
+    while ((match = pattern.exec(text))) {
+      if (!match[0]) break;
+      fragment.append(text.slice(last, match.index));
+      const mark = document.createElement("mark");
+      mark.className = "search-hit";
+      mark.textContent = match[0];
+      fragment.append(mark);
+      marks.push(mark);
+      last = match.index + match[0].length;
+    }
+    if (!last) return;
+    fragment.append(text.slice(last));
+    node.replaceWith(fragment);
+  });
+  return marks;
+}
+
+function unmark(marks) {
+  const parents = new Set();
+  marks.forEach((mark) => {
+    if (!mark.parentNode) return;
+    parents.add(mark.parentNode);
+    mark.replaceWith(mark.textContent);
+  });
+  parents.forEach((parent) => parent.normalize());
+}
+
+export default function initSearchHighlight() {
+  const words = takeSearchHit();
+  if (!words || !words.length) return;
+
+  const container = CONTAINERS.map((selector) =>
+    document.querySelector(selector),
+  ).find(Boolean);
+  if (!container) return;
+
+  const marks = markMatches(container, buildPattern(words));
+  // Hits inside collapsed tabs/details stay marked but can't be scrolled to.
+  const hits = marks.filter((mark) => mark.getClientRects().length);
+  if (!hits.length) return;
+
+  const nav = document.querySelector(".search-hit-nav");
+  const counter = nav && nav.querySelector(".search-hit-count");
+  let current = 0;
+
+  const show = (index) => {
+    hits[current].classList.remove("active");
+    current = (index + hits.length) % hits.length;
+    hits[current].classList.add("active");
+    hits[current].scrollIntoView({ behavior: "smooth", block: "center" });
+    counter && (counter.textContent = `${current + 1} / ${hits.length}`);
+  };
+
+  const onKeydown = (event) => {
+    if (event.key === "Escape" && !event.defaultPrevented) clear();
+  };
+
+  const clear = () => {
+    unmark(marks);
+    nav && nav.classList.remove("show");
+    document.removeEventListener("keydown", onKeydown);
+  };
+
+  if (nav) {
+    nav
+      .querySelector(".search-hit-prev")
+      .addEventListener("click", () => show(current - 1));
+    nav
+      .querySelector(".search-hit-next")
+      .addEventListener("click", () => show(current + 1));
+    nav.querySelector(".search-hit-close").addEventListener("click", clear);
+    nav.classList.add("show");
+  }
+  document.addEventListener("keydown", onKeydown);
+  try {
+    swup.hooks.once("visit:start", () => {
+      document.removeEventListener("keydown", onKeydown);
+    });
+  } catch (e) {}
+
+  setTimeout(() => show(0), SCROLL_DELAY);
+}
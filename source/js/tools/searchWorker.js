@@ -0,0 +1,24 @@
+/**
+ * Web Worker running the local search engine off the main thread, so ranking
+ * a large blog's index never blocks typing. Spawned by tools/searchClient.js.
+ *
+ * Messages in:  { type: "load", text, kind }  — kind "index" (the theme's
+ *                                                search index JSON) or "json"
+ *                                                (a searchdb JSON database)
+ *               { type: "load", docs }        — already-parsed searchdb docs
+ *               { type: "search", id, query, limit? }
+ * Messages out: { type: "ready", taxonomy }
+ *               { type: "results", id, results, total, empty }
+ */
+import { createSearchEngine, loadPayload } from "./searchEngine.js";
+
+const engine = createSearchEngine();
+
+self.addEventListener("message", ({ data }) => {
+  if (data.type === "load") {
+    engine.load(loadPayload(data));
+    self.postMessage({ type: "ready", taxonomy: engine.taxonomy() });
+  } else if (data.type === "search") {
+    self.postMessage({ type: "results", id: data.id, ...engine.search(data.query, data.limit) });
+  }
+});
@@ -0,0 +1,45 @@
+/**
+ * Self-hosted website counter (`global.website_counter.provider: worker`).
+ *
+ * Replaces the vercount/busuanzi script: records the current page view with the
+ * backend worker's POST /api/counter and fills the same `busuanzi_value_*`
+ * spans rendered by footer.ejs and article-info.ejs, so the markup is shared by
+ * both providers. Runs from main.refresh(), i.e. once per (swup) page view.
+ */
+const COUNTER_FIELDS = {
+  site_pv: "busuanzi_value_site_pv",
+  site_uv: "busuanzi_value_site_uv",
+  page_pv: "busuanzi_value_page_pv",
+};
+
+function counterApiUrl() {
+  const url =
+    theme.global.website_counter?.api_url ||
+    theme.home_banner?.instant_notes?.api_url;
+  return url ? String(url).replace(/\/+$/, "") : null;
+}
+
+export default async function initWebsiteCounter() {
+  const apiUrl = counterApiUrl();
+  if (!apiUrl) return;
+
+  let counts;
+  try {
+    const r = await fetch(`${apiUrl}/api/counter`, {
+      method: "POST",
+      mode: "cors",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ path: location.pathname }),
+    });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    counts = await r.json();
+  } catch (e) {
+    console.warn("[WebsiteCounter] fetch failed:", e);
+    return;
+  }
+
+  Object.entries(COUNTER_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el && typeof counts[key] === "number") el.textContent = counts[key];
+  });
+}
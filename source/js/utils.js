@@ -240,6 +240,29 @@ export default function initUtils() {
       fontAdjustPlus.addEventListener("click", increaseFontSize);
       fontAdjustMinus.addEventListener("click", decreaseFontSize);
     },
+    // expand page width (persisted like the font size), when
+    // global.side_tools.expand_width renders the toggle
+    expandWidth_dom: document.querySelector(".tool-expand-width"),
+    pageWidthAdjust() {
+      if (!this.expandWidth_dom) return;
+      const htmlRoot = this.html_root_dom;
+      const icon = this.expandWidth_dom.querySelector("i");
+
+      function setExpanded(expanded) {
+        htmlRoot.classList.toggle("expand-page-width", expanded);
+        icon && (icon.className = `fa-regular ${expanded ? "fa-compress" : "fa-expand"}`);
+        main.styleStatus.isExpandPageWidth = expanded;
+        main.setStyleStatus();
+      }
+
+      const styleStatus = main.getStyleStatus();
+      setExpanded(Boolean(styleStatus && styleStatus.isExpandPageWidth));
+
+      this.expandWidth_dom.addEventListener("click", () => {
+        setExpanded(!main.styleStatus.isExpandPageWidth);
+      });
+    },
+
     // go comment anchor
     goComment() {
       this.goComment_dom = document.querySelector(".go-comment");
@@ -381,6 +404,9 @@ export default function initUtils() {
   // main font adjust
   utils.globalFontSizeAdjust();
 
+  // main page width
+  utils.pageWidthAdjust();
+
   // go comment
   utils.goComment();
 
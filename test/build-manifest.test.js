@@ -0,0 +1,161 @@
+"use strict";
+
+// img-optimizer's build manifest (scripts/filters/lib/build-manifest.js).
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { createBuildManifest } = require("../scripts/filters/lib/build-manifest");
+
+const SETTINGS = "avif:sharp:65:5:2073600:0:";
+
+let baseDir;
+let hexo;
+
+beforeEach(() => {
+  baseDir = fs.mkdtempSync(path.join(os.tmpdir(), "build-manifest-"));
+  hexo = {
+    base_dir: baseDir,
+    source_dir: path.join(baseDir, "source"),
+    log: { info() {}, debug() {}, warn() {} },
+  };
+});
+
+afterEach(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+
+function write(rel, content = "x", mtime = null) {
+  const file = path.join(hexo.source_dir, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  if (mtime) fs.utimesSync(file, mtime, mtime);
+  return file;
+}
+
+const exists = (rel) => fs.existsSync(path.join(hexo.source_dir, rel));
+
+// One scan: every [source, output] pair is produced (its output is written
+// unless fresh) and recorded, then orphans are cleaned up.
+async function scan(manifest, pairs) {
+  manifest.startScan();
+  for (const [src, out] of pairs) {
+    const output = path.join(hexo.source_dir, out);
+    manifest.markSeen(output);
+    const source = await manifest.hashSource(path.join(hexo.source_dir, src));
+    if (!(await manifest.isOutputFresh(output, source, SETTINGS))) write(out, "encoded");
+    manifest.record(output, source, SETTINGS);
+  }
+  const removed = await manifest.cleanup();
+  manifest.save();
+  return removed;
+}
+
+describe("isOutputFresh", () => {
+  test("reuses an output only while its source hash and settings match", async () => {
+    const manifest = createBuildManifest(hexo);
+    const src = write("images/a.jpg", "one");
+    const out = write("build/images/a.avif", "encoded");
+    manifest.startScan();
+    const source = await manifest.hashSource(src);
+    manifest.record(out, source, SETTINGS);
+
+    assert.equal(await manifest.isOutputFresh(out, source, SETTINGS), true);
+    assert.equal(await manifest.isOutputFresh(out, source, "avif:sharp:80:5:2073600:0:"), false);
+
+    write("images/a.jpg", "two");
+    const next = createBuildManifest(hexo);
+    next.startScan();
+    const changed = await next.hashSource(src);
+    assert.notEqual(changed.hash, source.hash);
+    assert.equal(await next.isOutputFresh(out, changed, SETTINGS), false);
+  });
+
+  test("keeps the hash of an unchanged source without reading it", async () => {
+    const manifest = createBuildManifest(hexo);
+    const src = write("images/a.jpg", "one");
+    const out = write("build/images/a.avif");
+    manifest.startScan();
+    const source = await manifest.hashSource(src);
+    manifest.record(out, { ...source, hash: "recorded" }, SETTINGS);
+
+    manifest.startScan();
+    assert.equal((await manifest.hashSource(src)).hash, "recorded");
+  });
+
+  test("rejects missing and empty outputs", async () => {
+    const manifest = createBuildManifest(hexo);
+    const source = await manifest.hashSource(write("images/a.jpg"));
+    assert.equal(await manifest.isOutputFresh(path.join(hexo.source_dir, "build/none.avif"), source, SETTINGS), false);
+    assert.equal(await manifest.isOutputFresh(write("build/empty.avif", ""), source, SETTINGS), false);
+  });
+
+  test("adopts unrecorded outputs newer than their source", async () => {
+    const manifest = createBuildManifest(hexo);
+    const source = await manifest.hashSource(write("images/a.jpg", "src", new Date(2024, 0, 2)));
+    assert.equal(await manifest.isOutputFresh(write("build/new.avif", "x", new Date(2024, 0, 3)), source, SETTINGS), true);
+    assert.equal(await manifest.isOutputFresh(write("build/old.avif", "x", new Date(2024, 0, 1)), source, SETTINGS), false);
+  });
+});
+
+describe("cleanup", () => {
+  test("removes recorded outputs a scan no longer produces", async () => {
+    write("images/a.jpg");
+    write("images/b.jpg");
+    await scan(createBuildManifest(hexo), [
+      ["images/a.jpg", "build/images/a.avif"],
+      ["images/b.jpg", "build/images/b.avif"],
+      ["images/b.jpg", "build/images/b-480w.avif"],
+    ]);
+
+    const removed = await scan(createBuildManifest(hexo), [["images/a.jpg", "build/images/a.avif"]]);
+    assert.equal(removed, 2);
+    assert.ok(exists("build/images/a.avif"));
+    assert.ok(!exists("build/images/b.avif"));
+    assert.ok(!exists("build/images/b-480w.avif"));
+
+    const saved = JSON.parse(fs.readFileSync(path.join(hexo.source_dir, "build/_manifest.json"), "utf8"));
+    assert.deepEqual(Object.keys(saved), ["build/images/a.avif"]);
+  });
+
+  test("never deletes recorded files outside build/", async () => {
+    const manifest = createBuildManifest(hexo);
+    manifest.startScan();
+    const src = write("images/a.jpg");
+    manifest.record(src, await manifest.hashSource(src), SETTINGS);
+    await manifest.cleanup();
+    assert.ok(exists("images/a.jpg"));
+  });
+
+  test("sweeps unrecorded image outputs once, when the manifest is created", async () => {
+    write("images/a.jpg");
+    // Left by earlier builds: a's output is adopted, the rest have no source.
+    write("build/images/a.avif");
+    write("build/images/gone.avif");
+    write("build/images/gone-480w.avif");
+    write("build/images/gone.webp");
+    write("build/icons/gone.svg");
+    write("build/_originals/images/gone.jpg");
+    // Not img-optimizer's: other generators' files and caches.
+    write("build/_posters/clip.jpg");
+    write("build/_clips/clip.mp4");
+    write("build/_media.json", "{}");
+    write("build/masonry/index.html");
+
+    const removed = await scan(createBuildManifest(hexo), [["images/a.jpg", "build/images/a.avif"]]);
+
+    assert.equal(removed, 5);
+    assert.ok(exists("build/images/a.avif"));
+    for (const rel of ["gone.avif", "gone-480w.avif", "gone.webp"]) assert.ok(!exists(`build/images/${rel}`), rel);
+    assert.ok(!exists("build/icons"));
+    assert.ok(!exists("build/_originals"));
+    for (const rel of ["_posters/clip.jpg", "_clips/clip.mp4", "_media.json", "masonry/index.html"]) {
+      assert.ok(exists(`build/${rel}`), rel);
+    }
+
+    // Once the manifest exists, unrecorded files are left alone.
+    write("build/images/later.avif");
+    assert.equal(await scan(createBuildManifest(hexo), [["images/a.jpg", "build/images/a.avif"]]), 0);
+    assert.ok(exists("build/images/later.avif"));
+  });
+});
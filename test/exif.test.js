@@ -0,0 +1,79 @@
+"use strict";
+
+// EXIF block discovery and XMP reading (scripts/filters/lib/exif.js).
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { findTiffBlocks, findHeifTiffBlock, parseXmp } = require("../scripts/filters/lib/exif");
+const { tiffWithGps, jpeg, png, webp, heic } = require("./support/images");
+
+const tiff = tiffWithGps();
+
+// The single block found, checked to hold exactly the fixture's TIFF bytes.
+function assertBlock(buf, block) {
+  assert.ok(block, "block found");
+  const [start, end] = block;
+  assert.deepEqual(buf.subarray(start, end), tiff);
+}
+
+describe("findTiffBlocks", () => {
+  test("finds the APP1 Exif segment of a JPEG, skipping XMP", () => {
+    const buf = jpeg(tiff, { xmp: "<x:xmpmeta/>" });
+    const blocks = findTiffBlocks(buf);
+    assert.equal(blocks.length, 1);
+    assertBlock(buf, blocks[0]);
+  });
+
+  test("finds the eXIf chunk of a PNG", () => {
+    const buf = png(tiff);
+    const blocks = findTiffBlocks(buf);
+    assert.equal(blocks.length, 1);
+    assertBlock(buf, blocks[0]);
+  });
+
+  test("finds the EXIF chunk of a WebP past padded chunks, with or without the Exif header", () => {
+    for (const exifHeader of [false, true]) {
+      const buf = webp(tiff, { exifHeader });
+      const blocks = findTiffBlocks(buf);
+      assert.equal(blocks.length, 1, `exifHeader: ${exifHeader}`);
+      assertBlock(buf, blocks[0]);
+    }
+  });
+
+  test("finds nothing in other files", () => {
+    assert.deepEqual(findTiffBlocks(Buffer.from([0xff, 0xd8, 0xff, 0xd9])), []);
+    assert.deepEqual(findTiffBlocks(heic(tiff)), []);
+    assert.deepEqual(findTiffBlocks(Buffer.from("GIF89a")), []);
+  });
+});
+
+describe("findHeifTiffBlock", () => {
+  test("follows iinf and iloc to the Exif item, past its TIFF header offset", () => {
+    const buf = heic(tiff);
+    assertBlock(buf, findHeifTiffBlock(buf));
+  });
+
+  test("returns null without an ftyp box or an Exif item", () => {
+    assert.equal(findHeifTiffBlock(jpeg(tiff)), null);
+    const buf = heic(tiff);
+    // Rename the Exif infe item type
+    buf.write("mime", buf.indexOf("Exif\0", 0, "latin1"), "latin1");
+    assert.equal(findHeifTiffBlock(buf), null);
+  });
+});
+
+describe("parseXmp", () => {
+  test("reads title, description and rating in element or attribute form", () => {
+    const xmp =
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:Description xmp:Rating="4">' +
+      '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Fish &amp; chips</rdf:li></rdf:Alt></dc:title>' +
+      "<dc:description>Lunch &#x1F41F;</dc:description>" +
+      "</rdf:Description></x:xmpmeta>";
+    assert.deepEqual(parseXmp(jpeg(tiff, { xmp })), { title: "Fish & chips", description: "Lunch 🐟", rating: 4 });
+    assert.equal(parseXmp(Buffer.from("<x:xmpmeta><xmp:Rating> -1 </xmp:Rating></x:xmpmeta>")).rating, -1);
+  });
+
+  test("gives empty metadata without an XMP packet", () => {
+    assert.deepEqual(parseXmp(jpeg(tiff)), { title: "", description: "", rating: null });
+  });
+});
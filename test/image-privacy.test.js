@@ -0,0 +1,172 @@
+"use strict";
+
+// GPS privacy of the image pipeline (scripts/filters/lib/image-privacy.js).
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  resolvePolicy,
+  scrubExifTags,
+  pickExifFields,
+  scrubImageGps,
+} = require("../scripts/filters/lib/image-privacy");
+const { findTiffBlocks } = require("../scripts/filters/lib/exif");
+const { GPS, tiffWithGps, readGps, jpeg, png, badPngCrcs, webp } = require("./support/images");
+
+const STRIP = { gps: "strip", precision: 2 };
+const COARSEN = { gps: "coarsen", precision: 2 };
+
+const hexoWith = (imagesOptimize) => ({ theme: { config: { plugins: { minifier: { imagesOptimize } } } } });
+
+// GPS IFD of the (first) TIFF block of an image file.
+function gpsOf(buf) {
+  const [[start]] = findTiffBlocks(buf);
+  return readGps(buf, start);
+}
+
+describe("resolvePolicy", () => {
+  test("defaults to keeping GPS at 2 decimals, all fields, no watermark", () => {
+    assert.deepEqual(resolvePolicy(hexoWith(undefined)), {
+      gps: "keep",
+      precision: 2,
+      exifFields: [],
+      watermark: null,
+    });
+  });
+
+  test("lets an album override the global options key by key", () => {
+    const hexo = hexoWith({
+      GPS: "Coarsen",
+      GPS_PRECISION: 3,
+      EXIF_FIELDS: ["Model"],
+      ALBUMS: { Home: { GPS: "strip" }, Odd: { GPS: "blur", GPS_PRECISION: 1.5 } },
+    });
+    assert.deepEqual(resolvePolicy(hexo, "Trip"), { gps: "coarsen", precision: 3, exifFields: ["Model"], watermark: null });
+    assert.equal(resolvePolicy(hexo, "Home").gps, "strip");
+    assert.equal(resolvePolicy(hexo, "Home").precision, 3);
+    assert.deepEqual(resolvePolicy(hexo, "Odd"), { gps: "keep", precision: 2, exifFields: ["Model"], watermark: null });
+  });
+
+  test("normalizes the watermark", () => {
+    const { watermark } = resolvePolicy(hexoWith({ WATERMARK: { text: "© me", position: "top", opacity: 3 } }));
+    assert.deepEqual(watermark, {
+      text: "© me",
+      image: "",
+      position: "southeast",
+      opacity: 1,
+      size: 0.2,
+      margin: 0.02,
+      min_width: 480,
+    });
+    assert.equal(resolvePolicy(hexoWith({ WATERMARK: { enable: false, text: "x" } })).watermark, null);
+    assert.equal(resolvePolicy(hexoWith({ WATERMARK: { enable: true } })).watermark, null);
+  });
+});
+
+describe("EXIF card tags", () => {
+  const tags = { Make: "Cam", GPSLatitude: 35.659601, GPSLongitude: 139.703428, GPSAltitude: 40, GPSTimeStamp: 1 };
+
+  test("strip drops every GPS tag", () => {
+    assert.deepEqual(scrubExifTags(tags, STRIP), { Make: "Cam" });
+  });
+
+  test("coarsen rounds the coordinates and drops the rest", () => {
+    assert.deepEqual(scrubExifTags(tags, COARSEN), { Make: "Cam", GPSLatitude: 35.66, GPSLongitude: 139.7 });
+  });
+
+  test("keep returns the tags as they are", () => {
+    assert.equal(scrubExifTags(tags, { gps: "keep" }), tags);
+  });
+
+  test("pickExifFields applies the whitelist", () => {
+    const fields = { Make: "Cam", Model: "X", GPSLatitude: "35° N" };
+    assert.deepEqual(pickExifFields(fields, { exifFields: ["Model", "Lens"] }), { Model: "X" });
+    assert.equal(pickExifFields(fields, { exifFields: [] }), fields);
+  });
+});
+
+describe("scrubImageGps", () => {
+  test("strip empties the GPS IFD and zeroes its values", () => {
+    const input = jpeg(tiffWithGps());
+    const output = scrubImageGps(input, STRIP);
+
+    assert.equal(output.length, input.length);
+    assert.deepEqual(gpsOf(output), {});
+    const [[start]] = findTiffBlocks(output);
+    assert.ok(output.subarray(start + 128, start + 208).every((b) => b === 0), "rational values zeroed");
+    assert.equal(output.toString("latin1", start + 208, start + 212), "tail");
+    // The rest of the file, IFD0 included, is untouched.
+    assert.deepEqual(output.subarray(0, start + 38), input.subarray(0, start + 38));
+    assert.deepEqual(output.subarray(start + 212), input.subarray(start + 212));
+  });
+
+  test("coarsen rounds latitude and longitude and drops altitude and time", () => {
+    const output = scrubImageGps(jpeg(tiffWithGps()), COARSEN);
+    const gps = gpsOf(output);
+
+    assert.deepEqual(Object.keys(gps).map(Number), [0, 1, 2, 3, 4]);
+    // 35.6596 → 35.66 = 35° 39.6'; 139.70343 → 139.70 = 139° 42'
+    assert.deepEqual(gps[2].values, [[35, 1], [396000, 10000], [0, 1]]);
+    assert.deepEqual(gps[4].values, [[139, 1], [420000, 10000], [0, 1]]);
+    const [[start]] = findTiffBlocks(output);
+    assert.ok(output.subarray(start + 176, start + 208).every((b) => b === 0), "altitude and time zeroed");
+  });
+
+  test("coarsen honours GPS_PRECISION", () => {
+    const gps = gpsOf(scrubImageGps(jpeg(tiffWithGps()), { gps: "coarsen", precision: 0 }));
+    assert.deepEqual(gps[2].values, [[36, 1], [0, 10000], [0, 1]]);
+  });
+
+  test("reads big-endian blocks", () => {
+    const input = jpeg(tiffWithGps({ bigEndian: true }));
+    assert.deepEqual(gpsOf(input)[2].values, GPS.latitude);
+    assert.deepEqual(gpsOf(scrubImageGps(input, STRIP)), {});
+  });
+
+  test("keep returns an untouched copy", () => {
+    const input = jpeg(tiffWithGps());
+    const output = scrubImageGps(input, { gps: "keep" });
+    assert.notEqual(output, input);
+    assert.deepEqual(output, input);
+  });
+
+  test("scrubs PNG eXIf chunks and fixes their CRCs", () => {
+    const input = png(tiffWithGps(), { xmp: '<x:xmpmeta><rdf:Description exif:GPSLatitude="35,39.576N"/></x:xmpmeta>' });
+    assert.deepEqual(badPngCrcs(input), []);
+
+    const output = scrubImageGps(input, STRIP);
+    assert.deepEqual(gpsOf(output), {});
+    assert.ok(!output.includes("35,39.576N"));
+    assert.deepEqual(badPngCrcs(output), []);
+  });
+
+  test("scrubs WebP EXIF chunks, with or without the Exif header", () => {
+    for (const exifHeader of [false, true]) {
+      const output = scrubImageGps(webp(tiffWithGps(), { exifHeader }), COARSEN);
+      assert.deepEqual(gpsOf(output)[2].values, [[35, 1], [396000, 10000], [0, 1]], `exifHeader: ${exifHeader}`);
+    }
+  });
+
+  test("blanks XMP GPS properties in both forms, keeping the packet's size", () => {
+    const xmp =
+      '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:Description exif:GPSLatitude="35,39.576N" ' +
+      'exif:GPSLongitude = "139,42.2057E" dc:format="image/jpeg">' +
+      "<exif:GPSAltitude>40/1</exif:GPSAltitude><xmp:Rating>4</xmp:Rating>" +
+      "</rdf:Description></x:xmpmeta>";
+    const input = jpeg(Buffer.alloc(8), { xmp });
+    const output = scrubImageGps(input, COARSEN);
+    const text = output.toString("latin1");
+
+    assert.equal(output.length, input.length);
+    assert.ok(text.includes(`exif:GPSLatitude="${" ".repeat(10)}"`));
+    assert.ok(text.includes(`exif:GPSLongitude = "${" ".repeat(12)}"`));
+    assert.ok(text.includes(`<exif:GPSAltitude>${" ".repeat(4)}</exif:GPSAltitude>`));
+    assert.ok(text.includes('dc:format="image/jpeg"'));
+    assert.ok(text.includes("<xmp:Rating>4</xmp:Rating>"));
+  });
+
+  test("leaves files without GPS alone", () => {
+    const input = Buffer.from("not an image at all");
+    assert.deepEqual(scrubImageGps(input, STRIP), input);
+  });
+});
@@ -0,0 +1,172 @@
+"use strict";
+
+// Client search: ranking (source/js/tools/searchEngine.js) over an index from
+// the generator, result rendering (source/js/tools/localSearch.js) and the
+// worker fallback (source/js/tools/searchClient.js).
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+
+const { buildIndex } = require("../scripts/filters/lib/search-index");
+
+let createSearchEngine;
+let parseQuery;
+let renderResult;
+let getSearchClient;
+before(async () => {
+  ({ createSearchEngine, parseQuery } = await import("../source/js/tools/searchEngine.js"));
+  ({ renderResult } = await import("../source/js/tools/localSearch.js"));
+  ({ getSearchClient } = await import("../source/js/tools/searchClient.js"));
+});
+
+function post(path, fields) {
+  const date = fields.date || "2024-01-01";
+  return {
+    path,
+    title: path,
+    content: "",
+    ...fields,
+    date: { format: () => date },
+  };
+}
+
+function engineFor(items) {
+  const engine = createSearchEngine();
+  engine.load(JSON.parse(JSON.stringify(buildIndex(items, 300, (p) => `/${p}`))));
+  return engine;
+}
+
+const urls = (found) => found.results.map((r) => r.url);
+
+describe("parseQuery", () => {
+  test("separates words from filter operators", () => {
+    const { words, filters } = parseQuery('Dark Mode tag:"open source" cat:web date:2024-03..2024-06');
+    assert.deepEqual(words, ["dark", "mode"]);
+    assert.deepEqual(filters.tags, ["open source"]);
+    assert.deepEqual(filters.categories, ["web"]);
+    assert.equal(filters.dates.length, 1);
+  });
+});
+
+describe("search engine", () => {
+  let engine;
+  before(() => {
+    engine = engineFor([
+      post("body/", { title: "Notes", content: "<p>Setting up the theme, then more theme tweaks.</p>" }),
+      post("title/", { title: "Theme guide", content: "<p>How it all fits.</p>", date: "2023-05-01" }),
+      post("heading/", { title: "Misc", content: "<h2>Theme colors</h2><p>Palette.</p>", tags: [{ name: "css" }] }),
+      post("other/", { title: "Cooking", content: "<p>Pasta and bread.</p>", date: "2022-02-02" }),
+    ]);
+  });
+
+  test("ranks title hits over heading hits over body hits", () => {
+    assert.deepEqual(urls(engine.search("theme")), ["/title/", "/heading/", "/body/"]);
+  });
+
+  test("matches the word being typed by prefix", () => {
+    const found = engine.search("coo");
+    assert.deepEqual(urls(found), ["/other/"]);
+    assert.deepEqual(found.results[0].words, ["cooking"]);
+  });
+
+  test("tolerates a typo", () => {
+    assert.deepEqual(urls(engine.search("pastta")), ["/other/"]);
+  });
+
+  test("puts posts matching every word first", () => {
+    assert.equal(urls(engine.search("theme palette"))[0], "/heading/");
+  });
+
+  test("applies tag and date filters", () => {
+    assert.deepEqual(urls(engine.search("theme tag:css")), ["/heading/"]);
+    assert.deepEqual(urls(engine.search("date:2023")), ["/title/"]);
+    assert.deepEqual(urls(engine.search("date:<2024")), ["/title/", "/other/"]);
+  });
+
+  test("reports an empty query", () => {
+    assert.deepEqual(engine.search("   "), { results: [], total: 0, empty: true });
+  });
+});
+
+describe("renderResult", () => {
+  const result = (fields) => ({
+    url: "/p/",
+    title: "Post",
+    excerpt: "",
+    headings: [],
+    tags: [],
+    categories: [],
+    words: [],
+    ...fields,
+  });
+
+  test("highlights the matched terms in the title and a snippet", () => {
+    const html = renderResult(result({ title: "Theme guide", excerpt: "All about the theme.", words: ["theme"] }));
+    assert.equal(
+      html,
+      '<li><a href="/p/" class="search-result-title"><b class="search-keyword">Theme</b> guide</a>' +
+        '<a href="/p/"><p class="search-result">All about the <b class="search-keyword">theme</b>....</p></a></li>',
+    );
+  });
+
+  test("escapes markup shown in a post instead of rendering it", () => {
+    const engine = engineFor([
+      post("xss/", {
+        title: "<script>alert(1)</script> onerror",
+        content:
+          "<h2>&lt;img src=x onerror=alert(2)&gt;</h2>" +
+          "<pre><code>&lt;script&gt;alert(3)&lt;/script&gt; onerror</code></pre>",
+      }),
+    ]);
+    const [found] = engine.search("onerror").results;
+    const html = renderResult(found, -1);
+
+    assert.ok(!/<script|<img/i.test(html), html);
+    assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt; <b class="search-keyword">onerror<\/b>/);
+    assert.match(html, /&lt;img src=x <b class="search-keyword">onerror<\/b>=alert\(2\)&gt;/);
+    assert.match(html, /&lt;script&gt;alert\(3\)&lt;\/script&gt;/);
+  });
+
+  test("escapes the URL inside href", () => {
+    const html = renderResult(result({ url: '/p/"><img src=x onerror=alert(1)>' }));
+    assert.ok(!html.includes("<img"), html);
+    assert.match(html, /href="\/p\/&quot;&gt;&lt;img src=x onerror=alert\(1\)&gt;"/);
+  });
+});
+
+describe("search client", () => {
+  test("falls back to the main thread when the worker fails to load", async (t) => {
+    const workers = [];
+    globalThis.Worker = class extends EventTarget {
+      constructor() {
+        super();
+        this.posted = [];
+        workers.push(this);
+      }
+      postMessage(message) {
+        this.posted.push(message);
+      }
+      terminate() {
+        this.terminated = true;
+      }
+    };
+    t.after(() => delete globalThis.Worker);
+    t.mock.method(console, "warn", () => {});
+
+    const client = getSearchClient();
+    const ready = new Promise((resolve) => client.onMessage((data) => data.type === "ready" && resolve()));
+    const index = buildIndex([post("a/", { title: "Alpha" })], 300, (p) => `/${p}`);
+    client.post({ type: "load", kind: "index", text: JSON.stringify(index) });
+    assert.equal(workers[0].posted.length, 1);
+
+    // A 404 or a CSP block: the module worker reports an error asynchronously
+    workers[0].dispatchEvent(Object.assign(new Event("error"), { message: "404" }));
+    await ready;
+    assert.ok(workers[0].terminated);
+    assert.equal(client.ready, true);
+
+    const results = new Promise((resolve) => client.onMessage((data) => data.type === "results" && resolve(data)));
+    client.post({ type: "search", id: 1, query: "alpha" });
+    assert.deepEqual((await results).results.map((r) => r.url), ["/a/"]);
+    assert.equal(workers[0].posted.length, 1);
+  });
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+// Folder-backed masonry albums (scripts/filters/lib/masonry-albums.js).
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { resolveAlbumImages, resolveAlbumImageFile } = require("../scripts/filters/lib/masonry-albums");
+
+let hexo;
+let warnings;
+
+beforeEach(() => {
+  warnings = [];
+  const sourceDir = fs.mkdtempSync(path.join(os.tmpdir(), "masonry-albums-"));
+  hexo = { source_dir: sourceDir, log: { warn: (msg) => warnings.push(msg) } };
+});
+
+afterEach(() => fs.rmSync(hexo.source_dir, { recursive: true, force: true }));
+
+function write(rel, content = "x") {
+  const file = path.join(hexo.source_dir, "masonry", rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe("resolveAlbumImages", () => {
+  test("returns the listed images of an album without a folder", () => {
+    const images = [{ image: "a.jpg" }, null, { image: "b.jpg" }];
+    assert.deepEqual(resolveAlbumImages(hexo, { images }), [{ image: "a.jpg" }, { image: "b.jpg" }]);
+  });
+
+  test("lists a folder's media in natural name order, skipping other and hidden files", () => {
+    for (const name of ["IMG_10.jpg", "IMG_2.PNG", "IMG_1.webp", "notes.txt", "_album.yml", ".DS_Store"]) {
+      write(`trip/${name}`);
+    }
+    fs.mkdirSync(path.join(hexo.source_dir, "masonry/trip/sub.jpg"));
+
+    assert.deepEqual(resolveAlbumImages(hexo, { folder: "/trip/", sort: "filename" }), [
+      { image: "trip/IMG_1.webp" },
+      { image: "trip/IMG_2.PNG" },
+      { image: "trip/IMG_10.jpg" },
+    ]);
+    assert.deepEqual(
+      resolveAlbumImages(hexo, { folder: "trip", order: "DESC" }).map((e) => e.image),
+      ["trip/IMG_10.jpg", "trip/IMG_2.PNG", "trip/IMG_1.webp"],
+    );
+  });
+
+  test("pairs Live Photos and lists lone clips as videos", () => {
+    for (const name of ["a.HEIC", "a.MOV", "b.jpg", "b.heic", "b.mov", "c.mp4", "d.heic"]) write(`live/${name}`);
+
+    assert.deepEqual(resolveAlbumImages(hexo, { folder: "live" }), [
+      { image: "live/a.HEIC", live: "live/a.MOV" },
+      { image: "live/b.jpg", live: "live/b.mov" },
+      { video: "live/c.mp4" },
+    ]);
+  });
+
+  test("pairs a still and a clip whose base names differ in case only", () => {
+    for (const name of ["IMG_5.heic", "img_5.mov", "IMG_6.JPG", "img_6.heic"]) write(`case/${name}`);
+
+    assert.deepEqual(resolveAlbumImages(hexo, { folder: "case" }), [
+      { image: "case/IMG_5.heic", live: "case/img_5.mov" },
+      { image: "case/IMG_6.JPG" },
+    ]);
+  });
+
+  test("applies the _album.yml sidecar, then hand-written entries", () => {
+    write("trip/a.jpg");
+    write("trip/b.jpg");
+    write("trip/_album.yml", "a.jpg:\n  title: Sidecar\n  description: Kept\nb.jpg:\n  title: B\n");
+    const images = [
+      { image: "trip/a.jpg", title: "Manual" },
+      { image: "elsewhere/c.jpg", title: "Appended" },
+    ];
+
+    assert.deepEqual(resolveAlbumImages(hexo, { folder: "trip", images }), [
+      { image: "trip/a.jpg", title: "Manual", description: "Kept" },
+      { image: "trip/b.jpg", title: "B" },
+      { image: "elsewhere/c.jpg", title: "Appended" },
+    ]);
+  });
+
+  test("warns about an invalid sidecar and a missing folder", () => {
+    write("trip/a.jpg");
+    write("trip/_album.yml", "a.jpg: [unclosed");
+    assert.deepEqual(resolveAlbumImages(hexo, { folder: "trip" }), [{ image: "trip/a.jpg" }]);
+    assert.match(warnings[0], /Invalid _album\.yml/);
+
+    const images = [{ image: "x.jpg" }];
+    assert.deepEqual(resolveAlbumImages(hexo, { folder: "gone", images }), images);
+    assert.match(warnings[1], /Album folder not found: source\/masonry\/gone\//);
+  });
+});
+
+describe("resolveAlbumImageFile", () => {
+  test("finds album paths under source/masonry/ or source/", () => {
+    const inAlbum = write("trip/a b.jpg");
+    assert.equal(resolveAlbumImageFile(hexo, "trip/a%20b.jpg?v=1#top"), inAlbum);
+
+    const rooted = path.join(hexo.source_dir, "images/c.jpg");
+    fs.mkdirSync(path.dirname(rooted), { recursive: true });
+    fs.writeFileSync(rooted, "x");
+    assert.equal(resolveAlbumImageFile(hexo, "images/c.jpg"), rooted);
+  });
+
+  test("returns null for URLs and missing files", () => {
+    assert.equal(resolveAlbumImageFile(hexo, "https://example.com/a.jpg"), null);
+    assert.equal(resolveAlbumImageFile(hexo, "//cdn.example.com/a.jpg"), null);
+    assert.equal(resolveAlbumImageFile(hexo, "trip/none.jpg"), null);
+    assert.equal(resolveAlbumImageFile(hexo, ""), null);
+  });
+});
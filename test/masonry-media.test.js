@@ -0,0 +1,152 @@
+"use strict";
+
+// Videos and Live Photos in masonry albums (scripts/filters/lib/masonry-media.js),
+// with ffprobe and ffmpeg replaced by scripts that log their arguments.
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, beforeEach, describe, test } = require("node:test");
+
+const { loadMediaCache, saveMediaCache, describeMedia, withheldStillRoute } = require("../scripts/filters/lib/masonry-media");
+
+const KEEP = { gps: "keep", precision: 2 };
+const STRIP = { gps: "strip", precision: 2 };
+
+let dir;
+let hexo;
+let callsLog;
+let savedPath;
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "masonry-media-"));
+  const bin = path.join(dir, "bin");
+  fs.mkdirSync(bin);
+  callsLog = path.join(dir, "calls.log");
+  // A portrait phone clip: stored landscape, rotated by side data
+  const probe = '{"streams":[{"width":1920,"height":1080,"side_data_list":[{"rotation":-90}]}],"format":{"duration":"3.000000"}}';
+  fs.writeFileSync(path.join(bin, "ffprobe"), `#!/bin/sh\necho "ffprobe $*" >> "${callsLog}"\necho '${probe}'\n`, { mode: 0o755 });
+  // ffmpeg writes its last argument, the output file
+  fs.writeFileSync(path.join(bin, "ffmpeg"), `#!/bin/sh\necho "ffmpeg $*" >> "${callsLog}"\nfor out; do :; done\nprintf out > "$out"\n`, { mode: 0o755 });
+  savedPath = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${savedPath}`;
+
+  hexo = {
+    source_dir: path.join(dir, "source"),
+    config: { root: "/" },
+    log: { warn: (msg) => assert.fail(msg) },
+  };
+  loadMediaCache(hexo);
+});
+
+after(() => {
+  process.env.PATH = savedPath;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => fs.rmSync(callsLog, { force: true }));
+
+function write(rel) {
+  const file = path.join(hexo.source_dir, "masonry", rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, "clip");
+  return file;
+}
+
+const calls = () => (fs.existsSync(callsLog) ? fs.readFileSync(callsLog, "utf8").trim().split("\n") : []);
+const built = (rel) => fs.existsSync(path.join(hexo.source_dir, "build", rel));
+
+describe("describeMedia", () => {
+  test("leaves photos and remote clips alone", async () => {
+    assert.equal(await describeMedia(hexo, { image: "a.jpg" }, KEEP), null);
+    const remote = await describeMedia(hexo, { video: "https://cdn.example.com/a.mp4" }, STRIP);
+    assert.deepEqual(remote, { type: "video", route: null, duration: 0, width: 0, height: 0, poster: null, clip: null });
+    assert.deepEqual(calls(), []);
+  });
+
+  test("probes a clip and extracts a poster when it has no still", async () => {
+    write("trip/tram.mp4");
+    const media = await describeMedia(hexo, { video: "trip/tram.mp4" }, KEEP);
+
+    assert.equal(media.type, "video");
+    assert.equal(media.route, "masonry/trip/tram.mp4");
+    assert.deepEqual([media.width, media.height, media.duration], [1080, 1920, 3]);
+    assert.equal(media.poster.route, "masonry/trip/tram.poster.jpg");
+    assert.equal(media.poster.file, path.join(hexo.source_dir, "build/_posters/masonry/trip/tram.jpg"));
+    assert.equal(media.clip, null);
+
+    const [probe, poster, ...rest] = calls();
+    assert.match(probe, /^ffprobe /);
+    // Clips skip a possible fade-in: min(1 s, a tenth of the duration)
+    assert.match(poster, /^ffmpeg .*-ss 0\.300 /);
+    assert.deepEqual(rest, []);
+  });
+
+  test("uses the middle frame of a Live Photo whose still is HEIC", async () => {
+    write("trip/IMG_1.HEIC");
+    write("trip/IMG_1.MOV");
+    const media = await describeMedia(hexo, { image: "trip/IMG_1.HEIC", live: "trip/IMG_1.MOV" }, KEEP);
+
+    assert.equal(media.type, "live");
+    assert.equal(media.poster.route, "masonry/trip/IMG_1.poster.jpg");
+    assert.match(calls()[1], /^ffmpeg .*-ss 1\.500 /);
+  });
+
+  test("needs no poster with a displayable still", async () => {
+    write("trip/IMG_2.MOV");
+    const media = await describeMedia(hexo, { image: "trip/IMG_2.jpg", live: "trip/IMG_2.MOV" }, KEEP);
+    assert.equal(media.poster, null);
+    assert.deepEqual(calls().map((call) => call.split(" ")[0]), ["ffprobe"]);
+  });
+
+  test("remuxes the clip without metadata unless GPS is kept", async () => {
+    write("trip/IMG_3.jpg");
+    write("trip/IMG_3.MOV");
+    const entry = { image: "trip/IMG_3.jpg", live: "trip/IMG_3.MOV" };
+    const media = await describeMedia(hexo, entry, STRIP);
+
+    assert.deepEqual(media.clip, {
+      route: "masonry/trip/IMG_3.MOV",
+      file: path.join(hexo.source_dir, "build/_clips/masonry/trip/IMG_3.MOV"),
+    });
+    assert.match(calls()[1], /^ffmpeg .*-c copy -map_metadata -1 -map_metadata:s -1 -movflags \+faststart /);
+    assert.ok(built("_clips/masonry/trip/IMG_3.MOV"));
+
+    // Cached by mtime and size: nothing runs again
+    fs.rmSync(callsLog);
+    assert.deepEqual(await describeMedia(hexo, entry, STRIP), media);
+    assert.deepEqual(calls(), []);
+
+    // Back to "keep": the original is served and the copy removed
+    assert.equal((await describeMedia(hexo, entry, KEEP)).clip, null);
+    assert.ok(!built("_clips/masonry/trip/IMG_3.MOV"));
+  });
+
+  test("removes the outputs of clips no album uses anymore", async () => {
+    write("trip/gone.mp4");
+    loadMediaCache(hexo);
+    await describeMedia(hexo, { video: "trip/gone.mp4" }, STRIP);
+    assert.ok(built("_posters/masonry/trip/gone.jpg"));
+    assert.ok(built("_clips/masonry/trip/gone.mp4"));
+
+    loadMediaCache(hexo);
+    saveMediaCache(hexo);
+    assert.ok(!built("_posters/masonry/trip/gone.jpg"));
+    assert.ok(!built("_clips/masonry/trip/gone.mp4"));
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(hexo.source_dir, "build/_media.json"), "utf8")), {});
+  });
+});
+
+describe("withheldStillRoute", () => {
+  test("withholds HEIC stills unless GPS is kept", () => {
+    assert.equal(withheldStillRoute(hexo, { image: "trip/IMG_1.HEIC", live: "trip/IMG_1.MOV" }, STRIP), "masonry/trip/IMG_1.HEIC");
+    assert.equal(withheldStillRoute(hexo, { image: "/photos/a.heif?v=2" }, { gps: "coarsen" }), "photos/a.heif");
+    assert.equal(withheldStillRoute(hexo, { image: "trip/IMG_1.HEIC" }, KEEP), null);
+  });
+
+  test("keeps other stills and remote files", () => {
+    assert.equal(withheldStillRoute(hexo, { image: "trip/IMG_2.jpg", live: "trip/IMG_2.MOV" }, STRIP), null);
+    assert.equal(withheldStillRoute(hexo, { image: "https://cdn.example.com/a.heic" }, STRIP), null);
+    assert.equal(withheldStillRoute(hexo, { video: "trip/tram.mp4" }, STRIP), null);
+  });
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+// Masonry album pagination (scripts/filters/lib/masonry-pagination.js).
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { paginateAlbum } = require("../scripts/filters/lib/masonry-pagination");
+
+const BASE = "masonry/Kyoto/";
+const images = (n) => Array.from({ length: n }, (_, i) => i);
+
+describe("paginateAlbum", () => {
+  test("slices the album into pages, page 1 at the album path", () => {
+    const pages = paginateAlbum(images(5), 2, BASE);
+    assert.deepEqual(pages.map((p) => p.images), [[0, 1], [2, 3], [4]]);
+    assert.deepEqual(pages.map((p) => p.path), [BASE, `${BASE}page/2/`, `${BASE}page/3/`]);
+    assert.ok(pages.every((p) => p.total === 3));
+    assert.deepEqual(pages.map((p) => p.current), [1, 2, 3]);
+  });
+
+  test("links each page to its neighbours", () => {
+    const pages = paginateAlbum(images(5), 2, BASE);
+    assert.deepEqual(pages.map((p) => [p.prev_link, p.next_link]), [
+      ["", `${BASE}page/2/`],
+      [BASE, `${BASE}page/3/`],
+      [`${BASE}page/2/`, ""],
+    ]);
+  });
+
+  test("fills the last page exactly when the album divides evenly", () => {
+    const pages = paginateAlbum(images(4), 2, BASE);
+    assert.equal(pages.length, 2);
+    assert.deepEqual(pages[1].images, [2, 3]);
+    assert.equal(pages[1].next_link, "");
+  });
+
+  test("keeps the album on one page without a usable per_page", () => {
+    for (const perPage of [undefined, null, 0, -3, "abc", 0.5]) {
+      const pages = paginateAlbum(images(3), perPage, BASE);
+      assert.equal(pages.length, 1, String(perPage));
+      assert.deepEqual(pages[0].images, [0, 1, 2]);
+    }
+    assert.equal(paginateAlbum(images(3), 5, BASE).length, 1);
+  });
+
+  test("reads per_page as a number", () => {
+    assert.deepEqual(paginateAlbum(images(3), "2", BASE).map((p) => p.images.length), [2, 1]);
+    assert.deepEqual(paginateAlbum(images(5), 2.5, BASE).map((p) => p.images.length), [2, 2, 1]);
+  });
+
+  test("gives an empty album a single empty page", () => {
+    assert.deepEqual(paginateAlbum([], 10, BASE), [
+      { path: BASE, images: [], current: 1, total: 1, prev_link: "", next_link: "" },
+    ]);
+  });
+});
@@ -0,0 +1,144 @@
+"use strict";
+
+// Photography statistics (scripts/filters/lib/photo-stats.js).
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { photoRecord, buildPhotoStats, renderBarChart, renderColumnChart } = require("../scripts/filters/lib/photo-stats");
+
+const EMPTY = { camera: null, lens: null, focal: null, aperture: null, iso: null, taken: null };
+const record = (fields) => ({ ...EMPTY, ...fields });
+const takenAt = (year, month) => Date.UTC(year, month - 1, 15) / 1000;
+const t = (key, fallback) => fallback ?? key;
+const tooltip = (row) => `${row.label}: ${row.count}`;
+
+describe("photoRecord", () => {
+  const policy = { gps: "keep", precision: 2, exifFields: [] };
+
+  test("reads the hand-written card fields", () => {
+    const custom = {
+      make: "Canon",
+      model: "Canon EOS R5",
+      lensModel: "RF 50mm F1.8",
+      focalLength: "50mm",
+      aperture: "f/1.8",
+      ISOSpeedRatings: "ISO 400",
+      dateTimeOriginal: "2024:05:01 18:30:00",
+    };
+    assert.deepEqual(photoRecord({ file: null, custom, autoExif: false, policy }, t, "en"), {
+      camera: "Canon EOS R5",
+      lens: "RF 50mm F1.8",
+      focal: 50,
+      aperture: 1.8,
+      iso: 400,
+      taken: Date.UTC(2024, 4, 1, 18, 30) / 1000,
+    });
+  });
+
+  test("leaves out what EXIF_FIELDS hides from the card", () => {
+    const custom = { model: "X100V", dateTimeOriginal: "2024-05-01" };
+    const onlyModel = { ...policy, exifFields: ["Model"] };
+    assert.deepEqual(photoRecord({ file: null, custom, autoExif: false, policy: onlyModel }, t), record({ camera: "X100V" }));
+  });
+});
+
+describe("buildPhotoStats", () => {
+  test("skips records without any known value", () => {
+    const stats = buildPhotoStats([EMPTY, record({ camera: "A" }), record({ iso: 100 })]);
+    assert.deepEqual(stats.summary, { photos: 2, cameras: 1, lenses: 0, period: "" });
+  });
+
+  test("sums the values past `top` up as Other", () => {
+    const cameras = ["A", "B", "A", "C", "B", "A", "D"].map((camera) => record({ camera }));
+    assert.deepEqual(buildPhotoStats(cameras, { top: 2, otherLabel: "Others" }).cameras, [
+      { label: "A", count: 3 },
+      { label: "B", count: 2 },
+      { label: "Others", count: 2 },
+    ]);
+    // Ties by name, and no Other row when everything fits
+    assert.deepEqual(buildPhotoStats(cameras.slice(3), { top: 4 }).cameras.map((row) => row.label), ["A", "B", "C", "D"]);
+  });
+
+  test("bins apertures despite the rounding noise of rational tags", () => {
+    const apertures = [2.7999999, 2.8, 1.8, 5.6].map((aperture) => record({ aperture }));
+    assert.deepEqual(buildPhotoStats(apertures).aperture, [
+      { label: "f/1.4–2", count: 1 },
+      { label: "f/2–2.8", count: 0 },
+      { label: "f/2.8–4", count: 2 },
+      { label: "f/4–5.6", count: 0 },
+      { label: "f/5.6–8", count: 1 },
+    ]);
+  });
+
+  test("drops the empty bins at either end, keeping open-ended ones", () => {
+    const focal = (values) => buildPhotoStats(values.map((value) => record({ focal: value }))).focal_length;
+    assert.deepEqual(focal([50, 60]), [{ label: "50–85", count: 2 }]);
+    assert.deepEqual(focal([12, 300, 0]).map((row) => [row.label, row.count]), [
+      ["<24", 1],
+      ["24–35", 0],
+      ["35–50", 0],
+      ["50–85", 0],
+      ["85–135", 0],
+      ["135–200", 0],
+      ["200+", 1],
+    ]);
+    assert.deepEqual(buildPhotoStats([record({ camera: "A" })]).iso, []);
+  });
+
+  test("counts photos per month, gaps included", () => {
+    const stats = buildPhotoStats([takenAt(2024, 3), takenAt(2023, 12), takenAt(2024, 3)].map((taken) => record({ taken })));
+    assert.deepEqual(stats.timeline, [
+      { label: "2023-12", count: 1 },
+      { label: "2024-01", count: 0 },
+      { label: "2024-02", count: 0 },
+      { label: "2024-03", count: 2 },
+    ]);
+    assert.equal(stats.summary.period, "2023–2024");
+  });
+
+  test("counts per year past 36 months", () => {
+    const timelineOf = (...takens) => buildPhotoStats(takens.map((taken) => record({ taken }))).timeline;
+    assert.equal(timelineOf(takenAt(2021, 1), takenAt(2023, 12)).length, 36);
+    assert.deepEqual(timelineOf(takenAt(2021, 1), takenAt(2024, 1), takenAt(2021, 6)), [
+      { label: "2021", count: 2 },
+      { label: "2022", count: 0 },
+      { label: "2023", count: 0 },
+      { label: "2024", count: 1 },
+    ]);
+  });
+});
+
+describe("charts", () => {
+  test("bar charts escape and shorten labels and scale to the largest count", () => {
+    const svg = renderBarChart(
+      [
+        { label: "<Cam>", count: 4 },
+        { label: "A very long lens name that goes on and on", count: 1 },
+      ],
+      { title: 'Cameras & "bodies"', tooltip },
+    );
+    assert.match(svg, /aria-label="Cameras &amp; &quot;bodies&quot;"/);
+    assert.match(svg, />&lt;Cam&gt;<\/text>/);
+    assert.match(svg, />A very long lens name that …<\/text>/);
+    assert.match(svg, /<title>&lt;Cam&gt;: 4<\/title>/);
+    const widths = [...svg.matchAll(/class="photo-stats-bar"[^>]* width="([\d.]+)"/g)].map((m) => Number(m[1]));
+    assert.deepEqual(widths, [382, 95.5]);
+  });
+
+  test("column charts hide empty bars and their values", () => {
+    const svg = renderColumnChart(
+      [
+        { label: "2024-01", count: 2 },
+        { label: "2024-02", count: 0 },
+      ],
+      { title: "Timeline", tooltip },
+    );
+    assert.equal((svg.match(/class="photo-stats-value"/g) || []).length, 1);
+    assert.match(svg, /height="0\.0" rx="3"/);
+  });
+
+  test("render nothing without rows", () => {
+    assert.equal(renderBarChart([], { title: "x", tooltip }), "");
+    assert.equal(renderColumnChart([], { title: "x", tooltip }), "");
+  });
+});
@@ -0,0 +1,157 @@
+"use strict";
+
+// The search index of search-generator.js (scripts/filters/lib/search-index.js).
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  FIELDS,
+  stripHTML,
+  extractHeadings,
+  tokenize,
+  buildIndex,
+} = require("../scripts/filters/lib/search-index");
+
+const urlFor = (path) => `/${path}`;
+
+function post(fields) {
+  return {
+    path: "post/",
+    title: "Post",
+    date: { format: () => "2024-03-01" },
+    content: "",
+    ...fields,
+  };
+}
+
+// term → [[doc, field name, tf], ...]
+function postings(index, term) {
+  const flat = index.terms[term] || [];
+  const list = [];
+  for (let i = 0; i < flat.length; i += 3) {
+    list.push([flat[i], FIELDS[flat[i + 1]], flat[i + 2]]);
+  }
+  return list;
+}
+
+describe("stripHTML", () => {
+  test("drops tags, scripts and styles and collapses whitespace", () => {
+    assert.equal(
+      stripHTML("<p>Hello <b>world</b></p>\n<script>alert(1)</script><style>p{}</style> again"),
+      "Hello world again",
+    );
+  });
+
+  test("decodes entities into plain text", () => {
+    assert.equal(stripHTML("<code>&lt;img src=x&gt;</code> &amp;lt; &quot;q&quot;"), '<img src=x> &lt; "q"');
+  });
+});
+
+describe("extractHeadings", () => {
+  test("lists the text of h1–h6", () => {
+    const html = '<h2 id="a">Install <code>npm</code></h2><p>x</p><h3>Usage</h3><h4></h4>';
+    assert.deepEqual(extractHeadings(html), ["Install npm", "Usage"]);
+  });
+});
+
+describe("tokenize", () => {
+  test("lower-cases words and drops punctuation and single letters", () => {
+    assert.deepEqual(tokenize("Hello, World! A b 2024"), ["hello", "world", "2024"]);
+  });
+
+  test("finds CJK text", () => {
+    const tokens = tokenize("搜索引擎");
+    assert.ok(tokens.length > 0);
+    assert.ok(tokens.every((token) => "搜索引擎".includes(token)));
+  });
+});
+
+describe("buildIndex", () => {
+  test("stores each post's fields and their token counts", () => {
+    const index = buildIndex(
+      [
+        post({
+          path: "hello/",
+          title: " Hello search ",
+          tags: [{ name: "hexo" }],
+          categories: [{ name: "Notes" }],
+          content: "<h2>Search setup</h2><p>The search index is small.</p>",
+        }),
+      ],
+      300,
+      urlFor,
+    );
+
+    assert.equal(index.version, 1);
+    assert.deepEqual(index.fields, FIELDS);
+    assert.deepEqual(index.docs[0], {
+      url: "/hello/",
+      title: "Hello search",
+      date: "2024-03-01",
+      tags: ["hexo"],
+      categories: ["Notes"],
+      headings: ["Search setup"],
+      excerpt: "Search setup The search index is small.",
+      lengths: [2, 2, 1, 1, 7],
+    });
+  });
+
+  test("posts (doc, field, tf) triples per term", () => {
+    const index = buildIndex(
+      [
+        post({ title: "Search", content: "<p>search search</p>" }),
+        post({ title: "Other", tags: [{ name: "search" }] }),
+      ],
+      300,
+      urlFor,
+    );
+
+    assert.deepEqual(postings(index, "search"), [
+      [0, "title", 1],
+      [0, "excerpt", 2],
+      [1, "tags", 1],
+    ]);
+    assert.deepEqual(postings(index, "other"), [[1, "title", 1]]);
+  });
+
+  test("cuts the excerpt at a word boundary", () => {
+    const index = buildIndex([post({ content: "<p>alpha beta gamma</p>" })], 13, urlFor);
+    assert.equal(index.docs[0].excerpt, "alpha beta");
+  });
+
+  test("keeps only the metadata of encrypted posts", () => {
+    const index = buildIndex(
+      [post({ title: "Locked", password: "pw", content: "<h2>Secret</h2><p>secret body</p>" })],
+      300,
+      urlFor,
+    );
+
+    assert.deepEqual(index.docs[0].headings, []);
+    assert.equal(index.docs[0].excerpt, "");
+    assert.equal(index.terms.secret, undefined);
+  });
+
+  test("stores markup shown in a post as text, never as tags", () => {
+    const index = buildIndex(
+      [
+        post({
+          title: "<script>alert(1)</script>",
+          content:
+            "<h2>&lt;img src=x onerror=alert(1)&gt;</h2>" +
+            "<pre><code>&lt;script&gt;alert(2)&lt;/script&gt;</code></pre>" +
+            '<img src="x" onerror="alert(3)">',
+        }),
+      ],
+      300,
+      urlFor,
+    );
+    const [doc] = index.docs;
+
+    // Decoded text: the consumers (localSearch.js, commandPalette.js) escape it.
+    assert.equal(doc.title, "<script>alert(1)</script>");
+    assert.deepEqual(doc.headings, ["<img src=x onerror=alert(1)>"]);
+    assert.equal(doc.excerpt, "<img src=x onerror=alert(1)> <script>alert(2)</script>");
+    // A real tag in the body is dropped, not carried over.
+    assert.ok(!doc.excerpt.includes("alert(3)"));
+  });
+});
@@ -0,0 +1,184 @@
+"use strict";
+
+// Minimal image files around a TIFF (EXIF) block with a GPS IFD, built byte by
+// byte so the tests need no image tooling.
+const zlib = require("node:zlib");
+
+// GPS tags of the fixture, at 35°39'34.56"N 139°42'12.34"E, 40 m, 12:30:00
+const GPS = {
+  latitude: [[35, 1], [39, 1], [3456, 100]],
+  longitude: [[139, 1], [42, 1], [1234, 100]],
+  altitude: [[40, 1]],
+  timestamp: [[12, 1], [30, 1], [0, 1]],
+};
+
+/**
+ * TIFF block: IFD0 (Make, GPS pointer) → GPS IFD (version, lat ref/value,
+ * lon ref/value, altitude, timestamp) → the rational values.
+ */
+function tiffWithGps({ bigEndian = false } = {}) {
+  const buf = Buffer.alloc(212);
+  const w16 = (o, v) => (bigEndian ? buf.writeUInt16BE(v, o) : buf.writeUInt16LE(v, o));
+  const w32 = (o, v) => (bigEndian ? buf.writeUInt32BE(v, o) : buf.writeUInt32LE(v, o));
+  const entry = (at, tag, type, count, value) => {
+    w16(at, tag);
+    w16(at + 2, type);
+    w32(at + 4, count);
+    if (typeof value === "number") w32(at + 8, value);
+    else value.copy(buf, at + 8);
+  };
+  const rationals = (at, list) => list.forEach(([n, d], i) => {
+    w32(at + i * 8, n);
+    w32(at + i * 8 + 4, d);
+  });
+
+  buf.write(bigEndian ? "MM" : "II", 0, "latin1");
+  w16(2, 42);
+  w32(4, 8);
+  // IFD0 at 8: 2 entries
+  w16(8, 2);
+  entry(10, 0x010f, 2, 4, Buffer.from("Cam\0", "latin1"));
+  entry(22, 0x8825, 4, 1, 38);
+  w32(34, 0);
+  // GPS IFD at 38: 7 entries, values from 128
+  w16(38, 7);
+  entry(40, 0, 1, 4, Buffer.from([2, 3, 0, 0]));
+  entry(52, 1, 2, 2, Buffer.from("N\0\0\0", "latin1"));
+  entry(64, 2, 5, 3, 128);
+  entry(76, 3, 2, 2, Buffer.from("E\0\0\0", "latin1"));
+  entry(88, 4, 5, 3, 152);
+  entry(100, 6, 5, 1, 176);
+  entry(112, 7, 5, 3, 184);
+  w32(124, 0);
+  rationals(128, GPS.latitude);
+  rationals(152, GPS.longitude);
+  rationals(176, GPS.altitude);
+  rationals(184, GPS.timestamp);
+  buf.write("tail", 208, "latin1");
+  return buf;
+}
+
+/** { tag: { type, count, offset, values } } of the GPS IFD of a TIFF block. */
+function readGps(buf, start = 0) {
+  const le = buf.toString("latin1", start, start + 2) === "II";
+  const u16 = (o) => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+  const u32 = (o) => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+  const ifd0 = start + u32(start + 4);
+  let gps = null;
+  for (let i = 0; i < u16(ifd0); i++) {
+    if (u16(ifd0 + 2 + i * 12) === 0x8825) gps = start + u32(ifd0 + 2 + i * 12 + 8);
+  }
+  const tags = {};
+  for (let i = 0; i < u16(gps); i++) {
+    const at = gps + 2 + i * 12;
+    const type = u16(at + 2);
+    const count = u32(at + 4);
+    const offset = u32(at + 8);
+    const values = type === 5
+      ? Array.from({ length: count }, (_, k) => [u32(start + offset + k * 8), u32(start + offset + k * 8 + 4)])
+      : null;
+    tags[u16(at)] = { type, count, offset, values };
+  }
+  return tags;
+}
+
+function jpeg(tiff, { xmp = "" } = {}) {
+  const segment = (marker, payload) => {
+    const head = Buffer.alloc(4);
+    head.writeUInt16BE(marker, 0);
+    head.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([head, payload]);
+  };
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xffe1, Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff])),
+    xmp ? segment(0xffe1, Buffer.from(`http://ns.adobe.com/xap/1.0/\0${xmp}`, "latin1")) : Buffer.alloc(0),
+    segment(0xffda, Buffer.from([0, 0])),
+    Buffer.from([0x12, 0x34, 0xff, 0xd9]),
+  ]);
+}
+
+function pngChunk(type, data) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(data.length, 0);
+  head.write(type, 4, "latin1");
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(Buffer.concat([head.subarray(4), data])), 0);
+  return Buffer.concat([head, data, crc]);
+}
+
+function png(tiff, { xmp = "" } = {}) {
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", Buffer.alloc(13, 1)),
+    pngChunk("eXIf", tiff),
+    xmp ? pngChunk("iTXt", Buffer.from(`XML:com.adobe.xmp\0\0\0\0\0${xmp}`, "latin1")) : Buffer.alloc(0),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/** Chunks of a PNG whose stored CRC doesn't match type + data. */
+function badPngCrcs(buf) {
+  const bad = [];
+  for (let i = 8; i + 12 <= buf.length;) {
+    const size = buf.readUInt32BE(i);
+    const type = buf.toString("latin1", i + 4, i + 8);
+    if (zlib.crc32(buf.subarray(i + 4, i + 8 + size)) !== buf.readUInt32BE(i + 8 + size)) bad.push(type);
+    i += 12 + size;
+  }
+  return bad;
+}
+
+function webp(tiff, { exifHeader = false } = {}) {
+  const chunk = (type, data) => {
+    const head = Buffer.alloc(8);
+    head.write(type, 0, "latin1");
+    head.writeUInt32LE(data.length, 4);
+    return Buffer.concat([head, data, data.length & 1 ? Buffer.alloc(1) : Buffer.alloc(0)]);
+  };
+  const exif = exifHeader ? Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff]) : tiff;
+  const body = Buffer.concat([
+    Buffer.from("WEBP", "latin1"),
+    chunk("VP8X", Buffer.alloc(9)), // odd size: padded
+    chunk("EXIF", exif),
+  ]);
+  const head = Buffer.alloc(8);
+  head.write("RIFF", 0, "latin1");
+  head.writeUInt32LE(body.length, 4);
+  return Buffer.concat([head, body]);
+}
+
+function box(type, ...parts) {
+  const payload = Buffer.concat(parts);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(payload.length + 8, 0);
+  head.write(type, 4, "latin1");
+  return Buffer.concat([head, payload]);
+}
+
+const u16 = (v) => Buffer.from([v >> 8, v & 0xff]);
+const u32 = (v) => {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(v, 0);
+  return b;
+};
+
+/**
+ * HEIC: ftyp, a meta box whose iinf names item 2 "Exif" and whose iloc places
+ * it in mdat, where it starts with a 4-byte offset to the TIFF header.
+ */
+function heic(tiff) {
+  const exifItem = Buffer.concat([u32(6), Buffer.from("Exif\0\0", "latin1"), tiff]);
+  const ftyp = box("ftyp", Buffer.from("heic\0\0\0\0mif1heic", "latin1"));
+  const infe = (id, type) => box("infe", Buffer.from([2, 0, 0, 0]), u16(id), u16(0), Buffer.from(`${type}\0`, "latin1"));
+  const iinf = box("iinf", u32(0), u16(2), infe(1, "hvc1"), infe(2, "Exif"));
+  // Version 0: offset and length 4 bytes, no base offset
+  const iloc = (offset) => box("iloc", u32(0), Buffer.from([0x44, 0x00]), u16(2),
+    u16(1), u16(0), u16(1), u32(0), u32(0),
+    u16(2), u16(0), u16(1), u32(offset), u32(exifItem.length));
+  const metaSize = box("meta", u32(0), iinf, iloc(0)).length;
+  const offset = ftyp.length + metaSize + 8;
+  return Buffer.concat([ftyp, box("meta", u32(0), iinf, iloc(offset)), box("mdat", exifItem)]);
+}
+
+module.exports = { GPS, tiffWithGps, readGps, jpeg, png, badPngCrcs, webp, heic };
@@ -1,5 +1,4 @@
--- Instant Notes D1 Schema
--- Run: wrangler d1 execute instant-notes-db --file=./schema.sql
+-- Instant Notes: the original notes table.
 
 CREATE TABLE IF NOT EXISTS notes (
   id         INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -0,0 +1,11 @@
+-- Instant Notes: per-note visibility window.
+-- Visible from publish_at (scheduling) until expires_at; NULL expires_at means
+-- the worker's default 48h window after publish_at. Existing notes publish at
+-- their creation time.
+
+ALTER TABLE notes ADD COLUMN publish_at TEXT;
+ALTER TABLE notes ADD COLUMN expires_at TEXT;
+UPDATE notes SET publish_at = created_at WHERE publish_at IS NULL;
+
+-- Index for the visibility window + archive ordering
+CREATE INDEX IF NOT EXISTS idx_notes_publish_at ON notes(publish_at DESC);
@@ -0,0 +1,17 @@
+-- Self-hosted page view / visitor counter (GET/POST /api/counter).
+-- counter_stats holds the running totals per path; the site-wide row uses the
+-- reserved path '*'. counter_visitors remembers which hashed visitors were
+-- already counted today, so UV is "unique visitors per day", summed.
+
+CREATE TABLE IF NOT EXISTS counter_stats (
+  path TEXT    PRIMARY KEY,
+  pv   INTEGER NOT NULL DEFAULT 0,
+  uv   INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS counter_visitors (
+  day     TEXT NOT NULL,           -- UTC date, YYYY-MM-DD
+  path    TEXT NOT NULL,
+  visitor TEXT NOT NULL,           -- SHA-256 of day + IP + salt (never the raw IP)
+  PRIMARY KEY (day, path, visitor)
+);
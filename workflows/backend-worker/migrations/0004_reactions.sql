@@ -0,0 +1,18 @@
+-- Post reactions (GET/POST /api/reactions). post_reactions holds the running
+-- count per (path, type); post_reaction_visitors remembers who reacted so each
+-- visitor can add a given reaction to a post once (and take it back).
+
+CREATE TABLE IF NOT EXISTS post_reactions (
+  path  TEXT    NOT NULL,
+  type  TEXT    NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (path, type)
+);
+
+CREATE TABLE IF NOT EXISTS post_reaction_visitors (
+  path       TEXT NOT NULL,
+  type       TEXT NOT NULL,
+  visitor    TEXT NOT NULL,        -- SHA-256 of the browser's random visitor id + salt
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (path, type, visitor)
+);
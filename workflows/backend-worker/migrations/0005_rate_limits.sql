@@ -0,0 +1,13 @@
+-- Token buckets for the rate limiter (src/ratelimit.js), one row per
+-- route-name + client IP. `tokens` is the fill level after the last request,
+-- `updated_at` its time in epoch seconds; `allowed` records whether that last
+-- request got a token.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key        TEXT    PRIMARY KEY,
+  tokens     REAL    NOT NULL,
+  updated_at REAL    NOT NULL,
+  allowed    INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_updated_at ON rate_limits(updated_at);
@@ -0,0 +1,13 @@
+-- Admin session revocation list (checked by authMiddleware).
+--   jti = '<token id>'   a single revoked session token
+--   jti = 'user:<id>'    every session of that GitHub user issued at or
+--                        before revoked_at ("sign out everywhere")
+-- Rows are only needed until the tokens they cover would have expired anyway
+-- (expires_at, epoch ms), after which they are pruned.
+
+CREATE TABLE IF NOT EXISTS revoked_sessions (
+  jti        TEXT    PRIMARY KEY,
+  user_id    TEXT    NOT NULL,
+  revoked_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL
+);
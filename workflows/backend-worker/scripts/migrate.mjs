@@ -0,0 +1,224 @@
+/**
+ * D1 schema migration runner.
+ *
+ * Migrations live in `migrations/` as `NNNN_description.sql` and are applied in
+ * version order. Each applied version is recorded in the `schema_migrations`
+ * table, so re-running only applies what is new.
+ *
+ * Targets:
+ *   --remote / --local     the worker's D1 database, via `wrangler d1 execute`
+ *                          (`--database <name|binding>`, default `DB`)
+ *   --sqlite <file>        a plain SQLite file through `node:sqlite` (Node 22.5+),
+ *                          for tests and quick local checks
+ *
+ * Flags:
+ *   --status               list applied / pending migrations, apply nothing
+ *   --baseline <N>         record migrations up to N as applied WITHOUT running
+ *                          them (for databases created before this runner)
+ *
+ * The functions are exported so tests can drive the runner against an
+ * in-memory or temporary SQLite database directly.
+ */
+import { execFileSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL("../migrations/", import.meta.url));
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+const CREATE_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version    INTEGER PRIMARY KEY,
+  name       TEXT    NOT NULL,
+  applied_at TEXT    NOT NULL
+);`;
+
+// ─── Migration files ───────────────────────────────────────
+export function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => {
+      const m = MIGRATION_FILE.exec(file);
+      if (!m) return null;
+      return {
+        version: parseInt(m[1], 10),
+        name: m[2],
+        sql: fs.readFileSync(path.join(dir, file), "utf8"),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) {
+      throw new Error(`Duplicate migration version ${m.version} in ${dir}`);
+    }
+  });
+  return migrations;
+}
+
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function label(m) {
+  return `${String(m.version).padStart(4, "0")}_${m.name}`;
+}
+
+function recordSql(m) {
+  return (
+    "INSERT INTO schema_migrations (version, name, applied_at) VALUES " +
+    `(${m.version}, ${sqlString(m.name)}, ${sqlString(new Date().toISOString())});`
+  );
+}
+
+// ─── Executors ─────────────────────────────────────────────
+// An executor is `{ query(sql) → rows[], apply(sql) }`. `apply` must run the
+// whole script atomically so a failed migration is never half-recorded.
+
+export async function sqliteExecutor(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import("node:sqlite"));
+  } catch (e) {
+    throw new Error("--sqlite needs node:sqlite (Node.js 22.5+; add --experimental-sqlite before 22.13)");
+  }
+  const db = new DatabaseSync(file);
+  return {
+    query: (sql) => db.prepare(sql).all(),
+    apply: (sql) => {
+      db.exec("BEGIN");
+      try {
+        db.exec(sql);
+        db.exec("COMMIT");
+      } catch (e) {
+        db.exec("ROLLBACK");
+        throw e;
+      }
+    },
+    close: () => db.close(),
+  };
+}
+
+// D1 rejects explicit BEGIN/COMMIT, but executes a --file as a single batch, so
+// each migration and its bookkeeping row go up together in one file.
+export function wranglerExecutor({ database = "DB", remote = false } = {}) {
+  const wrangler = (args) =>
+    execFileSync("npx", ["wrangler", "d1", "execute", database, remote ? "--remote" : "--local", "--json", ...args], {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "inherit"],
+    });
+
+  return {
+    query: (sql) => {
+      const out = JSON.parse(wrangler(["--command", sql]));
+      return out.flatMap((r) => r.results || []);
+    },
+    apply: (sql) => {
+      const tmp = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "d1-migrate-")), "migration.sql");
+      fs.writeFileSync(tmp, sql);
+      try {
+        wrangler(["--file", tmp]);
+      } finally {
+        fs.rmSync(path.dirname(tmp), { recursive: true, force: true });
+      }
+    },
+    close: () => {},
+  };
+}
+
+// ─── Runner ────────────────────────────────────────────────
+/**
+ * Applied and pending migrations. Read-only: a database without the
+ * `schema_migrations` table has nothing applied.
+ */
+export async function migrationStatus(db, migrations = loadMigrations()) {
+  const tables = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  const rows = tables.length ? await db.query("SELECT version FROM schema_migrations ORDER BY version") : [];
+  const applied = new Set(rows.map((r) => Number(r.version)));
+  return {
+    applied: migrations.filter((m) => applied.has(m.version)),
+    pending: migrations.filter((m) => !applied.has(m.version)),
+  };
+}
+
+/**
+ * Applies every pending migration in order and returns the ones it ran.
+ * With `baseline`, pending migrations up to that version are only recorded.
+ */
+export async function migrate(db, { migrations = loadMigrations(), baseline = 0, log = () => {} } = {}) {
+  await db.apply(CREATE_TABLE);
+  const { pending } = await migrationStatus(db, migrations);
+  const ran = [];
+  for (const m of pending) {
+    if (m.version <= baseline) {
+      await db.apply(recordSql(m));
+      log(`baseline  ${label(m)}`);
+      continue;
+    }
+    try {
+      await db.apply(`${m.sql.trim()}\n\n${recordSql(m)}\n`);
+    } catch (e) {
+      throw new Error(`Migration ${label(m)} failed: ${e.message}`);
+    }
+    ran.push(m);
+    log(`applied   ${label(m)}`);
+  }
+  return ran;
+}
+
+// ─── CLI ───────────────────────────────────────────────────
+function parseArgs(argv) {
+  const opts = { target: null, database: "DB", status: false, baseline: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--remote" || arg === "--local") {
+      opts.target = arg.slice(2);
+    } else if (arg === "--sqlite") {
+      opts.target = "sqlite";
+      opts.file = argv[++i];
+    } else if (arg === "--database") {
+      opts.database = argv[++i];
+    } else if (arg === "--status") {
+      opts.status = true;
+    } else if (arg === "--baseline") {
+      opts.baseline = parseInt(argv[++i], 10);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!opts.target) throw new Error("Pick a target: --remote, --local or --sqlite <file>");
+  if (opts.target === "sqlite" && !opts.file) throw new Error("--sqlite needs a file path");
+  if (Number.isNaN(opts.baseline)) throw new Error("--baseline needs a migration version");
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const db =
+    opts.target === "sqlite"
+      ? await sqliteExecutor(opts.file)
+      : wranglerExecutor({ database: opts.database, remote: opts.target === "remote" });
+
+  try {
+    if (opts.status) {
+      const { applied, pending } = await migrationStatus(db);
+      applied.forEach((m) => console.log(`applied   ${label(m)}`));
+      pending.forEach((m) => console.log(`pending   ${label(m)}`));
+      return;
+    }
+    const ran = await migrate(db, { baseline: opts.baseline, log: (line) => console.log(line) });
+    if (!ran.length) console.log("Schema is up to date.");
+  } finally {
+    db.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(`[migrate] ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -11,8 +11,13 @@
  *                           subsequent admin write is verified LOCALLY (no extra
  *                           GitHub call per request).
  *   3. verifySession()    — validates that HMAC token + its expiry.
+ *   4. isSessionRevoked() / revokeSession() / revokeUserSessions()
+ *                         — the D1 revocation list, so a leaked token can be
+ *                           killed before its `exp`.
  *
  * The session token is a compact JWT-ish string: base64url(payload).base64url(sig)
+ * Every token carries a random `jti` (token id), `iat` (issued at) and
+ * `auth_time` (the original GitHub login, kept across refreshes).
  * Uses Web Crypto (available in Workers) — no external dependencies.
  */
 
@@ -123,3 +128,63 @@ export function isAdminUser(user, adminLoginsRaw) {
     .filter(Boolean);
   return admins.includes(String(user.id)) || admins.includes(user.login);
 }
+
+// ─── Revocation list (D1, migration 0006_revoked_sessions) ──
+function userKey(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * True if this session's `jti` was revoked, or its user revoked all sessions
+ * issued at or after this token's `iat`. Tokens without a jti/iat (minted
+ * before revocation existed) are treated as revoked.
+ * @param {D1Database} db
+ * @param {object} payload  verified session payload
+ */
+export async function isSessionRevoked(db, payload) {
+  if (!payload || !payload.jti || !payload.iat) return true;
+  const row = await db
+    .prepare(
+      `SELECT 1 FROM revoked_sessions
+       WHERE jti = ?1 OR (jti = ?2 AND revoked_at >= ?3)
+       LIMIT 1`
+    )
+    .bind(payload.jti, userKey(payload.id), payload.iat)
+    .first();
+  return !!row;
+}
+
+async function pruneRevocations(db, now) {
+  await db.prepare("DELETE FROM revoked_sessions WHERE expires_at < ?1").bind(now).run();
+}
+
+/**
+ * Revoke one session token (by its verified payload) until it would expire.
+ */
+export async function revokeSession(db, payload) {
+  const now = Date.now();
+  await db
+    .prepare(
+      `INSERT OR IGNORE INTO revoked_sessions (jti, user_id, revoked_at, expires_at)
+       VALUES (?1, ?2, ?3, ?4)`
+    )
+    .bind(payload.jti, String(payload.id), now, payload.exp || now)
+    .run();
+  await pruneRevocations(db, now);
+}
+
+/**
+ * Revoke every session of a user issued up to now. `maxAgeMs` is the longest a
+ * session chain can live (SESSION_MAX_AGE_MS), after which the row is moot.
+ */
+export async function revokeUserSessions(db, userId, maxAgeMs) {
+  const now = Date.now();
+  await db
+    .prepare(
+      `INSERT OR REPLACE INTO revoked_sessions (jti, user_id, revoked_at, expires_at)
+       VALUES (?1, ?2, ?3, ?4)`
+    )
+    .bind(userKey(userId), String(userId), now, now + maxAgeMs)
+    .run();
+  await pruneRevocations(db, now);
+}
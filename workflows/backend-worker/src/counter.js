@@ -0,0 +1,124 @@
+/**
+ * Page view / visitor counter helpers for the blog backend Worker.
+ *
+ * A drop-in replacement for the vercount/busuanzi script: the theme posts the
+ * current path to POST /api/counter and fills the same `busuanzi_value_*`
+ * spans from the response.
+ *
+ *   - PV   every non-bot hit increments the page's and the site's total.
+ *   - UV   a visitor counts once per page and once for the site per UTC day.
+ *          Visitors are identified by SHA-256(day | IP | salt) only — the raw
+ *          IP is never stored, and the daily rotation means hashes cannot be
+ *          linked across days. Yesterday's hashes are pruned as days roll over.
+ *   - Bots (crawler user agents, Cloudflare-verified bots) are not counted but
+ *          still get the current numbers back.
+ */
+
+// Reserved counter_stats path for the site-wide totals.
+export const SITE_KEY = "*";
+
+const MAX_PATH_LENGTH = 512;
+
+const BOT_UA =
+  /bot|crawl|spider|slurp|bingpreview|mediapartners|facebookexternalhit|embedly|quora link preview|whatsapp|telegram|discord|headless|phantomjs|puppeteer|playwright|selenium|lighthouse|pagespeed|curl|wget|python-requests|httpclient|go-http-client|axios|node-fetch/i;
+
+/**
+ * True for requests that should not be counted.
+ * @param {Request} req
+ */
+export function isBot(req) {
+  const ua = req.headers.get("User-Agent") || "";
+  if (!ua || BOT_UA.test(ua)) return true;
+  return Boolean(req.cf && req.cf.botManagement && req.cf.botManagement.verifiedBot);
+}
+
+/**
+ * Canonical counter key for a page path: no query/hash, `index.html` dropped,
+ * always a leading slash. Returns null for anything unusable.
+ * @param {string} raw  location.pathname from the browser
+ */
+export function normalizePath(raw) {
+  if (typeof raw !== "string" || !raw) return null;
+  let p = raw.split(/[?#]/)[0];
+  try {
+    p = decodeURI(p);
+  } catch {
+    return null;
+  }
+  p = p.replace(/\/index\.html?$/i, "/");
+  if (!p.startsWith("/")) p = `/${p}`;
+  if (p.length > MAX_PATH_LENGTH || p === SITE_KEY) return null;
+  return p;
+}
+
+/**
+ * The caller's IP as seen by Cloudflare (X-Forwarded-For when run elsewhere,
+ * e.g. local dev). Also keys the rate limiter's buckets.
+ * @param {Request} req
+ */
+export function clientIp(req) {
+  const cfIp = req.headers.get("CF-Connecting-IP");
+  if (cfIp) return cfIp;
+  const fwd = req.headers.get("X-Forwarded-For");
+  return fwd ? fwd.split(",")[0].trim() : "";
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Daily visitor hash. `salt` should be a server-side secret (COUNTER_SALT,
+ * falling back to SESSION_SECRET) so the hashes cannot be brute-forced back to
+ * IPs from a database dump.
+ */
+export async function visitorHash(req, day, salt) {
+  return sha256Hex(`${day}|${clientIp(req)}|${salt || ""}`);
+}
+
+/**
+ * Current totals for the site and one page.
+ * @returns {Promise<{site_pv:number, site_uv:number, page_pv:number, page_uv:number}>}
+ */
+export async function readCounts(db, path) {
+  const { results } = await db
+    .prepare("SELECT path, pv, uv FROM counter_stats WHERE path IN (?1, ?2)")
+    .bind(SITE_KEY, path)
+    .all();
+  const site = (results || []).find((r) => r.path === SITE_KEY) || {};
+  const page = (results || []).find((r) => r.path === path) || {};
+  return {
+    site_pv: site.pv || 0,
+    site_uv: site.uv || 0,
+    page_pv: page.pv || 0,
+    page_uv: page.uv || 0,
+  };
+}
+
+/**
+ * Count one page view: PV always, UV only for the first hit of the day per
+ * visitor (tracked separately for the page and the site).
+ */
+export async function recordHit(db, path, visitor, day) {
+  const seen = (key) =>
+    db
+      .prepare("INSERT OR IGNORE INTO counter_visitors (day, path, visitor) VALUES (?1, ?2, ?3)")
+      .bind(day, key, visitor);
+  const [sitePass, pagePass] = await db.batch([seen(SITE_KEY), seen(path)]);
+  const newSite = sitePass.meta.changes > 0 ? 1 : 0;
+  const newPage = pagePass.meta.changes > 0 ? 1 : 0;
+
+  const bump = (key, uv) =>
+    db
+      .prepare(
+        `INSERT INTO counter_stats (path, pv, uv) VALUES (?1, 1, ?2)
+         ON CONFLICT(path) DO UPDATE SET pv = pv + 1, uv = uv + ?2`
+      )
+      .bind(key, uv);
+  const writes = [bump(SITE_KEY, newSite), bump(path, newPage)];
+  // A visitor's first hit of the day is a cheap, regular moment to drop the
+  // previous days' hashes — they are never consulted again.
+  if (newSite) writes.push(db.prepare("DELETE FROM counter_visitors WHERE day < ?1").bind(day));
+  await db.batch(writes);
+}
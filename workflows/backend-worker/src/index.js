@@ -2,22 +2,70 @@
  * Redefine-X Backend Worker
  *
  * A headless Cloudflare Worker (Hono + D1) backing the Redefine-X theme. It has
- * NO front-end of its own — it serves three JSON/proxy concerns:
- *   1. Instant Notes API   — D1-backed notes (public read; admin CRUD).
+ * NO front-end of its own — it serves five JSON/proxy concerns:
+ *   1. Instant Notes API   — D1-backed notes (public read + paginated archive;
+ *                            admin CRUD).
  *   2. Auth                — verifies a giscus-derived GitHub token and mints a
  *                            short-lived HMAC session for the admin allowlist.
  *   3. Giscus CORS proxy   — forwards giscus.app API calls (comments + masonry
  *                            likes) with the blog's CORS headers.
- * Admin writes are authorized ONLY by the GitHub-OAuth HMAC session.
+ *   4. Site counter        — self-hosted PV/UV (busuanzi/vercount replacement).
+ *   5. Post reactions      — anonymous emoji reactions under posts.
+ * For local development, MOCK_GITHUB="true" swaps giscus.app and the GitHub
+ * APIs for in-memory fixtures (see mock.js).
+ * Admin writes are authorized ONLY by the GitHub-OAuth HMAC session. Routes that
+ * spend GitHub/giscus quota or write to D1 anonymously are rate-limited per IP
+ * (see ratelimit.js).
  */
 import { Hono } from "hono";
+import { bodyLimit } from "hono/body-limit";
 import { cors } from "hono/cors";
-import { fetchGitHubUser, isAdminUser, signSession, verifySession } from "./auth.js";
+import {
+  fetchGitHubUser,
+  isAdminUser,
+  isSessionRevoked,
+  revokeSession,
+  revokeUserSessions,
+  signSession,
+  verifySession,
+} from "./auth.js";
+import { isBot, normalizePath, readCounts, recordHit, visitorHash } from "./counter.js";
+import {
+  bearerToken,
+  isMockMode,
+  mockCategories,
+  mockDiscussionPage,
+  mockGraphQL,
+  mockSignIn,
+  mockTokenForSession,
+  mockUserForToken,
+  seedMockDiscussion,
+} from "./mock.js";
+import { rateLimit } from "./ratelimit.js";
+import {
+  SUMMARY_MAX_PATHS,
+  reactionTypes,
+  reactionVisitor,
+  readReactionSummary,
+  readReactions,
+  setReaction,
+} from "./reactions.js";
 
 const app = new Hono();
 
 // Session TTL for the minted admin token (2 hours).
 const SESSION_TTL_MS = 2 * 60 * 60 * 1000;
+// How long a chain of refreshed sessions may live after the GitHub login it
+// started from; past this, /api/auth/refresh refuses and the browser logs in
+// again through giscus (which also re-checks the GitHub identity).
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Request body caps. Login carries one GitHub token; the proxied giscus POST
+// (/api/oauth/token) carries one small session payload; counter and reaction
+// writes carry a page path and a few short fields.
+const LOGIN_MAX_BODY = 4 * 1024;
+const PROXY_MAX_BODY = 16 * 1024;
+const PUBLIC_MAX_BODY = 2 * 1024;
 
 // ─── CORS ──────────────────────────────────────────────────
 function resolveOrigin(origin, env) {
@@ -41,8 +89,12 @@ const apiCors = cors({
   maxAge: 86400,
 });
 app.use("/api/notes", apiCors);
+app.use("/api/notes/*", apiCors);
 app.use("/api/auth/*", apiCors);
 app.use("/api/admin/*", apiCors);
+app.use("/api/counter", apiCors);
+app.use("/api/reactions", apiCors);
+app.use("/api/reactions/*", apiCors);
 
 // ─── GISCUS CORS PROXY (merged from giscus-cors-proxy) ──────
 // giscus.app only allows CORS from its own origin, so the front-end can't call
@@ -57,17 +109,22 @@ function pickProxyOrigin(c) {
   return matched || allowed.split(",")[0].trim();
 }
 
-async function proxyToGiscus(c) {
-  const corsHeaders = {
+function giscusCorsHeaders(c) {
+  return {
     "Access-Control-Allow-Origin": pickProxyOrigin(c),
     "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
     "Access-Control-Allow-Headers": "Content-Type, Authorization",
     "Access-Control-Max-Age": "86400",
   };
+}
+
+async function proxyToGiscus(c) {
+  const corsHeaders = giscusCorsHeaders(c);
 
   if (c.req.method === "OPTIONS") {
     return new Response(null, { status: 204, headers: corsHeaders });
   }
+  if (isMockMode(c)) return serveMockGiscus(c, corsHeaders);
 
   const url = new URL(c.req.url);
   const target = GISCUS_ORIGIN + url.pathname + url.search;
@@ -108,32 +165,215 @@ async function proxyToGiscus(c) {
 app.options("/api/discussions", proxyToGiscus);
 app.options("/api/discussions/categories", proxyToGiscus);
 app.options("/api/oauth/token", proxyToGiscus);
-app.get("/api/discussions", proxyToGiscus);
-app.get("/api/discussions/categories", proxyToGiscus);
-app.post("/api/oauth/token", proxyToGiscus);
+// Every forwarded call counts against the shared "giscus" bucket; oversized
+// POST bodies are refused before they are read into memory.
+const giscusLimit = rateLimit("giscus", { headers: giscusCorsHeaders });
+const giscusBodyLimit = bodyLimit({
+  maxSize: PROXY_MAX_BODY,
+  onError: (c) => c.json({ error: "Payload too large" }, 413, giscusCorsHeaders(c)),
+});
+
+app.get("/api/discussions", giscusLimit, proxyToGiscus);
+app.get("/api/discussions/categories", giscusLimit, proxyToGiscus);
+app.post("/api/oauth/token", giscusLimit, giscusBodyLimit, proxyToGiscus);
+
+// ─── Note scheduling ───────────────────────────────────────
+// A note is visible from `publish_at` (defaults to creation time) until
+// `expires_at`. A NULL `expires_at` falls back to the default window below, so
+// plain notes keep the original "last 48h" behaviour while a note can be
+// queued for later or pinned for longer.
+const DEFAULT_NOTE_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+// Read an optional ISO timestamp from a request body. Returns undefined when
+// the key is absent, null when explicitly cleared, otherwise the normalized ISO
+// string (so lexical comparison in SQL matches chronological order).
+function readTimestamp(body, key) {
+  if (!(key in body)) return undefined;
+  const v = body[key];
+  if (v === null || v === "") return null;
+  const t = new Date(v);
+  if (typeof v !== "string" || Number.isNaN(t.getTime())) {
+    throw new Error(`Invalid ${key}`);
+  }
+  return t.toISOString();
+}
 
-// ─── PUBLIC API: GET recent notes (48h, max 5) ─────────────
+// Resolve the final schedule for a create (`current` = null) or an update
+// (`current` = the stored row). Absent keys keep the stored value; a cleared
+// `publish_at` means "now" on create and "unchanged" on update, a cleared
+// `expires_at` restores the default window.
+function resolveSchedule(body, current, now) {
+  const publishIn = readTimestamp(body, "publish_at");
+  const expiresIn = readTimestamp(body, "expires_at");
+  const publishAt = publishIn || (current ? current.publish_at || current.created_at : now);
+  const expiresAt = expiresIn === undefined ? (current ? current.expires_at : null) : expiresIn;
+  if (expiresAt && expiresAt <= publishAt) {
+    throw new Error("expires_at must be after publish_at");
+  }
+  return { publishAt, expiresAt };
+}
+
+// ─── PUBLIC API: GET currently visible notes (max 5) ───────
 app.get("/api/notes", async (c) => {
   const db = c.env.DB;
-  const cutoff = new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString();
+  const now = new Date().toISOString();
+  const cutoff = new Date(Date.now() - DEFAULT_NOTE_WINDOW_MS).toISOString();
 
   const { results } = await db
     .prepare(
-      `SELECT id, text, emoji, color, created_at
+      `SELECT id, text, emoji, color, created_at, publish_at, expires_at
        FROM notes
-       WHERE created_at >= ?1
-       ORDER BY created_at DESC
+       WHERE publish_at <= ?1
+         AND ((expires_at IS NULL AND publish_at >= ?2) OR expires_at > ?1)
+       ORDER BY publish_at DESC
        LIMIT 5`
     )
-    .bind(cutoff)
+    .bind(now, cutoff)
     .all();
 
   return c.json(results || []);
 });
 
+// ─── PUBLIC API: Paginated note archive ────────────────────
+// The full history of PUBLISHED notes (no visibility window), newest-first.
+// Scheduled notes stay hidden until their `publish_at`. Keyset-paginated on
+// (publish_at, id) rather than OFFSET so a page never skips or repeats a note
+// when a new one is posted between requests. `cursor` is the opaque
+// `nextCursor` returned by the previous page; it is null on the last page.
+const ARCHIVE_PAGE_DEFAULT = 20;
+const ARCHIVE_PAGE_MAX = 50;
+
+function encodeCursor(note) {
+  return btoa(`${note.publish_at}|${note.id}`);
+}
+
+function decodeCursor(raw) {
+  if (!raw) return null;
+  try {
+    const [publishAt, id] = atob(raw).split("|");
+    const n = Number(id);
+    if (!publishAt || !Number.isInteger(n)) return null;
+    return { publishAt, id: n };
+  } catch {
+    return null;
+  }
+}
+
+app.get("/api/notes/archive", async (c) => {
+  const db = c.env.DB;
+  const limitRaw = parseInt(c.req.query("limit"), 10);
+  const limit = Number.isFinite(limitRaw) && limitRaw > 0
+    ? Math.min(limitRaw, ARCHIVE_PAGE_MAX)
+    : ARCHIVE_PAGE_DEFAULT;
+
+  const rawCursor = c.req.query("cursor");
+  const cursor = decodeCursor(rawCursor);
+  if (rawCursor && !cursor) return c.json({ error: "Invalid cursor" }, 400);
+
+  // Fetch one extra row to learn whether another page exists.
+  const { results } = await db
+    .prepare(
+      `SELECT id, text, emoji, color, created_at, publish_at, expires_at
+       FROM notes
+       WHERE publish_at <= ?4
+         AND (?1 IS NULL OR publish_at < ?1 OR (publish_at = ?1 AND id < ?2))
+       ORDER BY publish_at DESC, id DESC
+       LIMIT ?3`
+    )
+    .bind(
+      cursor ? cursor.publishAt : null,
+      cursor ? cursor.id : 0,
+      limit + 1,
+      new Date().toISOString()
+    )
+    .all();
+
+  const rows = results || [];
+  const notes = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(notes[notes.length - 1]) : null;
+  return c.json({ notes, nextCursor });
+});
+
+// ─── PUBLIC API: Page view / visitor counter ───────────────
+// POST records a view of `path` and returns the updated totals; GET only reads
+// them. Both answer { site_pv, site_uv, page_pv, page_uv } (see counter.js).
+// The anonymous writes here and under /api/reactions are rate-limited per IP
+// and body-capped like login.
+const publicBodyLimit = bodyLimit({
+  maxSize: PUBLIC_MAX_BODY,
+  onError: (c) => c.json({ error: "Payload too large" }, 413),
+});
+
+app.get("/api/counter", async (c) => {
+  const path = normalizePath(c.req.query("path") || "/");
+  if (!path) return c.json({ error: "Invalid path" }, 400);
+  return c.json(await readCounts(c.env.DB, path));
+});
+
+app.post("/api/counter", rateLimit("counter"), publicBodyLimit, async (c) => {
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json({ error: "Bad request" }, 400);
+  }
+  const path = normalizePath(body && body.path);
+  if (!path) return c.json({ error: "Invalid path" }, 400);
+
+  const db = c.env.DB;
+  if (!isBot(c.req.raw)) {
+    const day = new Date().toISOString().slice(0, 10);
+    const visitor = await visitorHash(c.req.raw, day, c.env.COUNTER_SALT || c.env.SESSION_SECRET);
+    await recordHit(db, path, visitor, day);
+  }
+  return c.json(await readCounts(db, path));
+});
+
+// ─── PUBLIC API: Post reactions ────────────────────────────
+// GET  /api/reactions?path=…&visitor=…   → { counts, mine } for one post
+// GET  /api/reactions/summary?path=…&path=…  → { [path]: counts } (home cards)
+// POST /api/reactions { path, type, visitor, on } → add/remove, then { counts, mine }
+app.get("/api/reactions", async (c) => {
+  const path = normalizePath(c.req.query("path"));
+  if (!path) return c.json({ error: "Invalid path" }, 400);
+  const salt = c.env.COUNTER_SALT || c.env.SESSION_SECRET;
+  const visitor = await reactionVisitor(c.req.query("visitor"), salt);
+  return c.json(await readReactions(c.env.DB, path, visitor));
+});
+
+app.get("/api/reactions/summary", async (c) => {
+  const paths = [...new Set((c.req.queries("path") || []).map(normalizePath).filter(Boolean))];
+  if (paths.length > SUMMARY_MAX_PATHS) {
+    return c.json({ error: `At most ${SUMMARY_MAX_PATHS} paths` }, 400);
+  }
+  return c.json(await readReactionSummary(c.env.DB, paths));
+});
+
+app.post("/api/reactions", rateLimit("reactions"), publicBodyLimit, async (c) => {
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json({ error: "Bad request" }, 400);
+  }
+  const path = normalizePath(body && body.path);
+  if (!path) return c.json({ error: "Invalid path" }, 400);
+  if (!reactionTypes(c.env.REACTION_TYPES).includes(body.type)) {
+    return c.json({ error: "Unknown reaction" }, 400);
+  }
+  const salt = c.env.COUNTER_SALT || c.env.SESSION_SECRET;
+  const visitor = await reactionVisitor(body.visitor, salt);
+  if (!visitor) return c.json({ error: "Missing visitor" }, 400);
+
+  const db = c.env.DB;
+  await setReaction(db, path, body.type, visitor, body.on !== false);
+  return c.json(await readReactions(db, path, visitor));
+});
+
 // ─── Auth middleware for admin routes ───────────────────────
 // Authorized solely by an HMAC session token minted by /api/auth/login (a
-// GitHub-OAuth-verified admin) — verified locally, no GitHub round-trip.
+// GitHub-OAuth-verified admin) — verified locally, no GitHub round-trip. The
+// one D1 lookup is the revocation list, so a revoked token dies immediately.
 const authMiddleware = async (c, next) => {
   const authHeader = c.req.header("Authorization");
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -142,21 +382,55 @@ const authMiddleware = async (c, next) => {
   const token = authHeader.slice(7);
 
   const session = await verifySession(token, c.env.SESSION_SECRET);
-  if (session && session.isAdmin) {
-    c.set("admin", session);
-    await next();
-    return;
+  if (!session || !session.isAdmin) {
+    return c.json({ error: "Invalid credentials" }, 403);
   }
 
-  return c.json({ error: "Invalid credentials" }, 403);
+  let revoked;
+  try {
+    revoked = await isSessionRevoked(c.env.DB, session);
+  } catch (e) {
+    // Fail closed: without the revocation list we can't trust the token.
+    console.error("[auth] revocation check failed", e);
+    return c.json({ error: "Session check unavailable" }, 503);
+  }
+  if (revoked) return c.json({ error: "Session revoked" }, 403);
+
+  c.set("admin", session);
+  await next();
 };
 
+// Mint an admin session token. `authTime` is when the user last logged in
+// through GitHub; refreshes carry it forward so SESSION_MAX_AGE_MS holds.
+async function mintSession(user, secret, authTime) {
+  const now = Date.now();
+  const exp = now + SESSION_TTL_MS;
+  const token = await signSession(
+    {
+      id: user.id,
+      login: user.login,
+      isAdmin: true,
+      jti: crypto.randomUUID(),
+      iat: now,
+      auth_time: authTime || now,
+      exp,
+    },
+    secret
+  );
+  return { token, exp };
+}
+
 // ─── AUTH API: GitHub-OAuth login / admin check ─────────────
 // The browser obtains a GitHub user token from giscus (window.blogAuth) and
 // posts it here. We verify it against GitHub, check the admin allowlist, and —
 // for admins — mint a short-lived signed session token used for admin writes.
 // Non-admins get { isAdmin:false } (comments + likes still work via giscus).
-app.post("/api/auth/login", async (c) => {
+const loginBodyLimit = bodyLimit({
+  maxSize: LOGIN_MAX_BODY,
+  onError: (c) => c.json({ error: "Payload too large" }, 413),
+});
+
+app.post("/api/auth/login", rateLimit("login"), loginBodyLimit, async (c) => {
   let body;
   try {
     body = await c.req.json();
@@ -166,7 +440,7 @@ app.post("/api/auth/login", async (c) => {
   const githubToken = body && body.githubToken;
   if (!githubToken) return c.json({ error: "Missing token" }, 400);
 
-  const user = await fetchGitHubUser(githubToken);
+  const user = isMockMode(c) ? mockUserForToken(githubToken) : await fetchGitHubUser(githubToken);
   if (!user) return c.json({ error: "GitHub verification failed" }, 401);
 
   const isAdmin = isAdminUser(user, c.env.ADMIN_LOGINS);
@@ -174,24 +448,65 @@ app.post("/api/auth/login", async (c) => {
   let token = null;
   let exp = null;
   if (isAdmin && c.env.SESSION_SECRET) {
-    exp = Date.now() + SESSION_TTL_MS;
-    token = await signSession(
-      { id: user.id, login: user.login, isAdmin: true, exp },
-      c.env.SESSION_SECRET
-    );
+    ({ token, exp } = await mintSession(user, c.env.SESSION_SECRET));
   }
 
   return c.json({ login: user.login, avatar: user.avatar_url, isAdmin, token, exp });
 });
 
-// ─── ADMIN API: List ALL notes (not just 48h) ──────────────
+// ─── AUTH API: Refresh an admin session ────────────────────
+// Swaps a still-valid session token for a fresh one (new jti, new 2h exp)
+// without another giscus/GitHub round-trip; the old token is revoked so only
+// one of the pair stays usable. The allowlist is re-checked, and a chain can't
+// outlive SESSION_MAX_AGE_MS from the original login.
+app.post("/api/auth/refresh", rateLimit("refresh"), authMiddleware, async (c) => {
+  const session = c.get("admin");
+  if (Date.now() - (session.auth_time || 0) > SESSION_MAX_AGE_MS) {
+    return c.json({ error: "Session too old" }, 401);
+  }
+  if (!isAdminUser(session, c.env.ADMIN_LOGINS)) {
+    return c.json({ error: "Invalid credentials" }, 403);
+  }
+
+  const { token, exp } = await mintSession(session, c.env.SESSION_SECRET, session.auth_time);
+  await revokeSession(c.env.DB, session);
+  return c.json({ login: session.login, isAdmin: true, token, exp });
+});
+
+// ─── AUTH API: Revoke admin sessions ───────────────────────
+// Body (all optional):
+//   {}              revoke the calling token (sign out)
+//   { jti }         revoke another session by its token id (e.g. a leaked one)
+//   { all: true }   revoke every session of the calling admin issued until now
+app.post("/api/auth/revoke", authMiddleware, async (c) => {
+  const session = c.get("admin");
+  let body = {};
+  try {
+    body = (await c.req.json()) || {};
+  } catch {
+    // Empty body → revoke the calling token.
+  }
+
+  const db = c.env.DB;
+  if (body.all === true) {
+    await revokeUserSessions(db, session.id, SESSION_MAX_AGE_MS);
+  } else if (typeof body.jti === "string" && body.jti) {
+    // Another token's exp is unknown; it can't outlive a fresh TTL from now.
+    await revokeSession(db, { jti: body.jti, id: session.id, exp: Date.now() + SESSION_TTL_MS });
+  } else {
+    await revokeSession(db, session);
+  }
+  return c.json({ ok: true });
+});
+
+// ─── ADMIN API: List ALL notes (incl. scheduled + expired) ─
 app.get("/api/admin/notes", authMiddleware, async (c) => {
   const db = c.env.DB;
   const { results } = await db
     .prepare(
-      `SELECT id, text, emoji, color, created_at, updated_at
+      `SELECT id, text, emoji, color, created_at, updated_at, publish_at, expires_at
        FROM notes
-       ORDER BY created_at DESC
+       ORDER BY publish_at DESC
        LIMIT 50`
     )
     .all();
@@ -200,7 +515,8 @@ app.get("/api/admin/notes", authMiddleware, async (c) => {
 
 // ─── ADMIN API: Create note ────────────────────────────────
 app.post("/api/admin/notes", authMiddleware, async (c) => {
-  const { text, emoji, color } = await c.req.json();
+  const body = await c.req.json();
+  const { text, emoji, color } = body;
   if (!text || text.length === 0) {
     return c.json({ error: "Text is required" }, 400);
   }
@@ -209,12 +525,18 @@ app.post("/api/admin/notes", authMiddleware, async (c) => {
   }
   const db = c.env.DB;
   const now = new Date().toISOString();
+  let schedule;
+  try {
+    schedule = resolveSchedule(body, null, now);
+  } catch (e) {
+    return c.json({ error: e.message }, 400);
+  }
   const result = await db
     .prepare(
-      `INSERT INTO notes (text, emoji, color, created_at, updated_at)
-       VALUES (?1, ?2, ?3, ?4, ?4)`
+      `INSERT INTO notes (text, emoji, color, created_at, updated_at, publish_at, expires_at)
+       VALUES (?1, ?2, ?3, ?4, ?4, ?5, ?6)`
     )
-    .bind(text, emoji || "", color || "default", now)
+    .bind(text, emoji || "", color || "default", now, schedule.publishAt, schedule.expiresAt)
     .run();
 
   return c.json({ ok: true, id: result.meta.last_row_id }, 201);
@@ -223,7 +545,8 @@ app.post("/api/admin/notes", authMiddleware, async (c) => {
 // ─── ADMIN API: Update note ────────────────────────────────
 app.put("/api/admin/notes/:id", authMiddleware, async (c) => {
   const id = c.req.param("id");
-  const { text, emoji, color } = await c.req.json();
+  const body = await c.req.json();
+  const { text, emoji, color } = body;
   if (!text || text.length === 0) {
     return c.json({ error: "Text is required" }, 400);
   }
@@ -231,12 +554,26 @@ app.put("/api/admin/notes/:id", authMiddleware, async (c) => {
     return c.json({ error: "Text too long (max 200 chars)" }, 400);
   }
   const db = c.env.DB;
+  const current = await db
+    .prepare(`SELECT created_at, publish_at, expires_at FROM notes WHERE id = ?1`)
+    .bind(id)
+    .first();
+  if (!current) return c.json({ error: "Not found" }, 404);
+
   const now = new Date().toISOString();
+  let schedule;
+  try {
+    schedule = resolveSchedule(body, current, now);
+  } catch (e) {
+    return c.json({ error: e.message }, 400);
+  }
   await db
     .prepare(
-      `UPDATE notes SET text = ?1, emoji = ?2, color = ?3, updated_at = ?4 WHERE id = ?5`
+      `UPDATE notes
+       SET text = ?1, emoji = ?2, color = ?3, updated_at = ?4, publish_at = ?5, expires_at = ?6
+       WHERE id = ?7`
     )
-    .bind(text, emoji || "", color || "default", now, id)
+    .bind(text, emoji || "", color || "default", now, schedule.publishAt, schedule.expiresAt, id)
     .run();
 
   return c.json({ ok: true });
@@ -250,6 +587,98 @@ app.delete("/api/admin/notes/:id", authMiddleware, async (c) => {
   return c.json({ ok: true });
 });
 
+// ─── MOCK GITHUB / GISCUS (local development only) ─────────
+// With MOCK_GITHUB="true" on localhost, the giscus proxy routes above answer
+// from fixtures (serveMockGiscus) and these routes stand in for giscus's OAuth
+// page and GitHub's REST/GraphQL APIs. Everywhere else they are plain 404s.
+app.use("/api/mock/*", apiCors);
+app.use("/api/mock/*", async (c, next) => {
+  if (!isMockMode(c)) return c.json({ error: "Not found" }, 404);
+  await next();
+});
+
+async function serveMockGiscus(c, corsHeaders) {
+  const path = new URL(c.req.url).pathname;
+  const json = (data, status = 200) =>
+    new Response(JSON.stringify(data), {
+      status,
+      headers: { ...corsHeaders, "Content-Type": "application/json" },
+    });
+
+  if (path === "/api/oauth/token") {
+    let session = null;
+    try {
+      const body = (c.req.header("content-type") || "").includes("application/json")
+        ? await c.req.json()
+        : await c.req.parseBody();
+      session = body && body.session;
+    } catch {
+      return json({ error: "Bad request" }, 400);
+    }
+    const token = mockTokenForSession(session);
+    return token ? json({ token }) : json({ error: "Invalid session" }, 400);
+  }
+
+  if (path === "/api/discussions/categories") return json(mockCategories());
+
+  const q = c.req.query();
+  const viewer = mockUserForToken(bearerToken(c.req.header("authorization")));
+  const page = mockDiscussionPage({ term: q.term, first: q.first, after: q.after, viewer });
+  return page ? json(page) : json({ error: "Discussion not found" }, 404);
+}
+
+// giscus's /api/oauth/authorize: sign in as a fixture user (`?login=`, default
+// the first in fixtures/users.json) and bounce back with ?giscus=<session>.
+app.get("/api/mock/oauth/authorize", (c) => {
+  let target;
+  try {
+    target = new URL(c.req.query("redirect_uri") || "");
+  } catch {
+    return c.json({ error: "Invalid redirect_uri" }, 400);
+  }
+  if (target.protocol !== "http:" && target.protocol !== "https:") {
+    return c.json({ error: "Invalid redirect_uri" }, 400);
+  }
+  const { session } = mockSignIn(c.req.query("login"));
+  target.searchParams.set("giscus", session);
+  return c.redirect(target.toString(), 302);
+});
+
+// GitHub REST `GET /user`.
+app.get("/api/mock/user", (c) => {
+  const user = mockUserForToken(bearerToken(c.req.header("authorization")));
+  if (!user) return c.json({ message: "Bad credentials" }, 401);
+  return c.json(user);
+});
+
+// GitHub GraphQL: viewer, reactionGroups lookups, add/removeReaction.
+app.post("/api/mock/graphql", async (c) => {
+  const viewer = mockUserForToken(bearerToken(c.req.header("authorization")));
+  if (!viewer) return c.json({ message: "Bad credentials" }, 401);
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json({ errors: [{ message: "Problems parsing JSON" }] }, 400);
+  }
+  return c.json(mockGraphQL(body && body.query, body && body.variables, viewer));
+});
+
+// Stand-in for the build-time masonry-reactions script: create a masonry
+// page's discussion with one comment per image. Body: { term, imageIds }.
+app.post("/api/mock/discussions", async (c) => {
+  let body;
+  try {
+    body = await c.req.json();
+  } catch {
+    return c.json({ error: "Bad request" }, 400);
+  }
+  if (!body || typeof body.term !== "string" || !Array.isArray(body.imageIds)) {
+    return c.json({ error: "term and imageIds are required" }, 400);
+  }
+  return c.json(seedMockDiscussion(body.term, body.imageIds));
+});
+
 // ─── Health root (no front-end; just a liveness probe) ─────
 app.get("/", (c) => {
   return c.json({ service: "redefine-x backend worker", ok: true });
@@ -0,0 +1,297 @@
+/**
+ * Local-development stand-in for giscus.app and the GitHub APIs.
+ *
+ * With MOCK_GITHUB = "true" (in .dev.vars) the Worker answers everything the
+ * theme would otherwise send to giscus.app / api.github.com from the fixtures
+ * in ../fixtures, so the login → like → admin path runs fully offline:
+ *
+ *   - giscus proxy   /api/discussions, /api/discussions/categories and
+ *                    /api/oauth/token are served here instead of forwarded.
+ *   - OAuth          /api/mock/oauth/authorize signs in as a fixture user and
+ *                    redirects back with `?giscus=<session>`, like giscus does.
+ *   - GitHub         /api/mock/user (REST "who am I") and /api/mock/graphql
+ *                    (viewer, reactionGroups, add/removeReaction) for the
+ *                    fixture users; /api/auth/login resolves tokens the same way.
+ *
+ * Discussions and reactions live in memory, so they reset whenever
+ * `wrangler dev` restarts. Mock mode is only honoured for requests addressed to
+ * localhost — a deployed Worker never serves fixture identities, even if the
+ * var leaks into production config.
+ */
+import FIXTURE_USERS from "../fixtures/users.json";
+import FIXTURE_DISCUSSIONS from "../fixtures/discussions.json";
+
+const SESSION_PREFIX = "mock-session:";
+const TOKEN_PREFIX = "mock-token:";
+
+const LOCAL_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+// Every reaction a giscus comment reports, in giscus's own order.
+const REACTION_CONTENTS = [
+  "THUMBS_UP",
+  "THUMBS_DOWN",
+  "LAUGH",
+  "HOORAY",
+  "CONFUSED",
+  "HEART",
+  "ROCKET",
+  "EYES",
+];
+
+// term → { id, number, createdAt, comments: [{ id, imageId, body, createdAt, reactions }] }
+// where reactions = { CONTENT: { base, viewers: Set<login> } }.
+const discussions = new Map();
+// comment id → comment, for GraphQL `node(id:)` lookups and mutations.
+const commentsById = new Map();
+let nextNumber = 1;
+let nextCommentId = 1;
+
+/**
+ * True when the fixture stand-in should answer this request.
+ * @param {import("hono").Context} c
+ */
+export function isMockMode(c) {
+  if (c.env.MOCK_GITHUB !== "true") return false;
+  return LOCAL_HOSTS.has(new URL(c.req.url).hostname);
+}
+
+// ─── Identities ─────────────────────────────────────────────
+function findUser(login) {
+  return FIXTURE_USERS.find((u) => u.login === login) || null;
+}
+
+/** Fixture user to sign in as: `login` if it names one, else the first. */
+export function mockSignIn(login) {
+  const user = findUser(login) || FIXTURE_USERS[0];
+  return { user, session: SESSION_PREFIX + user.login };
+}
+
+/** Exchange a mock giscus session for a mock GitHub token (null if unknown). */
+export function mockTokenForSession(session) {
+  if (typeof session !== "string" || !session.startsWith(SESSION_PREFIX)) return null;
+  const user = findUser(session.slice(SESSION_PREFIX.length));
+  return user ? TOKEN_PREFIX + user.login : null;
+}
+
+/**
+ * The fixture user behind a mock token, in the shape fetchGitHubUser() returns
+ * (GitHub's `GET /user`). Null for anything that isn't a mock token.
+ */
+export function mockUserForToken(token) {
+  if (typeof token !== "string" || !token.startsWith(TOKEN_PREFIX)) return null;
+  return findUser(token.slice(TOKEN_PREFIX.length));
+}
+
+/** Token from an `Authorization: Bearer …` header value. */
+export function bearerToken(header) {
+  const m = /^Bearer\s+(.+)$/i.exec(header || "");
+  return m ? m[1].trim() : null;
+}
+
+// ─── Discussions ────────────────────────────────────────────
+function commentBody(imageId) {
+  return "`masonry-image:" + imageId + "`";
+}
+
+function addComment(discussion, imageId, hearts) {
+  const comment = {
+    id: `DC_mock_${nextCommentId++}`,
+    imageId,
+    body: commentBody(imageId),
+    createdAt: new Date().toISOString(),
+    reactions: Object.fromEntries(
+      REACTION_CONTENTS.map((content) => [content, { base: 0, viewers: new Set() }])
+    ),
+  };
+  comment.reactions.HEART.base = Math.max(parseInt(hearts, 10) || 0, 0);
+  discussion.comments.push(comment);
+  commentsById.set(comment.id, comment);
+  return comment;
+}
+
+function createDiscussion(term) {
+  const discussion = {
+    id: `D_mock_${nextNumber}`,
+    number: nextNumber++,
+    createdAt: new Date().toISOString(),
+    comments: [],
+  };
+  discussions.set(term, discussion);
+  return discussion;
+}
+
+// Discussions named in the fixture file exist from the start, like the ones
+// the build-time masonry-reactions script created on GitHub.
+function findDiscussion(term) {
+  if (discussions.has(term)) return discussions.get(term);
+  const fixture = FIXTURE_DISCUSSIONS.discussions?.[term];
+  if (!fixture) return null;
+  const discussion = createDiscussion(term);
+  for (const [imageId, hearts] of Object.entries(fixture.hearts || {})) {
+    addComment(discussion, imageId, hearts);
+  }
+  return discussion;
+}
+
+/**
+ * Create the discussion for `term` and one comment per missing image — what
+ * scripts/masonry-reactions.js does on GitHub at build time (it is skipped in
+ * mock mode). Idempotent; fixture heart counts seed new comments.
+ * @returns {{ id: string, number: number, created: number }}
+ */
+export function seedMockDiscussion(term, imageIds) {
+  const discussion = findDiscussion(term) || createDiscussion(term);
+  const have = new Set(discussion.comments.map((cm) => cm.imageId));
+  const hearts = FIXTURE_DISCUSSIONS.discussions?.[term]?.hearts || {};
+  let created = 0;
+  for (const imageId of imageIds) {
+    if (typeof imageId !== "string" || !imageId || have.has(imageId)) continue;
+    addComment(discussion, imageId, hearts[imageId]);
+    have.add(imageId);
+    created++;
+  }
+  return { id: discussion.id, number: discussion.number, created };
+}
+
+function reactionCount(reaction) {
+  return reaction.base + reaction.viewers.size;
+}
+
+function giscusComment(comment, viewer) {
+  const author = findUser(FIXTURE_DISCUSSIONS.author) || FIXTURE_USERS[0];
+  const reactions = {};
+  for (const content of REACTION_CONTENTS) {
+    const r = comment.reactions[content];
+    reactions[content] = {
+      count: reactionCount(r),
+      viewerHasReacted: Boolean(viewer && r.viewers.has(viewer.login)),
+    };
+  }
+  return {
+    id: comment.id,
+    upvoteCount: 0,
+    viewerHasUpvoted: false,
+    viewerCanUpvote: Boolean(viewer),
+    author: { avatarUrl: author.avatar_url, login: author.login, url: author.html_url },
+    viewerDidAuthor: Boolean(viewer && viewer.login === author.login),
+    createdAt: comment.createdAt,
+    url: `${author.html_url}#discussioncomment-${comment.id}`,
+    authorAssociation: "OWNER",
+    lastEditedAt: null,
+    deletedAt: null,
+    isMinimized: false,
+    body: comment.body,
+    bodyHTML: `<p dir="auto"><code class="notranslate">masonry-image:${comment.imageId}</code></p>`,
+    reactions,
+    replies: [],
+    replyCount: 0,
+  };
+}
+
+/**
+ * giscus.app's `GET /api/discussions` for a term, or null when there is no such
+ * discussion (giscus answers 404). `after` is the previous page's endCursor.
+ */
+export function mockDiscussionPage({ term, first, after, viewer }) {
+  const discussion = term ? findDiscussion(term) : null;
+  if (!discussion) return null;
+
+  const size = Math.min(Math.max(parseInt(first, 10) || 20, 1), 100);
+  const start = Math.max(parseInt(after, 10) || 0, 0);
+  const page = discussion.comments.slice(start, start + size);
+  const end = start + page.length;
+  const hasNextPage = end < discussion.comments.length;
+
+  return {
+    viewer: viewer
+      ? { avatarUrl: viewer.avatar_url, login: viewer.login, url: viewer.html_url }
+      : null,
+    discussion: {
+      id: discussion.id,
+      url: `https://github.com/mock/discussions/${discussion.number}`,
+      locked: false,
+      repository: { nameWithOwner: "mock/repository" },
+      reactionCount: 0,
+      totalCommentCount: discussion.comments.length,
+      totalReplyCount: 0,
+      reactions: Object.fromEntries(
+        REACTION_CONTENTS.map((content) => [content, { count: 0, viewerHasReacted: false }])
+      ),
+      comments: page.map((cm) => giscusComment(cm, viewer)),
+      pageInfo: {
+        hasNextPage,
+        hasPreviousPage: start > 0,
+        startCursor: page.length ? String(start) : null,
+        endCursor: hasNextPage ? String(end) : null,
+      },
+    },
+  };
+}
+
+/** giscus.app's `GET /api/discussions/categories`. */
+export function mockCategories() {
+  return {
+    repositoryId: FIXTURE_DISCUSSIONS.repositoryId,
+    categories: FIXTURE_DISCUSSIONS.categories || [],
+  };
+}
+
+// ─── GraphQL ────────────────────────────────────────────────
+// Just enough of GitHub's schema for the theme: `viewer`, aliased
+// `node(id:)` lookups of DiscussionComment reactionGroups, and the
+// addReaction / removeReaction mutations. Anything else is an error.
+const NODE_FIELD = /(\w+)\s*:\s*node\s*\(\s*id\s*:\s*"([^"]+)"\s*\)/g;
+const REACTION_MUTATION = /(?:\b(\w+)\s*:\s*)?\b(add|remove)Reaction\s*\(/;
+
+function reactionGroups(comment, viewer) {
+  return REACTION_CONTENTS.map((content) => {
+    const r = comment.reactions[content];
+    return {
+      content,
+      users: { totalCount: reactionCount(r) },
+      viewerHasReacted: r.viewers.has(viewer.login),
+    };
+  });
+}
+
+/**
+ * Run a GraphQL request for `viewer` (a fixture user).
+ * @returns {{ data?: object, errors?: { message: string }[] }}
+ */
+export function mockGraphQL(query, variables, viewer) {
+  if (typeof query !== "string") return { errors: [{ message: "Missing query" }] };
+  const vars = variables || {};
+
+  const mutation = REACTION_MUTATION.exec(query);
+  if (mutation) {
+    const [, alias = `${mutation[2]}Reaction`, mode] = mutation;
+    const comment = commentsById.get(vars.subjectId);
+    const reaction = comment && comment.reactions[vars.content];
+    if (!reaction) {
+      return { errors: [{ message: `Could not resolve to a node with the global id of '${vars.subjectId}'` }] };
+    }
+    if (mode === "add") reaction.viewers.add(viewer.login);
+    else reaction.viewers.delete(viewer.login);
+    return {
+      data: {
+        [alias]: {
+          reaction: { content: vars.content },
+          subject: { id: comment.id },
+        },
+      },
+    };
+  }
+
+  const data = {};
+  if (/\bviewer\s*\{/.test(query)) {
+    data.viewer = { id: `U_mock_${viewer.id}`, login: viewer.login, avatarUrl: viewer.avatar_url };
+  }
+  for (const [, alias, id] of query.matchAll(NODE_FIELD)) {
+    const comment = commentsById.get(id);
+    data[alias] = comment ? { id: comment.id, reactionGroups: reactionGroups(comment, viewer) } : null;
+  }
+  if (!Object.keys(data).length) {
+    return { errors: [{ message: "Query not supported by the mock GitHub API" }] };
+  }
+  return { data };
+}
@@ -0,0 +1,149 @@
+/**
+ * Per-IP, per-route token-bucket rate limiting for the blog backend Worker.
+ *
+ * Guards the routes that spend someone else's quota — /api/auth/login (one
+ * GitHub API call per request) and the giscus proxy — so a scraped worker URL
+ * cannot be used to burn it; /api/auth/refresh is limited as well, and so are
+ * the anonymous D1 writes (POST /api/counter, POST /api/reactions).
+ *
+ * Each named limit is a bucket of `capacity` tokens refilled evenly over
+ * `window` seconds; a request takes one token or gets 429 + Retry-After.
+ * Limits come from the RATE_LIMITS var ("login=10/60,giscus=120/60"; missing
+ * names fall back to DEFAULT_LIMITS) and buckets live in:
+ *
+ *   - D1 (default when the DB binding exists) — shared by every isolate, one
+ *     upsert per request (table from migration 0005_rate_limits).
+ *   - memory (RATE_LIMIT_STORE = "memory") — per-isolate Map; a best-effort
+ *     stand-in for local dev or when D1 writes are too costly.
+ *
+ * RATE_LIMIT_STORE = "off" disables limiting. A failing store (e.g. the
+ * migration was not applied) lets requests through rather than locking
+ * everyone out.
+ */
+import { clientIp } from "./counter.js";
+
+export const DEFAULT_LIMITS = {
+  login: { capacity: 10, window: 60 },
+  refresh: { capacity: 20, window: 60 },
+  giscus: { capacity: 120, window: 60 },
+  counter: { capacity: 60, window: 60 },
+  reactions: { capacity: 30, window: 60 },
+};
+
+// Buckets untouched this long are full again and can be forgotten.
+const STALE_AFTER_S = 24 * 60 * 60;
+export const MEMORY_MAX_KEYS = 10000;
+
+/**
+ * Resolve one named limit from RATE_LIMITS, e.g. "login=10/60" → 10 per 60s.
+ * @returns {{capacity:number, window:number}|null}  null when unknown
+ */
+export function resolveLimit(name, raw) {
+  for (const part of (raw || "").split(",")) {
+    const m = /^\s*([\w-]+)\s*=\s*(\d+)\s*\/\s*(\d+)\s*$/.exec(part);
+    if (m && m[1] === name && Number(m[2]) > 0 && Number(m[3]) > 0) {
+      return { capacity: Number(m[2]), window: Number(m[3]) };
+    }
+  }
+  return DEFAULT_LIMITS[name] || null;
+}
+
+// ─── Stores ────────────────────────────────────────────────
+// take(key, limit, now) → { ok, tokens }. `now` is epoch seconds.
+
+// Kept in least-recently-used order: a bucket is re-inserted on every take.
+const memoryBuckets = new Map();
+
+export const memoryStore = {
+  async take(key, { capacity, window }, now) {
+    const rate = capacity / window;
+    const prev = memoryBuckets.get(key);
+    const level = prev ? Math.min(capacity, prev.tokens + (now - prev.updatedAt) * rate) : capacity;
+    const ok = level >= 1;
+    const tokens = ok ? level - 1 : level;
+
+    if (memoryBuckets.size >= MEMORY_MAX_KEYS && !prev) {
+      for (const [k, b] of memoryBuckets) {
+        if (now - b.updatedAt > window) memoryBuckets.delete(k);
+      }
+      // A flood of fresh keys (spoofed IPs) leaves nothing stale: drop the
+      // least recently used buckets until there is room.
+      while (memoryBuckets.size >= MEMORY_MAX_KEYS) {
+        memoryBuckets.delete(memoryBuckets.keys().next().value);
+      }
+    }
+    memoryBuckets.delete(key);
+    memoryBuckets.set(key, { tokens, updatedAt: now });
+    return { ok, tokens };
+  },
+
+  get size() {
+    return memoryBuckets.size;
+  },
+};
+
+function d1Store(db) {
+  return {
+    async take(key, { capacity, window }, now) {
+      const rate = capacity / window;
+      // Refill, then take a token only if a whole one is available — all in
+      // one statement so concurrent requests cannot both spend the last token.
+      const row = await db
+        .prepare(
+          `INSERT INTO rate_limits (key, tokens, updated_at, allowed) VALUES (?1, ?2 - 1, ?3, 1)
+           ON CONFLICT(key) DO UPDATE SET
+             allowed = (MIN(?2, tokens + (?3 - updated_at) * ?4) >= 1),
+             tokens = MIN(?2, tokens + (?3 - updated_at) * ?4)
+                      - (MIN(?2, tokens + (?3 - updated_at) * ?4) >= 1),
+             updated_at = ?3
+           RETURNING tokens, allowed`
+        )
+        .bind(key, capacity, now, rate)
+        .first();
+
+      // Occasionally sweep long-idle buckets so the table stays small.
+      if (Math.random() < 0.01) {
+        await db.prepare("DELETE FROM rate_limits WHERE updated_at < ?1").bind(now - STALE_AFTER_S).run();
+      }
+      return { ok: Boolean(row && row.allowed), tokens: row ? row.tokens : 0 };
+    },
+  };
+}
+
+function pickStore(env) {
+  const kind = (env.RATE_LIMIT_STORE || "").toLowerCase();
+  if (kind === "off") return null;
+  if (kind === "memory" || !env.DB) return memoryStore;
+  return d1Store(env.DB);
+}
+
+// ─── Middleware ────────────────────────────────────────────
+/**
+ * Hono middleware limiting `name` per client IP. CORS preflights are never
+ * counted. `headers(c)` adds extra headers to the 429 (the giscus proxy sets
+ * its own CORS headers, which the browser needs to read the error).
+ */
+export function rateLimit(name, { headers } = {}) {
+  return async (c, next) => {
+    if (c.req.method === "OPTIONS") return next();
+    const limit = resolveLimit(name, c.env.RATE_LIMITS);
+    const store = pickStore(c.env);
+    if (!limit || !store) return next();
+
+    let result;
+    try {
+      result = await store.take(`${name}:${clientIp(c.req.raw) || "unknown"}`, limit, Date.now() / 1000);
+    } catch (e) {
+      console.warn(`[ratelimit] ${name}: store failed, allowing request`, e);
+      return next();
+    }
+    if (result.ok) return next();
+
+    const rate = limit.capacity / limit.window;
+    const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / rate));
+    return c.json({ error: "Too many requests" }, 429, {
+      "Retry-After": String(retryAfter),
+      ...(headers ? headers(c) : {}),
+    });
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Post reaction helpers for the blog backend Worker.
+ *
+ * Anonymous, sign-in-free emoji reactions under each post. The browser keeps a
+ * random visitor id in localStorage and sends it with every request; the
+ * Worker only stores SHA-256(id | salt), one row per (post, reaction, visitor),
+ * so a visitor can add each reaction once and remove it again. This is
+ * deliberately lightweight dedupe (clearing storage makes a "new" visitor) —
+ * reactions are a friendly signal, not a vote.
+ *
+ * Reaction types are a fixed allowlist (REACTION_TYPES env var, comma-separated
+ * slugs) so clients cannot create arbitrary rows; the theme maps each slug to
+ * its emoji.
+ */
+
+export const DEFAULT_REACTION_TYPES = ["like", "heart", "clap", "laugh", "wow"];
+
+// Upper bound on posts per summary request; the theme splits longer card lists
+// into batches of this size (postReactions.js, SUMMARY_BATCH).
+export const SUMMARY_MAX_PATHS = 50;
+
+const VISITOR_ID = /^[A-Za-z0-9-]{16,64}$/;
+
+/** Allowed reaction slugs for this deployment. */
+export function reactionTypes(raw) {
+  const types = (raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => /^[a-z0-9_-]{1,24}$/.test(s));
+  return types.length ? types : DEFAULT_REACTION_TYPES;
+}
+
+/**
+ * Hash the browser-supplied visitor id; null when it is missing or malformed.
+ * @param {string} id     random id from the browser (crypto.randomUUID())
+ * @param {string} salt   COUNTER_SALT / SESSION_SECRET
+ */
+export async function reactionVisitor(id, salt) {
+  if (typeof id !== "string" || !VISITOR_ID.test(id)) return null;
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${id}|${salt || ""}`));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Counts for one post (`{ like: 3, ... }`, zero types omitted) plus the types
+ * this visitor has already added.
+ */
+export async function readReactions(db, path, visitor) {
+  const { results } = await db
+    .prepare("SELECT type, count FROM post_reactions WHERE path = ?1 AND count > 0")
+    .bind(path)
+    .all();
+  const counts = {};
+  (results || []).forEach((r) => {
+    counts[r.type] = r.count;
+  });
+
+  let mine = [];
+  if (visitor) {
+    const own = await db
+      .prepare("SELECT type FROM post_reaction_visitors WHERE path = ?1 AND visitor = ?2")
+      .bind(path, visitor)
+      .all();
+    mine = (own.results || []).map((r) => r.type);
+  }
+  return { counts, mine };
+}
+
+/** Counts for many posts at once: `{ "/path/": { like: 3 } }`. */
+export async function readReactionSummary(db, paths) {
+  if (!paths.length) return {};
+  const marks = paths.map((_, i) => `?${i + 1}`).join(", ");
+  const { results } = await db
+    .prepare(`SELECT path, type, count FROM post_reactions WHERE path IN (${marks}) AND count > 0`)
+    .bind(...paths)
+    .all();
+  const summary = {};
+  (results || []).forEach((r) => {
+    if (!summary[r.path]) summary[r.path] = {};
+    summary[r.path][r.type] = r.count;
+  });
+  return summary;
+}
+
+/**
+ * Add (`on = true`) or remove a visitor's reaction. Idempotent: the count only
+ * moves when the visitor row was actually inserted / deleted.
+ */
+export async function setReaction(db, path, type, visitor, on) {
+  const mark = on
+    ? db
+        .prepare(
+          `INSERT OR IGNORE INTO post_reaction_visitors (path, type, visitor, created_at)
+           VALUES (?1, ?2, ?3, ?4)`
+        )
+        .bind(path, type, visitor, new Date().toISOString())
+    : db
+        .prepare("DELETE FROM post_reaction_visitors WHERE path = ?1 AND type = ?2 AND visitor = ?3")
+        .bind(path, type, visitor);
+  const res = await mark.run();
+  if (!res.meta || !res.meta.changes) return;
+
+  await db
+    .prepare(
+      `INSERT INTO post_reactions (path, type, count) VALUES (?1, ?2, MAX(?3, 0))
+       ON CONFLICT(path, type) DO UPDATE SET count = MAX(count + ?3, 0)`
+    )
+    .bind(path, type, on ? 1 : -1)
+    .run();
+}
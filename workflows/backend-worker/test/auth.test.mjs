@@ -0,0 +1,155 @@
+// Admin sessions: signing, refresh and the D1 revocation list (src/auth.js).
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+import { isSessionRevoked, revokeSession, revokeUserSessions, signSession, verifySession } from "../src/auth.js";
+import { ADMIN, SECRET, adminToken, createTestDb, needsSqlite, request, workerEnv } from "./support/worker.mjs";
+
+const HOUR = 60 * 60 * 1000;
+
+describe("session tokens", () => {
+  test("verify only with the signing secret", async () => {
+    const { token, payload } = await adminToken();
+    assert.deepEqual(await verifySession(token, SECRET), payload);
+    assert.equal(await verifySession(token, "another-secret"), null);
+  });
+
+  test("reject a tampered payload", async () => {
+    const { token } = await adminToken();
+    const forged = await signSession({ ...ADMIN, isAdmin: true, exp: Date.now() + HOUR }, "another-secret");
+    const [, sig] = token.split(".");
+    assert.equal(await verifySession(`${forged.split(".")[0]}.${sig}`, SECRET), null);
+  });
+
+  test("expire at exp", async () => {
+    const { token } = await adminToken({ exp: Date.now() - 1 });
+    assert.equal(await verifySession(token, SECRET), null);
+  });
+});
+
+describe("revocation list", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db);
+  });
+  after(() => testDb.close());
+
+  const listNotes = (token) => request(env, "GET", "/api/admin/notes", { token });
+
+  test("treats tokens without jti or iat as revoked", async () => {
+    const { payload } = await adminToken();
+    assert.equal(await isSessionRevoked(testDb.db, payload), false);
+    assert.equal(await isSessionRevoked(testDb.db, { ...payload, jti: undefined }), true);
+    assert.equal(await isSessionRevoked(testDb.db, { ...payload, iat: undefined }), true);
+  });
+
+  test("revoking the calling token signs it out", async () => {
+    const { token } = await adminToken();
+    assert.equal((await listNotes(token)).status, 200);
+
+    assert.equal((await request(env, "POST", "/api/auth/revoke", { token })).status, 200);
+    const res = await listNotes(token);
+    assert.equal(res.status, 403);
+    assert.deepEqual(await res.json(), { error: "Session revoked" });
+  });
+
+  test("revokes another session by jti", async () => {
+    const caller = await adminToken();
+    const leaked = await adminToken();
+    const res = await request(env, "POST", "/api/auth/revoke", {
+      token: caller.token,
+      body: { jti: leaked.payload.jti },
+    });
+    assert.equal(res.status, 200);
+
+    assert.equal((await listNotes(leaked.token)).status, 403);
+    assert.equal((await listNotes(caller.token)).status, 200);
+  });
+
+  test("{ all: true } revokes every session issued so far, not later logins", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const first = await adminToken();
+    const second = await adminToken();
+    assert.equal((await request(env, "POST", "/api/auth/revoke", { token: first.token, body: { all: true } })).status, 200);
+
+    assert.equal((await listNotes(first.token)).status, 403);
+    assert.equal((await listNotes(second.token)).status, 403);
+
+    t.mock.timers.tick(1000);
+    const later = await adminToken();
+    assert.equal((await listNotes(later.token)).status, 200);
+  });
+
+  test("another admin's sessions are untouched", async () => {
+    const other = await adminToken({ id: 2002, login: "other" });
+    await revokeUserSessions(testDb.db, 3003, 24 * HOUR);
+    assert.equal(await isSessionRevoked(testDb.db, other.payload), false);
+  });
+
+  test("prunes rows once their tokens would have expired", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const { payload } = await adminToken({ exp: Date.now() + 1000 });
+    await revokeSession(testDb.db, payload);
+    const count = () => testDb.sqlite.prepare("SELECT COUNT(*) AS n FROM revoked_sessions WHERE jti = ?").get(payload.jti).n;
+    assert.equal(count(), 1);
+
+    t.mock.timers.tick(2000);
+    await revokeSession(testDb.db, (await adminToken()).payload);
+    assert.equal(count(), 0);
+  });
+
+  test("fails closed when the list cannot be read", async (t) => {
+    t.mock.method(console, "error", () => {});
+    const empty = await createTestDb({ migrated: false });
+    try {
+      const { token } = await adminToken();
+      const res = await request(workerEnv(empty.db), "GET", "/api/admin/notes", { token });
+      assert.equal(res.status, 503);
+    } finally {
+      empty.close();
+    }
+  });
+});
+
+describe("session refresh", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db, { RATE_LIMIT_STORE: "off" });
+  });
+  after(() => testDb.close());
+
+  const refresh = (token, target = env) => request(target, "POST", "/api/auth/refresh", { token });
+
+  test("swaps the token for a new one and revokes the old", async () => {
+    const old = await adminToken({ auth_time: Date.now() - HOUR });
+    const res = await refresh(old.token);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.login, ADMIN.login);
+    assert.equal(body.isAdmin, true);
+
+    const fresh = await verifySession(body.token, SECRET);
+    assert.notEqual(fresh.jti, old.payload.jti);
+    assert.equal(fresh.auth_time, old.payload.auth_time);
+    assert.equal(fresh.exp, body.exp);
+
+    assert.equal((await request(env, "GET", "/api/admin/notes", { token: old.token })).status, 403);
+    assert.equal((await request(env, "GET", "/api/admin/notes", { token: body.token })).status, 200);
+    assert.equal((await refresh(old.token)).status, 403);
+  });
+
+  test("refuses chains older than a day from the GitHub login", async () => {
+    const { token } = await adminToken({ auth_time: Date.now() - 25 * HOUR });
+    assert.equal((await refresh(token)).status, 401);
+  });
+
+  test("re-checks the admin allowlist", async () => {
+    const { token } = await adminToken();
+    const res = await refresh(token, { ...env, ADMIN_LOGINS: "someone-else" });
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,96 @@
+// Page view / visitor counter (src/counter.js, /api/counter).
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { isBot, normalizePath } from "../src/counter.js";
+import { createTestDb, needsSqlite, request, workerEnv } from "./support/worker.mjs";
+
+describe("normalizePath", () => {
+  test("drops the query, hash and index.html", () => {
+    assert.equal(normalizePath("/2024/05/hello/index.html?utm=x#top"), "/2024/05/hello/");
+    assert.equal(normalizePath("about/"), "/about/");
+    assert.equal(normalizePath("/%E4%BD%A0%E5%A5%BD/"), "/你好/");
+  });
+
+  test("rejects unusable paths", () => {
+    assert.equal(normalizePath(""), null);
+    assert.equal(normalizePath(42), null);
+    assert.equal(normalizePath("/%E4%BD"), null);
+    assert.equal(normalizePath(`/${"a".repeat(600)}`), null);
+  });
+});
+
+describe("isBot", () => {
+  const req = (ua, cf) => Object.assign(new Request("https://x/", { headers: ua ? { "User-Agent": ua } : {} }), { cf });
+
+  test("flags crawlers, headless browsers and missing user agents", () => {
+    assert.equal(isBot(req("Googlebot/2.1")), true);
+    assert.equal(isBot(req("Mozilla/5.0 HeadlessChrome/120")), true);
+    assert.equal(isBot(req("")), true);
+    assert.equal(isBot(req("Mozilla/5.0 (Macintosh)", { botManagement: { verifiedBot: true } })), true);
+    assert.equal(isBot(req("Mozilla/5.0 (Macintosh)")), false);
+  });
+});
+
+describe("/api/counter", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db, { RATE_LIMIT_STORE: "off", COUNTER_SALT: "salt" });
+  });
+  after(() => testDb.close());
+  beforeEach(() => testDb.sqlite.exec("DELETE FROM counter_stats; DELETE FROM counter_visitors;"));
+
+  const hit = async (path, opts = {}) => (await request(env, "POST", "/api/counter", { body: { path }, ...opts })).json();
+
+  test("counts every view and each visitor once per day", async () => {
+    await hit("/a/", { ip: "203.0.113.10" });
+    await hit("/a/", { ip: "203.0.113.10" });
+    await hit("/b/", { ip: "203.0.113.10" });
+    const last = await hit("/a/", { ip: "203.0.113.11" });
+
+    assert.deepEqual(last, { site_pv: 4, site_uv: 2, page_pv: 3, page_uv: 2 });
+  });
+
+  test("stores only hashed visitors", async () => {
+    await hit("/a/", { ip: "203.0.113.12" });
+    const visitors = testDb.sqlite.prepare("SELECT visitor FROM counter_visitors").all();
+    assert.equal(visitors.length, 2);
+    visitors.forEach((v) => assert.match(v.visitor, /^[0-9a-f]{64}$/));
+  });
+
+  test("answers bots without counting them", async () => {
+    await hit("/a/");
+    const res = await hit("/a/", { headers: { "User-Agent": "Googlebot/2.1" } });
+    assert.deepEqual(res, { site_pv: 1, site_uv: 1, page_pv: 1, page_uv: 1 });
+  });
+
+  test("GET reads the totals without counting", async () => {
+    await hit("/a/");
+    const res = await request(env, "GET", "/api/counter?path=/a/index.html");
+    assert.deepEqual(await res.json(), { site_pv: 1, site_uv: 1, page_pv: 1, page_uv: 1 });
+  });
+
+  test("rejects bad bodies and paths", async () => {
+    assert.equal((await request(env, "POST", "/api/counter", { body: "{" })).status, 400);
+    assert.equal((await request(env, "POST", "/api/counter", { body: { path: "/%E4%BD" } })).status, 400);
+  });
+
+  test("refuses oversized bodies", async () => {
+    const res = await request(env, "POST", "/api/counter", { body: { path: "/a/", pad: "x".repeat(4096) } });
+    assert.equal(res.status, 413);
+  });
+
+  test("is rate-limited per IP", async () => {
+    const limited = workerEnv(testDb.db, { RATE_LIMITS: "counter=2/60" });
+    const ip = "203.0.113.20";
+    for (let i = 0; i < 2; i++) {
+      assert.equal((await request(limited, "POST", "/api/counter", { ip, body: { path: "/a/" } })).status, 200);
+    }
+    const res = await request(limited, "POST", "/api/counter", { ip, body: { path: "/a/" } });
+    assert.equal(res.status, 429);
+    assert.ok(res.headers.get("Retry-After"));
+    assert.equal(testDb.sqlite.prepare("SELECT pv FROM counter_stats WHERE path = '/a/'").get().pv, 2);
+  });
+});
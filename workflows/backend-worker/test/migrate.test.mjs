@@ -0,0 +1,174 @@
+// Migration runner against a temporary SQLite file (node:sqlite, Node 22.5+).
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+
+import { loadMigrations, migrate, migrationStatus, sqliteExecutor } from "../scripts/migrate.mjs";
+
+const hasSqlite = await import("node:sqlite").then(() => true, () => false);
+const skip = !hasSqlite && "needs node:sqlite (Node.js 22.5+)";
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "migrate-test-"));
+}
+
+function columns(db, table) {
+  return db.query(`PRAGMA table_info(${table})`).map((c) => c.name);
+}
+
+describe("migration runner", { skip }, () => {
+  let dir;
+  let file;
+
+  before(() => {
+    dir = tempDir();
+    file = path.join(dir, "worker.sqlite");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("applies 0001–0006 in order and records each one", async () => {
+    const db = await sqliteExecutor(file);
+    try {
+      const ran = await migrate(db);
+      assert.deepEqual(
+        ran.map((m) => m.version),
+        [1, 2, 3, 4, 5, 6]
+      );
+
+      const rows = db.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version");
+      assert.deepEqual(
+        rows.map((r) => `${r.version}_${r.name}`),
+        ["1_create_notes", "2_note_schedule", "3_counter", "4_reactions", "5_rate_limits", "6_revoked_sessions"]
+      );
+      rows.forEach((r) => assert.ok(!Number.isNaN(Date.parse(r.applied_at))));
+    } finally {
+      db.close();
+    }
+  });
+
+  test("leaves the schema the worker queries", async () => {
+    const db = await sqliteExecutor(file);
+    try {
+      const tables = db
+        .query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+        .map((r) => r.name);
+      assert.deepEqual(tables, [
+        "counter_stats",
+        "counter_visitors",
+        "notes",
+        "post_reaction_visitors",
+        "post_reactions",
+        "rate_limits",
+        "revoked_sessions",
+        "schema_migrations",
+      ]);
+
+      assert.deepEqual(columns(db, "notes"), [
+        "id",
+        "text",
+        "emoji",
+        "color",
+        "created_at",
+        "updated_at",
+        "publish_at",
+        "expires_at",
+      ]);
+      assert.deepEqual(columns(db, "rate_limits"), ["key", "tokens", "updated_at", "allowed"]);
+      assert.deepEqual(columns(db, "revoked_sessions"), ["jti", "user_id", "revoked_at", "expires_at"]);
+
+      const indexes = db.query("SELECT name FROM sqlite_master WHERE type = 'index' AND name LIKE 'idx_%'").map((r) => r.name);
+      assert.deepEqual(indexes.sort(), ["idx_notes_created_at", "idx_notes_publish_at", "idx_rate_limits_updated_at"]);
+    } finally {
+      db.close();
+    }
+  });
+
+  test("re-running applies nothing twice", async () => {
+    const db = await sqliteExecutor(file);
+    try {
+      db.apply("INSERT INTO notes (text, created_at, updated_at, publish_at) VALUES ('kept', 'x', 'x', 'x')");
+
+      assert.deepEqual(await migrate(db), []);
+      const { applied, pending } = await migrationStatus(db);
+      assert.equal(applied.length, loadMigrations().length);
+      assert.deepEqual(pending, []);
+      assert.equal(db.query("SELECT COUNT(*) AS n FROM schema_migrations")[0].n, 6);
+      // 0002 would fail on its duplicate columns if it ran again; the data is untouched.
+      assert.equal(db.query("SELECT COUNT(*) AS n FROM notes")[0].n, 1);
+    } finally {
+      db.close();
+    }
+  });
+});
+
+describe("migration runner edge cases", { skip }, () => {
+  let dir;
+
+  before(() => {
+    dir = tempDir();
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("--status reads a fresh database without writing to it", async () => {
+    const db = await sqliteExecutor(path.join(dir, "status.sqlite"));
+    try {
+      const { applied, pending } = await migrationStatus(db);
+      assert.deepEqual(applied, []);
+      assert.equal(pending.length, loadMigrations().length);
+      assert.deepEqual(db.query("SELECT name FROM sqlite_master"), []);
+    } finally {
+      db.close();
+    }
+  });
+
+  test("--baseline records old migrations without running them", async () => {
+    const db = await sqliteExecutor(path.join(dir, "baseline.sqlite"));
+    try {
+      // A database created from the old schema.sql: notes exists, nothing recorded.
+      db.apply(loadMigrations()[0].sql);
+      const ran = await migrate(db, { baseline: 1 });
+
+      assert.deepEqual(
+        ran.map((m) => m.version),
+        [2, 3, 4, 5, 6]
+      );
+      assert.equal(db.query("SELECT COUNT(*) AS n FROM schema_migrations")[0].n, 6);
+    } finally {
+      db.close();
+    }
+  });
+
+  test("a failing migration is rolled back and not recorded", async () => {
+    const migrations = [
+      { version: 1, name: "good", sql: "CREATE TABLE a (id INTEGER);" },
+      { version: 2, name: "bad", sql: "CREATE TABLE b (id INTEGER);\nINSERT INTO missing VALUES (1);" },
+    ];
+    const db = await sqliteExecutor(path.join(dir, "failing.sqlite"));
+    try {
+      await assert.rejects(migrate(db, { migrations }), /Migration 0002_bad failed/);
+
+      const tables = db.query("SELECT name FROM sqlite_master WHERE type = 'table'").map((r) => r.name);
+      assert.ok(tables.includes("a"));
+      assert.ok(!tables.includes("b"));
+      const { pending } = await migrationStatus(db, migrations);
+      assert.deepEqual(
+        pending.map((m) => m.version),
+        [2]
+      );
+    } finally {
+      db.close();
+    }
+  });
+
+  test("rejects duplicate versions", () => {
+    const migrationsDir = path.join(dir, "dupes");
+    fs.mkdirSync(migrationsDir);
+    fs.writeFileSync(path.join(migrationsDir, "0001_a.sql"), "SELECT 1;");
+    fs.writeFileSync(path.join(migrationsDir, "0001_b.sql"), "SELECT 1;");
+    fs.writeFileSync(path.join(migrationsDir, "notes.txt"), "ignored");
+
+    assert.throws(() => loadMigrations(migrationsDir), /Duplicate migration version 1/);
+  });
+});
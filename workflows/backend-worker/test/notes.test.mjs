@@ -0,0 +1,210 @@
+// Instant Notes: the banner's visibility window, scheduling through the admin
+// API, and the public archive's keyset pagination.
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { adminToken, createTestDb, needsSqlite, request, workerEnv } from "./support/worker.mjs";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const iso = (offsetMs) => new Date(Date.now() + offsetMs).toISOString();
+
+function insertNote(sqlite, text, publishAt, expiresAt = null) {
+  const r = sqlite
+    .prepare(
+      `INSERT INTO notes (text, created_at, updated_at, publish_at, expires_at)
+       VALUES (?1, ?2, ?2, ?2, ?3)`
+    )
+    .run(text, publishAt, expiresAt);
+  return Number(r.lastInsertRowid);
+}
+
+describe("visible notes", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db);
+  });
+  after(() => testDb.close());
+  beforeEach(() => testDb.sqlite.exec("DELETE FROM notes"));
+
+  const visible = async () => (await (await request(env, "GET", "/api/notes")).json()).map((n) => n.text);
+
+  test("shows a plain note for the default 48h after it publishes", async () => {
+    insertNote(testDb.sqlite, "fresh", iso(-47 * HOUR));
+    insertNote(testDb.sqlite, "stale", iso(-49 * HOUR));
+    assert.deepEqual(await visible(), ["fresh"]);
+  });
+
+  test("expires_at replaces the default window", async () => {
+    insertNote(testDb.sqlite, "pinned", iso(-72 * HOUR), iso(24 * HOUR));
+    insertNote(testDb.sqlite, "cut short", iso(-2 * HOUR), iso(-HOUR));
+    assert.deepEqual(await visible(), ["pinned"]);
+  });
+
+  test("hides notes scheduled for later", async () => {
+    insertNote(testDb.sqlite, "now", iso(-MINUTE));
+    insertNote(testDb.sqlite, "later", iso(HOUR), iso(3 * HOUR));
+    assert.deepEqual(await visible(), ["now"]);
+  });
+
+  test("lists at most five, newest first", async () => {
+    for (let i = 1; i <= 7; i++) insertNote(testDb.sqlite, `n${i}`, iso(-(8 - i) * MINUTE));
+    assert.deepEqual(await visible(), ["n7", "n6", "n5", "n4", "n3"]);
+  });
+});
+
+describe("note schedule (admin API)", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  let token;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db);
+    ({ token } = await adminToken());
+  });
+  after(() => testDb.close());
+
+  const row = (id) =>
+    testDb.sqlite.prepare("SELECT text, created_at, publish_at, expires_at FROM notes WHERE id = ?").get(id);
+
+  async function create(body) {
+    const res = await request(env, "POST", "/api/admin/notes", { token, body });
+    return { status: res.status, body: await res.json() };
+  }
+
+  const update = (id, body) => request(env, "PUT", `/api/admin/notes/${id}`, { token, body });
+
+  test("publishes now with the default window when both are omitted", async () => {
+    const { status, body } = await create({ text: "hello" });
+    assert.equal(status, 201);
+    const note = row(body.id);
+    assert.equal(note.publish_at, note.created_at);
+    assert.equal(note.expires_at, null);
+  });
+
+  test("stores normalized ISO timestamps", async () => {
+    const { body } = await create({
+      text: "queued",
+      publish_at: "2030-01-02T03:04:05+02:00",
+      expires_at: "2030-01-09T00:00:00Z",
+    });
+    const note = row(body.id);
+    assert.equal(note.publish_at, "2030-01-02T01:04:05.000Z");
+    assert.equal(note.expires_at, "2030-01-09T00:00:00.000Z");
+  });
+
+  test("rejects invalid timestamps and windows that end before they start", async () => {
+    assert.equal((await create({ text: "x", publish_at: "soon" })).status, 400);
+    assert.equal((await create({ text: "x", expires_at: 1700000000000 })).status, 400);
+    const inverted = await create({ text: "x", publish_at: iso(2 * HOUR), expires_at: iso(HOUR) });
+    assert.equal(inverted.status, 400);
+    assert.deepEqual(inverted.body, { error: "expires_at must be after publish_at" });
+  });
+
+  test("updates keep the stored schedule unless it is sent", async () => {
+    const publishAt = iso(HOUR);
+    const expiresAt = iso(5 * HOUR);
+    const { body } = await create({ text: "v1", publish_at: publishAt, expires_at: expiresAt });
+
+    assert.equal((await update(body.id, { text: "v2" })).status, 200);
+    assert.equal(row(body.id).expires_at, expiresAt);
+    assert.equal(row(body.id).publish_at, publishAt);
+
+    // Cleared: publish_at stays, expires_at falls back to the default window.
+    assert.equal((await update(body.id, { text: "v3", publish_at: null, expires_at: null })).status, 200);
+    assert.equal(row(body.id).publish_at, publishAt);
+    assert.equal(row(body.id).expires_at, null);
+  });
+
+  test("checks an update against the stored publish_at", async () => {
+    const { body } = await create({ text: "v1", publish_at: iso(2 * HOUR) });
+    assert.equal((await update(body.id, { text: "v2", expires_at: iso(HOUR) })).status, 400);
+    assert.equal((await update(9999, { text: "v2" })).status, 404);
+  });
+});
+
+describe("note archive", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db);
+  });
+  after(() => testDb.close());
+  beforeEach(() => testDb.sqlite.exec("DELETE FROM notes"));
+
+  const addNote = (...args) => insertNote(testDb.sqlite, ...args);
+
+  async function archive(query = "") {
+    const res = await request(env, "GET", `/api/notes/archive${query}`);
+    assert.equal(res.status, 200);
+    return res.json();
+  }
+
+  // Every page from the first, following nextCursor.
+  async function allPages(limit) {
+    const pages = [];
+    let cursor = null;
+    do {
+      const page = await archive(`?limit=${limit}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ""}`);
+      pages.push(page.notes.map((n) => n.text));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  }
+
+  test("pages newest-first through the whole history", async () => {
+    for (let i = 1; i <= 5; i++) addNote(`n${i}`, iso(-(6 - i) * 24 * HOUR));
+
+    assert.deepEqual(await allPages(2), [["n5", "n4"], ["n3", "n2"], ["n1"]]);
+  });
+
+  test("keeps expired notes, which the banner no longer shows", async () => {
+    addNote("expired", iso(-10 * MINUTE), iso(-5 * MINUTE));
+    addNote("old", iso(-30 * 24 * HOUR));
+
+    assert.deepEqual((await archive()).notes.map((n) => n.text), ["expired", "old"]);
+  });
+
+  test("breaks publish_at ties by id without skipping or repeating", async () => {
+    const at = iso(-MINUTE);
+    ["a", "b", "c", "d"].forEach((text) => addNote(text, at));
+
+    assert.deepEqual(await allPages(3), [["d", "c", "b"], ["a"]]);
+  });
+
+  test("a note posted mid-scroll does not shift later pages", async () => {
+    for (let i = 1; i <= 4; i++) addNote(`n${i}`, iso(-(5 - i) * MINUTE));
+    const first = await archive("?limit=2");
+    assert.deepEqual(first.notes.map((n) => n.text), ["n4", "n3"]);
+
+    addNote("new", iso(0));
+    const second = await archive(`?limit=2&cursor=${encodeURIComponent(first.nextCursor)}`);
+    assert.deepEqual(second.notes.map((n) => n.text), ["n2", "n1"]);
+    assert.equal(second.nextCursor, null);
+  });
+
+  test("hides scheduled notes until they publish", async () => {
+    addNote("live", iso(-MINUTE));
+    addNote("queued", iso(60 * MINUTE));
+
+    assert.deepEqual((await archive()).notes.map((n) => n.text), ["live"]);
+  });
+
+  test("defaults to 20 per page and caps limit at 50", async () => {
+    for (let i = 0; i < 60; i++) addNote(`n${i}`, iso(-(i + 1) * MINUTE));
+
+    assert.equal((await archive()).notes.length, 20);
+    assert.equal((await archive("?limit=500")).notes.length, 50);
+    assert.equal((await archive("?limit=-3")).notes.length, 20);
+  });
+
+  test("rejects a malformed cursor", async () => {
+    for (const cursor of ["not-base64!", btoa("no-separator"), btoa("2024-01-01T00:00:00.000Z|x")]) {
+      const res = await request(env, "GET", `/api/notes/archive?cursor=${encodeURIComponent(cursor)}`);
+      assert.equal(res.status, 400, cursor);
+    }
+  });
+});
@@ -0,0 +1,167 @@
+// Token-bucket rate limiting (src/ratelimit.js) on the routes that use it.
+import assert from "node:assert/strict";
+import { after, before, describe, test } from "node:test";
+
+import { DEFAULT_LIMITS, MEMORY_MAX_KEYS, memoryStore, resolveLimit } from "../src/ratelimit.js";
+import { createTestDb, needsSqlite, request, workerEnv } from "./support/worker.mjs";
+
+// Buckets are per IP (and the memory store outlives a test): every test
+// takes its own address.
+let lastIp = 0;
+const nextIp = () => `198.51.100.${++lastIp}`;
+
+const login = (env, ip, body = {}) => request(env, "POST", "/api/auth/login", { ip, body });
+
+describe("resolveLimit", () => {
+  test("reads name=requests/seconds from RATE_LIMITS", () => {
+    assert.deepEqual(resolveLimit("login", "giscus=5/10, login = 3 / 30"), { capacity: 3, window: 30 });
+  });
+
+  test("falls back to the defaults for unlisted and malformed entries", () => {
+    assert.deepEqual(resolveLimit("login", "giscus=5/10"), DEFAULT_LIMITS.login);
+    assert.deepEqual(resolveLimit("login", "login=0/60,login=ten/60"), DEFAULT_LIMITS.login);
+    assert.deepEqual(resolveLimit("refresh", undefined), DEFAULT_LIMITS.refresh);
+  });
+
+  test("is null for a name without a default", () => {
+    assert.equal(resolveLimit("unknown", ""), null);
+    assert.deepEqual(resolveLimit("unknown", "unknown=1/1"), { capacity: 1, window: 1 });
+  });
+});
+
+describe("memory store", () => {
+  const env = workerEnv(null, { RATE_LIMIT_STORE: "memory", RATE_LIMITS: "login=2/60" });
+
+  test("answers 429 with Retry-After once the bucket is empty", async () => {
+    const ip = nextIp();
+    assert.equal((await login(env, ip)).status, 400); // missing token, but counted
+    assert.equal((await login(env, ip)).status, 400);
+
+    const res = await login(env, ip);
+    assert.equal(res.status, 429);
+    assert.deepEqual(await res.json(), { error: "Too many requests" });
+    const retryAfter = Number(res.headers.get("Retry-After"));
+    assert.ok(retryAfter >= 1 && retryAfter <= 30, `Retry-After ${retryAfter}`);
+  });
+
+  test("keeps one bucket per client IP", async () => {
+    const ip = nextIp();
+    await login(env, ip);
+    await login(env, ip);
+    assert.equal((await login(env, ip)).status, 429);
+    assert.equal((await login(env, nextIp())).status, 400);
+  });
+
+  test("refills evenly over the window", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 1_700_000_000_000 });
+    const ip = nextIp();
+    await login(env, ip);
+    await login(env, ip);
+    assert.equal((await login(env, ip)).status, 429);
+
+    t.mock.timers.tick(29_000);
+    assert.equal((await login(env, ip)).status, 429);
+    t.mock.timers.tick(1_000);
+    assert.equal((await login(env, ip)).status, 400);
+    assert.equal((await login(env, ip)).status, 429);
+  });
+
+  test("does not count CORS preflights", async () => {
+    const ip = nextIp();
+    for (let i = 0; i < 3; i++) {
+      const res = await request(env, "OPTIONS", "/api/auth/login", {
+        ip,
+        headers: { Origin: "https://blog.example.com", "Access-Control-Request-Method": "POST" },
+      });
+      assert.equal(res.status, 204);
+    }
+    assert.equal((await login(env, ip)).status, 400);
+  });
+
+  test("is disabled by RATE_LIMIT_STORE=off", async () => {
+    const off = workerEnv(null, { RATE_LIMIT_STORE: "off", RATE_LIMITS: "login=1/60" });
+    const ip = nextIp();
+    for (let i = 0; i < 3; i++) assert.equal((await login(off, ip)).status, 400);
+  });
+
+  test("keeps its CORS headers on the giscus proxy's 429", async () => {
+    const mock = workerEnv(null, { RATE_LIMIT_STORE: "memory", RATE_LIMITS: "giscus=1/60", MOCK_GITHUB: "true" });
+    const ip = nextIp();
+    const url = "http://localhost/api/discussions/categories";
+    assert.equal((await request(mock, "GET", url, { ip })).status, 200);
+
+    const res = await request(mock, "GET", url, { ip, headers: { Origin: "https://blog.example.com" } });
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get("Access-Control-Allow-Origin"), "https://blog.example.com");
+    assert.ok(res.headers.get("Retry-After"));
+  });
+
+  test("stays within its key cap under a flood of fresh keys", async () => {
+    const limit = { capacity: 2, window: 60 };
+    const now = 1_700_000_000;
+    await memoryStore.take("flood:kept", limit, now);
+    await memoryStore.take("flood:kept", limit, now);
+
+    for (let i = 0; i < MEMORY_MAX_KEYS + 50; i++) {
+      await memoryStore.take(`flood:${i}`, limit, now);
+      // Busy buckets are the last to be evicted.
+      if (i % 1000 === 0) await memoryStore.take("flood:kept", limit, now);
+    }
+    assert.equal(memoryStore.size, MEMORY_MAX_KEYS);
+    assert.equal((await memoryStore.take("flood:kept", limit, now)).ok, false);
+    // The oldest fresh keys made room and start over with a full bucket.
+    assert.equal((await memoryStore.take("flood:0", limit, now)).ok, true);
+  });
+});
+
+describe("body limits", () => {
+  const env = workerEnv(null, { RATE_LIMIT_STORE: "off" });
+
+  test("refuse oversized login bodies", async () => {
+    const res = await login(env, nextIp(), { githubToken: "x".repeat(5000) });
+    assert.equal(res.status, 413);
+  });
+});
+
+describe("D1 store", { skip: needsSqlite }, () => {
+  let testDb;
+  before(async () => {
+    testDb = await createTestDb();
+  });
+  after(() => testDb.close());
+
+  test("shares buckets through the rate_limits table", async () => {
+    const env = workerEnv(testDb.db, { RATE_LIMITS: "login=2/60" });
+    const ip = nextIp();
+    assert.equal((await login(env, ip)).status, 400);
+    assert.equal((await login(env, ip)).status, 400);
+    assert.equal((await login(env, ip)).status, 429);
+
+    const row = testDb.sqlite.prepare("SELECT tokens, allowed FROM rate_limits WHERE key = ?").get(`login:${ip}`);
+    assert.equal(row.allowed, 0);
+    assert.ok(row.tokens < 1);
+  });
+
+  test("refills from the stored level", async (t) => {
+    t.mock.timers.enable({ apis: ["Date"], now: 1_700_000_000_000 });
+    const env = workerEnv(testDb.db, { RATE_LIMITS: "login=1/10" });
+    const ip = nextIp();
+    assert.equal((await login(env, ip)).status, 400);
+    assert.equal((await login(env, ip)).status, 429);
+    t.mock.timers.tick(10_000);
+    assert.equal((await login(env, ip)).status, 400);
+  });
+
+  test("lets requests through when the store fails", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const empty = await createTestDb({ migrated: false });
+    try {
+      const env = workerEnv(empty.db, { RATE_LIMITS: "login=1/60" });
+      const ip = nextIp();
+      for (let i = 0; i < 3; i++) assert.equal((await login(env, ip)).status, 400);
+      assert.equal(warn.mock.callCount(), 3);
+    } finally {
+      empty.close();
+    }
+  });
+});
@@ -0,0 +1,93 @@
+// Anonymous post reactions (src/reactions.js, /api/reactions).
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, test } from "node:test";
+
+import { DEFAULT_REACTION_TYPES, SUMMARY_MAX_PATHS, reactionTypes, reactionVisitor } from "../src/reactions.js";
+import { createTestDb, needsSqlite, request, workerEnv } from "./support/worker.mjs";
+
+const VISITOR = "0b6f6a1e-8a3c-4f52-9d0e-1c2b3a4d5e6f";
+const OTHER = "5f4e3d2c-1b0a-4e9d-8c7b-6a5f4e3d2c1b";
+
+describe("reaction helpers", () => {
+  test("reactionTypes keeps valid slugs and falls back to the defaults", () => {
+    assert.deepEqual(reactionTypes("like, fire ,Bad Slug"), ["like", "fire"]);
+    assert.deepEqual(reactionTypes(""), DEFAULT_REACTION_TYPES);
+  });
+
+  test("reactionVisitor hashes well-formed ids only", async () => {
+    const hash = await reactionVisitor(VISITOR, "salt");
+    assert.match(hash, /^[0-9a-f]{64}$/);
+    assert.notEqual(hash, await reactionVisitor(VISITOR, "other-salt"));
+    assert.equal(await reactionVisitor("short", "salt"), null);
+    assert.equal(await reactionVisitor("<script>alert(1)</script>-padding", "salt"), null);
+  });
+});
+
+describe("/api/reactions", { skip: needsSqlite }, () => {
+  let testDb;
+  let env;
+  before(async () => {
+    testDb = await createTestDb();
+    env = workerEnv(testDb.db, { RATE_LIMIT_STORE: "off", COUNTER_SALT: "salt" });
+  });
+  after(() => testDb.close());
+  beforeEach(() => testDb.sqlite.exec("DELETE FROM post_reactions; DELETE FROM post_reaction_visitors;"));
+
+  async function react(body, opts = {}) {
+    const res = await request(opts.env || env, "POST", "/api/reactions", { body, ...opts });
+    return { status: res.status, body: await res.json() };
+  }
+
+  test("counts each visitor's reaction once and lets them take it back", async () => {
+    await react({ path: "/p/", type: "like", visitor: VISITOR });
+    await react({ path: "/p/", type: "like", visitor: VISITOR });
+    const both = await react({ path: "/p/", type: "like", visitor: OTHER });
+    assert.deepEqual(both.body, { counts: { like: 2 }, mine: ["like"] });
+
+    const undone = await react({ path: "/p/", type: "like", visitor: VISITOR, on: false });
+    assert.deepEqual(undone.body, { counts: { like: 1 }, mine: [] });
+    const again = await react({ path: "/p/", type: "like", visitor: VISITOR, on: false });
+    assert.deepEqual(again.body.counts, { like: 1 });
+  });
+
+  test("GET returns the counts and this visitor's own reactions", async () => {
+    await react({ path: "/p/", type: "heart", visitor: OTHER });
+    const res = await request(env, "GET", `/api/reactions?path=/p/&visitor=${VISITOR}`);
+    assert.deepEqual(await res.json(), { counts: { heart: 1 }, mine: [] });
+  });
+
+  test("rejects unknown types and missing visitors", async () => {
+    assert.equal((await react({ path: "/p/", type: "boo", visitor: VISITOR })).status, 400);
+    assert.equal((await react({ path: "/p/", type: "like" })).status, 400);
+    assert.equal((await react({ path: "/p/", type: "like", visitor: "x" })).status, 400);
+  });
+
+  test("summary lists non-zero counts for up to SUMMARY_MAX_PATHS posts", async () => {
+    await react({ path: "/a/", type: "like", visitor: VISITOR });
+    await react({ path: "/b/", type: "clap", visitor: VISITOR });
+    await react({ path: "/b/", type: "clap", visitor: VISITOR, on: false });
+
+    const res = await request(env, "GET", "/api/reactions/summary?path=/a/&path=/b/&path=/c/");
+    assert.deepEqual(await res.json(), { "/a/": { like: 1 } });
+
+    const many = Array.from({ length: SUMMARY_MAX_PATHS + 1 }, (_, i) => `path=/p${i}/`).join("&");
+    assert.equal((await request(env, "GET", `/api/reactions/summary?${many}`)).status, 400);
+  });
+
+  test("refuses oversized bodies", async () => {
+    const { status } = await react({ path: "/p/", type: "like", visitor: VISITOR, pad: "x".repeat(4096) });
+    assert.equal(status, 413);
+  });
+
+  test("is rate-limited per IP", async () => {
+    const limited = workerEnv(testDb.db, { RATE_LIMITS: "reactions=2/60", COUNTER_SALT: "salt" });
+    const ip = "203.0.113.30";
+    const body = { path: "/p/", type: "like", visitor: VISITOR };
+    assert.equal((await react(body, { env: limited, ip })).status, 200);
+    assert.equal((await react({ ...body, on: false }, { env: limited, ip })).status, 200);
+
+    const res = await request(limited, "POST", "/api/reactions", { ip, body });
+    assert.equal(res.status, 429);
+    assert.ok(res.headers.get("Retry-After"));
+  });
+});
@@ -0,0 +1,8 @@
+// Module hook for the tests: Wrangler's bundler takes `import x from "./x.json"`
+// as is, plain Node wants the `type: "json"` import attribute (src/mock.js).
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(".json")) {
+    return nextLoad(url, { ...context, importAttributes: { ...context.importAttributes, type: "json" } });
+  }
+  return nextLoad(url, context);
+}
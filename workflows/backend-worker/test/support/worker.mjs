@@ -0,0 +1,121 @@
+// Test harness: the worker app over a migrated, temporary SQLite database that
+// stands in for D1 (node:sqlite, Node 22.5+).
+import fs from "node:fs";
+import { register } from "node:module";
+import os from "node:os";
+import path from "node:path";
+
+import { migrate, sqliteExecutor } from "../../scripts/migrate.mjs";
+import { signSession } from "../../src/auth.js";
+
+register("./json-hooks.mjs", import.meta.url);
+const { default: app } = await import("../../src/index.js");
+
+export { app };
+
+export const hasSqlite = await import("node:sqlite").then(() => true, () => false);
+// `skip` option for suites that need a database.
+export const needsSqlite = !hasSqlite && "needs node:sqlite (Node.js 22.5+)";
+
+export const SECRET = "test-session-secret";
+export const ADMIN = { id: 1001, login: "admin" };
+
+// The part of the D1 API the worker uses: prepare → bind → first / all / run,
+// and batch (one transaction).
+function d1(sqlite) {
+  const value = (v) => (typeof v === "boolean" ? Number(v) : v);
+  const statement = (sql, params) => ({
+    bind: (...args) => statement(sql, args.map(value)),
+    first: async () => sqlite.prepare(sql).get(...params) ?? null,
+    all: async () => ({ results: sqlite.prepare(sql).all(...params), success: true }),
+    run: async () => {
+      const r = sqlite.prepare(sql).run(...params);
+      return { success: true, meta: { changes: Number(r.changes), last_row_id: Number(r.lastInsertRowid) } };
+    },
+  });
+  return {
+    prepare: (sql) => statement(sql, []),
+    batch: async (statements) => {
+      sqlite.exec("BEGIN");
+      try {
+        const results = [];
+        for (const s of statements) results.push(await s.run());
+        sqlite.exec("COMMIT");
+        return results;
+      } catch (e) {
+        sqlite.exec("ROLLBACK");
+        throw e;
+      }
+    },
+  };
+}
+
+/**
+ * A fresh database file with every migration applied (`migrated: false` for
+ * an empty one). `sqlite` is the raw handle for setting up and inspecting rows.
+ */
+export async function createTestDb({ migrated = true } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "worker-test-"));
+  const file = path.join(dir, "d1.sqlite");
+  if (migrated) {
+    const runner = await sqliteExecutor(file);
+    await migrate(runner);
+    runner.close();
+  }
+  const { DatabaseSync } = await import("node:sqlite");
+  const sqlite = new DatabaseSync(file);
+  return {
+    db: d1(sqlite),
+    sqlite,
+    close: () => {
+      sqlite.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+/** Worker bindings and vars; `overrides` win. */
+export function workerEnv(db, overrides = {}) {
+  return {
+    DB: db,
+    SESSION_SECRET: SECRET,
+    ADMIN_LOGINS: String(ADMIN.id),
+    ALLOWED_ORIGIN: "https://blog.example.com",
+    ...overrides,
+  };
+}
+
+/**
+ * One request to the worker (`url` is a path, or a full URL to pick the host).
+ * `body` is sent as JSON (strings as they are), `token` as the Bearer session,
+ * `ip` as CF-Connecting-IP.
+ */
+export function request(env, method, url, { body, token, ip = "203.0.113.1", headers = {} } = {}) {
+  const init = {
+    method,
+    headers: { "CF-Connecting-IP": ip, "User-Agent": "Mozilla/5.0 (test)", ...headers },
+  };
+  if (token) init.headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) {
+    init.body = typeof body === "string" ? body : JSON.stringify(body);
+    init.headers["Content-Type"] = "application/json";
+    // Set on the wire by real clients; bodyLimit checks it before reading.
+    init.headers["Content-Length"] = String(Buffer.byteLength(init.body));
+  }
+  return app.request(new URL(url, "https://worker.example.com"), init, env);
+}
+
+/** A signed admin session; `claims` override the payload (jti, iat, exp, …). */
+export async function adminToken(claims = {}) {
+  const now = Date.now();
+  const payload = {
+    ...ADMIN,
+    isAdmin: true,
+    jti: crypto.randomUUID(),
+    iat: now,
+    auth_time: now,
+    exp: now + 2 * 60 * 60 * 1000,
+    ...claims,
+  };
+  return { token: await signSession(payload, SECRET), payload };
+}